@@ -15,6 +15,7 @@ const Logger = require('../utils/Logger');
 const errors = require('../base/errors');
 const config = require('config');
 const ERRORS = require('../base/errors.js');
+const { STOP_REASONS, observeStartDuration } = require('../base/metrics.js');
 
 const { handleExternalConnections : FS_HANDLE_EXTERNAL_CONNECTIONS } = config.get('freeswitch');
 const EJECT_ON_USER_LEFT = config.get('ejectOnUserLeft');
@@ -74,7 +75,7 @@ module.exports = class AudioManager extends BaseManager {
       if (session) {
         Logger.info(this._logPrefix, 'Disconnecting all listen only sessions',
           { roomId: sessionId, internalMeetingId: meetingId });
-        this._stopSession(sessionId);
+        this._stopSession(sessionId, STOP_REASONS.EJECTED);
       }
       delete this._meetings[meetingId];
     }
@@ -94,7 +95,7 @@ module.exports = class AudioManager extends BaseManager {
         });
         return this._closeListener(sessionId, connectionId, {
           userId, meetingId, roomId: sessionId, connectionId,
-        }).finally(() => {
+        }, STOP_REASONS.EJECTED).finally(() => {
           this._bbbGW.publish(JSON.stringify({
             connectionId,
             type: C.AUDIO_APP,
@@ -105,7 +106,13 @@ module.exports = class AudioManager extends BaseManager {
     }
   }
 
-  _handleSessionWideError (error, sessionId, rawMessage) {
+  _trackMediaRenegotiationEvent (session) {
+    session.on(C.MEDIA_RENEGOTIATION_REQUIRED, ({ connectionId }) => {
+      this._sendRestartIceRequest({ type: 'audio', connectionId }, C.FROM_AUDIO);
+    });
+  }
+
+  _handleSessionWideError (error, sessionId, rawMessage, reason = STOP_REASONS.START_FAILED) {
     Logger.error(this._logPrefix, `Listen only session wide fatal failure`, {
         errorMessage: error.message,
         errorCode: error.code,
@@ -113,7 +120,7 @@ module.exports = class AudioManager extends BaseManager {
     });
 
     error.id = 'webRTCAudioError';
-    this._stopSession(sessionId);
+    this._stopSession(sessionId, reason);
     this.sendToClient({
       type: 'audio',
       ...error,
@@ -128,14 +135,14 @@ module.exports = class AudioManager extends BaseManager {
     });
 
     error.id = 'webRTCAudioError';
-    if (session) session.stopListener(userConnectionId);
+    if (session) session.stopListener(userConnectionId, STOP_REASONS.START_FAILED);
     this.sendToClient(({
       type: 'audio',
       ...error,
     }), C.FROM_AUDIO);
   }
 
-  async handleStart (message) {
+  async handleStart (message, requestedAt) {
     const {
       connectionId,
       voiceBridge: sessionId,
@@ -153,6 +160,7 @@ module.exports = class AudioManager extends BaseManager {
       session = new Audio(this._bbbGW, sessionId, this.mcs, internalMeetingId);
       this._sessions[sessionId] = {}
       this._sessions[sessionId] = session;
+      this._trackMediaRenegotiationEvent(session);
     }
 
     this._meetings[internalMeetingId] = sessionId;
@@ -165,7 +173,12 @@ module.exports = class AudioManager extends BaseManager {
 
         session.once(C.MEDIA_SERVER_OFFLINE, async (event) => {
           const errorMessage = this._handleError(this._logPrefix, connectionId, session.globalAudioBridge, C.RECV_ROLE, errors.MEDIA_SERVER_OFFLINE);
-          return this._handleSessionWideError(errorMessage, sessionId, message);
+          return this._handleSessionWideError(
+            errorMessage,
+            sessionId,
+            message,
+            STOP_REASONS.MEDIA_SERVER_OFFLINE,
+          );
         });
 
         this.sendToClient({
@@ -175,6 +188,7 @@ module.exports = class AudioManager extends BaseManager {
           response : 'accepted',
           sdpAnswer : sdpAnswer
         }, C.FROM_AUDIO);
+        observeStartDuration(C.RECV_ROLE, requestedAt);
 
         Logger.info(this._logPrefix, `Started listen only session for user ${userId}`,
           AudioManager.getMetadataFromMessage(message));
@@ -191,15 +205,22 @@ module.exports = class AudioManager extends BaseManager {
       });
   }
 
+  // Every listen only session has a single role: listeners
+  getSessionsByRole () {
+    const listeners = Object.keys(this._sessions).reduce((total, sessionId) =>
+      total + Object.keys(this._sessions[sessionId].connectedUsers).length, 0);
+    return { [C.RECV_ROLE]: listeners };
+  }
+
   _getReqIdentifier (sessionId, connectionId) {
     return `${sessionId}:${connectionId}`;
   }
 
-  _closeListener (sessionId, connectionId, metadata = {}) {
+  _closeListener (sessionId, connectionId, metadata = {}, reason = STOP_REASONS.REQUESTED) {
     const session = this._fetchSession(sessionId);
 
     if (session) {
-      return session.stopListener(connectionId)
+      return session.stopListener(connectionId, reason)
         .then(() => {
           this._deleteIceQueue(this._getReqIdentifier(sessionId, connectionId));
           Logger.info(this._logPrefix, 'Listen only listener destroyed',
@@ -237,7 +258,44 @@ module.exports = class AudioManager extends BaseManager {
 
     Logger.info(this._logPrefix, 'Connection closed', logMetadata)
 
-    return this._closeListener(sessionId, connectionId, logMetadata);
+    return this._closeListener(sessionId, connectionId, logMetadata, STOP_REASONS.CONNECTION_CLOSED);
+  }
+
+  async handleRestartIce (message) {
+    const {
+      voiceBridge: sessionId,
+      connectionId,
+      sdpOffer,
+    } = message;
+
+    const session = this._fetchSession(sessionId);
+
+    try {
+      if (session == null) {
+        throw errors.MEDIA_NOT_FOUND;
+      }
+
+      const sdpAnswer = await session.restartIce(connectionId, sdpOffer);
+
+      this.sendToClient({
+        type: 'audio',
+        connectionId,
+        id: 'restartIceResponse',
+        response: 'accepted',
+        sdpAnswer,
+      }, C.FROM_AUDIO);
+    } catch (error) {
+      Logger.error(this._logPrefix, 'Listen only ICE restart failed', {
+        errorMessage: error.message,
+        errorCode: error.code,
+        ...AudioManager.getMetadataFromMessage(message),
+      });
+      const errorMessage = this._handleError(this._logPrefix, connectionId, null, C.RECV_ROLE, error);
+      this.sendToClient({
+        type: 'audio',
+        ...errorMessage,
+      }, C.FROM_AUDIO);
+    }
   }
 
   handleIceCandidate (message) {
@@ -265,8 +323,11 @@ module.exports = class AudioManager extends BaseManager {
 
     switch (message.id) {
       case 'start':
+        // Start durations are measured from the moment the request arrives,
+        // so time spent waiting in the lifecycle queue is accounted for
+        const requestedAt = Date.now();
         queue = this._fetchLifecycleQueue(this._getReqIdentifier(message.voiceBridge, message.connectionId));
-        queue.push(() => { return this.handleStart(message) });
+        queue.push(() => { return this.handleStart(message, requestedAt) });
         break;
 
       case 'stop':
@@ -274,6 +335,10 @@ module.exports = class AudioManager extends BaseManager {
         queue.push(() => { return this.handleStop(message) });
         break;
 
+      case 'restartIce':
+        this.handleRestartIce(message);
+        break;
+
       case 'iceCandidate':
         this.handleIceCandidate(message);
         break;
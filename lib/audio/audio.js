@@ -6,6 +6,11 @@ const Logger = require('../utils/Logger');
 const Messaging = require('../bbb/messages/Messaging');
 const BaseProvider = require('../base/BaseProvider');
 const errors = require('../base/errors.js');
+const {
+  METRIC_NAMES,
+  STOP_REASONS,
+  ModulePrometheusAgent,
+} = require('../base/metrics.js');
 
 const LOG_PREFIX = "[audio]";
 const GLOBAL_AUDIO_PREFIX = "GLOBAL_AUDIO_";
@@ -33,6 +38,9 @@ module.exports = class Audio extends BaseProvider {
     this._mediaStateTimeouts = {};
     this.connectedUsers = {};
     this.candidatesQueue = {}
+    // Connection IDs with an ICE restart in progress. Their candidates are
+    // queued until the new media units are up
+    this._restartingIce = {};
     this.meetingId = meetingId;
     this.handleMCSCoreDisconnection = this.handleMCSCoreDisconnection.bind(this);
     this.mcs.on(C.MCS_DISCONNECTED, this.handleMCSCoreDisconnection);
@@ -74,7 +82,7 @@ module.exports = class Audio extends BaseProvider {
   onIceCandidate (_candidate, connectionId) {
     const endpoint = this.audioEndpoints[connectionId];
 
-    if (endpoint && endpoint.mediaId) {
+    if (endpoint && endpoint.mediaId && !this._restartingIce[connectionId]) {
       try {
         this._flushCandidatesQueue(connectionId);
         this.mcs.addIceCandidate(endpoint.mediaId, _candidate);
@@ -192,6 +200,7 @@ module.exports = class Audio extends BaseProvider {
           return resolve();
         }
 
+        ModulePrometheusAgent.increment(METRIC_NAMES.PERMISSION_PROBE_FAILURES, { role: C.RECV_ROLE });
         return reject(errors.SFU_UNAUTHORIZED);
       }
 
@@ -225,6 +234,7 @@ module.exports = class Audio extends BaseProvider {
   _onSubscriberMediaNotFlowingTimeout (connectionId) {
     Logger.error(LOG_PREFIX, `Listen only WebRTC media NOT_FLOWING timeout reached`,
       this._getFullLogMetadata(connectionId));
+    ModulePrometheusAgent.increment(METRIC_NAMES.MEDIA_NOT_FLOWING_TIMEOUTS, { role: C.RECV_ROLE });
     this.sendToClient({
       type: 'audio',
       connectionId: connectionId,
@@ -297,7 +307,7 @@ module.exports = class Audio extends BaseProvider {
 
   /* ======= MEDIA STATE HANDLERS ======= */
 
-  _mediaStateRTP (event, endpoint) {
+  _mediaStateRTP (event, endpoint, renegotiateSource) {
     const { mediaId, state } = event;
     const { name, details = null } = state;
 
@@ -319,6 +329,18 @@ module.exports = class Audio extends BaseProvider {
           { ...this._getPartialLogMetadata(), userId: this.userId, mediaId, state });
         break;
 
+      case C.MEDIA_RENEGOTIATION_REQUIRED:
+        // The relay was moved to another server. Its new answer has to be
+        // handed to the FreeSWITCH source, like it's done on start
+        Logger.warn(LOG_PREFIX, `RTP source relay session ${mediaId} was migrated, renegotiating the source`,
+          { ...this._getPartialLogMetadata(), userId: this.userId, mediaId });
+        renegotiateSource(details).catch(error => {
+          Logger.error(LOG_PREFIX, `RTP source renegotiation failed due to ${error.message}`,
+            { ...this._getPartialLogMetadata(), userId: this.userId, mediaId, error });
+          this.emit(C.MEDIA_SERVER_OFFLINE, event);
+        });
+        break;
+
       default: Logger.warn(LOG_PREFIX, "Unrecognized event", event);
     }
   }
@@ -355,6 +377,10 @@ module.exports = class Audio extends BaseProvider {
       iceComponentId,
       iceComponentState
     });
+
+    if (iceComponentState === 'FAILED') {
+      ModulePrometheusAgent.increment(METRIC_NAMES.ICE_FAILURES, { role: C.RECV_ROLE });
+    }
   }
 
   _handleCandidatePairSelected (state, logMetadata) {
@@ -438,6 +464,12 @@ module.exports = class Audio extends BaseProvider {
         this.emit(C.MEDIA_SERVER_OFFLINE, event);
         break;
 
+      case C.MEDIA_RENEGOTIATION_REQUIRED:
+        Logger.warn(LOG_PREFIX, `Listen only session ${mediaId} was migrated, requesting a client ICE restart`,
+          logMetadata);
+        this.emit(C.MEDIA_RENEGOTIATION_REQUIRED, { connectionId });
+        break;
+
       default: Logger.warn(LOG_PREFIX, `Unrecognized event`, { event });
     }
   }
@@ -543,7 +575,12 @@ module.exports = class Audio extends BaseProvider {
           );
 
           this.mcs.onEvent(C.MEDIA_STATE, proxyId, (event) => {
-            this._mediaStateRTP(event, proxyId);
+            this._mediaStateRTP(event, proxyId, (descriptor) => this.mcs.publish(
+              this.userId,
+              this.voiceBridge,
+              C.RTP,
+              { ...globalAudioOptions, mediaId, descriptor }
+            ));
           });
 
           // Renegotiate the source endpoint passing the answer generated by the
@@ -676,11 +713,46 @@ module.exports = class Audio extends BaseProvider {
     return answer;
   }
 
+  async restartIce (connectionId, sdpOffer) {
+    const { mcsUserId, mediaId } = this.audioEndpoints[connectionId] || {};
+
+    if (mediaId == null) {
+      Logger.warn(LOG_PREFIX, 'ICE restart requested for a listen only session that was not started',
+        this._getFullLogMetadata(connectionId));
+      throw this._handleError(LOG_PREFIX, errors.MEDIA_NOT_FOUND, "recv", connectionId);
+    }
+
+    this._restartingIce[connectionId] = true;
+
+    try {
+      const { answer } = await this.mcs.subscribe(mcsUserId, this.sourceAudio, C.WEBRTC, {
+        descriptor: sdpOffer,
+        mediaId,
+        restartIce: true,
+      });
+
+      Logger.info(LOG_PREFIX, 'Listen only session restarted ICE',
+        this._getFullLogMetadata(connectionId));
+      return answer;
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Listen only ICE restart failed due to ${error.message}`,
+        { ...this._getFullLogMetadata(connectionId), error });
+      throw (this._handleError(LOG_PREFIX, error, "recv", connectionId));
+    } finally {
+      delete this._restartingIce[connectionId];
+      this._flushCandidatesQueue(connectionId);
+    }
+  }
+
   /* ======= STOP METHODS ======= */
 
-  async stopListener(connectionId) {
+  async stopListener(connectionId, reason = STOP_REASONS.REQUESTED) {
     const listener = this.audioEndpoints[connectionId];
 
+    if (this.getUser(connectionId)) {
+      ModulePrometheusAgent.increment(METRIC_NAMES.SESSION_STOPS, { role: C.RECV_ROLE, reason });
+    }
+
     if (listener && listener.mediaId && listener.mcsUserId) {
       try {
         await this.mcs.unsubscribe(listener.mcsUserId, listener.mediaId);
@@ -699,12 +771,13 @@ module.exports = class Audio extends BaseProvider {
     }
 
     delete this.candidatesQueue[connectionId];
+    delete this._restartingIce[connectionId];
     delete this.audioEndpoints[connectionId];
     this.clearMediaFlowingTimeout(connectionId);
     this.clearMediaStateTimeout(connectionId);
   }
 
-  async stop () {
+  async stop (reason = STOP_REASONS.REQUESTED) {
     Logger.info(LOG_PREFIX, `Listen only session-wide stop for room ${this.voiceBridge}, releasing everything`,
       this._getPartialLogMetadata());
     this.mcs.removeListener(C.MCS_DISCONNECTED, this.handleMCSCoreDisconnection);
@@ -716,7 +789,7 @@ module.exports = class Audio extends BaseProvider {
 
       for (var connectionId in this.connectedUsers) {
         try {
-          await this.stopListener(connectionId);
+          await this.stopListener(connectionId, reason);
         } catch (error) {
           Logger.error(LOG_PREFIX, `Listen only session stop failed`,
             { ...this._getFullLogMetadata(connectionId), error });
@@ -14,6 +14,7 @@ const C = require('../bbb/messages/Constants');
 const Logger = require('../utils/Logger');
 const errors = require('./errors');
 const MCSApi = require('./MCSAPIWrapper');
+const { STOP_REASONS, startModuleMetrics } = require('./metrics.js');
 const MCS_ADDRESS = config.get("mcs-address");
 const MCS_PORT = config.get("mcs-port");
 const REQUEST_QUEUE_TIMEOUT = config.has('requestQueueTimeout')
@@ -45,6 +46,8 @@ module.exports = class BaseManager {
         await this.mcs.start(MCS_ADDRESS, MCS_PORT);
         this.mcsStarted = true;
       }
+
+      startModuleMetrics(this);
     } catch (error) {
       Logger.error(this._logPrefix, 'Could not connect to Redis channel', error);
       await this.stopAll();
@@ -95,6 +98,14 @@ module.exports = class BaseManager {
     }
   }
 
+  // mcs-core re-creates medias whose server went offline on a healthy one
+  // (migrateMediasOnHostOffline). Clients reconnect to the new media by
+  // answering the request with an ICE restart offer (restartIce) or, if it
+  // carries an sdpOffer, with a subscriberAnswer
+  _sendRestartIceRequest (message, target) {
+    this.sendToClient({ ...message, id: 'restartIceRequest' }, target);
+  }
+
   _fetchSession (sessionId) {
     return this._sessions[sessionId];
   }
@@ -148,7 +159,7 @@ module.exports = class BaseManager {
     }
   }
 
-  _stopSession (sessionId) {
+  _stopSession (sessionId, reason = STOP_REASONS.REQUESTED) {
     return new Promise(async (resolve, reject) => {
       try {
         if (this._sessions == null || sessionId == null) {
@@ -159,7 +170,7 @@ module.exports = class BaseManager {
         if (session) {
           Logger.info(this._logPrefix, `Stopping session ${sessionId}`);
           if (typeof session.stop === 'function') {
-            await session.stop();
+            await session.stop(reason);
           }
           delete this._sessions[sessionId];
           this._logAvailableSessions();
@@ -185,7 +196,7 @@ module.exports = class BaseManager {
         let stopProcedures = [];
 
         for (let i = 0; i < sessionIds.length; i++) {
-          stopProcedures.push(this._stopSession(sessionIds[i]));
+          stopProcedures.push(this._stopSession(sessionIds[i], STOP_REASONS.SHUTDOWN));
         }
         resolve(Promise.all(stopProcedures));
       }
@@ -196,6 +207,15 @@ module.exports = class BaseManager {
     });
   }
 
+  // Number of active sessions per role, collected by the module's sessions gauge
+  getSessionsByRole () {
+    return Object.keys(this._sessions).reduce((sessionsByRole, sessionId) => {
+      const { role } = this._sessions[sessionId];
+      sessionsByRole[role] = (sessionsByRole[role] || 0) + 1;
+      return sessionsByRole;
+    }, {});
+  }
+
   _logAvailableSessions () {
     if(this._sessions) {
       let sessionMainKeys = Object.keys(this._sessions);
@@ -201,6 +201,42 @@ module.exports = class MCSAPIWrapper extends EventEmitter {
     }
   }
 
+  // Hints ride on subscribe: mcs-js has no call of its own for them
+  async updateHints (user, sourceId, mediaId, hints) {
+    try {
+      await this._mcs.subscribe(user, sourceId, C.WEBRTC, { mediaId, hints, updateHints: true });
+      return ;
+    }
+    catch (error) {
+      throw (this._handleError(error, 'updateHints', { user, sourceId, mediaId, hints }));
+    }
+  }
+
+  // Dial-outs ride on join and publish: the call gets its own user, which
+  // leaves once the call hangs up, and the destination is its DialOut media
+  async dialOut (room, destination, params = {}) {
+    try {
+      const { name, externalUserId } = params;
+      const userId = await this.join(room, 'SFU', { name: name || destination, externalUserId, autoLeave: true });
+      const { mediaId } = await this.publish(userId, room, 'DialOut', { ...params, descriptor: destination });
+      return { userId, mediaId };
+    }
+    catch (error) {
+      throw (this._handleError(error, 'dialOut', { room, destination }));
+    }
+  }
+
+  // Conference control rides on publish: mcs-js has no calls of its own for it
+  async controlConferenceMember (user, room, mediaId, action) {
+    try {
+      await this._mcs.publish(user, room, C.WEBRTC, { mediaId, conferenceControl: action });
+      return ;
+    }
+    catch (error) {
+      throw (this._handleError(error, 'controlConferenceMember', { user, room, mediaId, action }));
+    }
+  }
+
   async onEvent (eventName, identifier, callback) {
     try {
       this._mcs.onEvent(eventName, identifier, callback);
@@ -277,6 +313,11 @@ module.exports = class MCSAPIWrapper extends EventEmitter {
     }
   }
 
+  // Members of the room's FreeSWITCH conference, with ghosts flagged
+  async getConferenceMembers (roomId) {
+    return this.getMedias('room', roomId, { conferenceMembers: true });
+  }
+
   setStrategy (strategy) {
     // TODO
   }
@@ -4,6 +4,7 @@ const errorCodes =  {
   2002: "MEDIA_SERVER_NO_RESOURCES",
   2003: "MEDIA_SERVER_REQUEST_TIMEOUT",
   2004: "MEDIA_SERVER_GENERIC_ERROR",
+  2005: "MEDIA_SERVER_NOT_FOUND",
   2020: "ICE_ADD_CANDIDATE_FAILED",
   2021: "ICE_GATHERING_FAILED",
   2022: "ICE_STATE_FAILED",
@@ -0,0 +1,138 @@
+/*
+ * Per-module metrics (video, screenshare, audio). Each module process exposes
+ * its own scrape endpoint (prometheus.modules.<SFU_MODULE_NAME>) and its metrics
+ * are prefixed with sfu_<SFU_MODULE_NAME>_
+ *  - sessions, gauge
+ *    * role: 'share'|'viewer' (video), 'send'|'recv' (screenshare, audio)
+ *  - start duration: histogram, from the start request to its startResponse
+ *  - permission probe failures: counter
+ *  - media NOT_FLOWING timeouts: counter
+ *  - ICE failures: counter
+ *  - session stops: counter
+ *    * reason: see STOP_REASONS
+ */
+
+'use strict';
+
+const config = require('config');
+const {
+  Gauge,
+  Counter,
+  Histogram,
+} = require('prom-client');
+const Agent = require('../mcs-core/lib/metrics/prom-agent.js');
+
+const MODULE_NAME = process.env.SFU_MODULE_NAME;
+const MODULE_CONFIG_KEY = `prometheus.modules.${MODULE_NAME}`;
+
+const {
+  enabled: METRICS_ENABLED = false,
+  host: METRICS_HOST,
+  port: METRICS_PORT,
+  path: METRICS_PATH,
+} = MODULE_NAME && config.has(MODULE_CONFIG_KEY)
+    ? config.get(MODULE_CONFIG_KEY)
+    : { enabled: false };
+
+const METRICS_PREFIX = `sfu_${MODULE_NAME}_`;
+const METRIC_NAMES = {
+  SESSIONS: 'sessions',
+  START_DURATION: 'startDuration',
+  PERMISSION_PROBE_FAILURES: 'permissionProbeFailures',
+  MEDIA_NOT_FLOWING_TIMEOUTS: 'mediaNotFlowingTimeouts',
+  ICE_FAILURES: 'iceFailures',
+  SESSION_STOPS: 'sessionStops',
+};
+
+const STOP_REASONS = {
+  REQUESTED: 'requested',
+  CONNECTION_CLOSED: 'connection_closed',
+  EJECTED: 'ejected',
+  SESSION_ENDED: 'session_ended',
+  MEDIA_NOT_FLOWING: 'media_not_flowing',
+  MEDIA_SERVER_OFFLINE: 'media_server_offline',
+  START_FAILED: 'start_failed',
+  SHUTDOWN: 'shutdown',
+};
+
+const ModulePrometheusAgent = new Agent(METRICS_HOST, METRICS_PORT, {
+  path: METRICS_PATH,
+  prefix: METRICS_PREFIX,
+});
+
+const buildMetrics = (manager) => {
+  return {
+    [METRIC_NAMES.SESSIONS]: new Gauge({
+      name: `${METRICS_PREFIX}sessions`,
+      help: `Number of active ${MODULE_NAME} sessions`,
+      labelNames: ['role'],
+      collect() {
+        this.reset();
+        const sessionsByRole = manager.getSessionsByRole();
+        Object.keys(sessionsByRole).forEach(role => {
+          this.set({ role }, sessionsByRole[role]);
+        });
+      },
+    }),
+
+    [METRIC_NAMES.START_DURATION]: new Histogram({
+      name: `${METRICS_PREFIX}start_duration_seconds`,
+      help: `Time between a ${MODULE_NAME} start request and its response`,
+      labelNames: ['role'],
+      buckets: [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 15],
+    }),
+
+    [METRIC_NAMES.PERMISSION_PROBE_FAILURES]: new Counter({
+      name: `${METRICS_PREFIX}permission_probe_failures_total`,
+      help: `Total number of ${MODULE_NAME} permission probes denied or failed`,
+      labelNames: ['role'],
+    }),
+
+    [METRIC_NAMES.MEDIA_NOT_FLOWING_TIMEOUTS]: new Counter({
+      name: `${METRICS_PREFIX}media_not_flowing_timeouts_total`,
+      help: `Total number of ${MODULE_NAME} sessions whose media didn't flow in time`,
+      labelNames: ['role'],
+    }),
+
+    [METRIC_NAMES.ICE_FAILURES]: new Counter({
+      name: `${METRICS_PREFIX}ice_failures_total`,
+      help: `Total number of ${MODULE_NAME} ICE component failures`,
+      labelNames: ['role'],
+    }),
+
+    [METRIC_NAMES.SESSION_STOPS]: new Counter({
+      name: `${METRICS_PREFIX}session_stops_total`,
+      help: `Total number of ${MODULE_NAME} sessions stopped`,
+      labelNames: ['role', 'reason'],
+    }),
+  };
+};
+
+// Starts the module's scrape endpoint. The manager is used to collect the
+// sessions gauge via its getSessionsByRole method
+const startModuleMetrics = (manager) => {
+  if (!METRICS_ENABLED || ModulePrometheusAgent.started) return;
+
+  ModulePrometheusAgent.injectMetrics(buildMetrics(manager));
+  ModulePrometheusAgent.start();
+};
+
+const observeStartDuration = (role, requestedAt) => {
+  if (requestedAt == null) return;
+
+  ModulePrometheusAgent.observe(
+    METRIC_NAMES.START_DURATION,
+    (Date.now() - requestedAt) / 1000,
+    { role },
+  );
+};
+
+module.exports = {
+  METRICS_PREFIX,
+  METRIC_NAMES,
+  STOP_REASONS,
+  ModulePrometheusAgent,
+  buildMetrics,
+  startModuleMetrics,
+  observeStartDuration,
+};
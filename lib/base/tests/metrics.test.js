@@ -0,0 +1,66 @@
+process.env.SFU_MODULE_NAME = 'video';
+
+const { register } = require('prom-client');
+const {
+  METRICS_PREFIX,
+  METRIC_NAMES,
+  ModulePrometheusAgent,
+  buildMetrics,
+  startModuleMetrics,
+  observeStartDuration,
+} = require('../metrics.js');
+
+describe('module metrics', () => {
+  const sessionsByRole = { share: 2, viewer: 5 };
+  const manager = { getSessionsByRole: () => sessionsByRole };
+  const metrics = buildMetrics(manager);
+
+  afterAll(() => register.clear());
+
+  test('are prefixed with the module name', () => {
+    expect(METRICS_PREFIX).toBe('sfu_video_');
+    expect(register.getSingleMetric('sfu_video_session_stops_total'))
+      .toBe(metrics[METRIC_NAMES.SESSION_STOPS]);
+  });
+
+  test('the sessions gauge is collected from the manager', async () => {
+    const { values } = await metrics[METRIC_NAMES.SESSIONS].get();
+
+    expect(values).toEqual(expect.arrayContaining([
+      expect.objectContaining({ labels: { role: 'share' }, value: 2 }),
+      expect.objectContaining({ labels: { role: 'viewer' }, value: 5 }),
+    ]));
+  });
+
+  test('the sessions gauge drops roles without sessions', async () => {
+    delete sessionsByRole.viewer;
+
+    const { values } = await metrics[METRIC_NAMES.SESSIONS].get();
+
+    expect(values).toEqual([expect.objectContaining({ labels: { role: 'share' }, value: 2 })]);
+  });
+
+  test('are not served unless enabled in the module config', () => {
+    startModuleMetrics(manager);
+
+    expect(ModulePrometheusAgent.started).toBe(false);
+  });
+
+  test('start durations are observed in seconds since the request', async () => {
+    jest.spyOn(Date, 'now').mockImplementation(() => 5000);
+    ModulePrometheusAgent.injectMetrics(metrics);
+    ModulePrometheusAgent.started = true;
+
+    observeStartDuration('share', 3500);
+    observeStartDuration('share');
+
+    ModulePrometheusAgent.started = false;
+    Date.now.mockRestore();
+    const { values } = await metrics[METRIC_NAMES.START_DURATION].get();
+    const getValue = (suffix) => values.find(({ metricName }) =>
+      metricName === `sfu_video_start_duration_seconds_${suffix}`).value;
+
+    expect(getValue('count')).toBe(1);
+    expect(getValue('sum')).toBe(1.5);
+  });
+});
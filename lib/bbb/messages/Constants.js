@@ -153,6 +153,7 @@ const config = require('config');
         // Media states'
         MEDIA_STATE: 'mediaState',
         MEDIA_STATE_ICE: 'onIceCandidate',
+        MEDIA_RENEGOTIATION_REQUIRED: 'mediaRenegotiationRequired',
 
         MEDIA_STARTED: 'MEDIA_STARTED',
         MEDIA_NEGOTIATED: 'MEDIA_NEGOTIATED',
@@ -1,20 +1,33 @@
 'use strict';
 
 const ws = require('ws');
+const config = require('config');
 const C = require('../bbb/messages/Constants');
 const Logger = require('../utils/Logger');
+const errors = require('../base/errors');
 const { v4: uuidv4 }= require('uuid');
+const { verifyToken, getClaimViolation, getTokenFromURL } = require('./auth.js');
 
 const LOG_PREFIX = '[WebsocketConnectionManager]';
+// How long (ms) a dropped connection's sessions are kept for the client to
+// resume them. 0 disables resumption
+const RECONNECTION_GRACE_PERIOD = config.has('clientReconnectionGracePeriod')
+  ? config.get('clientReconnectionGracePeriod')
+  : 0;
+const CLIENT_AUTH = config.has('clientAuth') ? config.get('clientAuth') : {};
+const AUTH_ENABLED = !!CLIENT_AUTH.enabled;
 
 module.exports = class WebsocketConnectionManager {
   constructor (server, path) {
     this.wss = new ws.Server({
       server,
-      path
+      path,
+      verifyClient: AUTH_ENABLED ? this._verifyClient.bind(this) : undefined,
     });
 
     this.webSockets = {};
+    // Resume token -> connectionId
+    this.resumeTokens = {};
 
     this.wss.on('connection', this._onNewConnection.bind(this));
   }
@@ -28,7 +41,13 @@ module.exports = class WebsocketConnectionManager {
     const connectionId = data ? data.connectionId : null;
     const ws = this.webSockets[connectionId];
     if (ws) {
+      if (ws.graceTimeout) {
+        return this._onSuspendedConnectionResponse(ws, data);
+      }
+
       if (data.id === 'close') {
+        // Closed on the server's behalf, nothing to resume
+        ws.closeRequested = true;
         try {
           ws.close();
         } catch (error) {
@@ -46,8 +65,25 @@ module.exports = class WebsocketConnectionManager {
     }
   }
 
-  _onNewConnection (ws) {
+  // Tokens in the connection URL are checked at upgrade time. Connections
+  // without one have to send it in their first message
+  _verifyClient ({ req }, callback) {
+    const token = getTokenFromURL(req.url);
+
+    if (token == null) return callback(true);
+
+    try {
+      req.tokenClaims = verifyToken(token, CLIENT_AUTH.secret);
+      return callback(true);
+    } catch (error) {
+      Logger.warn(LOG_PREFIX, "WS upgrade refused, invalid token", { errorMessage: error.message });
+      return callback(false, 401, 'Unauthorized');
+    }
+  }
+
+  _onNewConnection (ws, req) {
     ws.id = uuidv4();
+    ws.claims = req ? req.tokenClaims : null;
     this.webSockets[ws.id] = ws;
     Logger.debug(LOG_PREFIX, "WS connection opened", { connectionId: ws.id });
 
@@ -74,6 +110,18 @@ module.exports = class WebsocketConnectionManager {
         return this.sendMessage(ws, { id: 'pong' });
       }
 
+      if (message.id === 'resume') {
+        return this._resume(ws, message.token);
+      }
+
+      if (!this._authorize(ws, message)) {
+        return;
+      }
+
+      if (!ws.resumeToken && RECONNECTION_GRACE_PERIOD > 0) {
+        this._issueResumeToken(ws);
+      }
+
       message.connectionId = ws.id;
 
       if (!ws.sessionId) {
@@ -102,6 +150,9 @@ module.exports = class WebsocketConnectionManager {
   }
 
   _onError (ws, error) {
+    // Replaced by a resumed connection, which owns its sessions now
+    if (ws.replaced) return;
+
     Logger.debug(LOG_PREFIX, "WS error event", {
       connectionId: ws.id || 'unknown',
       errorMessage: error.message,
@@ -122,8 +173,18 @@ module.exports = class WebsocketConnectionManager {
   }
 
   _onClose (ws) {
+    if (ws.replaced) return;
+
     Logger.debug(LOG_PREFIX, "WS connection closed", { connectionId: ws.id });
 
+    if (ws.resumeToken && !ws.closeRequested && RECONNECTION_GRACE_PERIOD > 0) {
+      return this._suspend(ws);
+    }
+
+    this._closeConnection(ws);
+  }
+
+  _closeConnection (ws) {
     const message = {
       id: 'close',
       type: ws.route,
@@ -135,6 +196,129 @@ module.exports = class WebsocketConnectionManager {
     this.emitter.emit(C.CLIENT_REQ, message);
 
     delete this.webSockets[ws.id];
+    delete this.resumeTokens[ws.resumeToken];
+  }
+
+  /* ======= SESSION RESUMPTION ======= */
+
+  _issueResumeToken (ws) {
+    ws.resumeToken = uuidv4();
+    this.resumeTokens[ws.resumeToken] = ws.id;
+    this.sendMessage(ws, {
+      id: 'resumeToken',
+      token: ws.resumeToken,
+      gracePeriod: RECONNECTION_GRACE_PERIOD,
+    });
+  }
+
+  // Keeps a dropped connection's sessions up for the grace period. Responses
+  // to it are held until it's resumed
+  _suspend (ws) {
+    Logger.info(LOG_PREFIX, "WS connection dropped, holding it for resumption",
+      { connectionId: ws.id, gracePeriod: RECONNECTION_GRACE_PERIOD });
+
+    ws.pendingMessages = [];
+    ws.graceTimeout = setTimeout(() => {
+      Logger.info(LOG_PREFIX, "WS connection was not resumed in time", { connectionId: ws.id });
+      ws.graceTimeout = null;
+      this._closeConnection(ws);
+    }, RECONNECTION_GRACE_PERIOD);
+    // Errors preceding the close event unregister the connection
+    this.webSockets[ws.id] = ws;
+  }
+
+  _onSuspendedConnectionResponse (ws, data) {
+    if (data.id === 'close') {
+      clearTimeout(ws.graceTimeout);
+      ws.graceTimeout = null;
+      return this._closeConnection(ws);
+    }
+
+    ws.pendingMessages.push(data);
+  }
+
+  // Moves a connection's identity to the socket the client reconnected with,
+  // so its module sessions go on as if the socket never changed. The previous
+  // socket might not have been detected as dropped yet; it's discarded then
+  _resume (ws, token) {
+    const connectionId = this.resumeTokens[token];
+    const previousWs = connectionId ? this.webSockets[connectionId] : null;
+
+    // Only fresh connections can resume, otherwise their own sessions are lost
+    if (previousWs == null || previousWs === ws || ws.resumeToken) {
+      Logger.warn(LOG_PREFIX, "WS connection resumption rejected", { connectionId: ws.id });
+      return this.sendMessage(ws, { id: 'resumeResponse', response: 'rejected' });
+    }
+
+    if (previousWs.graceTimeout) {
+      clearTimeout(previousWs.graceTimeout);
+      previousWs.graceTimeout = null;
+    } else {
+      previousWs.replaced = true;
+      previousWs.terminate();
+    }
+
+    delete this.webSockets[ws.id];
+    ws.id = connectionId;
+    ws.route = previousWs.route;
+    ws.role = previousWs.role;
+    ws.sessionId = previousWs.sessionId;
+    ws.claims = previousWs.claims;
+    ws.resumeToken = token;
+    this.webSockets[ws.id] = ws;
+
+    Logger.info(LOG_PREFIX, "WS connection resumed", { connectionId: ws.id });
+    this.sendMessage(ws, { id: 'resumeResponse', response: 'accepted' });
+    (previousWs.pendingMessages || []).forEach(data => this._onServerResponse(data));
+  }
+
+  /* ======= AUTHORIZATION ======= */
+
+  // Authenticates connections with the token in their first message if they
+  // didn't bring one in the URL. Every message is then checked against the
+  // token's claims
+  _authorize (ws, message) {
+    if (!AUTH_ENABLED) return true;
+
+    if (ws.claims == null) {
+      try {
+        ws.claims = verifyToken(message.token, CLIENT_AUTH.secret);
+      } catch (error) {
+        Logger.warn(LOG_PREFIX, "WS authentication failed", {
+          connectionId: ws.id, sfuMessageId: message.id, errorMessage: error.message,
+        });
+        this._sendUnauthorized(ws, message);
+        ws.closeRequested = true;
+        ws.close();
+        return false;
+      }
+    }
+
+    delete message.token;
+    const violation = getClaimViolation(ws.claims, message);
+
+    if (violation) {
+      Logger.warn(LOG_PREFIX, "WS message refused", {
+        connectionId: ws.id, sfuMessageId: message.id, violation,
+      });
+      this._sendUnauthorized(ws, message);
+      return false;
+    }
+
+    return true;
+  }
+
+  _sendUnauthorized (ws, message) {
+    const { code, reason } = errors.SFU_UNAUTHORIZED;
+
+    this.sendMessage(ws, {
+      type: message.type,
+      id: 'error',
+      role: message.role,
+      code,
+      message: reason,
+      reason,
+    });
   }
 
   sendMessage (ws, json) {
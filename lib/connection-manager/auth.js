@@ -0,0 +1,119 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// HMAC signed JWTs only: the secret is shared with whoever issues them
+const ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+
+const REQUIRED_CLAIMS = ['meetingId', 'userId', 'voiceBridge'];
+
+// Message fields which carry each claim. Modules name them differently
+const CLAIM_FIELDS = {
+  meetingId: ['meetingId', 'internalMeetingId'],
+  userId: ['userId', 'callerName'],
+  voiceBridge: ['voiceBridge'],
+};
+
+// Role the modules assume when a message has none
+const DEFAULT_ROLES = {
+  video: 'share',
+  audio: 'recv',
+};
+
+const decodeSegment = (segment) => {
+  return JSON.parse(Buffer.from(segment, 'base64').toString());
+};
+
+/**
+ * Verifies a JWT's signature, expiration and required claims
+ * @param {String} token
+ * @param {String} secret
+ * @return {Object} The token's claims
+ * @throws {Error} If the token isn't valid
+ */
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string' || !secret) {
+    throw new Error('Missing token');
+  }
+
+  const [header, payload, signature] = token.split('.');
+  let algorithm, claims;
+
+  try {
+    ({ alg: algorithm } = decodeSegment(header));
+    claims = decodeSegment(payload);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const hash = ALGORITHMS[algorithm];
+
+  if (hash == null || signature == null) {
+    throw new Error(`Unsupported token algorithm ${algorithm}`);
+  }
+
+  const expected = crypto.createHmac(hash, secret).update(`${header}.${payload}`).digest();
+  const received = Buffer.from(signature, 'base64');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.exp != null && now >= claims.exp) {
+    throw new Error('Token expired');
+  }
+
+  if (claims.nbf != null && now < claims.nbf) {
+    throw new Error('Token not valid yet');
+  }
+
+  const missingClaim = REQUIRED_CLAIMS.find(claim => claims[claim] == null);
+
+  if (missingClaim) {
+    throw new Error(`Token is missing the ${missingClaim} claim`);
+  }
+
+  return claims;
+};
+
+/**
+ * Checks a client message against the claims of its connection's token
+ * @param {Object} claims
+ * @param {Object} message
+ * @return {String|null} What the message isn't allowed to do, if anything
+ */
+const getClaimViolation = (claims, message) => {
+  for (const [claim, fields] of Object.entries(CLAIM_FIELDS)) {
+    const field = fields.find(f => message[f] != null && `${message[f]}` !== `${claims[claim]}`);
+
+    if (field) {
+      return `${field} does not match the token's ${claim}`;
+    }
+  }
+
+  if (Array.isArray(claims.roles)) {
+    const role = message.role || DEFAULT_ROLES[message.type];
+
+    if (role != null && !claims.roles.includes(role)) {
+      return `Role ${role} is not allowed by the token`;
+    }
+  }
+
+  return null;
+};
+
+const getTokenFromURL = (url = '') => {
+  return new URL(url, 'http://localhost').searchParams.get('token');
+};
+
+module.exports = {
+  verifyToken,
+  getClaimViolation,
+  getTokenFromURL,
+};
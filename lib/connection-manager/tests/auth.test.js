@@ -0,0 +1,173 @@
+const SECRET = 'test-secret';
+process.env.NODE_CONFIG = JSON.stringify({ clientAuth: { enabled: true, secret: SECRET } });
+
+const crypto = require('crypto');
+const http = require('http');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const C = require('../../bbb/messages/Constants');
+const { verifyToken, getClaimViolation } = require('../auth.js');
+const WebsocketConnectionManager = require('../WebsocketConnectionManager.js');
+
+const CLAIMS = { meetingId: 'meeting-1', userId: 'w_alice', voiceBridge: '72013' };
+
+const encode = object => Buffer.from(JSON.stringify(object)).toString('base64url');
+
+const sign = (claims = CLAIMS, { secret = SECRET, alg = 'HS256' } = {}) => {
+  const hash = { HS256: 'sha256', HS512: 'sha512' }[alg];
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac(hash, secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+};
+
+describe('verifyToken', () => {
+  test('returns the claims of valid tokens', () => {
+    expect(verifyToken(sign(), SECRET)).toEqual(CLAIMS);
+    expect(verifyToken(sign(CLAIMS, { alg: 'HS512' }), SECRET)).toEqual(CLAIMS);
+  });
+
+  test('refuses tokens signed with another secret', () => {
+    expect(() => verifyToken(sign(CLAIMS, { secret: 'other' }), SECRET)).toThrow('Invalid token signature');
+  });
+
+  test('refuses expired and unsigned tokens', () => {
+    const expired = sign({ ...CLAIMS, exp: Math.floor(Date.now() / 1000) - 10 });
+    const unsigned = `${encode({ alg: 'none' })}.${encode(CLAIMS)}.`;
+
+    expect(() => verifyToken(expired, SECRET)).toThrow('Token expired');
+    expect(() => verifyToken(unsigned, SECRET)).toThrow('Unsupported token algorithm none');
+    expect(() => verifyToken('garbage', SECRET)).toThrow('Malformed token');
+  });
+
+  test('refuses tokens without the meeting and user claims', () => {
+    const { voiceBridge, ...claims } = CLAIMS;
+
+    expect(() => verifyToken(sign(claims), SECRET)).toThrow('voiceBridge');
+  });
+});
+
+describe('getClaimViolation', () => {
+  test('messages must match the claims under every field name modules use', () => {
+    expect(getClaimViolation(CLAIMS, { meetingId: 'meeting-1', userId: 'w_alice', voiceBridge: '72013' })).toBeNull();
+    expect(getClaimViolation(CLAIMS, { internalMeetingId: 'meeting-2' })).toMatch(/internalMeetingId/);
+    expect(getClaimViolation(CLAIMS, { callerName: 'w_bob' })).toMatch(/callerName/);
+    expect(getClaimViolation(CLAIMS, { voiceBridge: 72014 })).toMatch(/voiceBridge/);
+  });
+
+  test('roles are checked against the role modules assume', () => {
+    const claims = { ...CLAIMS, roles: ['viewer', 'recv'] };
+
+    expect(getClaimViolation(claims, { type: 'video', role: 'viewer' })).toBeNull();
+    expect(getClaimViolation(claims, { type: 'audio' })).toBeNull();
+    expect(getClaimViolation(claims, { type: 'video' })).toMatch(/share/);
+    expect(getClaimViolation(claims, { type: 'screenshare', role: 'send' })).toMatch(/send/);
+  });
+});
+
+describe('websocket authentication', () => {
+  let server, emitter, manager, url, clients;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    manager = new WebsocketConnectionManager(server, '/ws');
+    emitter = new EventEmitter();
+    manager.setEventEmitter(emitter);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  afterAll(async () => {
+    manager.wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    const closed = Object.values(manager.webSockets)
+      .filter(ws => ws.readyState !== WebSocket.CLOSED)
+      .map(ws => new Promise(resolve => ws.once('close', resolve)));
+
+    Object.keys(manager.webSockets).forEach(connectionId => {
+      manager._onServerResponse({ connectionId, id: 'close' });
+    });
+    clients.forEach(client => client.terminate());
+    await Promise.all(closed);
+    emitter.removeAllListeners(C.CLIENT_REQ);
+  });
+
+  const connect = (query = '') => new Promise((resolve, reject) => {
+    const client = new WebSocket(`${url}${query}`);
+    client.once('open', () => resolve(client));
+    client.once('error', reject);
+    client.once('unexpected-response', (req, res) => reject(res.statusCode));
+    clients.push(client);
+  });
+
+  const nextMessage = (client) => new Promise(resolve => {
+    client.once('message', data => resolve(JSON.parse(data)));
+  });
+
+  // Sends a message and resolves with what the modules got from it, if anything
+  const send = async (client, message) => {
+    const requests = [];
+    const onRequest = request => requests.push(request);
+    emitter.on(C.CLIENT_REQ, onRequest);
+    const error = nextMessage(client);
+
+    client.send(JSON.stringify(message));
+    const response = await Promise.race([error, new Promise(resolve => setTimeout(resolve, 100))]);
+    emitter.removeListener(C.CLIENT_REQ, onRequest);
+
+    return { request: requests.find(({ id }) => id === message.id), response };
+  };
+
+  const START = { id: 'start', type: 'video', role: 'share', ...CLAIMS };
+
+  test('tokens in the URL authenticate the connection at upgrade', async () => {
+    const client = await connect(`?token=${sign()}`);
+
+    const { request } = await send(client, START);
+
+    expect(request).toEqual(expect.objectContaining({ id: 'start', voiceBridge: '72013' }));
+  });
+
+  test('upgrades with invalid tokens are refused', async () => {
+    await expect(connect(`?token=${sign(CLAIMS, { secret: 'other' })}`)).rejects.toBe(401);
+  });
+
+  test('connections without a token in the URL need one in their first message', async () => {
+    const client = await connect();
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    const { request, response } = await send(client, START);
+
+    expect(request).toBeUndefined();
+    expect(response).toEqual(expect.objectContaining({ id: 'error', reason: 'SFU_UNAUTHORIZED' }));
+    await closed;
+  });
+
+  test('tokens in the first message are stripped before reaching the modules', async () => {
+    const client = await connect();
+
+    const { request } = await send(client, { ...START, token: sign() });
+
+    expect(request).toEqual(expect.objectContaining({ id: 'start' }));
+    expect(request.token).toBeUndefined();
+  });
+
+  test('messages outside of the token claims are refused', async () => {
+    const client = await connect(`?token=${sign({ ...CLAIMS, roles: ['viewer'] })}`);
+
+    const otherRoom = await send(client, { ...START, role: 'viewer', voiceBridge: '99999' });
+    const otherRole = await send(client, START);
+    const allowed = await send(client, { ...START, role: 'viewer' });
+
+    expect(otherRoom.request).toBeUndefined();
+    expect(otherRoom.response).toEqual(expect.objectContaining({ id: 'error', code: '2301' }));
+    expect(otherRole.request).toBeUndefined();
+    expect(allowed.request).toEqual(expect.objectContaining({ role: 'viewer' }));
+  });
+});
@@ -0,0 +1,170 @@
+const http = require('http');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const C = require('../../bbb/messages/Constants');
+const WebsocketConnectionManager = require('../WebsocketConnectionManager.js');
+
+// See clientReconnectionGracePeriod in the test config
+const GRACE_PERIOD = 500;
+
+describe('websocket session resumption', () => {
+  let server, emitter, manager, url, clients;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    manager = new WebsocketConnectionManager(server, '/ws');
+    emitter = new EventEmitter();
+    manager.setEventEmitter(emitter);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  afterAll(async () => {
+    manager.wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  // Closing on the server's behalf skips the grace period
+  afterEach(async () => {
+    const closed = Object.values(manager.webSockets)
+      .filter(ws => ws.readyState !== WebSocket.CLOSED)
+      .map(ws => new Promise(resolve => ws.once('close', resolve)));
+
+    Object.keys(manager.webSockets).forEach(connectionId => {
+      manager._onServerResponse({ connectionId, id: 'close' });
+    });
+    clients.forEach(client => client.terminate());
+    await Promise.all(closed);
+    emitter.removeAllListeners(C.CLIENT_REQ);
+  });
+
+  const connect = () => new Promise((resolve, reject) => {
+    const client = new WebSocket(url);
+    client.received = [];
+    client.on('message', data => client.received.push(JSON.parse(data)));
+    client.once('open', () => resolve(client));
+    client.once('error', reject);
+    clients.push(client);
+  });
+
+  const nextMessage = (client, id) => new Promise(resolve => {
+    const found = client.received.find(message => message.id === id);
+    if (found) return resolve(found);
+
+    const onMessage = data => {
+      const message = JSON.parse(data);
+      if (message.id === id) {
+        client.removeListener('message', onMessage);
+        resolve(message);
+      }
+    };
+    client.on('message', onMessage);
+  });
+
+  const nextRequest = (id) => new Promise(resolve => {
+    const onRequest = message => {
+      if (message.id === id) {
+        emitter.removeListener(C.CLIENT_REQ, onRequest);
+        resolve(message);
+      }
+    };
+    emitter.on(C.CLIENT_REQ, onRequest);
+  });
+
+  const start = async (client) => {
+    const started = nextRequest('start');
+    client.send(JSON.stringify({ id: 'start', type: 'video', role: 'viewer', voiceBridge: '72013' }));
+    const { connectionId } = await started;
+    const { token } = await nextMessage(client, 'resumeToken');
+    return { connectionId, token };
+  };
+
+  const drop = client => new Promise(resolve => {
+    client.once('close', resolve);
+    client.terminate();
+  });
+
+  const resume = async (token) => {
+    const client = await connect();
+    client.send(JSON.stringify({ id: 'resume', token }));
+    const { response } = await nextMessage(client, 'resumeResponse');
+    return { client, response };
+  };
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('clients get a resume token on their first request', async () => {
+    const client = await connect();
+
+    const { token } = await start(client);
+
+    expect(token).toEqual(expect.any(String));
+    expect(client.received.filter(({ id }) => id === 'resumeToken')).toHaveLength(1);
+  });
+
+  test('resumed connections keep their connectionId and pending responses', async () => {
+    const closed = jest.fn();
+    emitter.on(C.CLIENT_REQ, message => message.id === 'close' && closed());
+    const { connectionId, token } = await start(await connect());
+
+    await drop(clients[0]);
+    await wait(50);
+    manager._onServerResponse({ connectionId, id: 'playStart', cameraId: 'cam' });
+    const { client, response } = await resume(token);
+    const { cameraId } = await nextMessage(client, 'playStart');
+    const request = nextRequest('stop');
+    client.send(JSON.stringify({ id: 'stop', type: 'video', role: 'viewer' }));
+
+    expect(response).toBe('accepted');
+    expect(cameraId).toBe('cam');
+    await expect(request).resolves.toEqual(expect.objectContaining({ connectionId }));
+    await wait(GRACE_PERIOD);
+    expect(closed).not.toHaveBeenCalled();
+  });
+
+  test('connections which are not resumed in time are closed', async () => {
+    const { connectionId, token } = await start(await connect());
+    const closed = nextRequest('close');
+
+    await drop(clients[0]);
+
+    await expect(closed).resolves.toEqual(expect.objectContaining({
+      connectionId, type: 'video', role: 'viewer', voiceBridge: '72013',
+    }));
+    await expect(resume(token)).resolves.toEqual(expect.objectContaining({ response: 'rejected' }));
+  });
+
+  test('connections closed by the server are not held', async () => {
+    const { connectionId, token } = await start(await connect());
+    const closed = nextRequest('close');
+
+    manager._onServerResponse({ connectionId, id: 'close' });
+
+    await expect(closed).resolves.toEqual(expect.objectContaining({ connectionId }));
+    await expect(resume(token)).resolves.toEqual(expect.objectContaining({ response: 'rejected' }));
+  });
+
+  test('connections not detected as dropped yet are replaced', async () => {
+    const closed = jest.fn();
+    emitter.on(C.CLIENT_REQ, message => message.id === 'close' && closed());
+    const previousClient = await connect();
+    const { connectionId, token } = await start(previousClient);
+    const previousClosed = new Promise(resolve => previousClient.once('close', resolve));
+
+    const { client, response } = await resume(token);
+    await previousClosed;
+    manager._onServerResponse({ connectionId, id: 'playStart' });
+
+    expect(response).toBe('accepted');
+    await expect(nextMessage(client, 'playStart')).resolves.toBeDefined();
+    expect(closed).not.toHaveBeenCalled();
+  });
+
+  test('unknown tokens are rejected', async () => {
+    await expect(resume('not-a-token')).resolves.toEqual(expect.objectContaining({ response: 'rejected' }));
+  });
+});
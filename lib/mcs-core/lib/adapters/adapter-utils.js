@@ -52,5 +52,15 @@ module.exports = {
         return descriptor;
         break;
     }
-  }
+  },
+
+  // Skeleton of the normalized RTP stats adapters return on getStats. Each
+  // media type list holds one entry per SSRC
+  buildMediaStats: () => {
+    return {
+      timestamp: Date.now(),
+      inbound: { audio: [], video: [] },
+      outbound: { audio: [], video: [] },
+    };
+  },
 };
@@ -0,0 +1,59 @@
+'use strict'
+
+// mod_conference's "conference <name> list" output has a member per line:
+// <memberId>;<channelName>;<channelId>;<callerIdName>;<callerIdNumber>;<flags>;
+// <volumeIn>;<volumeOut>;<energyLevel>, where flags are separated by pipes
+const LIST_FIELD_SEPARATOR = ';';
+const LIST_FLAG_SEPARATOR = '|';
+const LIST_FIELD_COUNT = 9;
+const LIST_TRAILING_FIELD_COUNT = 5;
+
+const parseMember = (line) => {
+  const fields = line.split(LIST_FIELD_SEPARATOR);
+
+  if (fields.length < LIST_FIELD_COUNT) return null;
+
+  const [memberId, channelName, channelId, ...rest] = fields;
+  // Caller ID names may contain the separator; the trailing fields are fixed
+  const [
+    callerIdNumber, rawFlags, volumeIn, volumeOut, energyLevel,
+  ] = rest.splice(-LIST_TRAILING_FIELD_COUNT);
+  const callerIdName = rest.join(LIST_FIELD_SEPARATOR);
+  const flags = rawFlags.split(LIST_FLAG_SEPARATOR);
+
+  return {
+    memberId,
+    channelName,
+    channelId,
+    callerIdName,
+    callerIdNumber,
+    // Members which can't speak are muted, those who can't hear are deaf
+    muted: !flags.includes('speak'),
+    deaf: !flags.includes('hear'),
+    talking: flags.includes('talking'),
+    video: flags.includes('video'),
+    floor: flags.includes('floor'),
+    moderator: flags.includes('moderator'),
+    hold: flags.includes('hold'),
+    volumeIn: parseInt(volumeIn, 10),
+    volumeOut: parseInt(volumeOut, 10),
+    energyLevel: parseInt(energyLevel, 10),
+  };
+};
+
+/**
+ * Parse the response body of "conference <name> list" into member objects.
+ * Lines which don't describe a member are skipped
+ * @param {String} body The ESL api response body
+ * @return {Array} The conference members
+ */
+const parseConferenceList = (body = '') => body
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.length > 0)
+  .map(parseMember)
+  .filter(member => member != null && member.channelId);
+
+module.exports = {
+  parseConferenceList,
+};
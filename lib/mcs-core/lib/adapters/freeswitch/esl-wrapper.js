@@ -3,13 +3,18 @@ const C = require('../../constants/constants.js');
 const { Connection } = require('modesl');
 const Logger = require('../../utils/logger');
 const config = require('config');
-const ESL_IP = config.get('freeswitch.esl_ip');
-const ESL_PORT = config.get('freeswitch.esl_port');
+const ESL_IP = config.has('freeswitch.esl_ip')
+  ? config.get('freeswitch.esl_ip')
+  : '127.0.0.1';
+const ESL_PORT = config.has('freeswitch.esl_port')
+  ? config.get('freeswitch.esl_port')
+  : 8021;
 const ESL_PASS = config.has('freeswitch.esl_password')
   ? config.get('freeswitch.esl_password')
   : 'ClueCon';
 const LOG_PREFIX = "[mcs-freeswitch-esl-wrapper]";
 const { handleError } = require('../../utils/util');
+const { parseConferenceList } = require('./conference-list-parser');
 const RECONNECTION_TIMER = 5000;
 
 const ESL_MESSAGE = {
@@ -17,20 +22,40 @@ const ESL_MESSAGE = {
   EVENT_LISTEN: "event plain",
   CONFERENCE: "conference",
   UUID_SEND_DTMF: "uuid_send_dtmf",
+  UUID_KILL: "uuid_kill",
+  ORIGINATE: "originate",
 };
 
 const CONFERENCE_COMMAND = {
   VOLUME_IN: "volume_in",
+  VOLUME_OUT: "volume_out",
   MUTE: "mute",
-  UNMUTE: "unmute"
+  UNMUTE: "unmute",
+  DEAF: "deaf",
+  UNDEAF: "undeaf",
+  HOLD: "hold",
+  UNHOLD: "unhold",
+  KICK: "kick",
+  LIST: "list",
+  RECORDING: "recording",
 };
 
+const RECORDING_COMMAND = {
+  START: "start",
+  STOP: "stop",
+};
+
+// Response of conference commands which target a conference that isn't running
+const CONFERENCE_NOT_FOUND_PATTERN = /Conference .* not found/;
+
 const ESL_EVENTS = {
   ALL: "ALL",
   DTMF: "DTMF",
   CUSTOM: "CUSTOM",
   CHANNEL_ANSWER: "CHANNEL_ANSWER",
   CHANNEL_HANGUP_COMPLETE: "CHANNEL_HANGUP_COMPLETE",
+  CHANNEL_PROGRESS: "CHANNEL_PROGRESS",
+  CHANNEL_PROGRESS_MEDIA: "CHANNEL_PROGRESS_MEDIA",
   PRESENCE_IN: "PRESENCE_IN",
   END: "esl::end",
   DISCONNECT_NOTICE: "esl::events::disconnect::notice",
@@ -54,6 +79,9 @@ const ESL_EVENT = {
   CONFERENCE_NAME: "Conference-Name",
   OLD_ID: 'Old-ID',
   NEW_ID: 'New-ID',
+  PATH: 'Path',
+  NEW_LEVEL: 'New-Level',
+  HANGUP_CAUSE: 'Hangup-Cause',
 };
 
 const ESL_SUBCLASSES = {
@@ -67,22 +95,34 @@ const ESL_ACTIONS = {
   VOLUME_IN_MEMBER: 'volume-in-member',
   MUTE_MEMBER: 'mute-member',
   UNMUTE_MEMBER: 'unmute-member',
-  VIDEO_FLOOR_CHANGE: 'floor-change'
+  VIDEO_FLOOR_CHANGE: 'floor-change',
+  START_RECORDING: 'start-recording',
+  STOP_RECORDING: 'stop-recording',
+  ENERGY_LEVEL: 'energy-level',
 }
 
 const EVENTS = {
   CHANNEL_ANSWER: "channelAnswer",
   CHANNEL_HANGUP: "channelHangup",
+  CHANNEL_PROGRESS: "channelProgress",
   CONFERENCE_MEMBER: "conferenceMember",
   START_TALKING: "startTalking",
   STOP_TALKING: "stopTalking",
   VOLUME_CHANGED: "volumeChanged",
   MUTED: "muted",
   UNMUTED: "unmuted",
-  FLOOR_CHANGED: "floorChanged"
+  FLOOR_CHANGED: "floorChanged",
+  RECORDING_STARTED: "recordingStarted",
+  RECORDING_STOPPED: "recordingStopped",
+  DTMF: "dtmf",
+  ENERGY_LEVEL: "energyLevel",
 };
 
 const ESL_MESSAGE_SEPARATOR = " ";
+
+// Channel variable values are quoted in originate's {} block, so anything
+// which could end the value or the block is dropped
+const sanitizeChannelVariable = value => `${value}`.replace(/[,'"{}\[\]\r\n]/g, '');
 /**
  * @classdesc
  * This class is a an Event Socket Listener for FreeSWITCH
@@ -92,12 +132,14 @@ class EslWrapper extends EventEmitter {
 
   /**
    * Create a  new EslWrapper Instance
-   * @param {Object} params Event Socket Listener params
+   * @param {Object} params Event Socket Listener params (id, host, port, auth).
+   * Missing ones default to the top level freeswitch configuration
    */
   constructor (params) {
     super();
     this.params = params;
     this.logger = params ? params.logger : null;
+    this.id = (this.params && this.params.id) ? this.params.id : null;
     this.connected = false;
     this.error = {};
 
@@ -134,7 +176,8 @@ class EslWrapper extends EventEmitter {
 
     this._client.auth((error) => {
       if (error) {
-        Logger.error(LOG_PREFIX, `FreeSWITCH ESL connection authentication error`);
+        Logger.error(LOG_PREFIX, `FreeSWITCH ESL connection authentication error`,
+          { serverId: this.id });
         this.error = this._normalizeError(C.ERROR.MEDIA_ESL_AUTHENTICATION_ERROR, error.message)
       }
     });
@@ -144,7 +187,7 @@ class EslWrapper extends EventEmitter {
     this._client.on('error', (error) => {
       if (error) {
         Logger.error(LOG_PREFIX, `FreeSWITCH ESL connection received error ${error.code}`,
-          { error });
+          { serverId: this.id, error });
         this.error = this._normalizeError(C.ERROR.MEDIA_ESL_CONNECTION_ERROR, error.message);
         this._onDisconnection();
       }
@@ -182,7 +225,8 @@ class EslWrapper extends EventEmitter {
   }
 
   _onConnected () {
-    Logger.info(LOG_PREFIX, `Connected to FreeSWITCH ESL`);
+    Logger.info(LOG_PREFIX, `Connected to FreeSWITCH ESL`,
+      { serverId: this.id, host: this._clientOptions.host });
 
     if (this._reconnectionRoutine) {
       clearInterval(this._reconnectionRoutine);
@@ -196,7 +240,8 @@ class EslWrapper extends EventEmitter {
 
   _onDisconnection () {
     if (this._reconnectionRoutine == null) {
-      Logger.error(LOG_PREFIX, `FreeSWITCH ESL connection dropped unexpectedly`);
+      Logger.error(LOG_PREFIX, `FreeSWITCH ESL connection dropped unexpectedly`,
+        { serverId: this.id });
       this._reconnectionRoutine = setInterval(async () => {
         try {
           this.stop();
@@ -215,6 +260,9 @@ class EslWrapper extends EventEmitter {
     this._client.on('esl::event::'+ESL_EVENTS.CUSTOM+'::*', this._onCustomEvent.bind(this));
     this._client.on('esl::event::'+ESL_EVENTS.CHANNEL_ANSWER+'::*', this._onChannelAnswer.bind(this));
     this._client.on('esl::event::'+ESL_EVENTS.CHANNEL_HANGUP_COMPLETE+'::*', this._onChannelHangup.bind(this));
+    this._client.on('esl::event::'+ESL_EVENTS.DTMF+'::*', this._onDTMF.bind(this));
+    this._client.on('esl::event::'+ESL_EVENTS.CHANNEL_PROGRESS+'::*', this._onChannelProgress.bind(this));
+    this._client.on('esl::event::'+ESL_EVENTS.CHANNEL_PROGRESS_MEDIA+'::*', this._onChannelProgress.bind(this));
     this._client.on(ESL_EVENTS.DISCONNECT_NOTICE, this._onDisconnection.bind(this));
     this._client.on(ESL_EVENTS.END, this._onDisconnection.bind(this));
 
@@ -224,7 +272,8 @@ class EslWrapper extends EventEmitter {
   _executeCommand (command) {
     return new Promise((resolve, reject) => {
       if (!this.connected) {
-        Logger.error(LOG_PREFIX, `ESL wrapper is disconnected, unable to execute ${command}`);
+        Logger.error(LOG_PREFIX, `ESL wrapper is disconnected, unable to execute ${command}`,
+          { serverId: this.id });
         return reject(this.error);
       }
       Logger.debug(LOG_PREFIX, `Sending command: ${command}`);
@@ -234,7 +283,27 @@ class EslWrapper extends EventEmitter {
         if (this._hasError(body) && !body.includes('no reply')) {
           return reject(this._normalizeError(C.ERROR.MEDIA_ESL_COMMAND_ERROR, body));
         }
-        return resolve();
+        return resolve(body);
+      });
+    });
+  }
+
+  _executeBackgroundCommand (command) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        Logger.error(LOG_PREFIX, `ESL wrapper is disconnected, unable to execute ${command}`,
+          { serverId: this.id });
+        return reject(this.error);
+      }
+      Logger.debug(LOG_PREFIX, `Sending background command: ${command}`);
+      // The callback only fires once the job is done, with its result
+      this._client.bgapi(command, (res) => {
+        const body = res.getBody();
+        Logger.debug(LOG_PREFIX, `Background job response for "${command}" is: ${JSON.stringify(body)}`);
+        if (this._hasError(body)) {
+          return reject(this._normalizeError(C.ERROR.MEDIA_ESL_COMMAND_ERROR, body));
+        }
+        return resolve(body);
       });
     });
   }
@@ -300,6 +369,191 @@ class EslWrapper extends EventEmitter {
     }
   }
 
+  _executeConferenceCommand (conferenceId, command, args = []) {
+    const conferenceCommand = [
+      ESL_MESSAGE.CONFERENCE,
+      conferenceId,
+      command,
+      ...args,
+    ].join(ESL_MESSAGE_SEPARATOR);
+
+    return this._executeCommand(conferenceCommand);
+  }
+
+  /**
+   * Set the output volume (what the member hears) of the user represented by
+   * memberId in the respective conference represented by the conferenceId
+   * @ignore
+   */
+  setOutputVolume (conferenceId, memberId, volume) {
+    try {
+      return this._executeConferenceCommand(conferenceId,
+        CONFERENCE_COMMAND.VOLUME_OUT, [memberId, volume]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing setOutputVolume command ${error.message}`,
+        { conferenceId, memberId, volume, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Stop sending conference audio to the user represented by memberId
+   * @ignore
+   */
+  deaf (conferenceId, memberId) {
+    try {
+      return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.DEAF, [memberId]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing deaf command ${error.message}`,
+        { conferenceId, memberId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Resume sending conference audio to the user represented by memberId
+   * @ignore
+   */
+  undeaf (conferenceId, memberId) {
+    try {
+      return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.UNDEAF, [memberId]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing undeaf command ${error.message}`,
+        { conferenceId, memberId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Put the user represented by memberId on hold: it neither hears nor is
+   * heard by the conference until it's unheld
+   * @ignore
+   */
+  hold (conferenceId, memberId) {
+    try {
+      return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.HOLD, [memberId]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing hold command ${error.message}`,
+        { conferenceId, memberId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Take the user represented by memberId off hold
+   * @ignore
+   */
+  unhold (conferenceId, memberId) {
+    try {
+      return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.UNHOLD, [memberId]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing unhold command ${error.message}`,
+        { conferenceId, memberId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Hang up the user represented by memberId
+   * @ignore
+   */
+  kick (conferenceId, memberId) {
+    try {
+      return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.KICK, [memberId]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing kick command ${error.message}`,
+        { conferenceId, memberId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * List the members of the conference represented by conferenceId. Conferences
+   * which aren't running have no members
+   * @ignore
+   */
+  getConferenceMembers (conferenceId) {
+    return this._executeConferenceCommand(conferenceId, CONFERENCE_COMMAND.LIST)
+      .then(parseConferenceList)
+      .catch(error => {
+        if (CONFERENCE_NOT_FOUND_PATTERN.test(error.details)) {
+          return [];
+        }
+
+        Logger.error(LOG_PREFIX, `Error when executing list command ${error.message}`,
+          { conferenceId, error });
+        throw (this._normalizeError(error));
+      });
+  }
+
+  /**
+   * Start recording the conference represented by conferenceId to path
+   * @ignore
+   */
+  startRecording (conferenceId, path) {
+    try {
+      return this._executeConferenceCommand(conferenceId,
+        CONFERENCE_COMMAND.RECORDING, [RECORDING_COMMAND.START, path]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing recording start command ${error.message}`,
+        { conferenceId, path, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Stop the recording of the conference represented by conferenceId to path
+   * @ignore
+   */
+  stopRecording (conferenceId, path) {
+    try {
+      return this._executeConferenceCommand(conferenceId,
+        CONFERENCE_COMMAND.RECORDING, [RECORDING_COMMAND.STOP, path]);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing recording stop command ${error.message}`,
+        { conferenceId, path, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Place a call to dialString as channelId, sending it to extension on the
+   * dialplan context once answered. Resolves when the call is answered and
+   * rejects with the hangup cause when it fails
+   * @ignore
+   */
+  originate (channelId, dialString, extension, context, variables = {}) {
+    try {
+      const channelVariables = [`origination_uuid=${channelId}`].concat(Object.keys(variables)
+        .filter(name => variables[name] != null)
+        .map(name => `${name}='${sanitizeChannelVariable(variables[name])}'`));
+      const originateCommand =
+        `${ESL_MESSAGE.ORIGINATE}${ESL_MESSAGE_SEPARATOR}` +
+        `{${channelVariables.join(',')}}${dialString}${ESL_MESSAGE_SEPARATOR}` +
+        `${extension}${ESL_MESSAGE_SEPARATOR}XML${ESL_MESSAGE_SEPARATOR}${context}`;
+      return this._executeBackgroundCommand(originateCommand);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing originate command ${error.message}`,
+        { channelId, dialString, extension, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
+  /**
+   * Hang up the channel represented by channelId
+   * @ignore
+   */
+  hangup (channelId) {
+    try {
+      const hangupCommand = `${ESL_MESSAGE.UUID_KILL}${ESL_MESSAGE_SEPARATOR}${channelId}`;
+      return this._executeCommand(hangupCommand);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when executing hangup command ${error.message}`,
+        { channelId, error });
+      throw (this._normalizeError(error));
+    }
+  }
+
   dtmf (channelId, tone) {
     try {
       const conferenceCommand =
@@ -327,8 +581,24 @@ class EslWrapper extends EventEmitter {
   _onChannelHangup(event) {
     let channelId = event.getHeader(ESL_EVENT.CHANNEL_CALL_UUID);
     let sipCallId = event.getHeader(ESL_EVENT.VARIABLE_SIP_CALL_ID);
+    let hangupCause = event.getHeader(ESL_EVENT.HANGUP_CAUSE);
     if (channelId && sipCallId) {
-      this.emit(EVENTS.CHANNEL_HANGUP, channelId, sipCallId);
+      this.emit(EVENTS.CHANNEL_HANGUP, channelId, sipCallId, hangupCause);
+    }
+  }
+
+  _onChannelProgress(event) {
+    const channelId = event.getHeader(ESL_EVENT.CHANNEL_CALL_UUID);
+    if (channelId) {
+      this.emit(EVENTS.CHANNEL_PROGRESS, channelId);
+    }
+  }
+
+  _onDTMF(event) {
+    const channelId = event.getHeader(ESL_EVENT.CHANNEL_CALL_UUID);
+    const digit = event.getHeader(ESL_EVENT.DTMF_DIGIT);
+    if (channelId && digit) {
+      this.emit(EVENTS.DTMF, channelId, digit);
     }
   }
 
@@ -376,6 +646,26 @@ class EslWrapper extends EventEmitter {
         if (conferenceName && newFloorMemberId) {
           this.emit(EVENTS.FLOOR_CHANGED, conferenceName, newFloorMemberId);
         }
+      } else if (action === ESL_ACTIONS.ENERGY_LEVEL) {
+        // Fired when a member's energy threshold is changed (New-Level), not
+        // as a periodic report of its audio level: it can't drive level meters
+        const channelId = event.getHeader(ESL_EVENT.CHANNEL_CALL_UUID);
+        const energyLevel = event.getHeader(ESL_EVENT.NEW_LEVEL);
+        if (channelId && energyLevel) {
+          this.emit(EVENTS.ENERGY_LEVEL, channelId, parseInt(energyLevel, 10));
+        }
+      } else if (action === ESL_ACTIONS.START_RECORDING) {
+        const conferenceName = event.getHeader(ESL_EVENT.CONFERENCE_NAME);
+        const path = event.getHeader(ESL_EVENT.PATH);
+        if (conferenceName && path) {
+          this.emit(EVENTS.RECORDING_STARTED, conferenceName, path);
+        }
+      } else if (action === ESL_ACTIONS.STOP_RECORDING) {
+        const conferenceName = event.getHeader(ESL_EVENT.CONFERENCE_NAME);
+        const path = event.getHeader(ESL_EVENT.PATH);
+        if (conferenceName && path) {
+          this.emit(EVENTS.RECORDING_STOPPED, conferenceName, path);
+        }
       }
     }
   }
@@ -10,23 +10,47 @@ const Kurento = require('../kurento/kurento');
 const isError = require('../../utils/util').isError;
 const convertRange = require('../../utils/util').convertRange;
 const rid = require('readable-id');
-const { handleError } = require('../../utils/util');
+const { randomUUID } = require('crypto');
+const { handleError, hrTime } = require('../../utils/util');
 const LOG_PREFIX = "[mcs-freeswitch]";
 const GLOBAL_EVENT_EMITTER = require('../../utils/emitter');
 const SdpWrapper = require('../../utils/sdp-wrapper');
 const SDPMedia = require('../../model/sdp-media');
+const RecordingMedia = require('../../model/recording-media');
 const EslWrapper = require('./esl-wrapper');
+const { createResolver } = require('./voice-bridge-resolver');
 
 const UA_STOP_TIMEOUT = 15000;
+const RECORDING_URI_SCHEME = /^file:\/\//;
+// Numbers or SIP users; anything else could break out of the dial string
+const DIAL_OUT_DESTINATION_PATTERN = /^[\w+*#.@-]+$/;
+// Reported when mcs-core hangs up a dial-out by itself
+const DIAL_OUT_HANGUP_CAUSE = 'NORMAL_CLEARING';
+const DIAL_OUT_DEFAULTS = {
+  context: 'default',
+  timeout: 60,
+};
 const {
-  ip: FREESWITCH_CONNECTION_IP,
-  sip_ip: FREESWITCH_SIP_IP,
-  port: FREESWITCH_PORT,
   handleExternalConnections: FS_HANDLE_EXTERNAL_CONNECTIONS,
+  servers: FS_SERVERS,
+  voiceBridgeResolver: FS_VOICE_BRIDGE_RESOLVER,
+  ...FS_DEFAULT_SERVER
 } = config.get('freeswitch');
-const IP_CLASS_MAPPINGS = config.has('freeswitch.ipClassMappings')
-  ? config.get('freeswitch.ipClassMappings')
-  : { public: ip };
+
+// Either the single server set at the top level of the freeswitch config or
+// the ones listed in freeswitch.servers, which inherit the top level
+// parameters they don't override
+const getServers = () => {
+  const serverList = (FS_SERVERS && FS_SERVERS.length > 0)
+    ? FS_SERVERS.map(server => ({ ...FS_DEFAULT_SERVER, ...server }))
+    : [{ id: 'default', ...FS_DEFAULT_SERVER }];
+
+  return serverList.map(server => ({
+    ...server,
+    id: server.id || server.sip_ip,
+    ipClassMappings: server.ipClassMappings || { public: server.ip },
+  }));
+};
 
 
 let instance = null;
@@ -42,11 +66,15 @@ module.exports = class Freeswitch extends EventEmitter {
       this._rtpProxies = {};
       this._channelIds = {};
       this._channelIdInfos = {};
+      // Member IDs are per server counters: keyed by serverId:memberId
       this._memberIdsToUa = {};
+      this._recordings = {};
+      this._dialOuts = {};
       this._Kurento = new Kurento(balancer);
-      this._eslWrapper = new EslWrapper();
-      this._eslWrapper.start();
-      this._trackESLEvents();
+      this._servers = getServers();
+      this._resolver = createResolver(FS_VOICE_BRIDGE_RESOLVER, this._servers[0].id);
+      this._eslWrappers = {};
+      this._servers.forEach(this._startESL.bind(this));
 
       instance = this;
     }
@@ -54,16 +82,64 @@ module.exports = class Freeswitch extends EventEmitter {
     return instance;
   }
 
-  _trackESLEvents() {
-      this._eslWrapper.on(EslWrapper.EVENTS.CHANNEL_ANSWER, this._handleChannelAnswer.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.CHANNEL_HANGUP, this._handleChannelHangup.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.START_TALKING, this._handleStartTalking.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.STOP_TALKING, this._handleStopTalking.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.CONFERENCE_MEMBER, this._handleConferenceMember.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.VOLUME_CHANGED, this._handleVolumeChanged.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.MUTED, this._handleMuted.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.UNMUTED, this._handleUnmuted.bind(this));
-      this._eslWrapper.on(EslWrapper.EVENTS.FLOOR_CHANGED, this._handleFloorChanged.bind(this));
+  _startESL (server) {
+    const eslWrapper = new EslWrapper({
+      id: server.id,
+      host: server.esl_ip,
+      port: server.esl_port,
+      auth: server.esl_password,
+    });
+    this._eslWrappers[server.id] = eslWrapper;
+    eslWrapper.start();
+    this._trackESLEvents(eslWrapper, server);
+  }
+
+  _trackESLEvents(eslWrapper, server) {
+      eslWrapper.on(EslWrapper.EVENTS.CHANNEL_ANSWER, this._handleChannelAnswer.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.CHANNEL_HANGUP, this._handleChannelHangup.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.CHANNEL_PROGRESS, this._handleChannelProgress.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.START_TALKING, this._handleStartTalking.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.STOP_TALKING, this._handleStopTalking.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.CONFERENCE_MEMBER, this._handleConferenceMember.bind(this, server));
+      eslWrapper.on(EslWrapper.EVENTS.VOLUME_CHANGED, this._handleVolumeChanged.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.MUTED, this._handleMuted.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.UNMUTED, this._handleUnmuted.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.FLOOR_CHANGED, this._handleFloorChanged.bind(this, server));
+      eslWrapper.on(EslWrapper.EVENTS.DTMF, this._handleDTMF.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.ENERGY_LEVEL, this._handleEnergyLevel.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.RECORDING_STARTED, this._handleRecordingStarted.bind(this));
+      eslWrapper.on(EslWrapper.EVENTS.RECORDING_STOPPED, this._handleRecordingStopped.bind(this));
+  }
+
+  async _resolveServer (voiceBridge) {
+    const serverId = await this._resolver.resolve(voiceBridge);
+    const server = this._servers.find(({ id }) => id === serverId);
+
+    if (server == null) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_SERVER_NOT_FOUND,
+        details: `FreeSWITCH server ${serverId} of voice bridge ${voiceBridge} is not configured`,
+      }));
+    }
+
+    return server;
+  }
+
+  _getESLWrapper (userAgent) {
+    return this._eslWrappers[userAgent.server.id];
+  }
+
+  _getMemberKey (serverId, memberId) {
+    return `${serverId}:${memberId}`;
+  }
+
+  _getServerHost (server) {
+    return {
+      ip: server.ip,
+      sip_ip: server.sip_ip,
+      port: server.port,
+      ipClassMappings: server.ipClassMappings,
+    };
   }
 
   _handleChannelAnswer (channelId, callId, sdpOffer, sdpAnswer) {
@@ -87,12 +163,34 @@ module.exports = class Freeswitch extends EventEmitter {
         channelInfo.ua = ua;
       }
     }
+
+    if (this._dialOuts[channelInfo.ua]) {
+      this._handleDialOutAnswered(channelInfo.ua, channelInfo);
+    }
+  }
+
+  _handleChannelProgress (channelId) {
+    const channelInfo = this._channelIdInfos[channelId];
+    if (channelInfo == null) return;
+
+    const elementId = channelInfo.ua;
+    const dialOut = this._dialOuts[elementId];
+    // Ringing is only relevant for calls placed by mcs-core
+    if (dialOut == null || dialOut.ringing) return;
+
+    dialOut.ringing = true;
+    Logger.info(LOG_PREFIX, 'Dial-out is ringing',
+      { elementId, roomId: dialOut.voiceBridge, channelId });
+    this._emitMediaStateEvent(elementId, C.EVENT.DIAL_OUT.RINGING, dialOut.destination);
   }
 
-  _handleChannelHangup (channelId, callId) {
+  _handleChannelHangup (channelId, callId, hangupCause) {
     const channelInfo = this._channelIdInfos[channelId];
     if (channelInfo) {
       const elementId = channelInfo.ua;
+      if (this._dialOuts[elementId]) {
+        return this._handleDialOutHangup(elementId, hangupCause);
+      }
       const userAgent = this._userAgents[elementId];
       if (userAgent) {
         const { session } = userAgent;
@@ -121,7 +219,7 @@ module.exports = class Freeswitch extends EventEmitter {
 
   // FIXME
   // this is temporary workaround to create media that joins freeswitch externally
-  _handleExternalMediaConnected (channelId, callerIdNumber, roomId) {
+  _handleExternalMediaConnected (server, channelId, callerIdNumber, roomId) {
     let userId, userName, elementId, mediaElement, host;
     const callerNamePattern = /(.*)-bbbID-(.*)$/;
     const callerNameWithSessIdPattern = /^(.*)_(\d+)-bbbID-(.*)$/;
@@ -141,7 +239,9 @@ module.exports = class Freeswitch extends EventEmitter {
 
     const channelInfo = this._channelIdInfos[channelId];
     const { sdpOffer, sdpAnswer } = this._channelIdInfos[channelId];
-    return this.createMediaElement(roomId, C.MEDIA_TYPE.WEBRTC, {})
+    // The member joined on the server which reported it, regardless of what
+    // the resolver says about the voice bridge
+    return this.createMediaElement(roomId, C.MEDIA_TYPE.WEBRTC, {}, server)
       .then(({ mediaElement, host }) => {
         elementId = mediaElement;
         //mediaSessionId is empty because we don't have it yet, will be set later
@@ -166,24 +266,26 @@ module.exports = class Freeswitch extends EventEmitter {
       })
   }
 
-  _handleConferenceMember (channelId, memberId, callerIdNumber, roomId) {
+  _handleConferenceMember (server, channelId, memberId, callerIdNumber, roomId) {
     Logger.debug(LOG_PREFIX, "New conference member, associating UUID to mID",
-      { roomId, channelId, memberId, callerIdNumber });
+      { roomId, channelId, memberId, callerIdNumber, serverId: server.id });
     const channelInfo = this._channelIdInfos[channelId];
+    const memberKey = this._getMemberKey(server.id, memberId);
     channelInfo.memberId = memberId;
+    channelInfo.memberKey = memberKey;
     const elementId = channelInfo.ua;
 
     if (elementId == null && FS_HANDLE_EXTERNAL_CONNECTIONS) {
-      this._handleExternalMediaConnected(channelId, callerIdNumber, roomId)
+      this._handleExternalMediaConnected(server, channelId, callerIdNumber, roomId)
         .then((newElementId) => {
-          this._memberIdsToUa[memberId] = newElementId;
+          this._memberIdsToUa[memberKey] = newElementId;
         })
         .catch(error => {
           Logger.error(LOG_PREFIX, `External audio media handling failed due to ${error.message}`,
             { channelid, callerIdNumber, roomId, error });
         });
     } else {
-      this._memberIdsToUa[memberId] = elementId;
+      this._memberIdsToUa[memberKey] = elementId;
     }
   }
 
@@ -194,6 +296,23 @@ module.exports = class Freeswitch extends EventEmitter {
     this.emit(C.EVENT.MEDIA_VOLUME_CHANGED+elementId, convertedVolume);
   }
 
+  _handleDTMF (channelId, digit) {
+    // DTMF is reported for every channel of the server, including the ones
+    // which aren't conference members handled by mcs-core
+    const channelInfo = this._channelIdInfos[channelId];
+    if (channelInfo == null || channelInfo.ua == null) return;
+
+    Logger.debug(LOG_PREFIX, 'Received DTMF', { elementId: channelInfo.ua, channelId, digit });
+    this.emit(C.EVENT.MEDIA_DTMF+channelInfo.ua, digit);
+  }
+
+  _handleEnergyLevel (channelId, energyLevel) {
+    const channelInfo = this._channelIdInfos[channelId];
+    if (channelInfo == null || channelInfo.ua == null) return;
+
+    this.emit(C.EVENT.MEDIA_ENERGY_LEVEL+channelInfo.ua, energyLevel);
+  }
+
   _handleMuted (channelId) {
     const elementId = this._channelIdInfos[channelId].ua;
     this.emit(C.EVENT.MEDIA_MUTED+elementId);
@@ -204,7 +323,7 @@ module.exports = class Freeswitch extends EventEmitter {
     this.emit(C.EVENT.MEDIA_UNMUTED+elementId);
   }
 
-  _handleFloorChanged (roomId, newFloorMemberId) {
+  _handleFloorChanged (server, roomId, newFloorMemberId) {
     // Floor was released
     if (newFloorMemberId === 'none') {
       const event = {
@@ -214,12 +333,54 @@ module.exports = class Freeswitch extends EventEmitter {
       return GLOBAL_EVENT_EMITTER.emit(C.EVENT.CONFERENCE_NEW_VIDEO_FLOOR, event);
     }
 
-    const newFloorElementId = this._memberIdsToUa[newFloorMemberId];
+    const newFloorElementId = this._memberIdsToUa[this._getMemberKey(server.id, newFloorMemberId)];
     Logger.debug(LOG_PREFIX, 'Video floor changed',
-      { adapterElementId: newFloorElementId, roomId });
+      { adapterElementId: newFloorElementId, roomId, serverId: server.id });
     this.emit(C.EVENT.CONFERENCE_FLOOR_CHANGED+newFloorElementId, { roomId: roomId, newFloor: newFloorElementId });
   }
 
+  _getRecordingElementId (roomId, path) {
+    return Object.keys(this._recordings).find(elementId => {
+      const recording = this._recordings[elementId];
+      return recording.voiceBridge === roomId && recording.path === path;
+    });
+  }
+
+  _emitMediaStateEvent (elementId, name, details) {
+    const event = {
+      state: {
+        name,
+        details,
+      },
+      elementId,
+      timestampUTC: Date.now(),
+      timestampHR: hrTime(),
+      rawEvent: { name, details },
+    };
+
+    this.emit(C.EVENT.MEDIA_STATE.MEDIA_EVENT+elementId, event);
+  }
+
+  _handleRecordingStarted (roomId, path) {
+    const elementId = this._getRecordingElementId(roomId, path);
+    // Recordings started by someone else on the conference
+    if (elementId == null) return;
+
+    Logger.info(LOG_PREFIX, 'Conference recording started', { elementId, roomId, path });
+    this._emitMediaStateEvent(elementId, C.EVENT.RECORDING.STARTED, path);
+  }
+
+  _handleRecordingStopped (roomId, path) {
+    const elementId = this._getRecordingElementId(roomId, path);
+    if (elementId == null) return;
+
+    // FreeSWITCH stops conference recordings by itself when the conference
+    // is destroyed, so there's nothing left to stop over ESL afterwards
+    this._recordings[elementId].stopped = true;
+    Logger.info(LOG_PREFIX, 'Conference recording stopped', { elementId, roomId, path });
+    this._emitMediaStateEvent(elementId, C.EVENT.RECORDING.STOPPED, path);
+  }
+
   negotiate (roomId, userId, mediaSessionId, descriptor, type, options) {
     let media;
     try {
@@ -228,6 +389,12 @@ module.exports = class Freeswitch extends EventEmitter {
         case C.MEDIA_TYPE.WEBRTC:
           return this._negotiateSDPEndpoint(roomId, userId, mediaSessionId, descriptor, type, options);
           break;
+        case C.MEDIA_TYPE.RECORDING:
+          return this._negotiateConferenceRecording(roomId, userId, mediaSessionId, descriptor, type, options);
+          break;
+        case C.MEDIA_TYPE.DIAL_OUT:
+          return this._negotiateDialOut(roomId, userId, mediaSessionId, descriptor, type, options);
+          break;
         default:
           throw(this._handleError(ERRORS[40107]));
       }
@@ -249,22 +416,183 @@ module.exports = class Freeswitch extends EventEmitter {
     }
   }
 
-  async createMediaElement (roomId, type, params) {
+  async _negotiateConferenceRecording (roomId, userId, mediaSessionId, uri, type, options) {
+    try {
+      const elementId = rid();
+      const server = await this._resolveServer(roomId);
+      const eslWrapper = this._eslWrappers[server.id];
+      // FreeSWITCH records to local paths, not URIs
+      const path = uri.replace(RECORDING_URI_SCHEME, '');
+      const host = this._getServerHost(server);
+      const media = new RecordingMedia(roomId, userId, mediaSessionId, uri, null, type, this, elementId, host, options);
+
+      // Tracked before issuing the command so that the start-recording event
+      // isn't missed
+      this._recordings[elementId] = { voiceBridge: roomId, path, serverId: server.id };
+      media.trackMedia();
+
+      try {
+        await eslWrapper.startRecording(roomId, path);
+      } catch (error) {
+        this._removeElementEventListeners(elementId);
+        delete this._recordings[elementId];
+        throw error;
+      }
+
+      Logger.info(LOG_PREFIX, 'Conference recording requested', { elementId, roomId, path });
+      return [media];
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  async _stopConferenceRecording (roomId, elementId) {
+    const recording = this._recordings[elementId];
+    const { path, serverId } = recording;
+
+    try {
+      if (!recording.stopped) {
+        await this._eslWrappers[serverId].stopRecording(roomId, path);
+        // The stop-recording event may have been reported while the command ran
+        if (!recording.stopped) {
+          recording.stopped = true;
+          this._emitMediaStateEvent(elementId, C.EVENT.RECORDING.STOPPED, path);
+        }
+      }
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error when stopping conference recording ${elementId} at room ${roomId}`,
+        { error: this._handleError(error) });
+    }
+
+    this._removeElementEventListeners(elementId);
+    delete this._recordings[elementId];
+    Logger.info(LOG_PREFIX, "Conference recording released", { elementId, roomId, path });
+  }
+
+  async _negotiateDialOut (roomId, userId, mediaSessionId, destination, type, options = {}) {
+    try {
+      const server = await this._resolveServer(roomId);
+      const {
+        gateway, context, timeout, callerIdName, callerIdNumber,
+      } = { ...DIAL_OUT_DEFAULTS, ...server.dialOut, ...options };
+
+      if (typeof destination !== 'string' || !DIAL_OUT_DESTINATION_PATTERN.test(destination)) {
+        throw (this._handleError({
+          ...C.ERROR.MEDIA_INVALID_OPERATION,
+          details: `Invalid dial-out destination: ${destination}`,
+        }));
+      }
+
+      if (gateway == null) {
+        throw (this._handleError({
+          ...C.ERROR.MEDIA_INVALID_OPERATION,
+          details: `No dial-out gateway configured for FreeSWITCH server ${server.id}`,
+        }));
+      }
+
+      const elementId = rid();
+      const channelId = randomUUID();
+      const media = new SDPMedia(roomId, userId, mediaSessionId, null, null, type, this,
+        elementId, this._getServerHost(server), options);
+      // Phone calls are audio only
+      media.mediaTypes.audio = true;
+
+      // Mirrors the user agents' fields used to reach the conference member
+      this._dialOuts[elementId] = { media, voiceBridge: roomId, channelId, server, destination };
+      this._channelIdInfos[channelId] = { ua: elementId };
+      media.trackMedia();
+
+      // The originate job only ends when the call is answered or fails, so
+      // it isn't waited for; its progress is reported by channel events
+      this._eslWrappers[server.id].originate(channelId, `sofia/gateway/${gateway}/${destination}`,
+        roomId, context, {
+          origination_caller_id_name: callerIdName,
+          origination_caller_id_number: callerIdNumber,
+          originate_timeout: timeout,
+        }).catch(error => {
+          Logger.warn(LOG_PREFIX, `Dial-out to ${destination} failed`,
+            { elementId, roomId, channelId, error });
+          if (this._dialOuts[elementId]) {
+            this._handleDialOutHangup(elementId, error.details);
+          }
+        });
+
+      Logger.info(LOG_PREFIX, `Dialing out to ${destination}`,
+        { elementId, roomId, channelId, gateway, serverId: server.id });
+      return [media];
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  _handleDialOutAnswered (elementId, channelInfo) {
+    const dialOut = this._dialOuts[elementId];
+    const { callId, sdpOffer, sdpAnswer } = channelInfo;
+    dialOut.callId = callId;
+
+    try {
+      dialOut.media.localDescriptor = sdpAnswer;
+      dialOut.media.remoteDescriptor = sdpOffer;
+    } catch (error) {
+      Logger.warn(LOG_PREFIX, `Failed to parse the descriptors of dial-out ${elementId}`,
+        { elementId, error });
+    }
+
+    Logger.info(LOG_PREFIX, 'Dial-out answered',
+      { elementId, roomId: dialOut.voiceBridge, channelId: dialOut.channelId });
+    this._emitMediaStateEvent(elementId, C.EVENT.DIAL_OUT.ANSWERED, dialOut.destination);
+  }
+
+  _handleDialOutHangup (elementId, hangupCause) {
+    const dialOut = this._dialOuts[elementId];
+    if (dialOut.hungUp) return;
+
+    dialOut.hungUp = true;
+    Logger.info(LOG_PREFIX, 'Dial-out hung up',
+      { elementId, roomId: dialOut.voiceBridge, channelId: dialOut.channelId, hangupCause });
+    this._emitMediaStateEvent(elementId, C.EVENT.DIAL_OUT.HANGUP, hangupCause);
+    // Intercepted by media.js at trackMedia with stop as the callback
+    this.emit(C.EVENT.MEDIA_DISCONNECTED+elementId);
+  }
+
+  async _stopDialOut (roomId, elementId) {
+    const { channelId, server, hungUp } = this._dialOuts[elementId];
+
+    if (!hungUp) {
+      try {
+        await this._eslWrappers[server.id].hangup(channelId);
+      } catch (error) {
+        Logger.error(LOG_PREFIX, `Error when hanging up dial-out ${elementId} at room ${roomId}`,
+          { error: this._handleError(error) });
+      }
+      this._handleDialOutHangup(elementId, DIAL_OUT_HANGUP_CAUSE);
+    }
+
+    const channelInfo = this._channelIdInfos[channelId];
+    if (channelInfo && channelInfo.memberKey) {
+      delete this._memberIdsToUa[channelInfo.memberKey];
+    }
+    delete this._channelIdInfos[channelId];
+    this._removeElementEventListeners(elementId);
+    delete this._dialOuts[elementId];
+    Logger.info(LOG_PREFIX, "Dial-out released", { elementId, roomId });
+  }
+
+  // server is resolved from the voice bridge unless the caller already knows
+  // which FreeSWITCH server the element belongs to
+  async createMediaElement (roomId, type, params, server = null) {
     try {
       const userAgentId = rid();
-      let userAgent = await this._createUserAgent(type, params.name, roomId);
+      if (server == null) server = await this._resolveServer(roomId);
+      let userAgent = await this._createUserAgent(type, params.name, roomId, server);
       userAgent.userAgentId = userAgentId;
       userAgent.voiceBridge = roomId;
+      userAgent.server = server;
       this._userAgents[userAgentId] = userAgent;
       // TODO integrate FS adapter with Balancer
       return Promise.resolve({
         mediaElement: userAgentId,
-        host: {
-          ip: FREESWITCH_CONNECTION_IP,
-          sip_ip: FREESWITCH_SIP_IP,
-          port: FREESWITCH_PORT,
-          ipClassMappings: IP_CLASS_MAPPINGS,
-        }
+        host: this._getServerHost(server),
       });
     }
     catch (err) {
@@ -307,6 +635,14 @@ module.exports = class Freeswitch extends EventEmitter {
   }
 
   async stop (roomId, type = {}, elementId) {
+    if (this._recordings[elementId]) {
+      return this._stopConferenceRecording(roomId, elementId);
+    }
+
+    if (this._dialOuts[elementId]) {
+      return this._stopDialOut(roomId, elementId);
+    }
+
     this._removeElementEventListeners(elementId);
 
     try {
@@ -337,8 +673,8 @@ module.exports = class Freeswitch extends EventEmitter {
     if (elementId in this._channelIds) {
       let channelId = this._channelIds[elementId];
       delete this._channelIds[elementId];
-      let memberId = this._channelIdInfos[channelId].memberId;
-      delete this._memberIdsToUa[memberId];
+      let memberKey = this._channelIdInfos[channelId].memberKey;
+      delete this._memberIdsToUa[memberKey];
       delete this._channelIdInfos[channelId];
     };
   }
@@ -470,8 +806,8 @@ module.exports = class Freeswitch extends EventEmitter {
           const session = this.sipCall(userAgent,
             name,
             userAgent.voiceBridge,
-            FREESWITCH_SIP_IP,
-            FREESWITCH_PORT,
+            userAgent.server.sip_ip,
+            userAgent.server.port,
             this._rtpConverters[elementId]? this._rtpConverters[elementId].elementId : null,
             sdpOffer,
           );
@@ -535,9 +871,9 @@ module.exports = class Freeswitch extends EventEmitter {
                   this._channelIdInfos[channelId] = channelInfo;
                 }
                 channelInfo.ua = elementId;
-                let memberId = channelInfo.memberId;
-                if (memberId) {
-                  this._memberIdsToUa[memberId] = elementId;
+                let memberKey = channelInfo.memberKey;
+                if (memberKey) {
+                  this._memberIdsToUa[memberKey] = elementId;
                 }
               }
             }
@@ -571,7 +907,11 @@ module.exports = class Freeswitch extends EventEmitter {
     });
   }
 
-  setVolume (mediaElementId, volume) {
+  setVolume (mediaElementId, volume, direction = C.VOLUME_DIRECTION.INPUT) {
+    if (direction === C.VOLUME_DIRECTION.OUTPUT) {
+      return this._setOutputVolume(mediaElementId, volume);
+    }
+
     const userAgent = this._userAgents[mediaElementId];
     const { voiceBridge, callId } = userAgent;
 
@@ -599,24 +939,24 @@ module.exports = class Freeswitch extends EventEmitter {
         if (userAgent.muted) {
           // It's a request for a non null volume and the agent is muted;
           // return a chain of unmute + setVolume
-          return this._eslWrapper.unmute(voiceBridge, memberId)
+          return this._getESLWrapper(userAgent).unmute(voiceBridge, memberId)
             .then(() => {
               userAgent.muted = false;
-              return  this._eslWrapper.setVolume(voiceBridge, memberId, convertedVolume);
+              return  this._getESLWrapper(userAgent).setVolume(voiceBridge, memberId, convertedVolume);
             })
             .then(() => {
               userAgent.volume = convertedVolume;
             });
         } else {
           // Isn't muted, just return a setVolume request from the wrapper
-          return  this._eslWrapper.setVolume(voiceBridge, memberId, convertedVolume)
+          return  this._getESLWrapper(userAgent).setVolume(voiceBridge, memberId, convertedVolume)
             .then(() => {
               userAgent.volume = convertedVolume;
             });
         }
       } else if (volume == 0 && !userAgent.muted) {
         // This is a request to mute through setVolume, return the mute promise
-        return this._eslWrapper.mute(voiceBridge, memberId)
+        return this._getESLWrapper(userAgent).mute(voiceBridge, memberId)
           .then(() => {
             userAgent.muted = true;
           });
@@ -641,7 +981,7 @@ module.exports = class Freeswitch extends EventEmitter {
     try {
       const channelId = userAgent.channelId;
       const memberId = this._channelIdInfos[channelId].memberId;
-      return this._eslWrapper.mute(voiceBridge, memberId).then(() => {
+      return this._getESLWrapper(userAgent).mute(voiceBridge, memberId).then(() => {
         Logger.debug(LOG_PREFIX, "Audio muted",
           { adapterElementId: mediaElementId, channelId, memberId });
         userAgent.muted = true;
@@ -667,7 +1007,7 @@ module.exports = class Freeswitch extends EventEmitter {
       const channelId = userAgent.channelId;
       const memberId = this._channelIdInfos[channelId].memberId;
 
-      return this._eslWrapper.unmute(voiceBridge, memberId).then(() => {
+      return this._getESLWrapper(userAgent).unmute(voiceBridge, memberId).then(() => {
         userAgent.muted = false;
         Logger.debug(LOG_PREFIX, "Audio unmuted",
           { adapterElementId: mediaElementId, channelId, memberId });
@@ -685,6 +1025,182 @@ module.exports = class Freeswitch extends EventEmitter {
     }
   }
 
+  // Conference member of a media element, for commands which target it
+  _getConferenceMember (mediaElementId, operation) {
+    const userAgent = this._userAgents[mediaElementId] || this._dialOuts[mediaElementId];
+
+    if (userAgent == null || userAgent.callId == null) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `${operation}. adapterElementId: ${mediaElementId}`,
+      }));
+    }
+
+    const { voiceBridge, channelId } = userAgent;
+    const channelInfo = this._channelIdInfos[channelId];
+
+    if (channelInfo == null || channelInfo.memberId == null) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `${operation}. No conference member for adapterElementId: ${mediaElementId}`,
+      }));
+    }
+
+    return {
+      userAgent,
+      voiceBridge,
+      channelId,
+      memberId: channelInfo.memberId,
+      eslWrapper: this._getESLWrapper(userAgent),
+    };
+  }
+
+  _setOutputVolume (mediaElementId, volume) {
+    try {
+      const {
+        userAgent, voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'setOutputVolume');
+      // Normalizes volume from a 0/100 range to FS's -4/4 range
+      const convertedVolume = convertRange(
+        {floor: 0, ceiling: 100},
+        {floor: -4, ceiling: 4},
+        volume
+      );
+      Logger.debug(LOG_PREFIX, "Set output volume",
+        { adapterElementId: mediaElementId, channelId, memberId, volume });
+
+      return eslWrapper.setOutputVolume(voiceBridge, memberId, convertedVolume)
+        .then(() => {
+          userAgent.outputVolume = convertedVolume;
+        });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `setOutputVolume failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, volume, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  deaf (mediaElementId) {
+    try {
+      const {
+        userAgent, voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'deaf');
+
+      return eslWrapper.deaf(voiceBridge, memberId).then(() => {
+        Logger.debug(LOG_PREFIX, "Audio deafened",
+          { adapterElementId: mediaElementId, channelId, memberId });
+        userAgent.deafened = true;
+      });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `deaf failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  undeaf (mediaElementId) {
+    try {
+      const {
+        userAgent, voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'undeaf');
+
+      return eslWrapper.undeaf(voiceBridge, memberId).then(() => {
+        Logger.debug(LOG_PREFIX, "Audio undeafened",
+          { adapterElementId: mediaElementId, channelId, memberId });
+        userAgent.deafened = false;
+      });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `undeaf failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  hold (mediaElementId) {
+    try {
+      const {
+        userAgent, voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'hold');
+
+      return eslWrapper.hold(voiceBridge, memberId).then(() => {
+        Logger.debug(LOG_PREFIX, "Audio held",
+          { adapterElementId: mediaElementId, channelId, memberId });
+        userAgent.held = true;
+      });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `hold failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  unhold (mediaElementId) {
+    try {
+      const {
+        userAgent, voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'unhold');
+
+      return eslWrapper.unhold(voiceBridge, memberId).then(() => {
+        Logger.debug(LOG_PREFIX, "Audio unheld",
+          { adapterElementId: mediaElementId, channelId, memberId });
+        userAgent.held = false;
+      });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `unhold failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  // The member's channel is hung up by FreeSWITCH; the media is released
+  // through the usual SIP/CHANNEL_HANGUP paths
+  kick (mediaElementId) {
+    try {
+      const {
+        voiceBridge, channelId, memberId, eslWrapper,
+      } = this._getConferenceMember(mediaElementId, 'kick');
+
+      Logger.info(LOG_PREFIX, "Kicking conference member",
+        { adapterElementId: mediaElementId, channelId, memberId, voiceBridge });
+      return eslWrapper.kick(voiceBridge, memberId);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `kick failed due to ${error.message}`,
+        { adapterElementId: mediaElementId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  /**
+   * Members of the conference of voiceBridge as FreeSWITCH sees them. Members
+   * are matched to the adapter's elements through their channels; those which
+   * weren't created by this adapter have a null adapterElementId
+   * @param {String} voiceBridge
+   * @return {Promise<Array>}
+   */
+  async getConferenceMembers (voiceBridge) {
+    try {
+      const server = await this._resolveServer(voiceBridge);
+      const members = await this._eslWrappers[server.id].getConferenceMembers(voiceBridge);
+      const toVolume = (fsVolume) => convertRange({floor: -4, ceiling: 4},
+        {floor: 0, ceiling: 100}, fsVolume);
+
+      return members.map(member => {
+        const channelInfo = this._channelIdInfos[member.channelId];
+        return {
+          ...member,
+          volumeIn: toVolume(member.volumeIn),
+          volumeOut: toVolume(member.volumeOut),
+          adapterElementId: (channelInfo && channelInfo.ua) || null,
+          serverId: server.id,
+        };
+      });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `getConferenceMembers failed due to ${error.message}`,
+        { voiceBridge, error });
+      throw (this._handleError(error));
+    }
+  }
+
   trackMediaState (elementId, type) {
     let userAgent = this._userAgents[elementId];
     if (userAgent) {
@@ -716,11 +1232,11 @@ module.exports = class Freeswitch extends EventEmitter {
     }
   }
 
-  _createUserAgent (type, displayName, roomId) {
+  _createUserAgent (type, displayName, roomId, server) {
     const uriUser = displayName ? displayName : roomId;
     const newUA = new SIPJS.UA({
-      uri: `sip:${encodeURIComponent(uriUser)}@${FREESWITCH_SIP_IP}`,
-      wsServers: `ws://${FREESWITCH_SIP_IP}:${FREESWITCH_PORT}`,
+      uri: `sip:${encodeURIComponent(uriUser)}@${server.sip_ip}`,
+      wsServers: `ws://${server.sip_ip}:${server.port}`,
       displayName: displayName,
       register: false,
       mediaHandlerFactory: MediaHandlerV2,
@@ -731,7 +1247,7 @@ module.exports = class Freeswitch extends EventEmitter {
         connector: this.sipjsLogConnector
       },
       traceSip: true,
-      hackIpInContact: FREESWITCH_SIP_IP
+      hackIpInContact: server.sip_ip
     });
 
     return newUA;
@@ -795,7 +1311,7 @@ module.exports = class Freeswitch extends EventEmitter {
 
     try {
       const channelId = userAgent.channelId;
-      return this._eslWrapper.dtmf(channelId, tone);
+      return this._getESLWrapper(userAgent).dtmf(channelId, tone);
     } catch (error) {
       Logger.error(LOG_PREFIX, `dtmf failed due to ${error.message}`,
         { adapterElementId: elementId, error });
@@ -810,6 +1326,13 @@ module.exports = class Freeswitch extends EventEmitter {
     });
   }
 
+  getStats (elementId) {
+    throw this._handleError({
+      ...C.ERROR.MEDIA_INVALID_OPERATION,
+      details: "FREESWITCH_GET_STATS_NOT_IMPLEMENTED"
+    });
+  }
+
   _handleError (error) {
     return handleError(LOG_PREFIX, error);
   }
@@ -0,0 +1,108 @@
+'use strict'
+
+const path = require('path');
+const C = require('../../constants/constants.js');
+const Logger = require('../../utils/logger');
+const { handleError } = require('../../utils/util');
+
+const LOG_PREFIX = "[mcs-freeswitch-resolver]";
+const DEFAULT_REDIS_KEY_PREFIX = 'freeswitch:voiceBridge:';
+
+const RESOLVER_TYPES = {
+  STATIC: 'static',
+  REDIS: 'redis',
+};
+
+/**
+ * @classdesc
+ * Maps voice bridges to FreeSWITCH server ids through a fixed table configured
+ * at freeswitch.voiceBridgeResolver.map. Unmapped voice bridges go to the
+ * default server
+ * @memberof mcs.adapters
+ */
+class StaticResolver {
+  constructor ({ map = {}, defaultServer } = {}) {
+    this.map = map;
+    this.defaultServer = defaultServer;
+  }
+
+  resolve (voiceBridge) {
+    return Promise.resolve(this.map[voiceBridge] || this.defaultServer);
+  }
+}
+
+/**
+ * @classdesc
+ * Maps voice bridges to FreeSWITCH server ids through keys set in Redis by
+ * whatever assigns conferences to servers (<keyPrefix><voiceBridge> = <serverId>).
+ * Voice bridges without a key go to the default server
+ * @memberof mcs.adapters
+ */
+class RedisResolver {
+  constructor ({ keyPrefix = DEFAULT_REDIS_KEY_PREFIX, defaultServer } = {}, redisClient) {
+    this.keyPrefix = keyPrefix;
+    this.defaultServer = defaultServer;
+    this._redisClient = redisClient || RedisResolver._createRedisClient();
+  }
+
+  static _createRedisClient () {
+    // Required here so that redis is only loaded when this resolver is used
+    const RedisWrapper = require('../../../../bbb/pubsub/RedisWrapper.js');
+    const redisClient = new RedisWrapper();
+    redisClient.startPublisher();
+    return redisClient;
+  }
+
+  resolve (voiceBridge) {
+    return new Promise((resolve, reject) => {
+      const key = `${this.keyPrefix}${voiceBridge}`;
+      this._redisClient.getKey(key, (error, serverId) => {
+        if (error) {
+          Logger.error(LOG_PREFIX, `Failed to fetch the server of ${voiceBridge} from Redis`,
+            { voiceBridge, key, error });
+          return reject(handleError(LOG_PREFIX, {
+            ...C.ERROR.MEDIA_SERVER_NOT_FOUND,
+            details: `Voice bridge ${voiceBridge} could not be resolved`,
+          }));
+        }
+
+        return resolve(serverId || this.defaultServer);
+      });
+    });
+  }
+}
+
+/**
+ * Builds the resolver described by freeswitch.voiceBridgeResolver. Custom
+ * resolvers are set up with a module path (absolute or relative to the working
+ * directory) exporting a class with an async resolve(voiceBridge) method
+ * which returns the id of the server the voice bridge lives on
+ * @param {Object} resolverConfig The resolver configuration
+ * @param {String} defaultServer The server id used when a voice bridge isn't mapped
+ * @return {Object} The resolver instance
+ */
+const createResolver = ({ type = RESOLVER_TYPES.STATIC, path: modulePath, ...options } = {}, defaultServer) => {
+  if (modulePath) {
+    const CustomResolver = require(path.resolve(modulePath));
+    return new CustomResolver({ defaultServer, ...options });
+  }
+
+  switch (type) {
+    case RESOLVER_TYPES.STATIC:
+      return new StaticResolver({ defaultServer, ...options });
+    case RESOLVER_TYPES.REDIS:
+      return new RedisResolver({ defaultServer, ...options });
+    default:
+      throw (handleError(LOG_PREFIX, {
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Invalid voice bridge resolver type: ${type}`,
+      }));
+  }
+};
+
+module.exports = {
+  RESOLVER_TYPES,
+  StaticResolver,
+  RedisResolver,
+  createResolver,
+};
@@ -10,6 +10,7 @@ const isError = Util.isError;
 const ERRORS = require('./errors.js');
 const KMS_CLIENT = require('kurento-client');
 const SdpWrapper = require('../../utils/sdp-wrapper');
+const ADPUtils = require('../adapter-utils.js');
 const GLOBAL_EVENT_EMITTER = require('../../utils/emitter');
 const SDPMedia = require('../../model/sdp-media');
 const RecordingMedia = require('../../model/recording-media');
@@ -29,6 +30,16 @@ const KURENTO_REMOVE_REMB_RTCPFB = config.has('kurentoRemoveRembRtcpFb')
   : false;
 const LOG_PREFIX = "[mcs-kurento-adapter]";
 const VANILLA_GATHERING_TIMEOUT = 30000;
+// Video send/recv bandwidth bounds (kbps) of WebRTC and RTP endpoints
+const DEFAULT_MIN_BANDWIDTH = 300;
+const DEFAULT_MAX_BANDWIDTH = 1500;
+
+// The metrics module is required on demand: it instantiates the media
+// controller, which is what loads this adapter in the first place
+const observeOperationDuration = (adapter, operation, startTime) => {
+  const { observeAdapterOperationDuration } = require('../../metrics/index.js');
+  observeAdapterOperationDuration(adapter, operation, startTime);
+};
 
 let instance = null;
 
@@ -118,7 +129,7 @@ module.exports = class Kurento extends EventEmitter {
 
         pPromise = this._createMediaPipeline(hostId);
 
-        this._pipelinePromises.push({ id: roomId + hostId, pPromise});
+        this._pipelinePromises.push({ id: roomId + hostId, roomId, hostId, pPromise});
 
         const pipeline = await pPromise;
 
@@ -141,6 +152,32 @@ module.exports = class Kurento extends EventEmitter {
     }
   }
 
+  // Hosts with a pipeline (or one being created) for the room
+  getRoomHostIds (roomId) {
+    const pipelineHostIds = Object.keys(this._mediaPipelines[roomId] || {});
+    const pendingHostIds = this._pipelinePromises
+      .filter(pp => pp.roomId === roomId)
+      .map(pp => pp.hostId);
+
+    return [...new Set([...pipelineHostIds, ...pendingHostIds])];
+  }
+
+  // Number of elements bridged into each room pipeline from other hosts
+  getTransposedElementsByRoom () {
+    return Object.keys(this._mediaPipelines).reduce((transposedByRoom, roomId) => {
+      const pipelines = Object.values(this._mediaPipelines[roomId]).filter(p => p != null);
+      const transposedElements = pipelines.reduce((total, pipeline) => {
+        return total + Object.keys(pipeline.transposers).length;
+      }, 0);
+
+      if (transposedElements > 0) {
+        transposedByRoom[roomId] = transposedElements;
+      }
+
+      return transposedByRoom;
+    }, {});
+  }
+
   _releaseAllRoomPipelines (room) {
     try {
       if (this._mediaPipelines[room]) {
@@ -385,7 +422,9 @@ module.exports = class Kurento extends EventEmitter {
     return new Promise(async (resolve, reject) => {
       try {
         const { mediaType, keyframeInterval } = options;
-        const host = await this.balancer.getHost(mediaType);
+        const host = await this.balancer.getHost(mediaType, {
+          roomHostIds: this.getRoomHostIds(roomId),
+        });
         await this._getMediaPipeline(host.id, roomId);
         const pipeline = this._mediaPipelines[roomId][host.id];
         const mediaElement = await this._createElement(pipeline, type, options);
@@ -397,8 +436,10 @@ module.exports = class Kurento extends EventEmitter {
         // TODO make the rembParams and In/Out BW values fetch from the conference
         // media specs
         if (type === C.MEDIA_TYPE.RTP || type === C.MEDIA_TYPE.WEBRTC) {
-          this.setOutputBandwidth(mediaElement, 300, 1500);
-          this.setInputBandwidth(mediaElement, 300, 1500);
+          // Subscribers may ask for less than the default through the maxBitrate hint
+          const { min, max } = this._getOutputBandwidth(options.maxBitrate);
+          this.setOutputBandwidth(mediaElement, min, max);
+          this.setInputBandwidth(mediaElement, DEFAULT_MIN_BANDWIDTH, DEFAULT_MAX_BANDWIDTH);
 
           const rembParams = options.kurentoRembParams || KURENTO_REMB_PARAMS;
           if (rembParams) {
@@ -845,7 +886,9 @@ module.exports = class Kurento extends EventEmitter {
         if (mediaElement == null) {
           return reject(this._handleError(ERRORS[40101].error));
         }
+        const startTime = Util.hrTime();
         mediaElement.gatherCandidates((error) => {
+          observeOperationDuration(this.name, 'gatherCandidates', startTime);
           if (error) {
             return reject(this._handleError(error));
           }
@@ -877,6 +920,30 @@ module.exports = class Kurento extends EventEmitter {
     }
   }
 
+  /**
+   * Caps the video bandwidth KMS sends to an endpoint. It's what the REMB
+   * estimations from the remote end are bounded to.
+   * @param {String} elementId
+   * @param {Number} maxBitrate Cap in bps. Falsy values restore the default
+   */
+  setMaxOutputBitrate (elementId, maxBitrate) {
+    const mediaElement = this.getMediaElement(elementId);
+    const { min, max } = this._getOutputBandwidth(maxBitrate);
+
+    this.setOutputBandwidth(mediaElement, min, max);
+    Logger.debug(LOG_PREFIX, `Output bandwidth of ${elementId} set`,
+      { elementId, minBandwidth: min, maxBandwidth: max });
+  }
+
+  _getOutputBandwidth (maxBitrate) {
+    if (!maxBitrate) {
+      return { min: DEFAULT_MIN_BANDWIDTH, max: DEFAULT_MAX_BANDWIDTH };
+    }
+
+    const max = Math.max(Math.round(maxBitrate / 1000), 1);
+    return { min: Math.min(DEFAULT_MIN_BANDWIDTH, max), max };
+  }
+
   setOutputBitrate (element, bitrate) {
     if (element) {
       element.setOutputBitrate(bitrate);
@@ -902,7 +969,9 @@ module.exports = class Kurento extends EventEmitter {
 
           Logger.trace(LOG_PREFIX, `Processing ${elementId} offer`, { offer: sdpOffer });
 
+          const startTime = Util.hrTime();
           mediaElement.processOffer(sdpOffer, (error, answer) => {
+            observeOperationDuration(this.name, 'processOffer', startTime);
             if (error) {
               return reject(this._handleError(error));
             }
@@ -1063,6 +1132,88 @@ module.exports = class Kurento extends EventEmitter {
     });
   }
 
+  getStats (elementId) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const mediaElement = this.getMediaElement(elementId);
+
+        if (mediaElement == null) {
+          return reject(this._handleError(ERRORS[40101].error));
+        }
+
+        if (typeof mediaElement.getStats !== 'function') {
+          throw this._handleError({
+            ...C.ERROR.MEDIA_INVALID_OPERATION,
+            details: "KURENTO_GET_STATS_NOT_IMPLEMENTED"
+          });
+        }
+
+        const stats = ADPUtils.buildMediaStats();
+        const [audioStats, videoStats] = await Promise.all([
+          this._getElementStats(mediaElement, 'AUDIO'),
+          this._getElementStats(mediaElement, 'VIDEO'),
+        ]);
+
+        this._normalizeRtpStats(audioStats, 'audio', stats);
+        this._normalizeRtpStats(videoStats, 'video', stats);
+
+        return resolve(stats);
+      } catch (error) {
+        return reject(this._handleError(error));
+      }
+    });
+  }
+
+  _getElementStats (mediaElement, mediaType) {
+    return new Promise((resolve, reject) => {
+      mediaElement.getStats(mediaType, (error, stats) => {
+        if (error) {
+          return reject(error);
+        }
+
+        return resolve(stats || {});
+      });
+    });
+  }
+
+  // KMS reports jitter and roundTripTime in seconds, which is what we expose.
+  // Non-RTP entries (element, endpoint, candidate pair...) are discarded
+  _normalizeRtpStats (rawStats, mediaType, stats) {
+    Object.keys(rawStats).forEach(statsId => {
+      const report = rawStats[statsId];
+
+      switch (report.type) {
+        case 'inboundrtp':
+          stats.inbound[mediaType].push({
+            ssrc: report.ssrc,
+            packetsReceived: report.packetsReceived,
+            bytesReceived: report.bytesReceived,
+            packetsLost: report.packetsLost,
+            fractionLost: report.fractionLost,
+            jitter: report.jitter,
+            nackCount: report.nackCount,
+            pliCount: report.pliCount,
+            firCount: report.firCount,
+          });
+          break;
+        case 'outboundrtp':
+          stats.outbound[mediaType].push({
+            ssrc: report.ssrc,
+            packetsSent: report.packetsSent,
+            bytesSent: report.bytesSent,
+            roundTripTime: report.roundTripTime,
+            targetBitrate: report.targetBitrate,
+            nackCount: report.nackCount,
+            pliCount: report.pliCount,
+            firCount: report.firCount,
+          });
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
   trackMediaState (elementId, type) {
     switch (type) {
       case C.MEDIA_TYPE.URI:
@@ -644,6 +644,18 @@ module.exports = class TaintedLoopbackAdapter extends EventEmitter {
     });
   }
 
+  getStats (elementId) {
+    return new Promise((resolve, reject) => {
+      try {
+        const mediaElement = this.getMediaElement(elementId);
+        // Nothing actually flows through loopback elements
+        return resolve(ADPUtils.buildMediaStats());
+      } catch (error) {
+        return reject(this._handleError(error));
+      }
+    });
+  }
+
   trackMediaState (elementId, type) {
     switch (type) {
       case C.MEDIA_TYPE.URI:
@@ -0,0 +1,1073 @@
+/**
+ * @classdesc
+ * In-process mock media server adapter. It negotiates valid SDP answers,
+ * trickles ICE candidates and plays scripted media state sequences on timers
+ * without any real media server behind it. Everything it generates (element
+ * IDs, ports, ICE credentials, SSRCs) is derived from counters so that runs
+ * are reproducible.
+ *
+ * Its hosts are registered in the Balancer, so balancing and host outages
+ * (see simulateHostOffline/simulateHostOnline) behave as they would with KMS.
+ * It is meant to replace the Kurento adapter in media-server-adapters, not to
+ * run alongside it.
+ */
+
+'use strict'
+
+const config = require('config');
+const crypto = require('crypto');
+const transform = require('sdp-transform');
+const EventEmitter = require('events').EventEmitter;
+const C = require('../../constants/constants.js');
+const Logger = require('../../utils/logger');
+const Util = require('../../utils/util');
+const ADPUtils = require('../adapter-utils.js');
+const SdpWrapper = require('../../utils/sdp-wrapper');
+const SDPMedia = require('../../model/sdp-media');
+const RecordingMedia = require('../../model/recording-media');
+
+const LOG_PREFIX = "[mcs-mock-adapter]";
+const {
+  hosts: MOCK_HOSTS = [{ ip: '198.51.100.13' }],
+  script: CONFIGURED_SCRIPTS = {},
+  candidateInterval: CANDIDATE_INTERVAL = 10,
+  outages: OUTAGES = [],
+} = config.has('mockMediaServer') ? config.get('mockMediaServer') : {};
+const BASE_PORT = 40000;
+// Fixed values reported by getStats
+const MOCK_PACKETS_PER_REQUEST = 1000;
+const MOCK_PACKET_SIZE = { audio: 100, video: 1000 };
+const MOCK_TARGET_BITRATE = { audio: 32000, video: 300000 };
+const MOCK_JITTER = 0.005;
+const MOCK_ROUND_TRIP_TIME = 0.05;
+const ANSWER_DIRECTION = {
+  sendrecv: 'sendrecv',
+  sendonly: 'recvonly',
+  recvonly: 'sendonly',
+  inactive: 'inactive',
+};
+
+// Media state sequences played once an element is negotiated. Delays are in ms
+// and relative to the end of the negotiation
+const DEFAULT_SCRIPTS = {
+  [C.MEDIA_TYPE.WEBRTC]: [
+    { event: C.EVENT.MEDIA_STATE.ICE_STATE_CHANGE, state: 'CONNECTING', delay: 50 },
+    { event: C.EVENT.MEDIA_STATE.ICE_STATE_CHANGE, state: 'CONNECTED', delay: 100 },
+    { event: C.EVENT.MEDIA_STATE.ICE_CANDIDATE_PAIR_SELECTED, delay: 100 },
+    { event: C.EVENT.MEDIA_STATE.ICE_STATE_CHANGE, state: 'READY', delay: 150 },
+    { event: C.EVENT.MEDIA_STATE.CHANGED, state: 'CONNECTED', delay: 150 },
+    { event: C.EVENT.MEDIA_STATE.FLOW_IN, state: 'FLOWING', delay: 200 },
+    { event: C.EVENT.MEDIA_STATE.FLOW_OUT, state: 'FLOWING', delay: 200 },
+  ],
+  [C.MEDIA_TYPE.RTP]: [
+    { event: C.EVENT.MEDIA_STATE.CHANGED, state: 'CONNECTED', delay: 50 },
+    { event: C.EVENT.MEDIA_STATE.FLOW_IN, state: 'FLOWING', delay: 100 },
+    { event: C.EVENT.MEDIA_STATE.FLOW_OUT, state: 'FLOWING', delay: 100 },
+  ],
+  [C.MEDIA_TYPE.RECORDING]: [
+    { event: C.EVENT.RECORDING.STARTED, delay: 50 },
+    { event: C.EVENT.MEDIA_STATE.FLOW_IN, state: 'FLOWING', delay: 100 },
+  ],
+  [C.MEDIA_TYPE.DIAL_OUT]: [
+    { event: C.EVENT.DIAL_OUT.RINGING, delay: 20 },
+    { event: C.EVENT.DIAL_OUT.ANSWERED, delay: 50 },
+  ],
+};
+
+let instance = null;
+
+module.exports = class MockAdapter extends EventEmitter {
+  constructor(name, balancer) {
+    if (!instance){
+      super();
+      this.name = name;
+      this.balancer = balancer;
+      this._mediaElements = {};
+      this._elementCounter = 0;
+      // Connections between elements on different hosts, as { roomId, sourceId, hostId }
+      this._transposers = [];
+      // Conference members which don't belong to any element, per room
+      this._ghostMembers = {};
+      this._scripts = { ...DEFAULT_SCRIPTS, ...CONFIGURED_SCRIPTS };
+      this.hosts = MOCK_HOSTS.map(this._createHost.bind(this));
+      this.hosts.forEach(host => this.balancer.addHost(host));
+      this.balancer.on(C.EVENT.MEDIA_SERVER_OFFLINE, this._destroyElementsFromHost.bind(this));
+      this._scheduleOutages(OUTAGES);
+
+      instance = this;
+    }
+
+    return instance;
+  }
+
+  _createHost ({
+    ip,
+    mediaType = C.MEDIA_PROFILE.ALL,
+    ipClassMappings,
+    weight = 1,
+    capacity,
+    roomAffinityThreshold,
+  }, index) {
+    return {
+      id: `mock-host-${index}`,
+      url: `mock://${ip}`,
+      ip,
+      medias: {
+        [C.MEDIA_PROFILE.MAIN]: 0,
+        [C.MEDIA_PROFILE.CONTENT]: 0,
+        [C.MEDIA_PROFILE.AUDIO]: 0,
+      },
+      options: {},
+      ipClassMappings: ipClassMappings || { public: ip },
+      mediaType,
+      weight,
+      capacity,
+      roomAffinityThreshold,
+      client: null,
+    };
+  }
+
+  /**
+   * Replace the media state sequence played for a media type
+   * @param {String} type C.MEDIA_TYPE.WEBRTC|RTP|RECORDING
+   * @param {Array} steps List of { event, state, delay }
+   */
+  setScript (type, steps = []) {
+    this._scripts[type] = steps;
+  }
+
+  resetScripts () {
+    this._scripts = { ...DEFAULT_SCRIPTS, ...CONFIGURED_SCRIPTS };
+  }
+
+  /**
+   * Take a host down the same way a KMS disconnection does: it leaves the
+   * Balancer's pool and MEDIA_SERVER_OFFLINE is fired for it.
+   * @param {String} hostId
+   * @param {Number} downtime If set, bring it back online after downtime ms
+   */
+  simulateHostOffline (hostId, downtime) {
+    const host = this.hosts.find(h => h.id === hostId);
+
+    if (host == null) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `Mock host ${hostId} not found`,
+      });
+    }
+
+    Logger.warn(LOG_PREFIX, 'Simulating media server disconnection', { hostId });
+    this.balancer.removeHost(hostId);
+    this.balancer.emit(C.EVENT.MEDIA_SERVER_OFFLINE, hostId);
+
+    if (typeof downtime === 'number') {
+      setTimeout(() => {
+        this.simulateHostOnline(hostId);
+      }, downtime);
+    }
+  }
+
+  simulateHostOnline (hostId) {
+    const host = this.hosts.find(h => h.id === hostId);
+
+    if (host == null) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `Mock host ${hostId} not found`,
+      });
+    }
+
+    Logger.warn(LOG_PREFIX, 'Simulating media server reconnection', { hostId });
+    host.medias[C.MEDIA_PROFILE.MAIN] = 0;
+    host.medias[C.MEDIA_PROFILE.CONTENT] = 0;
+    host.medias[C.MEDIA_PROFILE.AUDIO] = 0;
+    this.balancer.addHost(host);
+    this.balancer.emit(C.EVENT.MEDIA_SERVER_ONLINE, hostId);
+  }
+
+  _scheduleOutages (outages) {
+    outages.forEach(({ host = 0, after = 0, downtime }) => {
+      const target = this.hosts[host];
+      if (target) {
+        setTimeout(() => {
+          this.simulateHostOffline(target.id, downtime);
+        }, after);
+      }
+    });
+  }
+
+  /**
+   * Fire START_TALKING or STOP_TALKING for an element as the audio
+   * adapters do
+   * @param {String} elementId
+   * @param {Boolean} talking
+   */
+  simulateTalking (elementId, talking = true) {
+    const event = talking ? C.EVENT.MEDIA_START_TALKING : C.EVENT.MEDIA_STOP_TALKING;
+    this.emit(event+elementId);
+  }
+
+  /**
+   * Hang up a dial-out element as if the callee did
+   * @param {String} elementId
+   * @param {String} hangupCause
+   */
+  simulateHangup (elementId, hangupCause = 'NORMAL_CLEARING') {
+    const mediaElement = this._getElementOrThrow(elementId);
+    this._clearScript(mediaElement);
+    this._emitMediaState(mediaElement, C.EVENT.DIAL_OUT.HANGUP, hangupCause);
+    this.emit(C.EVENT.MEDIA_DISCONNECTED+elementId);
+  }
+
+  /**
+   * Fire an inbound DTMF digit for an element as the audio adapters do
+   * @param {String} elementId
+   * @param {String} digit
+   */
+  simulateDTMF (elementId, digit) {
+    this.emit(C.EVENT.MEDIA_DTMF+elementId, digit);
+  }
+
+  /**
+   * Fire an energy threshold change for an element as the audio adapters do
+   * @param {String} elementId
+   * @param {Number} energyLevel
+   */
+  simulateEnergyLevel (elementId, energyLevel) {
+    this.emit(C.EVENT.MEDIA_ENERGY_LEVEL+elementId, energyLevel);
+  }
+
+  /**
+   * Add a member to a room's conference which isn't backed by any element,
+   * as a stale FreeSWITCH channel would be
+   * @param {String} roomId
+   * @param {Object} member Overrides for the member's fields
+   */
+  simulateGhostMember (roomId, member = {}) {
+    this._elementCounter++;
+    const ghost = this._buildConferenceMember(`mock-ghost-${this._elementCounter}`, member);
+    this._ghostMembers[roomId] = (this._ghostMembers[roomId] || []).concat(ghost);
+    return ghost;
+  }
+
+  clearGhostMembers () {
+    this._ghostMembers = {};
+  }
+
+  getMediaElement (elementId) {
+    return this._mediaElements[elementId];
+  }
+
+  _createElement (host, roomId, type) {
+    this._elementCounter++;
+    const index = this._elementCounter;
+    const mediaElement = {
+      id: `mock-element-${index}`,
+      index,
+      host,
+      roomId,
+      type,
+      negotiated: false,
+      localCandidates: [],
+      remoteCandidates: [],
+      streams: [],
+      simulcastRids: [],
+      simulcastLayer: null,
+      maxOutputBitrate: null,
+      statsRequests: 0,
+      trackedEvents: new Set(),
+      timers: [],
+    };
+
+    this._mediaElements[mediaElement.id] = mediaElement;
+    return mediaElement;
+  }
+
+  negotiate (roomId, userId, mediaSessionId, descriptor, type, options) {
+    try {
+      switch (type) {
+        case C.MEDIA_TYPE.RTP:
+          return this._negotiateSDPEndpoint(roomId, userId, mediaSessionId, descriptor, type, options);
+        case C.MEDIA_TYPE.WEBRTC:
+          return this._negotiateWebRTCEndpoint(roomId, userId, mediaSessionId, descriptor, type, options);
+        case C.MEDIA_TYPE.RECORDING:
+          return this._negotiateRecordingEndpoint(roomId, userId, mediaSessionId, descriptor, type, options);
+        case C.MEDIA_TYPE.DIAL_OUT:
+          return this._negotiateDialOut(roomId, userId, mediaSessionId, descriptor, type, options);
+        default:
+          throw this._handleError({
+            ...C.ERROR.MEDIA_INVALID_TYPE,
+            details: `Mock adapter does not support ${type}`,
+          });
+      }
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  _negotiateSDPEndpoint (roomId, userId, mediaSessionId, descriptor, type, options) {
+    Logger.debug(LOG_PREFIX, `Negotiating SDP endpoint`, { userId, roomId });
+    try {
+      const partialDescriptors = SdpWrapper.getPartialDescriptions(descriptor);
+      let medias = []
+      const negotiationProcedures = partialDescriptors.map((d, i) => {
+        return new Promise(async (resolve, reject) => {
+          try {
+            let mediaElement, host, answer;
+            const media = new SDPMedia(roomId, userId, mediaSessionId, d, null, type, this, null, null, options);
+            const mediaType = ADPUtils.parseMediaType(media);
+            ({ mediaElement, host } = await this.createMediaElement(roomId, type, { ...options, mediaType }));
+
+            media.adapterElementId = mediaElement;
+            media.host = host;
+            media.trackMedia();
+
+            if (d) {
+              answer = await this.processOffer(mediaElement, d, options);
+            } else {
+              answer = await this.generateOffer(mediaElement, { ...options, mediaType });
+            }
+
+            answer = ADPUtils.appendContentTypeIfNeeded(answer, mediaType);
+            media.localDescriptor = answer;
+            media.remoteDescriptor = d;
+            medias[i] = media;
+
+            resolve();
+          } catch (err) {
+            reject(this._handleError(err));
+          }
+        });
+      });
+
+      return Promise.all(negotiationProcedures).then(() => {
+        return medias;
+      });
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  async _negotiateWebRTCEndpoint (roomId, userId, mediaSessionId, descriptor, type, options) {
+    try {
+      const isTrickled = typeof options.trickle === 'undefined' || options.trickle;
+      options.trickle = isTrickled;
+      const medias = await this._negotiateSDPEndpoint(roomId, userId, mediaSessionId, descriptor, type, options);
+      if (isTrickled) {
+        medias.forEach(m => {
+          this.gatherCandidates(m.adapterElementId).catch(error => {
+            Logger.error(LOG_PREFIX, `Candidate gathering for media ${m.id} failed due to ${error.message}`,
+              { mediaId: m.id, adapterElementId: m.adapterElementId, errorMessage: error.message, errorCode: error.code });
+          });
+        });
+      }
+
+      return medias;
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  async _negotiateDialOut (roomId, userId, mediaSessionId, destination, type, options) {
+    try {
+      const mediaType = C.MEDIA_PROFILE.AUDIO;
+      const { mediaElement, host } = await this.createMediaElement(roomId, type, { ...options, mediaType });
+      const media = new SDPMedia(roomId, userId, mediaSessionId, null, null, type, this, mediaElement, host, options);
+      media.mediaTypes.audio = true;
+      media.trackMedia();
+      this._runScript(this.getMediaElement(mediaElement));
+      return [media];
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  async _negotiateRecordingEndpoint (roomId, userId, mediaSessionId, descriptor, type, options) {
+    try {
+      let mediaElement, host;
+      const media = new RecordingMedia(roomId, userId, mediaSessionId, descriptor, null, type, this, null, null, options);
+      const mediaType = ADPUtils.parseMediaType(media);
+      ({ mediaElement, host } = await this.createMediaElement(roomId, type, {...options, mediaType }));
+      const answer = await this.startRecording(mediaElement);
+      media.adapterElementId = mediaElement;
+      media.host = host;
+      media.localDescriptor = answer;
+      media.updateHostLoad();
+      media.trackMedia();
+      return [media];
+    } catch (err) {
+      throw(this._handleError(err));
+    }
+  }
+
+  async createMediaElement (roomId, type, options = {}) {
+    try {
+      const { mediaType } = options;
+      const host = await this.balancer.getHost(mediaType, {
+        roomHostIds: this.getRoomHostIds(roomId),
+      });
+      const mediaElement = this._createElement(host, roomId, type);
+      mediaElement.maxOutputBitrate = options.maxBitrate || null;
+      return { mediaElement: mediaElement.id, host };
+    } catch (err) {
+      throw (this._handleError(err));
+    }
+  }
+
+  async startRecording (sourceId) {
+    const source = this._getElementOrThrow(sourceId);
+    source.negotiated = true;
+    this._runScript(source);
+  }
+
+  async connect (sourceId, sinkId, type) {
+    const source = this._getElementOrThrow(sourceId);
+    const sink = this._getElementOrThrow(sinkId);
+
+    if (!Object.values(C.CONNECTION_TYPE).includes(type)) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Invalid connection type ${type}`,
+      });
+    }
+
+    // Mimics Kurento: a source is bridged once to each host it's connected to
+    if (source.host.id !== sink.host.id && !this._transposers.some(t =>
+      t.sourceId === source.id && t.hostId === sink.host.id)) {
+      this._transposers.push({ roomId: sink.roomId, sourceId: source.id, hostId: sink.host.id });
+    }
+
+    Logger.debug(LOG_PREFIX, "Adapter elements connected",
+      { sourceId: source.id, sinkId: sink.id, connectionType: type });
+  }
+
+  async selectSimulcastLayer (sourceId, sinkId, rid) {
+    const source = this._getElementOrThrow(sourceId);
+    const sink = this._getElementOrThrow(sinkId);
+
+    if (!source.simulcastRids.includes(rid)) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `${source.id} does not send simulcast layer ${rid}`,
+      });
+    }
+
+    sink.simulcastLayer = rid;
+
+    Logger.debug(LOG_PREFIX, "Simulcast layer selected",
+      { sourceId: source.id, sinkId: sink.id, rid });
+  }
+
+  getRoomHostIds (roomId) {
+    const hostIds = Object.values(this._mediaElements)
+      .filter(mediaElement => mediaElement.roomId === roomId)
+      .map(mediaElement => mediaElement.host.id);
+
+    return [...new Set(hostIds)];
+  }
+
+  getTransposedElementsByRoom () {
+    return this._transposers.reduce((transposedByRoom, { roomId }) => {
+      transposedByRoom[roomId] = (transposedByRoom[roomId] || 0) + 1;
+      return transposedByRoom;
+    }, {});
+  }
+
+  async disconnect (sourceId, sinkId, type) {
+    const source = this._getElementOrThrow(sourceId);
+    const sink = this._getElementOrThrow(sinkId);
+
+    Logger.debug(LOG_PREFIX, "Adapter elements disconnected",
+      { sourceId: source.id, sinkId: sink.id, connectionType: type });
+  }
+
+  async stop (room, type, elementId) {
+    Logger.info(LOG_PREFIX, `Releasing endpoint`, { elementId, roomId: room });
+    const mediaElement = this.getMediaElement(elementId);
+
+    this._removeElementEventListeners(elementId);
+
+    if (mediaElement) {
+      this._clearScript(mediaElement);
+      delete this._mediaElements[elementId];
+      // Bridges go away with their source or with the last room element on the sink host
+      this._transposers = this._transposers.filter(({ roomId, sourceId, hostId }) =>
+        sourceId !== elementId && this.getRoomHostIds(roomId).includes(hostId));
+    } else {
+      Logger.warn(LOG_PREFIX, `Media element not found on stop`, { elementId });
+    }
+  }
+
+  async addIceCandidate (elementId, candidate) {
+    const mediaElement = this._getElementOrThrow(elementId);
+
+    if (candidate && ADPUtils.ismDNSCandidate(candidate.candidate)) {
+      Logger.trace(LOG_PREFIX, "Ignoring a mDNS obfuscated candidate", candidate.candidate);
+      return;
+    }
+
+    mediaElement.remoteCandidates.push(candidate);
+  }
+
+  async gatherCandidates (elementId) {
+    const mediaElement = this._getElementOrThrow(elementId);
+
+    mediaElement.localCandidates.forEach((candidate, i) => {
+      this._schedule(mediaElement, CANDIDATE_INTERVAL * (i + 1), () => {
+        this._emitIceCandidate(mediaElement, candidate);
+      });
+    });
+
+    this._schedule(mediaElement, CANDIDATE_INTERVAL * (mediaElement.localCandidates.length + 1), () => {
+      this._emitMediaState(mediaElement, C.EVENT.MEDIA_STATE.ICE_GATHERING_DONE);
+    });
+
+    Logger.debug(LOG_PREFIX, `Triggered ICE gathering for ${elementId}`);
+  }
+
+  setInputBandwidth (element, min, max) {
+    this._getElementOrThrow(element);
+  }
+
+  setOutputBandwidth (element, min, max) {
+    this._getElementOrThrow(element);
+  }
+
+  setOutputBitrate (element, bitrate) {
+    this._getElementOrThrow(element);
+  }
+
+  setMaxOutputBitrate (elementId, maxBitrate) {
+    const mediaElement = this._getElementOrThrow(elementId);
+    mediaElement.maxOutputBitrate = maxBitrate || null;
+  }
+
+  async processOffer (elementId, sdpOffer, params = {}) {
+    const { replaceIp, trickle } = params;
+    const mediaElement = this._getElementOrThrow(elementId);
+
+    if (mediaElement.negotiated) {
+      Logger.warn(LOG_PREFIX, `Element ${elementId} was already negotiated, ignoring processOffer`);
+      return;
+    }
+
+    Logger.trace(LOG_PREFIX, `Processing ${elementId} offer`, { offer: sdpOffer });
+
+    let answer;
+    try {
+      answer = this._buildAnswer(mediaElement, sdpOffer, trickle);
+    } catch (error) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_PROCESS_OFFER_FAILED,
+        details: error.message,
+      });
+    }
+
+    if (replaceIp) {
+      answer = answer.replace(/(IP4\s[0-9.]*)/g, 'IP4 ' + mediaElement.host.ip);
+    }
+
+    mediaElement.negotiated = true;
+    this._runScript(mediaElement);
+
+    return answer;
+  }
+
+  async processAnswer (elementId, answer) {
+    const mediaElement = this._getElementOrThrow(elementId);
+
+    if (mediaElement.negotiated) {
+      Logger.warn(LOG_PREFIX, `Element ${elementId} was already negotiated, ignoring processAnswer`);
+      return;
+    }
+
+    try {
+      transform.parse(answer).media.forEach(m => {
+        if (m.port == null) throw new Error('Invalid media description');
+      });
+    } catch (error) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_PROCESS_ANSWER_FAILED,
+        details: error.message,
+      });
+    }
+
+    Logger.trace(LOG_PREFIX, `Processing ${elementId} answer`, { answer });
+    mediaElement.negotiated = true;
+    this._runScript(mediaElement);
+  }
+
+  async generateOffer (elementId, options = {}) {
+    const mediaElement = this._getElementOrThrow(elementId);
+    const { profiles = {}, mediaType } = options;
+    const wantsVideo = profiles.video || profiles.content
+      || mediaType === C.MEDIA_PROFILE.MAIN
+      || mediaType === C.MEDIA_PROFILE.CONTENT
+      || mediaType === C.MEDIA_PROFILE.ALL;
+    const wantsAudio = profiles.audio
+      || mediaType === C.MEDIA_PROFILE.AUDIO
+      || mediaType === C.MEDIA_PROFILE.ALL;
+    const media = [];
+
+    if (wantsAudio) {
+      media.push({
+        type: 'audio',
+        protocol: 'RTP/AVP',
+        rtp: [
+          { payload: 111, codec: 'opus', rate: 48000, encoding: 2 },
+          { payload: 0, codec: 'PCMU', rate: 8000 },
+        ],
+        fmtp: [{ payload: 111, config: 'minptime=10;useinbandfec=1' }],
+      });
+    }
+
+    if (wantsVideo) {
+      media.push({
+        type: 'video',
+        protocol: 'RTP/AVP',
+        rtp: [
+          { payload: 96, codec: 'VP8', rate: 90000 },
+          { payload: 97, codec: 'H264', rate: 90000 },
+        ],
+        fmtp: [{ payload: 97, config: 'level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f' }],
+      });
+    }
+
+    mediaElement.streams = media.map((m, i) => ({ kind: m.type, direction: 'sendrecv', mLineIndex: i }));
+
+    const offer = transform.write({
+      ...this._buildSessionHeader(mediaElement),
+      media: media.map((m, i) => ({
+        ...m,
+        port: this._getPort(mediaElement, i),
+        payloads: m.rtp.map(r => r.payload).join(' '),
+        direction: 'sendrecv',
+        ssrcs: this._buildSsrcs(mediaElement, i),
+      })),
+    });
+
+    Logger.trace(LOG_PREFIX, `Generated offer for ${elementId}`, { offer });
+    return offer;
+  }
+
+  async requestKeyframe (elementId) {
+    this._getElementOrThrow(elementId);
+  }
+
+  /**
+   * Stats grow linearly with the number of getStats calls so that consumers
+   * computing rates from consecutive samples get stable, non-zero values
+   */
+  async getStats (elementId) {
+    const mediaElement = this._getElementOrThrow(elementId);
+    const stats = ADPUtils.buildMediaStats();
+
+    mediaElement.statsRequests++;
+    mediaElement.streams.forEach(({ kind, direction, mLineIndex }) => {
+      if (stats.inbound[kind] == null) return;
+
+      const [{ id: ssrc }] = this._buildSsrcs(mediaElement, mLineIndex);
+      const packets = MOCK_PACKETS_PER_REQUEST * mediaElement.statsRequests;
+      const bytes = packets * MOCK_PACKET_SIZE[kind];
+
+      if (direction === 'recvonly' || direction === 'sendrecv') {
+        stats.inbound[kind].push({
+          ssrc,
+          packetsReceived: packets,
+          bytesReceived: bytes,
+          packetsLost: 0,
+          fractionLost: 0,
+          jitter: MOCK_JITTER,
+          nackCount: 0,
+          pliCount: 0,
+          firCount: 0,
+        });
+      }
+
+      if (direction === 'sendonly' || direction === 'sendrecv') {
+        stats.outbound[kind].push({
+          ssrc,
+          packetsSent: packets,
+          bytesSent: bytes,
+          roundTripTime: MOCK_ROUND_TRIP_TIME,
+          targetBitrate: MOCK_TARGET_BITRATE[kind],
+          nackCount: 0,
+          pliCount: 0,
+          firCount: 0,
+        });
+      }
+    });
+
+    return stats;
+  }
+
+  async dtmf (elementId, tone) {
+    this._getElementOrThrow(elementId);
+    return tone;
+  }
+
+  async setVolume (elementId, volume, direction = C.VOLUME_DIRECTION.INPUT) {
+    const mediaElement = this._getElementOrThrow(elementId);
+
+    if (direction === C.VOLUME_DIRECTION.OUTPUT) {
+      mediaElement.outputVolume = volume;
+      return;
+    }
+
+    this.emit(C.EVENT.MEDIA_VOLUME_CHANGED+elementId, volume);
+  }
+
+  async deaf (elementId) {
+    this._getElementOrThrow(elementId).deaf = true;
+  }
+
+  async undeaf (elementId) {
+    this._getElementOrThrow(elementId).deaf = false;
+  }
+
+  async hold (elementId) {
+    this._getElementOrThrow(elementId).held = true;
+  }
+
+  async unhold (elementId) {
+    this._getElementOrThrow(elementId).held = false;
+  }
+
+  // Kicked members are hung up, which media.js handles as a disconnection
+  async kick (elementId) {
+    this._getElementOrThrow(elementId);
+    this.emit(C.EVENT.MEDIA_DISCONNECTED+elementId);
+  }
+
+  async getConferenceMembers (roomId) {
+    const elementMembers = Object.values(this._mediaElements)
+      .filter(mediaElement => mediaElement.roomId === roomId
+        && mediaElement.type !== C.MEDIA_TYPE.RECORDING)
+      .map(({ id, index, deaf, held, outputVolume }) => this._buildConferenceMember(id, {
+        memberId: `${index}`,
+        adapterElementId: id,
+        deaf: !!deaf,
+        hold: !!held,
+        volumeOut: outputVolume === undefined ? 50 : outputVolume,
+      }));
+
+    return elementMembers.concat(this._ghostMembers[roomId] || []);
+  }
+
+  _buildConferenceMember (channelId, member = {}) {
+    return {
+      memberId: `${this._elementCounter}`,
+      channelName: `mock/${channelId}`,
+      channelId,
+      callerIdName: channelId,
+      callerIdNumber: channelId,
+      muted: false,
+      deaf: false,
+      talking: false,
+      video: false,
+      floor: false,
+      moderator: false,
+      hold: false,
+      volumeIn: 50,
+      volumeOut: 50,
+      energyLevel: 100,
+      adapterElementId: null,
+      ...member,
+    };
+  }
+
+  async mute (elementId) {
+    this._getElementOrThrow(elementId);
+    this.emit(C.EVENT.MEDIA_MUTED+elementId);
+  }
+
+  async unmute (elementId) {
+    this._getElementOrThrow(elementId);
+    this.emit(C.EVENT.MEDIA_UNMUTED+elementId);
+  }
+
+  trackMediaState (elementId, type) {
+    const mediaElement = this.getMediaElement(elementId);
+
+    if (mediaElement == null) return;
+
+    const tracked = [
+      C.EVENT.MEDIA_STATE.CHANGED,
+      C.EVENT.MEDIA_STATE.FLOW_IN,
+      C.EVENT.MEDIA_STATE.FLOW_OUT,
+    ];
+
+    switch (type) {
+      case C.MEDIA_TYPE.WEBRTC:
+        tracked.push(
+          C.EVENT.MEDIA_STATE.ICE,
+          C.EVENT.MEDIA_STATE.ICE_GATHERING_DONE,
+          C.EVENT.MEDIA_STATE.ICE_STATE_CHANGE,
+          C.EVENT.MEDIA_STATE.ICE_CANDIDATE_PAIR_SELECTED,
+        );
+        break;
+      case C.MEDIA_TYPE.DIAL_OUT:
+        tracked.push(
+          C.EVENT.DIAL_OUT.RINGING,
+          C.EVENT.DIAL_OUT.ANSWERED,
+          C.EVENT.DIAL_OUT.HANGUP,
+        );
+        break;
+      case C.MEDIA_TYPE.RECORDING:
+        tracked.push(
+          C.EVENT.RECORDING.STOPPED,
+          C.EVENT.RECORDING.PAUSED,
+          C.EVENT.RECORDING.STARTED,
+        );
+        break;
+      default:
+        break;
+    }
+
+    tracked.forEach(e => mediaElement.trackedEvents.add(e));
+  }
+
+  _getElementOrThrow (elementId) {
+    const mediaElement = this.getMediaElement(elementId);
+
+    if (mediaElement == null) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `Mock element ${elementId} not found`,
+      });
+    }
+
+    return mediaElement;
+  }
+
+  _getPort (mediaElement, mLineIndex) {
+    return BASE_PORT + (mediaElement.index * 10) + (mLineIndex * 2);
+  }
+
+  _buildSessionHeader (mediaElement) {
+    return {
+      version: 0,
+      origin: {
+        username: 'mcs-mock',
+        sessionId: 1000 + mediaElement.index,
+        sessionVersion: 0,
+        netType: 'IN',
+        ipVer: 4,
+        address: mediaElement.host.ip,
+      },
+      name: 'mcs-mock',
+      timing: { start: 0, stop: 0 },
+      connection: { version: 4, ip: mediaElement.host.ip },
+    };
+  }
+
+  _buildSsrcs (mediaElement, mLineIndex) {
+    return [{
+      id: (mediaElement.index * 100) + mLineIndex + 1,
+      attribute: 'cname',
+      value: `mcs-mock-${mediaElement.index}`,
+    }];
+  }
+
+  _getFingerprint (mediaElement) {
+    const hash = crypto.createHash('sha256').update(mediaElement.host.id).digest('hex');
+    return hash.toUpperCase().match(/.{2}/g).join(':');
+  }
+
+  _getIceCredentials (mediaElement) {
+    const seed = crypto.createHash('sha256').update(mediaElement.id).digest('hex');
+    return { iceUfrag: seed.slice(0, 8), icePwd: seed.slice(8, 32) };
+  }
+
+  _buildAnswer (mediaElement, sdpOffer, trickle) {
+    const offer = transform.parse(sdpOffer);
+    const { iceUfrag, icePwd } = this._getIceCredentials(mediaElement);
+    const fingerprint = { type: 'sha-256', hash: this._getFingerprint(mediaElement) };
+    const isICE = offer.media.some(m => m.iceUfrag) || !!offer.iceUfrag;
+    const isDTLS = offer.media.some(m => m.fingerprint) || !!offer.fingerprint;
+
+    mediaElement.localCandidates = [];
+    mediaElement.streams = [];
+    mediaElement.simulcastRids = [];
+
+    const media = offer.media.map((m, i) => {
+      const direction = ANSWER_DIRECTION[m.direction || offer.direction || 'sendrecv'];
+      const rejected = m.port === 0;
+      const port = rejected ? 0 : this._getPort(mediaElement, i);
+
+      if (!rejected) {
+        mediaElement.streams.push({ kind: m.type, direction, mLineIndex: i });
+      }
+      const answerMedia = {
+        type: m.type,
+        port,
+        protocol: m.protocol,
+        payloads: m.payloads,
+        connection: { version: 4, ip: mediaElement.host.ip },
+        rtp: m.rtp,
+        fmtp: m.fmtp,
+        rtcpFb: m.rtcpFb,
+        mid: m.mid,
+        direction,
+        rtcpMux: m.rtcpMux,
+      };
+
+      if (isICE && !rejected) {
+        const candidate = {
+          foundation: 1,
+          component: 1,
+          transport: 'UDP',
+          priority: 2015363327,
+          ip: mediaElement.host.ip,
+          port,
+          type: 'host',
+        };
+
+        answerMedia.iceUfrag = iceUfrag;
+        answerMedia.icePwd = icePwd;
+        mediaElement.localCandidates.push({
+          candidate: `candidate:1 1 UDP 2015363327 ${mediaElement.host.ip} ${port} typ host`,
+          sdpMid: m.mid != null ? `${m.mid}` : `${i}`,
+          sdpMLineIndex: i,
+        });
+
+        if (!trickle) {
+          answerMedia.candidates = [candidate];
+          answerMedia.endOfCandidates = 'end-of-candidates';
+        }
+      }
+
+      if (isDTLS) {
+        answerMedia.fingerprint = fingerprint;
+        answerMedia.setup = (m.setup || offer.setup) === 'active' ? 'passive' : 'active';
+      }
+
+      if (direction === 'sendrecv' || direction === 'sendonly') {
+        answerMedia.ssrcs = this._buildSsrcs(mediaElement, i);
+      }
+
+      // Accepts every offered layer
+      if (SdpWrapper.isSimulcast(m) && !rejected) {
+        const rids = m.rids.filter(r => r.direction === 'send').map(r => `${r.id}`);
+        mediaElement.simulcastRids = rids;
+        answerMedia.rids = rids.map(id => ({ id, direction: 'recv' }));
+        answerMedia.simulcast = { dir1: 'recv', list1: rids.join(';') };
+      }
+
+      return answerMedia;
+    });
+
+    return transform.write({
+      ...this._buildSessionHeader(mediaElement),
+      groups: offer.groups,
+      msidSemantic: offer.msidSemantic,
+      media,
+    });
+  }
+
+  _schedule (mediaElement, delay, callback) {
+    const timer = setTimeout(() => {
+      mediaElement.timers = mediaElement.timers.filter(t => t !== timer);
+      callback();
+    }, delay);
+    mediaElement.timers.push(timer);
+  }
+
+  _clearScript (mediaElement) {
+    mediaElement.timers.forEach(clearTimeout);
+    mediaElement.timers = [];
+  }
+
+  _runScript (mediaElement) {
+    const steps = this._scripts[mediaElement.type] || [];
+
+    steps.forEach(({ event, state, delay = 0 }) => {
+      this._schedule(mediaElement, delay, () => {
+        this._emitMediaState(mediaElement, event, state);
+      });
+    });
+  }
+
+  _buildRawEvent (mediaElement, eventTag, state) {
+    const source = mediaElement.id;
+
+    switch (eventTag) {
+      case C.EVENT.MEDIA_STATE.ICE_STATE_CHANGE:
+        return { source, state, componentId: 1, streamId: 1 };
+      case C.EVENT.MEDIA_STATE.ICE_CANDIDATE_PAIR_SELECTED:
+        return {
+          source,
+          candidatePair: {
+            localCandidate: (mediaElement.localCandidates[0] || {}).candidate,
+            remoteCandidate: (mediaElement.remoteCandidates[0] || {}).candidate,
+            componentID: 1,
+            streamID: 1,
+          },
+        };
+      case C.EVENT.MEDIA_STATE.CHANGED:
+        return { source, newState: state, oldState: 'DISCONNECTED' };
+      case C.EVENT.MEDIA_STATE.FLOW_IN:
+      case C.EVENT.MEDIA_STATE.FLOW_OUT:
+        return { source, state, mediaType: 'VIDEO' };
+      default:
+        return { source, state };
+    }
+  }
+
+  _emitMediaState (mediaElement, eventTag, state) {
+    if (!mediaElement.trackedEvents.has(eventTag)) return;
+
+    const rawEvent = this._buildRawEvent(mediaElement, eventTag, state);
+    const event = {
+      state: {
+        name: eventTag,
+        details: rawEvent.state || rawEvent.newState,
+      },
+      elementId: mediaElement.id,
+      timestampUTC: Date.now(),
+      timestampHR: Util.hrTime(),
+      rawEvent,
+    };
+
+    this.emit(C.EVENT.MEDIA_STATE.MEDIA_EVENT+mediaElement.id, event);
+  }
+
+  _emitIceCandidate (mediaElement, candidate) {
+    if (!mediaElement.trackedEvents.has(C.EVENT.MEDIA_STATE.ICE)) return;
+
+    const event = {
+      candidate,
+      elementId: mediaElement.id,
+      timestampUTC: Date.now(),
+      timestampHR: Util.hrTime(),
+      rawEvent: { candidate, source: mediaElement.id },
+    };
+
+    this.emit(C.EVENT.MEDIA_STATE.ICE+mediaElement.id, event);
+  }
+
+  _removeElementEventListeners (elementId) {
+    const eventsToRemove = C.EVENT.ADAPTER_EVENTS.map(p => `${p}${elementId}`);
+    Logger.trace(LOG_PREFIX, `Removing all event listeners for ${elementId}`);
+    eventsToRemove.forEach(e => {
+      this.removeAllListeners(e);
+    });
+  }
+
+  _destroyElementsFromHost (hostId) {
+    Object.keys(this._mediaElements).forEach(mek => {
+      const mediaElement = this._mediaElements[mek];
+      if (mediaElement.host.id === hostId) {
+        this._clearScript(mediaElement);
+        delete this._mediaElements[mek];
+      }
+    });
+
+    this._transposers = this._transposers.filter(transposer =>
+      transposer.hostId !== hostId && this._mediaElements[transposer.sourceId] != null);
+  }
+
+  _handleError (error) {
+    return Util.handleError(LOG_PREFIX, error);
+  }
+};
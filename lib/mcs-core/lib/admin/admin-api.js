@@ -0,0 +1,438 @@
+/**
+ * @classdesc
+ * Authenticated HTTP API for mcs-core introspection and administration. Exposes
+ * the controller's rooms, users, medias and floors as JSON and maps admin
+ * actions to controller methods. Every action is audit-logged
+ */
+
+'use strict'
+
+const crypto = require('crypto');
+const C = require('../constants/constants');
+const HTTPServer = require('../../../connection-manager/HttpServer.js');
+const Balancer = require('../media/balancer');
+const Logger = require('../utils/logger');
+const { handleError } = require('../utils/util');
+
+const LOG_PREFIX = '[mcs-admin-api]';
+const AUDIT_LOG_PREFIX = '[mcs-admin-audit]';
+
+const NOT_FOUND_ERRORS = [
+  C.ERROR.ROOM_NOT_FOUND.code,
+  C.ERROR.USER_NOT_FOUND.code,
+  C.ERROR.MEDIA_NOT_FOUND.code,
+  C.ERROR.MEDIA_SERVER_NOT_FOUND.code,
+];
+
+const BAD_REQUEST_ERRORS = [
+  C.ERROR.MEDIA_INVALID_OPERATION.code,
+];
+
+// Request bodies are small JSON objects; anything bigger is refused unread
+const MAX_BODY_SIZE = 64 * 1024;
+
+module.exports = class AdminAPI {
+  constructor (controller, host, port, options = {}) {
+    this.controller = controller;
+    this.host = host;
+    this.port = port;
+    this.path = options.path || '/admin';
+    this.token = options.token;
+    this.started = false;
+    this.routes = [];
+    this._registerReadRoutes();
+    this._registerActionRoutes();
+  }
+
+  start () {
+    if (!this.token) {
+      Logger.error(LOG_PREFIX, 'Admin API has no token configured, refusing to start it');
+      return Promise.resolve();
+    }
+
+    this.server = new HTTPServer(this.host, this.port, this.handleRequest.bind(this));
+    this.server.start();
+    this.started = true;
+
+    return new Promise(resolve => this.server.listen(resolve));
+  }
+
+  stop () {
+    if (!this.started) return Promise.resolve();
+
+    this.started = false;
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Registers a route handler. Route paths are relative to the API's base path;
+   * ":param" segments are captured and handed over to the handler
+   * @param {String} method The HTTP method
+   * @param {String} path The route path, eg /rooms/:roomId/users
+   * @param {Function} handler (params, body, request) => Object or Promise
+   */
+  addRoute (method, path, handler) {
+    const paramNames = [];
+    const pattern = path.replace(/:([a-zA-Z]+)/g, (match, paramName) => {
+      paramNames.push(paramName);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      method,
+      regex: new RegExp(`^${this.path}${pattern}/?$`),
+      paramNames,
+      handler,
+    });
+  }
+
+  _registerReadRoutes () {
+    this.addRoute('GET', '/rooms', () => this.getRooms());
+    this.addRoute('GET', '/rooms/:roomId', ({ roomId }) => this.getRoom(roomId));
+    this.addRoute('GET', '/rooms/:roomId/users', ({ roomId }) => this.controller.getUsers(roomId));
+    this.addRoute('GET', '/rooms/:roomId/medias', ({ roomId }) => this.getRoomMedias(roomId));
+    this.addRoute('GET', '/rooms/:roomId/floors', ({ roomId }) => this.getFloors(roomId));
+    this.addRoute('GET', '/users/:userId', ({ userId }) => this.getUser(userId));
+    this.addRoute('GET', '/users/:userId/medias', ({ userId }) => this.getUserMedias(userId));
+    this.addRoute('GET', '/medias/:mediaId', ({ mediaId }) => this.getMedia(mediaId));
+    this.addRoute('GET', '/medias/:mediaId/stats', ({ mediaId }) => this.controller.getMediaStats(mediaId));
+    this.addRoute('GET', '/hosts', () => Balancer.hosts.map(this._getHostDetails.bind(this)));
+    this.addRoute('GET', '/hosts/:hostId', ({ hostId }) => this.getHost(hostId));
+  }
+
+  _registerActionRoutes () {
+    this.addRoute('POST', '/users/:userId/eject', ({ userId }, body, request) =>
+      this._runAction('ejectUser', request, { userId }, () => this.ejectUser(userId))
+    );
+    this.addRoute('POST', '/medias/:mediaId/stop', ({ mediaId }, body, request) =>
+      this._runAction('stopMedia', request, { mediaId }, () => this.stopMedia(mediaId))
+    );
+    this.addRoute('POST', '/medias/:mediaId/keyframe', ({ mediaId }, body, request) =>
+      this._runAction('requestKeyframe', request, { mediaId }, () => this.requestKeyframe(mediaId))
+    );
+    this.addRoute('POST', '/rooms/:roomId/floors/conference/release', ({ roomId }, { preserve = true }, request) =>
+      this._runAction('releaseConferenceFloor', request, { roomId, preserve }, () =>
+        this.releaseConferenceFloor(roomId, preserve)
+      )
+    );
+    this.addRoute('POST', '/rooms/:roomId/floors/content/release', ({ roomId }, body, request) =>
+      this._runAction('releaseContentFloor', request, { roomId }, () => this.releaseContentFloor(roomId))
+    );
+    this.addRoute('POST', '/hosts', (params, hostConfig, request) =>
+      this._runAction('addHost', request, { url: hostConfig.url }, () => this.addHost(hostConfig))
+    );
+    this.addRoute('POST', '/hosts/:hostId/drain', ({ hostId }, body, request) =>
+      this._runAction('drainHost', request, { hostId }, () => this.setHostDraining(hostId, true))
+    );
+    this.addRoute('POST', '/hosts/:hostId/undrain', ({ hostId }, body, request) =>
+      this._runAction('undrainHost', request, { hostId }, () => this.setHostDraining(hostId, false))
+    );
+    this.addRoute('DELETE', '/hosts/:hostId', ({ hostId }, body, request) =>
+      this._runAction('removeHost', request, { hostId }, () => this.removeHost(hostId))
+    );
+  }
+
+  getRooms () {
+    return this.controller.getRooms().map(roomId => {
+      const room = this.controller.getRoom(roomId);
+      return {
+        roomId,
+        numberOfUsers: Object.keys(room.users).length,
+        numberOfMediaSessions: room.mediaSessions.length,
+        numberOfMedias: room.medias.length,
+      };
+    });
+  }
+
+  getRoom (roomId) {
+    return {
+      roomId,
+      users: this.controller.getUsers(roomId),
+      medias: this.getRoomMedias(roomId),
+      ...this.getFloors(roomId),
+    };
+  }
+
+  getRoomMedias (roomId) {
+    const room = this.controller.getRoom(roomId);
+    return room.mediaSessions.map(this._getMediaSessionDetails.bind(this));
+  }
+
+  getFloors (roomId) {
+    return {
+      conferenceFloor: this.controller.getConferenceFloor(roomId),
+      contentFloor: this.controller.getContentFloor(roomId),
+    };
+  }
+
+  getUser (userId) {
+    const { mediasList, ...userInfo } = this.controller.getUser(userId).getUserInfo();
+    return { ...userInfo, medias: this.getUserMedias(userId) };
+  }
+
+  getUserMedias (userId) {
+    const user = this.controller.getUser(userId);
+    return Object.keys(user.mediaSessions).map(mediaSessionId =>
+      this._getMediaSessionDetails(user.getMediaSession(mediaSessionId))
+    );
+  }
+
+  getMedia (mediaId) {
+    const media = this.controller.getMediaSession(mediaId);
+    // getMediaSession falls back to media units if there's no session with that ID
+    if (media.memberType === C.MEMBERS.MEDIA) {
+      return this._getMediaUnitDetails(media);
+    }
+
+    return this._getMediaSessionDetails(media);
+  }
+
+  getHost (hostId) {
+    return this._getHostDetails(Balancer.getHostById(hostId));
+  }
+
+  async addHost (hostConfig) {
+    const host = await Balancer.connectHost(hostConfig);
+    return this._getHostDetails(host);
+  }
+
+  setHostDraining (hostId, draining) {
+    return this._getHostDetails(Balancer.setHostDraining(hostId, draining));
+  }
+
+  // Hosts with streams are drained and removed once they're empty
+  removeHost (hostId) {
+    const host = Balancer.getHostById(hostId);
+    const removed = Balancer.retireHost(hostId);
+    return { ...this._getHostDetails(host), removed };
+  }
+
+  ejectUser (userId) {
+    const { id, roomId } = this.controller.getUser(userId);
+    this.controller.leave(roomId, id);
+    return { userId: id, roomId };
+  }
+
+  async stopMedia (mediaId) {
+    let mediaSession = this.controller.getMediaSession(mediaId);
+    // Media units are stopped through their parent session
+    if (mediaSession.memberType === C.MEMBERS.MEDIA) {
+      mediaSession = this.controller.getMediaSession(mediaSession.mediaSessionId);
+    }
+
+    const { id, userId, roomId } = mediaSession;
+    const isSubscriber = mediaSession.medias.some(({ subscribedTo }) => !!subscribedTo);
+
+    if (isSubscriber) {
+      await this.controller.unsubscribe(userId, id);
+    } else {
+      await this.controller.unpublish(userId, id);
+    }
+
+    return { mediaId: id, userId, roomId };
+  }
+
+  async requestKeyframe (mediaId) {
+    await this.controller.requestKeyframe(mediaId);
+    return { mediaId };
+  }
+
+  releaseConferenceFloor (roomId, preserve) {
+    this.controller.releaseConferenceFloor(roomId, preserve);
+    return this.controller.getConferenceFloor(roomId);
+  }
+
+  releaseContentFloor (roomId) {
+    this.controller.releaseContentFloor(roomId);
+    return this.controller.getContentFloor(roomId);
+  }
+
+  async _runAction (action, request, details, operation) {
+    const auditInfo = {
+      action,
+      ...details,
+      remoteAddress: request.socket.remoteAddress,
+      userAgent: request.headers['user-agent'],
+    };
+
+    try {
+      const result = await operation();
+      Logger.info(AUDIT_LOG_PREFIX, `Admin action ${action} succeeded`, auditInfo);
+      return result;
+    } catch (error) {
+      const normalizedError = this._handleError(error);
+      Logger.warn(AUDIT_LOG_PREFIX, `Admin action ${action} failed`, {
+        ...auditInfo, errorCode: normalizedError.code, errorMessage: normalizedError.message,
+      });
+      throw normalizedError;
+    }
+  }
+
+  _getMediaSessionDetails (mediaSession) {
+    return {
+      ...mediaSession.getMediaInfo(),
+      status: mediaSession._status,
+      medias: mediaSession.medias.map(this._getMediaUnitDetails.bind(this)),
+    };
+  }
+
+  _getMediaUnitDetails (media) {
+    return {
+      ...media.getMediaInfo(),
+      status: media.status,
+      adapter: media.adapter ? media.adapter.name : undefined,
+      hostId: media.host ? media.host.id : undefined,
+    };
+  }
+
+  _getHostDetails (host) {
+    return {
+      id: host.id,
+      url: host.url,
+      ip: host.ip,
+      mediaType: host.mediaType,
+      weight: host.weight,
+      capacity: host.capacity,
+      medias: host.medias,
+      load: Balancer.getHostLoad(host),
+      draining: !!host.draining,
+      retiring: !!host.retiring,
+      healthy: !host.unhealthy,
+    };
+  }
+
+  _isAuthorized (request) {
+    const { authorization = '' } = request.headers;
+    const [scheme, token = ''] = authorization.split(' ');
+
+    if (scheme !== 'Bearer') return false;
+
+    const expected = Buffer.from(this.token);
+    const received = Buffer.from(token);
+
+    return expected.length === received.length
+      && crypto.timingSafeEqual(expected, received);
+  }
+
+  _matchRoute (method, url) {
+    const [pathname] = url.split('?');
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (match) {
+        pathMatched = true;
+        if (route.method === method) {
+          const params = {};
+          route.paramNames.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+          });
+          return { route, params };
+        }
+      }
+    }
+
+    return { pathMatched };
+  }
+
+  _readBody (request) {
+    return new Promise((resolve, reject) => {
+      const tooLarge = new Error(`Request body exceeds ${MAX_BODY_SIZE} bytes`);
+      tooLarge.statusCode = 413;
+
+      if (parseInt(request.headers['content-length'], 10) > MAX_BODY_SIZE) {
+        return reject(tooLarge);
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          request.removeListener('data', onData);
+          return reject(tooLarge);
+        }
+        chunks.push(chunk);
+      };
+
+      request.on('data', onData);
+      request.on('end', () => {
+        if (size > MAX_BODY_SIZE) return;
+        try {
+          const body = Buffer.concat(chunks).toString();
+          const parsedBody = body ? JSON.parse(body) : {};
+          resolve(parsedBody && typeof parsedBody === 'object' ? parsedBody : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+      request.on('error', reject);
+    });
+  }
+
+  _sendJSON (response, statusCode, payload) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(payload));
+  }
+
+  _sendError (response, statusCode, { code, message, details }) {
+    this._sendJSON(response, statusCode, { error: { code, message, details } });
+  }
+
+  async handleRequest (request, response) {
+    if (!this._isAuthorized(request)) {
+      Logger.warn(LOG_PREFIX, 'Unauthorized admin request', {
+        method: request.method, url: request.url, remoteAddress: request.socket.remoteAddress,
+      });
+      response.setHeader('WWW-Authenticate', 'Bearer');
+      return this._sendError(response, 401, { code: 401, message: 'UNAUTHORIZED' });
+    }
+
+    const { route, params, pathMatched } = this._matchRoute(request.method, request.url);
+
+    if (route == null) {
+      if (pathMatched) {
+        return this._sendError(response, 405, { code: 405, message: 'METHOD_NOT_ALLOWED' });
+      }
+      return this._sendError(response, 404, { code: 404, message: 'NOT_FOUND' });
+    }
+
+    let body;
+
+    try {
+      body = request.method === 'GET' ? {} : await this._readBody(request);
+    } catch (error) {
+      if (error.statusCode === 413) {
+        // Drop the connection instead of draining whatever is left of the body
+        response.once('finish', () => request.destroy());
+        response.setHeader('Connection', 'close');
+        return this._sendError(response, 413, { code: 413, message: 'PAYLOAD_TOO_LARGE', details: error.message });
+      }
+      return this._sendError(response, 400, { code: 400, message: 'BAD_REQUEST', details: error.message });
+    }
+
+    try {
+      const payload = await route.handler(params, body, request);
+      return this._sendJSON(response, 200, payload);
+    } catch (error) {
+      const normalizedError = this._handleError(error);
+      const statusCode = this._getErrorStatusCode(normalizedError);
+      Logger.error(LOG_PREFIX, 'Admin request failed', {
+        method: request.method, url: request.url,
+        errorCode: normalizedError.code, errorMessage: normalizedError.message,
+      });
+      return this._sendError(response, statusCode, normalizedError);
+    }
+  }
+
+  _getErrorStatusCode ({ code }) {
+    if (NOT_FOUND_ERRORS.includes(code)) return 404;
+    if (BAD_REQUEST_ERRORS.includes(code)) return 400;
+    return 500;
+  }
+
+  _handleError (error) {
+    return handleError(LOG_PREFIX, error);
+  }
+}
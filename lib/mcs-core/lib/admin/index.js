@@ -0,0 +1,24 @@
+const config = require('config');
+const AdminAPI = require('./admin-api.js');
+const MediaController = require('../media/media-controller.js');
+
+const {
+  enabled: ADMIN_API_ENABLED,
+  host: ADMIN_API_HOST,
+  port: ADMIN_API_PORT,
+  path: ADMIN_API_PATH,
+  token: ADMIN_API_TOKEN,
+} = config.has('adminAPI')
+    ? config.get('adminAPI')
+    : { enabled: false };
+
+const MCSAdminAPI = new AdminAPI(new MediaController(), ADMIN_API_HOST, ADMIN_API_PORT, {
+  path: ADMIN_API_PATH,
+  token: ADMIN_API_TOKEN,
+});
+
+module.exports = {
+  ADMIN_API_ENABLED,
+  AdminAPI,
+  MCSAdminAPI,
+};
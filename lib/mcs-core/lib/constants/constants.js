@@ -28,6 +28,7 @@ exports.MEDIA_TYPE.WEBRTC = "WebRtcEndpoint"
 exports.MEDIA_TYPE.RTP = "RtpEndpoint"
 exports.MEDIA_TYPE.URI = "PlayerEndpoint"
 exports.MEDIA_TYPE.RECORDING = "RecorderEndpoint"
+exports.MEDIA_TYPE.DIAL_OUT = "DialOut"
 exports.MEDIA_TYPE.INTERNAL_UNSUPPORTED = "InternalUnsupportedMedia"
 
 exports.MEDIA_PROFILE = {}
@@ -44,6 +45,19 @@ exports.CONNECTION_TYPE.AUDIO = 'AUDIO'
 exports.CONNECTION_TYPE.CONTENT = 'CONTENT'
 exports.CONNECTION_TYPE.ALL = 'ALL'
 
+// Input is what a conference member sends, output what it hears
+exports.VOLUME_DIRECTION = {}
+exports.VOLUME_DIRECTION.INPUT = 'input'
+exports.VOLUME_DIRECTION.OUTPUT = 'output'
+
+// Conference control actions, named after the MediaController methods which run them
+exports.CONFERENCE_CONTROL = {}
+exports.CONFERENCE_CONTROL.DEAF = 'deaf'
+exports.CONFERENCE_CONTROL.UNDEAF = 'undeaf'
+exports.CONFERENCE_CONTROL.HOLD = 'hold'
+exports.CONFERENCE_CONTROL.UNHOLD = 'unhold'
+exports.CONFERENCE_CONTROL.KICK = 'kick'
+
 exports.NEGOTIATION_ROLE = {}
 exports.NEGOTIATION_ROLE.OFFERER = 'offerer';
 exports.NEGOTIATION_ROLE.ANSWERER = 'answerer';
@@ -67,7 +81,8 @@ exports.EMAP = {
   WebRtcEndpoint: 'WebRtcEndpoint',
   RtpEndpoint: 'RtpEndpoint',
   PlayerEndpoint: 'PlayerEndpoint',
-  RecorderEndpoint: 'RecorderEndpoint'
+  RecorderEndpoint: 'RecorderEndpoint',
+  DialOut: 'DialOut'
 }
 
 exports.MEMBERS = {};
@@ -101,11 +116,15 @@ EVENT.MEDIA_CONNECTED = "mediaConnected";
 EVENT.MEDIA_DISCONNECTED = "mediaDisconnected";
 EVENT.MEDIA_NEGOTIATED = "mediaNegotiated";
 EVENT.MEDIA_RENEGOTIATED = "mediaRenegotiated";
+EVENT.MEDIA_RENEGOTIATION_REQUIRED = "mediaRenegotiationRequired";
 EVENT.MEDIA_MUTED = "muted";
 EVENT.MEDIA_UNMUTED = "unmuted";
 EVENT.MEDIA_VOLUME_CHANGED = "volumeChanged";
 EVENT.MEDIA_START_TALKING = "startTalking";
 EVENT.MEDIA_STOP_TALKING = "stopTalking";
+// Named apart from the dtmf request so that subscriptions don't clash with it
+EVENT.MEDIA_DTMF = "dtmfReceived";
+EVENT.MEDIA_ENERGY_LEVEL = "energyLevelChanged";
 EVENT.MEDIA_EXTERNAL_AUDIO_CONNECTED = "mediaExternalAudioConnected";
 EVENT.USER_JOINED = "userJoined";
 EVENT.USER_LEFT = "userLeft";
@@ -121,6 +140,10 @@ EVENT.RECORDING = {};
 EVENT.RECORDING.STOPPED = 'Stopped';
 EVENT.RECORDING.STARTED = 'Recording';
 EVENT.RECORDING.PAUSED = 'Paused';
+EVENT.DIAL_OUT = {};
+EVENT.DIAL_OUT.RINGING = 'Ringing';
+EVENT.DIAL_OUT.ANSWERED = 'Answered';
+EVENT.DIAL_OUT.HANGUP = 'Hangup';
 EVENT.REMOTE_SDP_RECEIVED = 'REMOTE_SDP_RECEIVED';
 EVENT.RESPONSE_SET = 'RESPONSE_SET';
 EVENT.REINVITE = "REINVITE";
@@ -135,6 +158,8 @@ EVENT.ADAPTER_EVENTS = [
   EVENT.MEDIA_VOLUME_CHANGED,
   EVENT.MEDIA_START_TALKING,
   EVENT.MEDIA_STOP_TALKING,
+  EVENT.MEDIA_DTMF,
+  EVENT.MEDIA_ENERGY_LEVEL,
   EVENT.CONFERENCE_FLOOR_CHANGED,
   EVENT.MEDIA_DISCONNECTED,
   EVENT.KEYFRAME_NEEDED,
@@ -150,6 +175,7 @@ exports.ERROR.CONNECTION_ERROR = { code: 2000, message: "MEDIA_SERVER_CONNECTION
 exports.ERROR.MEDIA_SERVER_OFFLINE = { code: 2001, message: "MEDIA_SERVER_OFFLINE" };
 exports.ERROR.MEDIA_SERVER_NO_RESOURCES = { code: 2002, message: "MEDIA_SERVER_NO_RESOURCES" };
 exports.ERROR.MEDIA_SERVER_REQUEST_TIMEOUT = { code: 2003, message: "MEDIA_SERVER_REQUEST_TIMEOUT" };
+exports.ERROR.MEDIA_SERVER_NOT_FOUND = { code: 2005, message: "MEDIA_SERVER_NOT_FOUND" };
 exports.ERROR.MEDIA_SERVER_GENERIC_ERROR = { code: 2019, message: "MEDIA_SERVER_GENERIC_ERROR" };
 exports.ERROR.ICE_CANDIDATE_FAILED = { code: 2020, message: "ICE_ADD_CANDIDATE_FAILED" };
 exports.ERROR.ICE_GATHERING_FAILED = { code: 2021, message: "ICE_GATHERING_FAILED" };
@@ -180,6 +206,8 @@ exports.ERROR.MEDIA_ID_COLLISION = { code: 2214, message: "MEDIA_ID_COLLISION" }
 exports.BALANCING_STRATEGY = {};
 exports.BALANCING_STRATEGY.ROUND_ROBIN = "ROUND_ROBIN";
 exports.BALANCING_STRATEGY.MEDIA_TYPE = "MEDIA_TYPE";
+exports.BALANCING_STRATEGY.LEAST_LOADED = "LEAST_LOADED";
+exports.BALANCING_STRATEGY.ROOM_AFFINITY = "ROOM_AFFINITY";
 
 // Freeswitch Adapter
 exports.FREESWITCH = {};
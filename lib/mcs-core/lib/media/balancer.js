@@ -12,7 +12,28 @@ const VIDEO_TRANSPOSING_CEILING = config.get('video-transposing-ceiling');
 const AUDIO_TRANSPOSING_CEILING = config.get('audio-transposing-ceiling');
 const BALANCING_STRATEGY = config.has('balancing-strategy')
   ? config.get('balancing-strategy')
-  : C.BALANCING_STRATEGIES.ROUND_ROBIN;
+  : C.BALANCING_STRATEGY.ROUND_ROBIN;
+// Relative cost of a stream of each media profile on a host, used by the
+// LEAST_LOADED strategy. Profiles without a cost (eg 'all') are priced as main
+const MEDIA_COSTS = {
+  [C.MEDIA_PROFILE.MAIN]: 1,
+  [C.MEDIA_PROFILE.CONTENT]: 1.5,
+  [C.MEDIA_PROFILE.AUDIO]: 0.25,
+  ...(config.has('balancing-media-costs') ? config.get('balancing-media-costs') : {}),
+};
+// Load (in media cost units) up to which a host keeps receiving the elements of
+// the rooms it already serves under ROOM_AFFINITY. Overridable per host
+const ROOM_AFFINITY_THRESHOLD = config.has('room-affinity-threshold')
+  ? config.get('room-affinity-threshold')
+  : 50;
+// Periodic getServerManager().getInfo() round trips to each media server. A
+// host which fails failAfter probes in a row is marked unhealthy
+const {
+  enabled: HEALTH_CHECKS_ENABLED = true,
+  interval: HEALTH_CHECK_INTERVAL = 10000,
+  timeout: HEALTH_CHECK_TIMEOUT = 5000,
+  failAfter: HEALTH_CHECK_FAIL_AFTER = 3,
+} = config.has('kurentoHealthChecks') ? config.get('kurentoHealthChecks') : {};
 const KMS_FAIL_AFTER = 5;
 const NOF_STARTUP_CONNECTION_RETRIES = config.has('kurentoStartupRetries')
   ? config.get('kurentoStartupRetries')
@@ -31,7 +52,15 @@ class Balancer extends EventEmitter {
     super();
     if (instance == null) {
       this.hosts = [];
+      this.balancingStrategy = BALANCING_STRATEGY;
       this._reconnectionRoutine = {};
+      this._healthCheckRoutine = {};
+      this.healthChecks = {
+        enabled: HEALTH_CHECKS_ENABLED,
+        interval: HEALTH_CHECK_INTERVAL,
+        timeout: HEALTH_CHECK_TIMEOUT,
+        failAfter: HEALTH_CHECK_FAIL_AFTER,
+      };
       instance = this;
     }
     return instance;
@@ -47,6 +76,9 @@ class Balancer extends EventEmitter {
           retries,
           ipClassMappings = { public: host.ip },
           options = KMS_DEFAULT_OPTIONS,
+          weight,
+          capacity,
+          roomAffinityThreshold,
         } = host;
         if (retries < NOF_STARTUP_CONNECTION_RETRIES) {
           if (!this._hostStarted(url, ip)) {
@@ -56,7 +88,8 @@ class Balancer extends EventEmitter {
                 ip,
                 options,
                 ipClassMappings,
-                mediaType
+                mediaType,
+                { weight, capacity, roomAffinityThreshold }
               );
               this._monitorConnectionState(newHost);
               this.addHost(newHost);
@@ -84,7 +117,14 @@ class Balancer extends EventEmitter {
     processHosts();
   }
 
-  static connectToHost (url, ip, options, ipClassMappings, mediaType = C.MEDIA_PROFILE.ALL) {
+  static connectToHost (
+    url,
+    ip,
+    options,
+    ipClassMappings,
+    mediaType = C.MEDIA_PROFILE.ALL,
+    { weight = 1, capacity, roomAffinityThreshold } = {}
+  ) {
     const connect =  new Promise((resolve, reject) => {
       mediaServerClient(url, options, (error, client) => {
         if (error) {
@@ -102,6 +142,9 @@ class Balancer extends EventEmitter {
           options,
           ipClassMappings,
           mediaType,
+          weight,
+          capacity,
+          roomAffinityThreshold,
           client: client
         };
         return resolve(newHost);
@@ -115,8 +158,24 @@ class Balancer extends EventEmitter {
     return Promise.race([connect, failOver]);
   }
 
-  async getHost (mediaType = C.MEDIA_PROFILE.ALL) {
-    const host = this._fetchAvailableHost(mediaType);
+  static probeHost (client, timeout) {
+    const probe = client.getServerManager().then(serverManager => serverManager.getInfo());
+
+    const failOver = new Promise((resolve, reject) => {
+      setTimeout(reject, timeout, 'healthCheckTimeout');
+    });
+
+    return Promise.race([probe, failOver]);
+  }
+
+  /**
+   * @param {String} mediaType C.MEDIA_PROFILE
+   * @param {Object} hints
+   * @param {Array} hints.roomHostIds IDs of the hosts which already have elements
+   * of the room the new element belongs to. Used by ROOM_AFFINITY
+   */
+  async getHost (mediaType = C.MEDIA_PROFILE.ALL, { roomHostIds = [] } = {}) {
+    const host = this._fetchAvailableHost(mediaType, roomHostIds);
     if (host == null) {
       throw C.ERROR.MEDIA_SERVER_OFFLINE;
     }
@@ -135,6 +194,113 @@ class Balancer extends EventEmitter {
     return this.hosts.find(host => host.id === hostId);
   }
 
+  // Like retrieveHost, but unknown hosts throw MEDIA_SERVER_NOT_FOUND
+  getHostById (hostId) {
+    const host = this.retrieveHost(hostId);
+
+    if (host == null) {
+      throw { ...C.ERROR.MEDIA_SERVER_NOT_FOUND, details: hostId };
+    }
+
+    return host;
+  }
+
+  /**
+   * Connects to a media server and adds it to the pool at runtime
+   * @param {Object} hostConfig Same format as the 'kurento' config entries
+   */
+  async connectHost (hostConfig = {}) {
+    const {
+      url,
+      ip,
+      mediaType,
+      ipClassMappings = { public: ip },
+      options = KMS_DEFAULT_OPTIONS,
+      weight,
+      capacity,
+      roomAffinityThreshold,
+    } = hostConfig;
+
+    if (!url) {
+      throw { ...C.ERROR.MEDIA_INVALID_OPERATION, details: 'Media server url is required' };
+    }
+
+    if (this._hostStarted(url, ip)) {
+      throw { ...C.ERROR.MEDIA_INVALID_OPERATION, details: `Media server ${url} is already in the pool` };
+    }
+
+    let newHost;
+
+    try {
+      newHost = await Balancer.connectToHost(
+        url,
+        ip,
+        options,
+        ipClassMappings,
+        mediaType,
+        { weight, capacity, roomAffinityThreshold }
+      );
+    } catch (error) {
+      throw { ...C.ERROR.CONNECTION_ERROR, details: error.message || error };
+    }
+
+    this._monitorConnectionState(newHost);
+    this.addHost(newHost);
+
+    return newHost;
+  }
+
+  // Draining hosts keep their medias but don't get new ones
+  setHostDraining (hostId, draining = true) {
+    const host = this.getHostById(hostId);
+    host.draining = draining;
+
+    Logger.info(LOG_PREFIX, `Media server ${draining ? 'draining' : 'no longer draining'}`,
+      { hostId, url: host.url, mediaType: host.mediaType });
+
+    return host;
+  }
+
+  /**
+   * Drains a host and removes it from the pool as soon as it has no streams left
+   * @returns {Boolean} whether the host was removed right away
+   */
+  retireHost (hostId) {
+    const host = this.getHostById(hostId);
+    host.draining = true;
+    host.retiring = true;
+
+    Logger.info(LOG_PREFIX, `Media server retiring`,
+      { hostId, url: host.url, mediaType: host.mediaType, medias: host.medias });
+
+    return this._removeIfRetired(host);
+  }
+
+  getNumberOfStreams (host) {
+    return Object.values(host.medias).reduce((total, streams) => total + streams, 0);
+  }
+
+  _removeIfRetired (host) {
+    if (!host.retiring || this.getNumberOfStreams(host) > 0) {
+      return false;
+    }
+
+    // Flagged before closing the client so that its disconnection isn't handled
+    // as an outage
+    host.retired = true;
+    this._stopHealthChecks(host);
+    this.removeHost(host.id);
+
+    if (host.client && typeof host.client.close === 'function') {
+      host.client.close();
+    }
+
+    Logger.info(LOG_PREFIX, `Retired media server removed`,
+      { hostId: host.id, url: host.url, mediaType: host.mediaType });
+
+    return true;
+  }
+
   addHost (host) {
     if (host) {
       const { id } = host;
@@ -161,6 +327,7 @@ class Balancer extends EventEmitter {
       host.medias[mediaType]--;
       Logger.info(LOG_PREFIX, `Media server ${mediaType} streams decremented`,
         { hostId: host.id, url: host.url, mediaType, [mediaType]: host.medias[mediaType] });
+      this._removeIfRetired(host);
     }
   }
 
@@ -174,32 +341,51 @@ class Balancer extends EventEmitter {
     }
   }
 
-  _fetchAvailableHost (mediaType) {
+  _fetchAvailableHost (mediaType, roomHostIds) {
     // Check if there any available hosts. Otherwise, throw the OFFLINE error
     // which will be propagated to root API call that triggered it
     if (this.hosts.length <= 0) {
       throw C.ERROR.MEDIA_SERVER_OFFLINE;
     }
 
-    switch (BALANCING_STRATEGY) {
+    const healthyHosts = this.hosts.filter(host => !host.unhealthy);
+
+    if (healthyHosts.length <= 0) {
+      Logger.warn(LOG_PREFIX, `All media servers are unhealthy`, { targetMediaType: mediaType });
+      throw C.ERROR.MEDIA_SERVER_OFFLINE;
+    }
+
+    const hosts = healthyHosts.filter(host => !host.draining);
+
+    if (hosts.length <= 0) {
+      Logger.warn(LOG_PREFIX, `All media servers are draining`, { targetMediaType: mediaType });
+      throw C.ERROR.MEDIA_SERVER_NO_RESOURCES;
+    }
+
+    switch (this.balancingStrategy) {
       case C.BALANCING_STRATEGY.MEDIA_TYPE:
-        return this._mediaTypeHost(mediaType);
+        return this._mediaTypeHost(hosts, mediaType);
         break;
+      case C.BALANCING_STRATEGY.LEAST_LOADED:
+        return this._leastLoadedHost(hosts, mediaType);
+      case C.BALANCING_STRATEGY.ROOM_AFFINITY:
+        return this._roomAffinityHost(hosts, mediaType, roomHostIds);
       case C.BALANCING_STRATEGY.ROUND_ROBIN:
       default:
-        return this._roundRobinHost();
+        return this._roundRobinHost(hosts);
     }
   }
 
-  _roundRobinHost () {
-    let host = this.hosts.find(host =>
+  _roundRobinHost (hosts) {
+    let host = hosts.find(host =>
       (host.medias[C.MEDIA_PROFILE.MAIN] < VIDEO_TRANSPOSING_CEILING) &&
       (host.medias[C.MEDIA_PROFILE.AUDIO] < AUDIO_TRANSPOSING_CEILING)
     );
 
     // Round robin if all instances are fully loaded
     if (host == null) {
-      host = this.hosts.shift();
+      host = hosts[0];
+      // Moves it to the end of the pool
       this.addHost(host);
     }
 
@@ -212,12 +398,12 @@ class Balancer extends EventEmitter {
     return h1Load - h2Load;
   }
 
-  _mediaTypeHost (mediaType) {
+  _mediaTypeHost (hosts, mediaType) {
     // The algorithm here is a very naive one: look for a media server allocated
     // for the required type. If not found, get the least loaded one. The only
     // wart here is that we won't mix video/content streams with audio streams,
     // so that's also taken into account when looking for the least loaded server.
-    let host = this.hosts.find(host => host.mediaType === mediaType);
+    let host = hosts.find(host => host.mediaType === mediaType);
 
     // Didn't find a host for the mediaType, get the least loaded.
     // separation
@@ -225,17 +411,101 @@ class Balancer extends EventEmitter {
       // Isolate audio if possible. And yeah, I understand it is odd that the
       // constants are MEDIA_PROFILE and the config is mediaType, but that's life.
       if (mediaType !== C.MEDIA_PROFILE.AUDIO) {
-        host = this.hosts
+        host = hosts
           .filter(h => h.mediaType !== C.MEDIA_PROFILE.AUDIO)
           .sort(this._compareLoad)[0];
       } else {
-        host = this.hosts.sort(this._compareLoad)[0];
+        host = hosts.sort(this._compareLoad)[0];
       }
     }
 
     return host;
   }
 
+  // Sum of the costs (see balancing-media-costs) of the streams placed on host
+  getHostLoad (host) {
+    return Object.keys(host.medias).reduce((load, mediaType) => {
+      return load + (host.medias[mediaType] * this._getMediaCost(mediaType));
+    }, 0);
+  }
+
+  _getMediaCost (mediaType) {
+    return MEDIA_COSTS[mediaType] != null
+      ? MEDIA_COSTS[mediaType]
+      : MEDIA_COSTS[C.MEDIA_PROFILE.MAIN];
+  }
+
+  // A host with weight 2 takes twice the load of a weight 1 host before being
+  // considered as loaded as it
+  _getWeightedLoad (host) {
+    const weight = host.weight > 0 ? host.weight : 1;
+    return this.getHostLoad(host) / weight;
+  }
+
+  _fitsInHost (host, mediaType) {
+    if (host.capacity == null) return true;
+    return this.getHostLoad(host) + this._getMediaCost(mediaType) <= host.capacity;
+  }
+
+  _leastLoadedHost (hosts, mediaType) {
+    // Hosts dedicated to other media types are only used when no host handles
+    // the required one
+    const dedicatedHosts = hosts.filter(host =>
+      mediaType === C.MEDIA_PROFILE.ALL
+      || host.mediaType === mediaType
+      || host.mediaType == null
+      || host.mediaType === C.MEDIA_PROFILE.ALL
+    );
+    const candidates = (dedicatedHosts.length > 0 ? dedicatedHosts : hosts)
+      .filter(host => this._fitsInHost(host, mediaType));
+
+    if (candidates.length <= 0) {
+      return this._refuseHost(mediaType);
+    }
+
+    return candidates.reduce((leastLoaded, host) => {
+      return this._getWeightedLoad(host) < this._getWeightedLoad(leastLoaded)
+        ? host
+        : leastLoaded;
+    });
+  }
+
+  _isBelowAffinityThreshold (host, mediaType) {
+    const threshold = host.roomAffinityThreshold != null
+      ? host.roomAffinityThreshold
+      : ROOM_AFFINITY_THRESHOLD;
+    return this.getHostLoad(host) + this._getMediaCost(mediaType) <= threshold;
+  }
+
+  _roomAffinityHost (hosts, mediaType, roomHostIds = []) {
+    const candidates = hosts
+      .filter(host => this._fitsInHost(host, mediaType))
+      .sort((h1, h2) => this._getWeightedLoad(h1) - this._getWeightedLoad(h2));
+    const isRoomHost = host => roomHostIds.includes(host.id);
+    const isBelowThreshold = host => this._isBelowAffinityThreshold(host, mediaType);
+
+    // Keep the room on the hosts it's already at while they are below their
+    // threshold, then spill over to the least loaded host below its own. Hosts
+    // past their threshold are a last resort, the room's ones first, so that
+    // elements are only transposed between hosts when it can't be avoided
+    const host = candidates.find(h => isRoomHost(h) && isBelowThreshold(h))
+      || candidates.find(isBelowThreshold)
+      || candidates.find(isRoomHost)
+      || candidates[0];
+
+    if (host == null) {
+      return this._refuseHost(mediaType);
+    }
+
+    return host;
+  }
+
+  _refuseHost (mediaType) {
+    Logger.warn(LOG_PREFIX, `No media server with enough capacity`,
+      { targetMediaType: mediaType, cost: this._getMediaCost(mediaType) });
+    throw C.ERROR.MEDIA_SERVER_NO_RESOURCES;
+  }
+
   _hostStarted (url, ip) {
     return this.hosts.some(h => h.url == url && h.ip == ip);
   }
@@ -250,18 +520,88 @@ class Balancer extends EventEmitter {
       client.on('reconnected', (sameSession) => {
         this._onReconnection(sameSession, host);
       });
+      this._startHealthChecks(host);
     } catch (error) {
       Logger.error(LOG_PREFIX, `Error when trying to monitor media server`,
         { hostId: id, url, ip, mediaType: host.mediaType });
     }
   }
 
+  // The socket events above don't catch a media server which is up but
+  // wedged, so hosts are also actively probed
+  _startHealthChecks (host) {
+    const { id } = host;
+
+    if (!this.healthChecks.enabled || this._healthCheckRoutine[id]) return;
+
+    host.healthCheckFailures = 0;
+    host.unhealthy = false;
+    this._healthCheckRoutine[id] = setInterval(() => {
+      this._checkHostHealth(host);
+    }, this.healthChecks.interval);
+  }
+
+  _stopHealthChecks ({ id }) {
+    if (this._healthCheckRoutine[id]) {
+      clearInterval(this._healthCheckRoutine[id]);
+      delete this._healthCheckRoutine[id];
+    }
+  }
+
+  async _checkHostHealth (host) {
+    // A slow probe shouldn't be stacked with the next ones
+    if (host.probing) return;
+
+    host.probing = true;
+
+    try {
+      await Balancer.probeHost(host.client, this.healthChecks.timeout);
+      this._onHealthCheckSuccess(host);
+    } catch (error) {
+      this._onHealthCheckFailure(host, error);
+    } finally {
+      host.probing = false;
+    }
+  }
+
+  _onHealthCheckSuccess (host) {
+    if (host.unhealthy) {
+      Logger.warn(LOG_PREFIX, `Media server is healthy again`,
+        { hostId: host.id, url: host.url, mediaType: host.mediaType });
+    }
+
+    host.healthCheckFailures = 0;
+    host.unhealthy = false;
+  }
+
+  _onHealthCheckFailure (host, error) {
+    host.healthCheckFailures++;
+
+    Logger.warn(LOG_PREFIX, `Media server health check failed`, {
+      hostId: host.id,
+      url: host.url,
+      mediaType: host.mediaType,
+      failures: host.healthCheckFailures,
+      error: error && error.message ? error.message : error,
+    });
+
+    if (!host.unhealthy && host.healthCheckFailures >= this.healthChecks.failAfter) {
+      host.unhealthy = true;
+      Logger.error(LOG_PREFIX, `Media server marked as unhealthy, it won't get new medias`,
+        { hostId: host.id, url: host.url, mediaType: host.mediaType, failures: host.healthCheckFailures });
+    }
+  }
+
   _onDisconnection (host) {
     try {
       const { client, id } = host;
 
+      // The client was closed by retireHost
+      if (host.retired) return;
+
       Logger.error(LOG_PREFIX, 'Media server disconnected',
         { hostId: id, url: host.url, mediaType: host.mediaType });
+      this._stopHealthChecks(host);
       this.removeHost(id);
       this.emit(C.EVENT.MEDIA_SERVER_OFFLINE, id);
 
@@ -269,6 +609,9 @@ class Balancer extends EventEmitter {
       host.audio = 0;
       host.video = 0;
 
+      // Retiring hosts aren't brought back
+      if (host.retiring) return;
+
       this._reconnectToServer(host);
     } catch (error) {
       Logger.error(LOG_PREFIX, `Error trying to handle media server disconnection`,
@@ -310,6 +653,7 @@ class Balancer extends EventEmitter {
             clearInterval(this._reconnectionRoutine[id]);
             delete this._reconnectionRoutine[id];
             this.addHost(h);
+            this.emit(C.EVENT.MEDIA_SERVER_ONLINE, id);
             Logger.warn(LOG_PREFIX, `Reconnection to media server succeeded`,
               { hostId: id, url, mediaType: host.mediaType });
           }).catch(error => {
@@ -4,10 +4,12 @@ const C = require('../constants/constants');
 const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
 const MediaController = require('./media-controller');
 const Logger = require('../utils/logger');
+const { hrTime } = require('../utils/util');
 const {
   MCSPrometheusAgent,
   METRIC_NAMES,
   registerMediaSessionTypeMetrics,
+  observeRequestDuration,
 } = require('../metrics/index.js');
 
 let instance = null;
@@ -274,12 +276,12 @@ const MR = class MCSRouter {
   }
 
   setVolume (args) {
-    const { mediaId, volume } = args
+    const { mediaId, volume, direction } = args
     try {
-      return this._mediaController.setVolume(mediaId, volume);
+      return this._mediaController.setVolume(mediaId, volume, direction);
     }
     catch (error) {
-      throw (this._handleError(error, 'setVolume', { mediaId, volume }))
+      throw (this._handleError(error, 'setVolume', { mediaId, volume, direction }))
     }
   }
 
@@ -352,8 +354,13 @@ const MR = class MCSRouter {
   }
 
   _notifyMethodError (client, error, method, transactionId = null) {
+    // Account for the error before replying; the client may be gone already
+    if (method) {
+      const errorCode = error.code || C.ERROR.MEDIA_GENERIC_ERROR.code;
+      MCSPrometheusAgent.increment(METRIC_NAMES.REQUEST_ERRORS_TOTAL, { method, errorCode });
+    }
+
     client.error(error, { transactionId });
-    if (method) MCSPrometheusAgent.increment(METRIC_NAMES.REQUEST_ERRORS_TOTAL, { method, errorCode: error.code });
   }
 
   _handleError (error, operation) {
@@ -364,6 +371,18 @@ const MR = class MCSRouter {
     return response;
   }
 
+  // mcs-js has no client methods for newer events: they only go to clients
+  // which implement them, and a failing client doesn't take the emitter down
+  _dispatchOptionalEvent (client, method, ...args) {
+    if (typeof client[method] !== 'function') return;
+
+    try {
+      client[method](...args);
+    } catch (error) {
+      Logger.error("[mcs-router] Failed to dispatch", method, "to client", client.trackingId, { error });
+    }
+  }
+
   _trackClientSessions (client, userId, roomId) {
     if (client.userSessions == null) {
       client.userSessions = {};
@@ -452,6 +471,7 @@ const MR = class MCSRouter {
     });
 
     client.on('publish', async (args) => {
+      const startTime = hrTime();
       let transactionId;
       try {
         ({ transactionId } = args);
@@ -459,6 +479,8 @@ const MR = class MCSRouter {
         client.published(mediaId, descriptor, { transactionId });
       } catch (error) {
         this._notifyMethodError(client, error, 'publish', transactionId);
+      } finally {
+        observeRequestDuration('publish', startTime);
       }
     });
 
@@ -474,6 +496,7 @@ const MR = class MCSRouter {
     });
 
     client.on('subscribe', async (args) => {
+      const startTime = hrTime();
       let transactionId;
       try {
         ({ transactionId } = args);
@@ -481,6 +504,8 @@ const MR = class MCSRouter {
         client.subscribed(mediaId, descriptor, { transactionId });
       } catch (error) {
         this._notifyMethodError(client, error, 'subscribe', transactionId);
+      } finally {
+        observeRequestDuration('subscribe', startTime);
       }
     });
 
@@ -496,6 +521,7 @@ const MR = class MCSRouter {
     });
 
     client.on('addIceCandidate', async (args) => {
+      const startTime = hrTime();
       let mediaId, transactionId;
       try {
         ({ mediaId, transactionId } = args);
@@ -503,10 +529,13 @@ const MR = class MCSRouter {
         client.iceCandidateAdded(mediaId, { transactionId });
       } catch (error) {
         this._notifyMethodError(client, error, 'addIceCandidate', transactionId);
+      } finally {
+        observeRequestDuration('addIceCandidate', startTime);
       }
     });
 
     client.on('connect', async (args) => {
+      const startTime = hrTime();
       let transactionId, source_id, sink_ids;
       try {
         ({ transactionId, source_id, sink_ids } = args);
@@ -514,6 +543,8 @@ const MR = class MCSRouter {
         client.connected(source_id, sink_ids, { transactionId });
       } catch (error) {
         this._notifyMethodError(client, error, 'connect', transactionId);
+      } finally {
+        observeRequestDuration('connect', startTime);
       }
     });
 
@@ -674,11 +705,11 @@ const MR = class MCSRouter {
     });
 
     client.on('setVolume', async (args) => {
-      let transactionId, mediaId, volume;
+      let transactionId, mediaId, volume, direction;
       try {
-        ({ transactionId, mediaId, volume} = args);
+        ({ transactionId, mediaId, volume, direction } = args);
         await this.setVolume(args)
-        client.volumeChanged(mediaId, volume, { transactionId })
+        client.volumeChanged(mediaId, volume, { transactionId, direction })
       } catch (error) {
         this._notifyMethodError(client, error, 'setVolume', transactionId);
       }
@@ -750,11 +781,11 @@ const MR = class MCSRouter {
       }
     });
 
-    client.on('getMedias', (args) =>{
+    client.on('getMedias', async (args) =>{
       let transactionId;
       try {
         ({ transactionId } = args);
-        const medias = this.getMedias(args);
+        const medias = await this.getMedias(args);
         client.getMediasResponse(medias, { transactionId });
       } catch (error) {
         this._notifyMethodError(client, error, 'getMedias', transactionId);
@@ -869,6 +900,8 @@ const MR = class MCSRouter {
       this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_VOLUME_CHANGED);
       this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_START_TALKING);
       this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_STOP_TALKING);
+      this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_DTMF);
+      this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_ENERGY_LEVEL);
       this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_MUTED);
       this._removeEventFromClientEventMap(mediaId, C.EVENT.MEDIA_UNMUTED);
       this._removeEventFromClientEventMap(mediaId, C.EVENT.KEYFRAME_NEEDED);
@@ -976,6 +1009,24 @@ const MR = class MCSRouter {
       }
     });
 
+    this.emitter.on(C.EVENT.MEDIA_DTMF, event => {
+      const { mediaId, roomId, userId, digit } = event;
+      const clients = this._getClientToDispatch(mediaId, C.EVENT.MEDIA_DTMF);
+
+      clients.forEach(client => {
+        this._dispatchOptionalEvent(client, 'dtmfReceived', roomId, userId, mediaId, digit);
+      });
+    });
+
+    this.emitter.on(C.EVENT.MEDIA_ENERGY_LEVEL, event => {
+      const { mediaId, roomId, userId, energyLevel } = event;
+      const clients = this._getClientToDispatch(mediaId, C.EVENT.MEDIA_ENERGY_LEVEL);
+
+      clients.forEach(client => {
+        this._dispatchOptionalEvent(client, 'energyLevelChanged', roomId, userId, mediaId, energyLevel);
+      });
+    });
+
     this.emitter.on(C.EVENT.SUBSCRIBED_TO, ({ mediaId, sourceMediaInfo }) => {
       const clients = this._getClientToDispatch(mediaId, C.EVENT.SUBSCRIBED_TO);
 
@@ -10,10 +10,14 @@ const { handleError } = require('../utils/util');
 const Balancer = require('./balancer');
 const AdapterFactory = require('../adapters/adapter-factory');
 const MediaFactory = require('./media-factory.js');
+const StrategyManager = require('../strategies/strategy-manager');
 const { global: GLOBAL_MEDIA_THRESHOLD } = config.get('mediaThresholds');
 const ALLOW_DUPLICATE_EXT_USER_ID = config.has('allowDuplicateExtUserId')
   ? config.get('allowDuplicateExtUserId')
   : true;
+const MIGRATE_MEDIAS_ON_HOST_OFFLINE = config.has('migrateMediasOnHostOffline')
+  ? config.get('migrateMediasOnHostOffline')
+  : false;
 
 const LOG_PREFIX = "[mcs-controller]";
 
@@ -33,6 +37,7 @@ module.exports = class MediaController {
       // TODO Centralize in per meeting models
       this.medias = new Map();
       this._ejectUser = this._ejectUser.bind(this);
+      this.migrateMediasOnHostOffline = MIGRATE_MEDIAS_ON_HOST_OFFLINE;
       instance = this;
     }
     return instance;
@@ -71,6 +76,9 @@ module.exports = class MediaController {
     GLOBAL_EVENT_EMITTER.on(C.EVENT.CONFERENCE_NEW_VIDEO_FLOOR, this._handleNewVideoFloor.bind(this));
     // FIXME remove this once all audio goes through mcs-core's API
     GLOBAL_EVENT_EMITTER.on(C.EVENT.MEDIA_EXTERNAL_AUDIO_CONNECTED, this._handleExternalAudioMediaConnected.bind(this));
+    // Registered ahead of every media's own MEDIA_SERVER_OFFLINE listener so
+    // that the medias being migrated are flagged before they report the outage
+    Balancer.on(C.EVENT.MEDIA_SERVER_OFFLINE, this._migrateMediaSessionsFromHost.bind(this));
   }
 
   stop () {
@@ -127,6 +135,234 @@ module.exports = class MediaController {
     });
   }
 
+  /**
+   * Recreates the SDP sessions which had medias on an offline host on the
+   * remaining ones, then re-establishes the connections that had either end
+   * in them. Sessions that can't be migrated are reported as
+   * MEDIA_SERVER_OFFLINE to their owners.
+   * @param {String} hostId
+   */
+  _migrateMediaSessionsFromHost (hostId) {
+    if (!this.migrateMediasOnHostOffline) return Promise.resolve();
+
+    const sessions = [...this.mediaSessions.values()].filter(session =>
+      typeof session.migrate === 'function' && session.hasMediasOnHost(hostId));
+
+    if (sessions.length <= 0) return Promise.resolve();
+
+    sessions.forEach(({ medias }) => medias.forEach(m => { m.migrating = true; }));
+    const subscriptions = this._getSubscriptions(sessions.map(({ id }) => id));
+
+    Logger.warn(LOG_PREFIX, 'Migrating media sessions from offline media server',
+      { hostId, mediaSessionIds: sessions.map(({ id }) => id) });
+
+    return sessions.reduce((promise, session) => {
+      return promise.then(() => this._migrateMediaSession(session, hostId));
+    }, Promise.resolve()).then(() => {
+      return this._restoreSubscriptions(subscriptions);
+    });
+  }
+
+  async _migrateMediaSession (session, hostId) {
+    const previousMedias = session.medias;
+    const room = this._untaintedGetRoom(session.roomId);
+
+    try {
+      await session.migrate();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Migration of media session ${session.id} failed due to ${error.message}`,
+        { roomId: session.roomId, userId: session.userId, mediaSessionId: session.id, hostId, error });
+      GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_STATE.MEDIA_EVENT, {
+        state: { name: C.EVENT.MEDIA_SERVER_OFFLINE, details: 'offline' },
+        mediaId: session.id,
+      });
+    }
+
+    // Medias from failed migrations are indexed as well so that they're
+    // cleaned up when the session is stopped
+    this._replaceSessionMedias(session, previousMedias, room);
+  }
+
+  _replaceSessionMedias (session, previousMedias, room) {
+    previousMedias.forEach(m => {
+      this.removeMedia(m);
+      MediaFactory.removeMedia(m);
+      if (room) room.removeMedia(m);
+    });
+    session.medias.forEach(m => {
+      this.addMedia(m);
+      if (room) room.addMedia(m);
+    });
+  }
+
+  /**
+   * Restarts ICE on one of the user's SDP sessions (see SDPSession.restartIce).
+   * The session keeps its mediaId, so floors and module-side state are kept;
+   * its connections, recordings included, are re-established on the new
+   * media units. Sessions which fail to negotiate new units are stopped.
+   * @param {String} userId
+   * @param {String} mediaId
+   * @param {String} descriptor The new remote offer, if we're the answerer
+   * @return {Promise<Object>} { descriptor, mediaId }
+   */
+  async _restartIce (userId, mediaId, descriptor) {
+    let session;
+
+    try {
+      session = this.getMediaSession(mediaId);
+    } catch (error) {
+      Logger.warn(LOG_PREFIX, `ICE restart for ${mediaId} failed due to ${error.message}`,
+        { userId, mediaId, error });
+      throw error;
+    }
+
+    if (session.userId !== userId || typeof session.restartIce !== 'function') {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `ICE restart is not available for media ${mediaId}`,
+      }));
+    }
+
+    const previousMedias = session.medias;
+    const subscriptions = this._getSubscriptions([session.id]);
+    let answer;
+
+    try {
+      answer = await session.restartIce(descriptor);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `ICE restart for ${mediaId} failed due to ${error.message}`,
+        { roomId: session.roomId, userId, mediaId, error });
+
+      // Sessions which already released their units can't go on without
+      // medias, so they're stopped along with whatever was negotiated
+      if (session.medias !== previousMedias) {
+        this._replaceSessionMedias(session, previousMedias, this._untaintedGetRoom(session.roomId));
+        await this._stopFailedSession(session);
+      }
+
+      throw (this._handleError(error));
+    }
+
+    this._replaceSessionMedias(session, previousMedias, this._untaintedGetRoom(session.roomId));
+
+    await this._restoreSubscriptions(subscriptions);
+
+    return ({ descriptor: answer, mediaId: session.id });
+  }
+
+  // Failed sessions are already marked as stopped and won't report their
+  // disconnection by themselves, so it's done here once they're removed
+  async _stopFailedSession (session) {
+    try {
+      await this.unpublish(session.userId, session.id);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `CRITICAL: stop of failed media session ${session.id} failed due to ${error.message}`,
+        { roomId: session.roomId, userId: session.userId, mediaSessionId: session.id, error });
+    }
+
+    GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_DISCONNECTED, session.getMediaInfo());
+  }
+
+  /**
+   * Updates the hints of one of the user's subscriptions (see updateHints).
+   * Goes through subscribe so that mcs-js clients which predate updateHints
+   * can send them
+   * @param {String} userId
+   * @param {String} mediaId
+   * @param {Object} hints
+   * @return {Promise<Object>} { mediaId }
+   */
+  async _updateSubscriberHints (userId, mediaId, hints) {
+    const session = this.getMediaSession(mediaId);
+
+    if (session.userId !== userId) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Media ${mediaId} does not belong to user ${userId}`,
+      }));
+    }
+
+    await this.updateHints(mediaId, hints);
+
+    return ({ mediaId: session.id });
+  }
+
+  /**
+   * Runs a conference control action (see C.CONFERENCE_CONTROL) on one of the
+   * user's medias. Goes through publish because mcs-js has no calls of its own
+   * for deaf, hold or kick
+   * @param {String} userId
+   * @param {String} mediaId
+   * @param {String} action
+   * @return {Promise<Object>} { mediaId }
+   */
+  async _controlConferenceMember (userId, mediaId, action) {
+    const session = this.getMediaSession(mediaId);
+
+    if (session.userId !== userId) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Media ${mediaId} does not belong to user ${userId}`,
+      }));
+    }
+
+    if (!Object.values(C.CONFERENCE_CONTROL).includes(action)) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Unknown conference control action: ${action}`,
+      }));
+    }
+
+    await this[action](mediaId);
+
+    return ({ mediaId: session.id });
+  }
+
+  // Connections between media units with either end in one of the given
+  // sessions. Ends are referenced by session and SDP position because sessions
+  // that restart ICE or are migrated get new media units
+  _getSubscriptions (mediaSessionIds) {
+    return [...this.medias.values()].reduce((subscriptions, sink) => {
+      const source = sink.subscribedTo ? this.getMedia(sink.subscribedTo) : null;
+
+      if (source && (mediaSessionIds.includes(source.mediaSessionId)
+        || mediaSessionIds.includes(sink.mediaSessionId))) {
+        subscriptions.push({
+          source: { mediaSessionId: source.mediaSessionId, sdpPosition: source.sdpPosition },
+          sink: { mediaSessionId: sink.mediaSessionId, sdpPosition: sink.sdpPosition },
+          type: sink.subscriptionType,
+        });
+      }
+
+      return subscriptions;
+    }, []);
+  }
+
+  _getMediaAtPosition ({ mediaSessionId, sdpPosition }) {
+    const session = this.mediaSessions.get(mediaSessionId);
+    return session ? session.medias.find(m => m.sdpPosition === sdpPosition) : null;
+  }
+
+  _restoreSubscriptions (subscriptions) {
+    return Promise.all(subscriptions.map(async (subscription) => {
+      const source = this._getMediaAtPosition(subscription.source);
+      const sink = this._getMediaAtPosition(subscription.sink);
+
+      if (source == null || sink == null) {
+        Logger.warn(LOG_PREFIX, 'Connection lost, one of its ends is gone',
+          subscription);
+        return;
+      }
+
+      try {
+        await source.connect(sink, subscription.type);
+      } catch (error) {
+        Logger.error(LOG_PREFIX, `Failed to restore connection due to ${error.message}`,
+          { sourceId: source.id, sinkId: sink.id, type: subscription.type, error });
+      }
+    }));
+  }
+
   _ejectUser (userInfo) {
     const { userId, externalUserId, roomId } = userInfo;
     try {
@@ -194,6 +430,10 @@ module.exports = class MediaController {
       userId, roomId, sourceId, descriptor: params.descriptor,
     });
 
+    if (params.restartIce) {
+      return this._restartIce(userId, params.mediaId, params.descriptor);
+    }
+
     if (!MediaController.isValidMediaType(type)) {
       throw (this._handleError(C.ERROR.MEDIA_INVALID_TYPE));
     }
@@ -244,6 +484,18 @@ module.exports = class MediaController {
 
     Logger.trace(LOG_PREFIX, 'Publish request', { userId, roomId, descriptor: params.descriptor });
 
+    if (params.restartIce) {
+      return this._restartIce(userId, params.mediaId, params.descriptor);
+    }
+
+    if (params.conferenceControl) {
+      return this._controlConferenceMember(userId, params.mediaId, params.conferenceControl);
+    }
+
+    if (type === C.MEDIA_TYPE.DIAL_OUT) {
+      return this._publishDialOut(userId, params.descriptor, params);
+    }
+
     if (!MediaController.isValidMediaType(type)) {
       throw (this._handleError(C.ERROR.MEDIA_INVALID_TYPE));
     }
@@ -287,6 +539,14 @@ module.exports = class MediaController {
       userId, sourceId, descriptor: params.descriptor,
     });
 
+    if (params.restartIce) {
+      return this._restartIce(userId, params.mediaId, params.descriptor);
+    }
+
+    if (params.updateHints) {
+      return this._updateSubscriberHints(userId, params.mediaId, params.hints);
+    }
+
     if (!MediaController.isValidMediaType(type)) {
       throw (this._handleError(C.ERROR.MEDIA_INVALID_TYPE));
     }
@@ -391,7 +651,15 @@ module.exports = class MediaController {
     try {
       user = this.getUser(userId);
       room = this.getRoom(user.roomId);
-      sourceSession = this.getMediaSession(sourceId);
+      // Recording the room itself records its audio conference, which is
+      // mixed by the audio server instead of being fed by a source media
+      if (sourceId === room.id) {
+        params.conferenceRecording = true;
+        params.adapter = params.adapter || C.STRING.FREESWITCH;
+      } else {
+        params.conferenceRecording = false;
+        sourceSession = this.getMediaSession(sourceId);
+      }
     } catch (error) {
       Logger.warn(LOG_PREFIX, `startRecording from user ${userId} of media ${sourceId} failed due to ${error.message}`,
         { userId, mediaId: sourceId, error });
@@ -447,6 +715,123 @@ module.exports = class MediaController {
     }
   }
 
+  /**
+   * Calls destination into the roomId's audio conference. The call gets its
+   * own user, which leaves the room once the call hangs up, and a media session
+   * which reports the call progress as Ringing, Answered and Hangup media states
+   * @param {String} roomId
+   * @param {String} destination The number or SIP user to be called
+   * @param {Object} params Dial-out options: name, externalUserId, gateway,
+   * callerIdName, callerIdNumber and timeout (in seconds)
+   * @return {Object} The ids of the user and the media session of the call
+   */
+  async dialOut (roomId, destination, params = {}) {
+    let user, room;
+
+    this._validateDialOutOptions(params);
+
+    room = this.createRoom(roomId);
+
+    // The call's user is brand new, so only the global and room ones apply
+    if (!params.ignoreThresholds && (this._isAboveThreshold() || room.isAboveThreshold())) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_SERVER_NO_RESOURCES,
+        details: `Threshold exceeded. Threshold: ${GLOBAL_MEDIA_THRESHOLD}`,
+      }));
+    }
+
+    try {
+      user = this.createUser(room, C.USERS.SFU, {
+        externalUserId: params.externalUserId,
+        name: params.name || destination,
+        autoLeave: true,
+      });
+    } catch (error) {
+      Logger.warn(LOG_PREFIX, `dialOut to ${destination} at room ${roomId} failed due to ${error.message}`,
+        { roomId, destination, error });
+      throw (this._handleError(error));
+    }
+
+    const dialOutSession = await this._startDialOut(user, room, destination, params);
+
+    return { userId: user.id, mediaId: dialOutSession.id };
+  }
+
+  /**
+   * Calls destination as a media session of an existing user (see dialOut).
+   * Goes through publish because mcs-js has no call of its own for dial-outs:
+   * the destination is the descriptor of a DialOut media
+   * @param {String} userId
+   * @param {String} destination
+   * @param {Object} params
+   * @return {Promise<Object>} { descriptor, mediaId }
+   */
+  async _publishDialOut (userId, destination, params) {
+    let user, room;
+
+    this._validateDialOutOptions(params);
+
+    try {
+      user = this.getUser(userId);
+      room = this.getRoom(user.roomId);
+    } catch (error) {
+      Logger.warn(LOG_PREFIX, `dialOut to ${destination} for ${userId} failed due to ${error.message}`,
+        { userId, destination, error });
+      throw error;
+    }
+
+    if (!params.ignoreThresholds && this.isAboveMediaThresholds(room, user)) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_SERVER_NO_RESOURCES,
+        details: `Threshold exceeded. Threshold: ${GLOBAL_MEDIA_THRESHOLD}`,
+      }));
+    }
+
+    const dialOutSession = await this._startDialOut(user, room, destination, params);
+
+    return ({ descriptor: null, mediaId: dialOutSession.id });
+  }
+
+  _validateDialOutOptions (params) {
+    params.adapter = params.adapter || C.STRING.FREESWITCH;
+    params.mediaProfile = C.MEDIA_PROFILE.AUDIO;
+
+    if (!this._validateAdapterFromOptions(params)) {
+      throw (this._handleError(C.ERROR.MEDIA_ADAPTER_OBJECT_NOT_FOUND));
+    }
+  }
+
+  async _startDialOut (user, room, destination, params) {
+    let dialOutSession;
+
+    try {
+      ({ dialOutSession } = await user.dialOut(destination, C.MEDIA_TYPE.DIAL_OUT, params));
+    } catch (error) {
+      // Users which auto leave are ejected along with the rolled back session
+      Logger.warn(LOG_PREFIX, `dialOut to ${destination} at room ${room.id} failed due to ${error.message}`,
+        { roomId: room.id, userId: user.id, destination, error });
+      throw (this._handleError(error));
+    }
+
+    this.addMediaSession(dialOutSession);
+    room.addMediaSession(dialOutSession);
+    dialOutSession.sessionStarted();
+
+    // Hung up calls take their session down with them, which in turn ejects
+    // the call's user if it auto leaves
+    dialOutSession.medias.forEach(media => {
+      media.once(`${C.EVENT.MEDIA_DISCONNECTED}:${media.id}`, () => {
+        if (this.hasMediaSession(dialOutSession.id)) {
+          this.removeMediaSession(dialOutSession.id);
+          room.removeMediaSession(dialOutSession.id);
+        }
+        dialOutSession.stop();
+      });
+    });
+
+    return dialOutSession;
+  }
+
   connect (sourceId, sinkId, type = 'ALL') {
     return new Promise(async (resolve, reject) => {
       try {
@@ -507,6 +892,8 @@ module.exports = class MediaController {
         case C.EVENT.MEDIA_VOLUME_CHANGED:
         case C.EVENT.MEDIA_START_TALKING:
         case C.EVENT.MEDIA_STOP_TALKING:
+        case C.EVENT.MEDIA_DTMF:
+        case C.EVENT.MEDIA_ENERGY_LEVEL:
         case C.EVENT.USER_JOINED:
         case C.EVENT.USER_LEFT:
         case C.EVENT.ROOM_CREATED:
@@ -562,6 +949,27 @@ module.exports = class MediaController {
     return this.rooms.size;
   }
 
+  // Elements bridged between media server hosts, per room, for all adapters
+  // that transpose elements. Adapters are singletons which might be configured
+  // under more than one name, hence the de-duplication
+  getTransposedElementsByRoom () {
+    const adapters = new Set(AdapterFactory.adapters.map(({ adapter }) => adapter));
+
+    return [...adapters].reduce((transposedByRoom, adapter) => {
+      if (typeof adapter.getTransposedElementsByRoom !== 'function') {
+        return transposedByRoom;
+      }
+
+      const adapterTransposedByRoom = adapter.getTransposedElementsByRoom();
+      Object.keys(adapterTransposedByRoom).forEach(roomId => {
+        transposedByRoom[roomId] = (transposedByRoom[roomId] || 0)
+          + adapterTransposedByRoom[roomId];
+      });
+
+      return transposedByRoom;
+    }, {});
+  }
+
   hasRoom (userId) {
     return this.rooms.has(userId);
   }
@@ -599,6 +1007,11 @@ module.exports = class MediaController {
     if (externalUserId) {
       try {
         user = this.getUser(externalUserId);
+      } catch (e) {
+        // User was not found, just ignore it and create a new one
+      }
+
+      if (user) {
         // If user is found and duplicate EXT_USER_IDs aren't allowed, throw error
         if (!ALLOW_DUPLICATE_EXT_USER_ID) {
           throw this._handleError({
@@ -607,8 +1020,6 @@ module.exports = class MediaController {
           });
         }
         return user;
-      } catch (e) {
-        // User was not found, just ignore it and create a new one
       }
     }
 
@@ -832,13 +1243,13 @@ module.exports = class MediaController {
     }
   }
 
-  setVolume (mediaId, volume) {
+  setVolume (mediaId, volume, direction = C.VOLUME_DIRECTION.INPUT) {
     try {
       const mediaSession = this.getMediaSession(mediaId);
-      return mediaSession.setVolume(volume);
+      return mediaSession.setVolume(volume, direction);
     } catch (error) {
       Logger.error(LOG_PREFIX, `setVolume for media$ ${mediaId} failed due to ${error.message}`,
-        { mediaId, volume, error });
+        { mediaId, volume, direction, error });
       throw (this._handleError(error));
     }
   }
@@ -865,17 +1276,134 @@ module.exports = class MediaController {
     }
   }
 
+  deaf (mediaId) {
+    try {
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.deaf();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `deaf for media$ ${mediaId} failed due to ${error.message}`,
+        { mediaId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  undeaf (mediaId) {
+    try {
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.undeaf();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `undeaf for media$ ${mediaId} failed due to ${error.message}`,
+        { mediaId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  hold (mediaId) {
+    try {
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.hold();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `hold for media$ ${mediaId} failed due to ${error.message}`,
+        { mediaId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  unhold (mediaId) {
+    try {
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.unhold();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `unhold for media$ ${mediaId} failed due to ${error.message}`,
+        { mediaId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  kick (mediaId) {
+    try {
+      Logger.info(LOG_PREFIX, "Kicking media from its conference", { mediaId });
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.kick();
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `kick for media$ ${mediaId} failed due to ${error.message}`,
+        { mediaId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  /**
+   * Members of the FreeSWITCH conference of roomId, reconciled with the
+   * controller's medias. Members which don't map to a live media of a known
+   * user are flagged as ghosts: FreeSWITCH holds them, but mcs-core doesn't
+   * @param {String} roomId
+   * @return {Promise<Array>}
+   */
+  async getConferenceMembers (roomId) {
+    try {
+      const adapter = AdapterFactory.findAdapter(C.STRING.FREESWITCH);
+
+      if (adapter == null || typeof adapter.getConferenceMembers !== 'function') {
+        throw (this._handleError({
+          ...C.ERROR.MEDIA_INVALID_OPERATION,
+          details: 'getConferenceMembers: no conference capable adapter configured',
+        }));
+      }
+
+      const members = await adapter.getConferenceMembers(roomId);
+      const mediasByElementId = [...this.medias.values()].reduce((medias, media) => {
+        if (media.adapter === adapter) {
+          medias[media.adapterElementId] = media;
+        }
+        return medias;
+      }, {});
+
+      const reconciledMembers = members.map(member => {
+        const media = member.adapterElementId
+          ? mediasByElementId[member.adapterElementId]
+          : null;
+        const isKnown = media != null && media.roomId === roomId
+          && this.users.has(media.userId);
+
+        return {
+          ...member,
+          mediaId: isKnown ? media.mediaSessionId : null,
+          userId: isKnown ? media.userId : null,
+          ghost: !isKnown,
+        };
+      });
+
+      const ghosts = reconciledMembers.filter(({ ghost }) => ghost);
+      if (ghosts.length > 0) {
+        Logger.warn(LOG_PREFIX, `Room ${roomId} has ${ghosts.length} ghost conference members`,
+          { roomId, ghosts: ghosts.map(({ memberId, channelId, callerIdNumber }) =>
+            ({ memberId, channelId, callerIdNumber })) });
+      }
+
+      return reconciledMembers;
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `getConferenceMembers for room ${roomId} failed due to ${error.message}`,
+        { roomId, error });
+      throw (this._handleError(error));
+    }
+  }
+
   /*
    * Given a generic identifier that can represent a room, user, media session
    * or media unit, set a new strategy for the member
    * @param {String} identifier
    * @param {String} strategy The name of the strategy to be set
+   * @param {Object} params Strategy-specific parameters
    */
   setStrategy (identifier, strategy, params = {}) {
-    throw this._handleError({
-      ...C.ERROR.MEDIA_INVALID_OPERATION,
-      details: 'setStrategy is not implemented',
-    });
+    try {
+      const member = this._getMemberByIdentifier(identifier);
+      return StrategyManager.setStrategy(member, strategy, params);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `setStrategy for ${identifier} failed due to ${error.message}`,
+        { identifier, strategy, errorMessage: error.message, errorCode: error.code });
+      throw (this._handleError(error));
+    }
   }
 
   /*
@@ -884,10 +1412,12 @@ module.exports = class MediaController {
    * @param {String} identifier
    */
   getStrategy (identifier) {
-    throw this._handleError({
-      ...C.ERROR.MEDIA_INVALID_OPERATION,
-      details: 'getStrategy is not implemented',
-    });
+    try {
+      const member = this._getMemberByIdentifier(identifier);
+      return StrategyManager.getStrategy(member);
+    } catch (error) {
+      throw (this._handleError(error));
+    }
   }
 
   /*
@@ -988,6 +1518,24 @@ module.exports = class MediaController {
     }
   }
 
+  /**
+   * Updates the subscriber hints of a media's video units: the simulcast
+   * layer they get is picked again and what they're sent is capped to maxBitrate
+   * @param {String} mediaId
+   * @param {Object} hints { maxHeight, maxBitrate (bps) }. Null values clear a hint
+   */
+  updateHints (mediaId, hints = {}) {
+    try {
+      Logger.debug(LOG_PREFIX, "Updating subscriber hints", { mediaId, hints });
+      const mediaSession = this.getMediaSession(mediaId);
+      return mediaSession.updateHints(hints);
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `updateHints for media ${mediaId} failed due to ${error.message}`,
+        { mediaId, hints, error });
+      throw (this._handleError(error));
+    }
+  }
+
   requestKeyframe (mediaId) {
     try {
       Logger.debug(LOG_PREFIX, "Requesting keyframe from media", { mediaId });
@@ -999,10 +1547,39 @@ module.exports = class MediaController {
     }
   }
 
+  /**
+   * Fetches normalized RTP stats from the adapters. Media session IDs return
+   * the stats of all of its units; media unit IDs return the unit's stats
+   * @param {String} mediaId
+   */
+  async getMediaStats (mediaId) {
+    try {
+      Logger.debug(LOG_PREFIX, "Fetching media stats", { mediaId });
+      const media = this.getMediaSession(mediaId);
+      return await media.getStats();
+    }
+    catch (error) {
+      throw (this._handleError(error));
+    }
+  }
+
   // FIXME this API method is simply broken
   getMedias (memberType, identifier, options = {}) {
     try {
       Logger.info(LOG_PREFIX, `getMedias request for ${identifier}`, { memberType, identifier, options });
+
+      // Conference members ride on getMedias: mcs-js has no call of its own for them
+      if (options.conferenceMembers) {
+        if (memberType !== C.MEMBERS.ROOM) {
+          throw (this._handleError({
+            ...C.ERROR.MEDIA_INVALID_TYPE,
+            details: `Conference members are listed by room, not by ${memberType}`,
+          }));
+        }
+
+        return this.getConferenceMembers(identifier);
+      }
+
       let { types, mediaTypes } = options;
 
       if (types) {
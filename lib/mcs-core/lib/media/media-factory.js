@@ -65,6 +65,9 @@ class MediaFactory extends EventEmitter {
       case C.MEDIA_TYPE.RECORDING:
         mediaSession = this._createRecordingSession(descriptor, type, roomId, userId, params);
         break;
+      case C.MEDIA_TYPE.DIAL_OUT:
+        mediaSession = this._createDialOutSession(descriptor, type, roomId, userId, params);
+        break;
       default:
         throw C.ERROR.MEDIA_INVALID_TYPE;
     }
@@ -109,6 +112,10 @@ class MediaFactory extends EventEmitter {
     return new RecordingSession(roomId, userId, recordingPath, params);
   }
 
+  _createDialOutSession (destination, type, roomId, userId, params) {
+    return new DialOutSession(roomId, userId, destination, params);
+  }
+
   _createSDPMedia (sdp, type, roomId, userId, params) {
     return new SDPMedia(sdp, roomId, userId, type, params);
   }
@@ -124,5 +131,6 @@ module.exports = MF;
 
 const SDPSession = require('../model/sdp-session.js');
 const RecordingSession = require('../model/recording-session.js');
+const DialOutSession = require('../model/dial-out-session.js');
 const SDPMedia = require('../model/sdp-media.js');
 const RecordingMedia = require('../model/recording-media.js');
@@ -1,7 +1,11 @@
 /*
  * Baseline metrics:
  *  - rooms, gauge
+ *  - room transposed elements, gauge
+ *    * roomId: rooms with elements bridged between media server hosts
  *  - users, gauge
+ *  - media server health, gauge (1 healthy, 0 failing its health checks)
+ *    * hostId, url: media servers in the balancer's pool
  *  - mediaSessions, gauge
  *  - mediaUnits
  *    * media_type: 'main'|'content'|'audio'|'application'|'message'|'invalid'
@@ -9,23 +13,44 @@
  * Additional metrics
  *  - requests: counter
  *  - request errors: counter
+ *    * errorCode: mcs-core error code
  *  - request duration: histogram
+ *    * method: 'publish'|'subscribe'|'connect'|'addIceCandidate'
+ *  - adapter operation duration: histogram
+ *    * adapter: the configured adapter name
+ *    * operation: 'processOffer'|'gatherCandidates'
+ * Media stats metrics (prometheus.mediaStats.enabled)
+ *  - inbound jitter, packet loss ratio: histograms
+ *  - outbound round trip time: histogram
+ *  - bitrate: histogram
+ *    * kind: 'audio'|'video'
+ *    * direction: 'inbound'|'outbound'
  */
 
 const MediaController = new (require('../media/media-controller.js'));
+const Balancer = require('../media/balancer.js');
 const {
   Gauge,
   Counter,
+  Histogram,
 } = require('prom-client');
 
 const METRICS_PREFIX = 'mcs_'
 const METRIC_NAMES = {
   ROOMS: 'mcsRooms',
+  ROOM_TRANSPOSED_ELEMENTS: 'mcsRoomTransposedElements',
   USERS: 'mcsUsers',
+  MEDIA_SERVER_HEALTHY: 'mcsMediaServerHealthy',
   MEDIA_SESSIONS: 'mcsMediaSessions',
   MEDIA_UNITS: 'mcsMediaUnits',
   REQUESTS_TOTAL: 'mcsRequestsTotal',
   REQUEST_ERRORS_TOTAL: 'mcsRequestErrorsTotal',
+  REQUEST_DURATION: 'mcsRequestDuration',
+  ADAPTER_OPERATION_DURATION: 'mcsAdapterOperationDuration',
+  MEDIA_JITTER: 'mcsMediaJitter',
+  MEDIA_PACKET_LOSS: 'mcsMediaPacketLoss',
+  MEDIA_ROUND_TRIP_TIME: 'mcsMediaRoundTripTime',
+  MEDIA_BITRATE: 'mcsMediaBitrate',
 }
 
 let METRICS;
@@ -40,6 +65,19 @@ const buildMetrics = () => {
         },
       }),
 
+      [METRIC_NAMES.ROOM_TRANSPOSED_ELEMENTS]: new Gauge({
+        name: `${METRICS_PREFIX}room_transposed_elements`,
+        help: 'Number of elements bridged between media server hosts per room',
+        labelNames: ['roomId'],
+        collect() {
+          this.reset();
+          const transposedByRoom = MediaController.getTransposedElementsByRoom();
+          Object.keys(transposedByRoom).forEach(roomId => {
+            this.set({ roomId }, transposedByRoom[roomId]);
+          });
+        },
+      }),
+
       [METRIC_NAMES.USERS]: new Gauge({
         name: `${METRICS_PREFIX}users`,
         help: 'Number of active users in mcs-core',
@@ -48,6 +86,18 @@ const buildMetrics = () => {
         },
       }),
 
+      [METRIC_NAMES.MEDIA_SERVER_HEALTHY]: new Gauge({
+        name: `${METRICS_PREFIX}media_server_healthy`,
+        help: 'Whether a media server passes its health checks (1) or not (0)',
+        labelNames: ['hostId', 'url'],
+        collect() {
+          this.reset();
+          Balancer.hosts.forEach(({ id, url, unhealthy }) => {
+            this.set({ hostId: id, url }, unhealthy ? 0 : 1);
+          });
+        },
+      }),
+
       [METRIC_NAMES.MEDIA_SESSIONS]: new Gauge({
         name: `${METRICS_PREFIX}media_sessions`,
         help: 'Number of active media sessions in mcs-core',
@@ -73,6 +123,48 @@ const buildMetrics = () => {
         help: 'Total number of requests failures in mcs-core',
         labelNames: ['method', 'errorCode'],
       }),
+
+      [METRIC_NAMES.REQUEST_DURATION]: new Histogram({
+        name: `${METRICS_PREFIX}request_duration_seconds`,
+        help: 'Duration of requests handled by mcs-core, failed ones included',
+        labelNames: ['method'],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+      }),
+
+      [METRIC_NAMES.ADAPTER_OPERATION_DURATION]: new Histogram({
+        name: `${METRICS_PREFIX}adapter_operation_duration_seconds`,
+        help: 'Duration of media server operations issued by mcs-core adapters',
+        labelNames: ['adapter', 'operation'],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+      }),
+
+      [METRIC_NAMES.MEDIA_JITTER]: new Histogram({
+        name: `${METRICS_PREFIX}media_jitter_seconds`,
+        help: 'Inbound RTP jitter of media units sampled by mcs-core',
+        labelNames: ['kind'],
+        buckets: [0.005, 0.01, 0.02, 0.03, 0.05, 0.1, 0.2, 0.5],
+      }),
+
+      [METRIC_NAMES.MEDIA_PACKET_LOSS]: new Histogram({
+        name: `${METRICS_PREFIX}media_packet_loss_ratio`,
+        help: 'Inbound RTP packet loss ratio between media stats samples',
+        labelNames: ['kind'],
+        buckets: [0.001, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5],
+      }),
+
+      [METRIC_NAMES.MEDIA_ROUND_TRIP_TIME]: new Histogram({
+        name: `${METRICS_PREFIX}media_round_trip_time_seconds`,
+        help: 'Outbound RTP round trip time of media units sampled by mcs-core',
+        labelNames: ['kind'],
+        buckets: [0.01, 0.05, 0.1, 0.2, 0.3, 0.5, 1, 2],
+      }),
+
+      [METRIC_NAMES.MEDIA_BITRATE]: new Histogram({
+        name: `${METRICS_PREFIX}media_bitrate_bits_per_second`,
+        help: 'RTP bitrate between media stats samples',
+        labelNames: ['kind', 'direction'],
+        buckets: [16000, 32000, 64000, 128000, 256000, 512000, 1000000, 2000000, 4000000],
+      }),
     }
   }
 
@@ -1,6 +1,8 @@
 const config = require('config');
 const C = require('../constants/constants.js');
+const { hrTime } = require('../utils/util.js');
 const Agent = require('./prom-agent.js');
+const MediaStatsSampler = require('./media-stats-sampler.js');
 const {
   METRICS_PREFIX,
   METRIC_NAMES,
@@ -13,19 +15,35 @@ const {
   port: METRICS_PORT,
   path: METRICS_PATH,
   collectDefaultMetrics: COLLECT_DEFAULT_METRICS,
+  mediaStats: MEDIA_STATS_CONFIG,
 } = config.has('prometheus')
     ? config.get('prometheus')
     : { enabled: false };
 
+const {
+  enabled: MEDIA_STATS_ENABLED = false,
+  interval: MEDIA_STATS_INTERVAL = 30000,
+} = MEDIA_STATS_CONFIG || {};
+
 const MCSPrometheusAgent = new Agent(METRICS_HOST, METRICS_PORT, {
   path: METRICS_PATH,
   prefix: METRICS_PREFIX,
   collectDefaultMetrics: COLLECT_DEFAULT_METRICS,
 });
 
+const MCSMediaStatsSampler = new MediaStatsSampler(
+  new (require('../media/media-controller.js')),
+  MCSPrometheusAgent,
+  MEDIA_STATS_INTERVAL,
+);
+
 if (METRICS_ENABLED) {
   MCSPrometheusAgent.injectMetrics(buildMetrics());
   MCSPrometheusAgent.start();
+
+  if (MEDIA_STATS_ENABLED) {
+    MCSMediaStatsSampler.start();
+  }
 }
 
 const registerMediaUnitTypeMetrics = (operation, media) => {
@@ -61,11 +79,32 @@ const registerMediaSessionTypeMetrics = (operation, mediaSession) => {
   });
 };
 
+// startTime is a monotonic timestamp in ms (see utils/util's hrTime)
+const observeRequestDuration = (method, startTime) => {
+  MCSPrometheusAgent.observe(
+    METRIC_NAMES.REQUEST_DURATION,
+    (hrTime() - startTime) / 1000,
+    { method },
+  );
+};
+
+const observeAdapterOperationDuration = (adapter, operation, startTime) => {
+  MCSPrometheusAgent.observe(
+    METRIC_NAMES.ADAPTER_OPERATION_DURATION,
+    (hrTime() - startTime) / 1000,
+    { adapter, operation },
+  );
+};
+
 module.exports = {
   METRIC_NAMES,
   METRICS_PREFIX,
   Agent,
   MCSPrometheusAgent,
+  MediaStatsSampler,
+  MCSMediaStatsSampler,
   registerMediaUnitTypeMetrics,
   registerMediaSessionTypeMetrics,
+  observeRequestDuration,
+  observeAdapterOperationDuration,
 };
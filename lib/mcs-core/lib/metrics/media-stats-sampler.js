@@ -0,0 +1,117 @@
+/**
+ * @classdesc
+ * Periodically fetches the RTP stats of every active media unit and feeds them
+ * into the media stats histograms. Bitrates and packet loss ratios are computed
+ * from the difference between consecutive samples of the same stream
+ */
+
+'use strict'
+
+const C = require('../constants/constants.js');
+const Logger = require('../utils/logger');
+const { METRIC_NAMES } = require('./core-metrics.js');
+
+const LOG_PREFIX = '[mcs-media-stats-sampler]';
+
+module.exports = class MediaStatsSampler {
+  constructor (controller, agent, interval) {
+    this.controller = controller;
+    this.agent = agent;
+    this.interval = interval;
+    this._samples = new Map();
+    this._timer = null;
+  }
+
+  start () {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.sample();
+    }, this.interval);
+  }
+
+  stop () {
+    clearInterval(this._timer);
+    this._timer = null;
+    this._samples.clear();
+  }
+
+  async sample () {
+    const medias = Array.from(this.controller.medias.values())
+      .filter(({ status }) => status === C.STATUS.STARTED);
+    const samples = new Map();
+
+    await Promise.all(medias.map(async media => {
+      try {
+        const stats = await media.getStats();
+        this._processStats(stats, samples);
+      } catch (error) {
+        // Adapters without stats support (eg FreeSWITCH) are expected to fail
+        if (error.code !== C.ERROR.MEDIA_INVALID_OPERATION.code) {
+          Logger.debug(LOG_PREFIX, 'Failed to sample media stats', {
+            mediaId: media.id, errorCode: error.code, errorMessage: error.message,
+          });
+        }
+      }
+    }));
+
+    // Streams that weren't sampled this round are gone, so drop their history
+    this._samples = samples;
+  }
+
+  _processStats ({ mediaId, timestamp, inbound, outbound }, samples) {
+    Object.keys(inbound).forEach(kind => {
+      inbound[kind].forEach(report => {
+        const key = `${mediaId}:inbound:${kind}:${report.ssrc}`;
+        const previous = this._samples.get(key);
+        samples.set(key, { ...report, timestamp });
+
+        if (typeof report.jitter === 'number') {
+          this.agent.observe(METRIC_NAMES.MEDIA_JITTER, report.jitter, { kind });
+        }
+
+        if (previous) {
+          const received = report.packetsReceived - previous.packetsReceived;
+          const lost = report.packetsLost - previous.packetsLost;
+
+          if (received >= 0 && lost >= 0 && received + lost > 0) {
+            this.agent.observe(METRIC_NAMES.MEDIA_PACKET_LOSS, lost / (received + lost), { kind });
+          }
+
+          this._observeBitrate(
+            report.bytesReceived - previous.bytesReceived,
+            timestamp - previous.timestamp,
+            { kind, direction: 'inbound' },
+          );
+        }
+      });
+    });
+
+    Object.keys(outbound).forEach(kind => {
+      outbound[kind].forEach(report => {
+        const key = `${mediaId}:outbound:${kind}:${report.ssrc}`;
+        const previous = this._samples.get(key);
+        samples.set(key, { ...report, timestamp });
+
+        if (typeof report.roundTripTime === 'number') {
+          this.agent.observe(METRIC_NAMES.MEDIA_ROUND_TRIP_TIME, report.roundTripTime, { kind });
+        }
+
+        if (previous) {
+          this._observeBitrate(
+            report.bytesSent - previous.bytesSent,
+            timestamp - previous.timestamp,
+            { kind, direction: 'outbound' },
+          );
+        }
+      });
+    });
+  }
+
+  _observeBitrate (bytes, elapsedMs, labels) {
+    // Negative deltas mean the stream's counters were reset (eg renegotiation)
+    if (!(bytes >= 0) || !(elapsedMs > 0)) return;
+
+    this.agent.observe(METRIC_NAMES.MEDIA_BITRATE, (bytes * 8 * 1000) / elapsedMs, labels);
+  }
+}
@@ -79,6 +79,15 @@ module.exports = class PrometheusScrapeAgent {
     }
   }
 
+  observe (metricName, value, labelsObject) {
+    if (!this.started) return;
+
+    const metric = this.metrics[metricName];
+    if (metric) {
+      metric.observe(labelsObject, value)
+    }
+  }
+
   set (metricName, value, labelsObject) {
     if (!this.started) return;
 
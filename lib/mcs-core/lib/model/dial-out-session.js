@@ -0,0 +1,40 @@
+/**
+ * @classdesc
+ * Model class for calls placed by the audio server to external phones
+ */
+
+'use strict'
+
+const MediaSession = require('./media-session');
+const Logger = require('../utils/logger');
+const C = require('../constants/constants');
+const LOG_PREFIX = "[mcs-dial-out-session]";
+
+module.exports = class DialOutSession extends MediaSession {
+  constructor(room, user, destination, options) {
+    super(room, user, C.MEDIA_TYPE.DIAL_OUT, options);
+    this.destination = destination;
+    // Phone calls are audio only
+    this.mediaTypes.audio = true;
+    Logger.info(LOG_PREFIX,  "New session created", JSON.stringify(this.getMediaInfo()));
+  }
+
+  async process () {
+    try {
+      const {
+        audioAdapter,
+      } = this._adapters;
+
+      this.medias = await audioAdapter.negotiate(this.roomId, this.userId, this.id,
+        this.destination, this.type, this._options);
+
+      Logger.debug(LOG_PREFIX, `Dialing out to ${this.destination} for ${this.id}`,
+        { mediaInfo: this.getMediaInfo() });
+      return this.id;
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Error on DialOutSession process for ${this.id}`,
+        { mediaInfo: this.getMediaInfo(), error })
+      throw (this._handleError(error));
+    }
+  }
+}
@@ -83,6 +83,9 @@ module.exports = class MediaSession {
     }
     this.muted = false;
     this.volume = 50;
+    this.outputVolume = 50;
+    this.deafened = false;
+    this.held = false;
   }
 
   set muted (isMuted) {
@@ -276,7 +279,13 @@ module.exports = class MediaSession {
     });
   }
 
-  setVolume (volume) {
+  setVolume (volume, direction = C.VOLUME_DIRECTION.INPUT) {
+    if (direction === C.VOLUME_DIRECTION.OUTPUT) {
+      return this._runOnAudioMedias(m => m.setVolume(volume, direction)).then(() => {
+        this.outputVolume = volume;
+      });
+    }
+
     const prevVolume = this.volume;
     try {
       this.medias.forEach(async m => {
@@ -324,6 +333,62 @@ module.exports = class MediaSession {
     }
   }
 
+  deaf () {
+    return this._runOnAudioMedias(m => m.deaf()).then(() => {
+      this.deafened = true;
+    });
+  }
+
+  undeaf () {
+    return this._runOnAudioMedias(m => m.undeaf()).then(() => {
+      this.deafened = false;
+    });
+  }
+
+  hold () {
+    return this._runOnAudioMedias(m => m.hold()).then(() => {
+      this.held = true;
+    });
+  }
+
+  unhold () {
+    return this._runOnAudioMedias(m => m.unhold()).then(() => {
+      this.held = false;
+    });
+  }
+
+  kick () {
+    return this._runOnAudioMedias(m => m.kick());
+  }
+
+  updateHints (hints) {
+    return this._runOnVideoMedias(m => m.updateHints(hints));
+  }
+
+  _runOnAudioMedias (command) {
+    return this._runOnMediasOfType('audio', command);
+  }
+
+  _runOnVideoMedias (command) {
+    return this._runOnMediasOfType('video', command);
+  }
+
+  _runOnMediasOfType (type, command) {
+    const typedMedias = this.medias.filter(({ mediaTypes }) => mediaTypes[type]);
+
+    if (typedMedias.length <= 0) {
+      return Promise.reject(handleError(LOG_PREFIX, {
+        ...C.ERROR.MEDIA_NOT_FOUND,
+        details: `MEDIA_SESSION_NO_AVAILABLE_${type.toUpperCase()}_MEDIA_UNIT`
+      }));
+    }
+
+    // Failed commands leave the session as is, hence no _handleError here
+    return Promise.all(typedMedias.map(command)).catch(error => {
+      throw (handleError(LOG_PREFIX, error));
+    });
+  }
+
   dtmf (tone) {
     try {
       const media = this.medias.find(({ mediaTypes }) => mediaTypes.audio &&
@@ -375,6 +440,33 @@ module.exports = class MediaSession {
     });
   }
 
+  /**
+   * Collects the RTP stats of every media unit in this session. Units that
+   * can't provide them (eg the adapter doesn't implement getStats) are listed
+   * with the error instead so that the remaining ones are still reported
+   */
+  async getStats () {
+    const medias = await Promise.all(this.medias.map(async m => {
+      try {
+        return await m.getStats();
+      } catch (err) {
+        const { code, message, details } = handleError(LOG_PREFIX, err);
+        return {
+          mediaId: m.id,
+          mediaSessionId: this.id,
+          type: m.type,
+          error: { code, message, details },
+        };
+      }
+    }));
+
+    return {
+      mediaId: this.id,
+      timestamp: Date.now(),
+      medias,
+    };
+  }
+
   sessionStarted () {
     if (this._status === C.STATUS.STARTING) {
       this._status = C.STATUS.STARTED;
@@ -413,6 +505,9 @@ module.exports = class MediaSession {
       mediaTypes: this.mediaTypes,
       isMuted: this.muted,
       volume: this.volume,
+      outputVolume: this.outputVolume,
+      deafened: this.deafened,
+      held: this.held,
       mediaProfile: this._mediaProfile,
     };
 
@@ -431,6 +526,10 @@ module.exports = class MediaSession {
     });
   }
 
+  hasMediasOnHost (hostId) {
+    return this.medias.some(({ host }) => host && host.id === hostId);
+  }
+
   getContentMedia () {
     const contentMedia = this.medias.find(m => m.mediaTypes.content && m.mediaTypes.content !== 'recvonly');
 
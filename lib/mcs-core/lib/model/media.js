@@ -11,7 +11,7 @@ const rid = require('readable-id');
 const config = require('config');
 const Logger = require('../utils/logger');
 const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
-const { handleError } = require('../utils/util');
+const { handleError, pickSimulcastLayer } = require('../utils/util');
 const MEDIA_SPECS = C.DEFAULT_MEDIA_SPECS;
 const MediaFactory = require('../media/media-factory');
 const EventEmitter = require('events').EventEmitter;
@@ -44,6 +44,9 @@ module.exports = class Media extends EventEmitter {
     this.customIdentifier = options.customIdentifier;
     this.muted = false;
     this.volume = 50;
+    this.outputVolume = 50;
+    this.deafened = false;
+    this.held = false;
     this.talking = false;
     this.mediaTypes = {
       video: false,
@@ -69,6 +72,23 @@ module.exports = class Media extends EventEmitter {
 
     // Media ID that serves as a subscription source tracker for a sink media
     this._subscribedTo = "";
+    // Connection type of the subscription above, used to re-establish it
+    // when either end is replaced by a new media unit
+    this.subscriptionType = C.CONNECTION_TYPE.ALL;
+    // Set when this media's host went offline and it's being recreated
+    // elsewhere (see MediaController). The outage isn't reported for it then
+    this.migrating = false;
+    // Simulcast layers sent by this media when it's a simulcast source
+    // (see SdpWrapper.getSimulcastLayers)
+    this.simulcastLayers = [];
+    // Subscriber preferences used to pick a layer from simulcast sources and
+    // to cap what's sent to this media (maxBitrate, in bps)
+    this.subscriberHints = {
+      maxHeight: options.maxHeight,
+      maxBitrate: options.maxBitrate,
+    };
+    // RID of the layer this media receives from its simulcast source
+    this.simulcastLayer = null;
 
     this.onHostOnline = this.onHostOnline.bind(this);
     this.onHostOffline= this.onHostOffline.bind(this);
@@ -104,6 +124,8 @@ module.exports = class Media extends EventEmitter {
       { eventType: C.EVENT.MEDIA_VOLUME_CHANGED, callback: this._dispatchVolumeChangedEvent.bind(this) },
       { eventType: C.EVENT.MEDIA_MUTED, callback: this._dispatchMutedEvent.bind(this) },
       { eventType: C.EVENT.MEDIA_UNMUTED, callback: this._dispatchUnmutedEvent.bind(this) },
+      { eventType: C.EVENT.MEDIA_DTMF, callback: this._dispatchDTMFEvent.bind(this) },
+      { eventType: C.EVENT.MEDIA_ENERGY_LEVEL, callback: this._dispatchEnergyLevelEvent.bind(this) },
       { eventType: C.EVENT.CONFERENCE_FLOOR_CHANGED, callback: this._dispatchConferenceNewVideoFloor.bind(this) },
     ];
 
@@ -124,17 +146,7 @@ module.exports = class Media extends EventEmitter {
     if (this.status === C.STATUS.STARTED || this.status === C.STATUS.STARTING) {
       this.status = C.STATUS.STOPPING;
       try {
-        if (this.mediaTypes.video) {
-          Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.MAIN);
-        }
-
-        if (this.mediaTypes.audio) {
-          Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.AUDIO);
-        }
-
-        if (this.mediaTypes.content) {
-          Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.CONTENT);
-        }
+        this._decrementHostStreams();
 
         this.status = C.STATUS.STOPPED;
         Logger.info(LOG_PREFIX, "Session stopped", this.getMediaInfo());
@@ -161,6 +173,39 @@ module.exports = class Media extends EventEmitter {
     }
   }
 
+  /**
+   * Releases this media unit without notifying it as disconnected. Used when
+   * it's replaced by a new one in its session (see SDPSession.restartIce
+   * and SDPSession.migrate)
+   */
+  release () {
+    if (this.status === C.STATUS.STARTED || this.status === C.STATUS.STARTING) {
+      this.status = C.STATUS.STOPPED;
+      this._decrementHostStreams();
+      Balancer.removeListener(C.EVENT.MEDIA_SERVER_OFFLINE, this.onHostOffline);
+      Balancer.removeListener(C.EVENT.MEDIA_SERVER_ONLINE, this.onHostOnline);
+      Logger.info(LOG_PREFIX, "Media released", this.getMediaInfo());
+
+      return this.adapter.stop(this.roomId, this.type, this.adapterElementId);
+    }
+
+    return Promise.resolve();
+  }
+
+  _decrementHostStreams () {
+    if (this.mediaTypes.video) {
+      Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.MAIN);
+    }
+
+    if (this.mediaTypes.audio) {
+      Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.AUDIO);
+    }
+
+    if (this.mediaTypes.content) {
+      Balancer.decrementHostStreams(this.host.id, C.MEDIA_PROFILE.CONTENT);
+    }
+  }
+
   async connect (sink, type = 'ALL') {
     try {
       Logger.debug(LOG_PREFIX, "Connecting endpoints", {
@@ -213,7 +258,12 @@ module.exports = class Media extends EventEmitter {
           connectionType,
         );
 
+        if (this.simulcastLayers.length > 0 && sim.mediaTypes.video) {
+          await this._selectSimulcastLayer(sim);
+        }
+
         // Update the sink's source data
+        sim.subscriptionType = connectionType;
         sim.subscribedTo = this.id;
       } catch (error) {
         Logger.error(LOG_PREFIX, `Failed to run underlying _connect procedure due to ${error.message}`,
@@ -222,6 +272,46 @@ module.exports = class Media extends EventEmitter {
     });
   }
 
+  async _selectSimulcastLayer (sink) {
+    const { rid } = pickSimulcastLayer(this.simulcastLayers, sink.subscriberHints);
+
+    await this.adapter.selectSimulcastLayer(
+      this.adapterElementId,
+      sink.adapterElementId,
+      rid,
+    );
+
+    sink.simulcastLayer = rid;
+    Logger.debug(LOG_PREFIX, "Simulcast layer selected", {
+      sourceId: this.id, sinkId: sink.id, rid, hints: sink.subscriberHints,
+    });
+  }
+
+  /**
+   * Updates this media's subscriber hints. The output bitrate cap is set
+   * on adapters which support it and the simulcast layer it gets from its
+   * source is picked again
+   * @param {Object} hints { maxHeight, maxBitrate }. Null values clear a hint
+   */
+  async updateHints (hints = {}) {
+    this.subscriberHints = { ...this.subscriberHints, ...hints };
+
+    if (typeof hints.maxBitrate !== 'undefined'
+      && typeof this.adapter.setMaxOutputBitrate === 'function') {
+      await this.adapter.setMaxOutputBitrate(this.adapterElementId, hints.maxBitrate);
+    }
+
+    const source = this.subscribedTo ? MediaFactory.getMedia(this.subscribedTo) : null;
+
+    if (source && source.simulcastLayers.length > 0) {
+      await source._selectSimulcastLayer(this);
+    }
+
+    Logger.debug(LOG_PREFIX, "Subscriber hints updated", {
+      mediaId: this.id, mediaSessionId: this.mediaSessionId, hints: this.subscriberHints,
+    });
+  }
+
   async disconnect (sink, type = 'ALL') {
     try {
       Logger.debug(LOG_PREFIX, "Disconnecting endpoints", {
@@ -370,6 +460,26 @@ module.exports = class Media extends EventEmitter {
     GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_UNMUTED, event);
   }
 
+  _dispatchDTMFEvent (digit) {
+    const event = {
+      mediaId: this.id,
+      roomId: this.roomId,
+      userId: this.userId,
+      digit,
+    }
+    GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_DTMF, event);
+  }
+
+  _dispatchEnergyLevelEvent (energyLevel) {
+    const event = {
+      mediaId: this.id,
+      roomId: this.roomId,
+      userId: this.userId,
+      energyLevel,
+    }
+    GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_ENERGY_LEVEL, event);
+  }
+
   _dispatchConferenceNewVideoFloor () {
     const event = {
       mediaSessionId: this.mediaSessionId,
@@ -403,6 +513,9 @@ module.exports = class Media extends EventEmitter {
       customIdentifier: this.customIdentifier || undefined,
       muted: this.muted,
       volume: this.volume,
+      outputVolume: this.outputVolume,
+      deafened: this.deafened,
+      held: this.held,
       talking: this.talking,
       mediaTypes: this.mediaTypes,
       subscribedTo: this.subscribedTo,
@@ -411,10 +524,61 @@ module.exports = class Media extends EventEmitter {
     };
   }
 
-  setVolume (volume) {
+  setVolume (volume, direction = C.VOLUME_DIRECTION.INPUT) {
+    if (direction === C.VOLUME_DIRECTION.OUTPUT) {
+      return this._runAdapterCommand('setVolume', volume, direction).then(() => {
+        this.outputVolume = volume;
+      });
+    }
+
     return this.adapter.setVolume(this.adapterElementId, volume);
   }
 
+  deaf () {
+    return this._runAdapterCommand('deaf').then(() => {
+      this.deafened = true;
+    });
+  }
+
+  undeaf () {
+    return this._runAdapterCommand('undeaf').then(() => {
+      this.deafened = false;
+    });
+  }
+
+  hold () {
+    return this._runAdapterCommand('hold').then(() => {
+      this.held = true;
+    });
+  }
+
+  unhold () {
+    return this._runAdapterCommand('unhold').then(() => {
+      this.held = false;
+    });
+  }
+
+  kick () {
+    return this._runAdapterCommand('kick');
+  }
+
+  // Conference control commands are only implemented by adapters which
+  // manage conferences (ie FreeSWITCH)
+  _runAdapterCommand (command, ...args) {
+    if (typeof this.adapter[command] !== 'function') {
+      return Promise.reject(handleError(LOG_PREFIX, {
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `${this.adapter.name} does not implement ${command}`,
+      }));
+    }
+
+    try {
+      return Promise.resolve(this.adapter[command](this.adapterElementId, ...args));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
   mute () {
     return this.adapter.mute(this.adapterElementId);
   }
@@ -441,6 +605,17 @@ module.exports = class Media extends EventEmitter {
     }
   }
 
+  async getStats () {
+    const stats = await this.adapter.getStats(this.adapterElementId);
+
+    return {
+      mediaId: this.id,
+      mediaSessionId: this.mediaSessionId,
+      type: this.type,
+      ...stats,
+    };
+  }
+
   keyframeNeeded () {
     GLOBAL_EVENT_EMITTER.emit(C.EVENT.KEYFRAME_NEEDED, this.id);
   }
@@ -458,7 +633,7 @@ module.exports = class Media extends EventEmitter {
   }
 
   onHostOffline (hostId) {
-    if (this.host && this.host.id === hostId) {
+    if (this.host && this.host.id === hostId && !this.migrating) {
       const event = {
         state: { name: C.EVENT.MEDIA_SERVER_OFFLINE, details: 'offline' },
         mediaId: this.mediaSessionId
@@ -28,6 +28,7 @@ module.exports = class RecordingMedia extends Media {
   ) {
     super(room, user, mediaSessionId, type, adapter, adapterElementId, host, options);
     this.sourceMedia = options.sourceMedia || undefined;
+    this.conferenceRecording = !!options.conferenceRecording;
     if (localDescriptor) {
       this.localDescriptor = localDescriptor;
     }
@@ -66,6 +67,9 @@ module.exports = class RecordingMedia extends Media {
       this.mediaTypes.video = video;
       this.mediaTypes.audio = audio;
       this.mediaTypes.content = content;
+    } else if (this.conferenceRecording) {
+      // Conference recordings are made out of the audio mix of a room
+      this.mediaTypes.audio = true;
     }
   }
 
@@ -23,6 +23,7 @@ module.exports = class RecordingSession extends MediaSession {
     super(room, user, C.MEDIA_TYPE.RECORDING, recordingOptions);
     this.filename = uri;
     this.sourceMedia = this._options.sourceMedia;
+    this.conferenceRecording = !!this._options.conferenceRecording;
     this.fillMediaTypes();
     Logger.info(LOG_PREFIX,  "New session created", JSON.stringify(this.getMediaInfo()));
   }
@@ -31,14 +32,20 @@ module.exports = class RecordingSession extends MediaSession {
     try {
       const {
         videoAdapter,
+        audioAdapter,
       } = this._adapters;
       const { uri } = this._options;
+      const adapter = this.conferenceRecording ? audioAdapter : videoAdapter;
 
-      this.medias = await videoAdapter.negotiate(this.roomId, this.userId, this.id, uri, this.type, this._options);
+      this.medias = await adapter.negotiate(this.roomId, this.userId, this.id, uri, this.type, this._options);
       // Get media types from the head media (recording medias aren't supposed
       // to be multi-media based)
       this.mediaTypes = this.medias[0]? this.medias[0].mediaTypes : this.mediaTypes;
-      await this.sourceMedia.connect(this);
+      // Conference recordings are fed by the audio server itself, there's
+      // no source media to connect
+      if (!this.conferenceRecording) {
+        await this.sourceMedia.connect(this);
+      }
 
       Logger.debug(LOG_PREFIX, `Started recording for ${this.id}`,
         { mediaInfo: this.getMediaInfo() });
@@ -56,6 +63,8 @@ module.exports = class RecordingSession extends MediaSession {
       this.mediaTypes.video = video;
       this.mediaTypes.audio = audio;
       this.mediaTypes.content = content;
+    } else if (this.conferenceRecording) {
+      this.mediaTypes.audio = true;
     }
   }
 }
@@ -65,6 +65,7 @@ module.exports = class SDPMedia extends Media {
 
       this._remoteDescriptor = new SdpWrapper(remoteDescriptor, this.mediaSpecs, this.mediaProfile, wrapperOptions);
       this.fillMediaTypes(this.remoteDescriptor);
+      this.simulcastLayers = this.remoteDescriptor.getSimulcastLayers();
 
       if (this.negotiationRole === C.NEGOTIATION_ROLE.OFFERER) {
         this.mediaSpecs = SdpWrapper.updateSpecWithChosenCodecs(this.remoteDescriptor);
@@ -17,6 +17,8 @@ const AdapterFactory = require('../adapters/adapter-factory');
 const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
 const Balancer = require('../media/balancer');
 const LOG_PREFIX = "[mcs-sdp-session]";
+const SIMULCAST_CONFIG = config.has('simulcast') ? config.get('simulcast') : {};
+const SIMULCAST_ENABLED = !!SIMULCAST_CONFIG.enabled;
 
 module.exports = class SDPSession extends MediaSession {
   constructor(
@@ -64,6 +66,12 @@ module.exports = class SDPSession extends MediaSession {
         this._remoteDescriptor.forceActiveDirection();
       }
 
+      if (this._remoteDescriptor.hasSimulcast() && !this._supportsSimulcast()) {
+        Logger.info(LOG_PREFIX, `Simulcast isn't available for session ${this.id}, stripping it from the remote descriptor`,
+          { mediaSessionId: this.id, adapter: this._adapter, simulcastEnabled: SIMULCAST_ENABLED });
+        this._remoteDescriptor.removeSimulcast();
+      }
+
       if (this.negotiationRole === C.NEGOTIATION_ROLE.OFFERER) {
         this.mediaSpecs = SdpWrapper.updateSpecWithChosenCodecs(this.remoteDescriptor);
       }
@@ -87,6 +95,15 @@ module.exports = class SDPSession extends MediaSession {
     return this._remoteDescriptor;
   }
 
+  // Simulcast is feature flagged and only enabled for adapters which are
+  // able to forward a single layer to each subscriber
+  _supportsSimulcast () {
+    const { videoAdapter } = this._adapters;
+    return SIMULCAST_ENABLED
+      && !!videoAdapter
+      && typeof videoAdapter.selectSimulcastLayer === 'function';
+  }
+
   set localDescriptor (localDescriptor) {
     if (localDescriptor) {
       this._localDescriptor = new SdpWrapper(localDescriptor, this.mediaSpecs, this._mediaProfile);
@@ -496,6 +513,119 @@ module.exports = class SDPSession extends MediaSession {
     return localDescriptorAnswer;
   }
 
+  /**
+   * Recreates this session's media units after the host they lived on went
+   * offline. The balancer won't hand out that host anymore, so the new units
+   * land on a healthy one. As the answerer, the stored remote offer is
+   * processed again; as the offerer, a fresh offer is generated and the
+   * remote answer is expected in a later publish/subscribe with this mediaId.
+   * The new local descriptor is sent to the owning module via a
+   * mediaRenegotiationRequired media state event.
+   * @return {Promise<String>} The new local descriptor
+   */
+  async migrate () {
+    await this._releaseMedias();
+
+    if (this.negotiationRole === C.NEGOTIATION_ROLE.OFFERER) {
+      this._remoteDescriptor = null;
+      this.shouldProcessRemoteDescriptorAsAnswerer = false;
+    }
+
+    this.shouldRenegotiate = false;
+    this.firstLocalDescriptor = true;
+
+    const localDescriptor = await this.process();
+    this._status = C.STATUS.STARTED;
+
+    Logger.info(LOG_PREFIX, `Session ${this.id} migrated`, {
+      roomId: this.roomId,
+      userId: this.userId,
+      mediaSessionId: this.id,
+      hostIds: this.medias.map(({ host }) => host && host.id),
+    });
+
+    GLOBAL_EVENT_EMITTER.emit(C.EVENT.MEDIA_STATE.MEDIA_EVENT, {
+      state: { name: C.EVENT.MEDIA_RENEGOTIATION_REQUIRED, details: localDescriptor },
+      mediaId: this.id,
+      mediaSessionId: this.id,
+    });
+
+    return localDescriptor;
+  }
+
+  /**
+   * Restarts ICE by replacing this session's media units with new ones, which
+   * come with fresh ICE credentials and candidates. As the answerer, the
+   * remote descriptor is the peer's new offer and the answer is returned; as
+   * the offerer, a fresh offer is returned and the remote answer is expected
+   * in a later publish/subscribe with this mediaId.
+   * This isn't an RFC 8445 ICE restart on the same endpoints: the new units
+   * also bring a new DTLS fingerprint and new SSRCs, so peers must apply the
+   * whole new descriptor. It has only been exercised against the mock adapter.
+   * The old units are released before the new ones are negotiated, so
+   * callers must stop the session if it fails past that point (see
+   * MediaController._restartIce).
+   * @param {String} descriptor The new remote offer, if we're the answerer
+   * @return {Promise<String>} The new local descriptor
+   */
+  async restartIce (descriptor) {
+    if (this.negotiationRole === C.NEGOTIATION_ROLE.ANSWERER && !descriptor) {
+      throw (this._handleError({
+        ...C.ERROR.MEDIA_INVALID_SDP,
+        details: 'ICE restart requires a new offer',
+      }));
+    }
+
+    await this._releaseMedias();
+
+    this._remoteDescriptor = null;
+    this.shouldProcessRemoteDescriptorAsAnswerer = false;
+    this.shouldRenegotiate = false;
+    this.firstLocalDescriptor = true;
+
+    let localDescriptor;
+
+    try {
+      if (this.negotiationRole === C.NEGOTIATION_ROLE.ANSWERER) {
+        this.remoteDescriptor = descriptor;
+      }
+
+      localDescriptor = await this.process();
+    } catch (error) {
+      // Units negotiated before the failure are released as well: the
+      // session is left without medias and marked as stopped
+      await this._releaseMedias();
+      throw (this._handleError(error));
+    }
+
+    this._status = C.STATUS.STARTED;
+
+    Logger.info(LOG_PREFIX, `Session ${this.id} restarted ICE`, {
+      roomId: this.roomId,
+      userId: this.userId,
+      mediaSessionId: this.id,
+      negotiationRole: this.negotiationRole,
+    });
+
+    return localDescriptor;
+  }
+
+  // Releases the current media units so that process() creates new ones
+  async _releaseMedias () {
+    const previousMedias = this.medias;
+    this.medias = [];
+    this.invalidMedias = [];
+
+    await Promise.all(previousMedias.map(async m => {
+      try {
+        await m.release();
+      } catch (error) {
+        Logger.warn(LOG_PREFIX, `Failed to release media ${m.id}`,
+          { mediaSessionId: this.id, mediaId: m.id, error: this._handleError(error) });
+      }
+    }));
+  }
+
   fillMediaTypes () {
     this.mediaTypes.video = this.medias.some(m => m.mediaTypes.video);
     this.mediaTypes.content = this.medias.some(m => m.mediaTypes.content) || this._mediaProfile === C.MEDIA_PROFILE.CONTENT;
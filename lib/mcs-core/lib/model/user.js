@@ -155,7 +155,19 @@ module.exports = class User extends EventEmitter  {
       const answer = await this._startSession(recordingSession.id);
       return ({ recordingSession, answer });
     } catch (error) {
-      Logger.error(LOG_PREFIX, `startRecording from user ${this.id} of rec ${source.id} failed due to ${error.message}`,
+      Logger.error(LOG_PREFIX, `startRecording from user ${this.id} of rec ${source ? source.id : this.roomId} failed due to ${error.message}`,
+        { userId: this.id, roomId: this.roomId, error });
+      throw (this._handleError(error));
+    }
+  }
+
+  async dialOut (destination, type, params = {}) {
+    try {
+      const dialOutSession = this.createMediaSession(destination, type, params);
+      const answer = await this._startSession(dialOutSession.id);
+      return ({ dialOutSession, answer });
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `dialOut from user ${this.id} to ${destination} failed due to ${error.message}`,
         { userId: this.id, roomId: this.roomId, error });
       throw (this._handleError(error));
     }
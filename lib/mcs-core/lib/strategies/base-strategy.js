@@ -0,0 +1,135 @@
+/**
+ * @classdesc
+ * Base class for media strategies. A strategy is attached to a single member
+ * (room, user, media session or media unit) and reacts to the controller events
+ * that happen within that member's scope
+ */
+
+'use strict'
+
+const C = require('../constants/constants');
+const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
+const Logger = require('../utils/logger');
+const { handleError } = require('../utils/util');
+const Room = require('../model/room');
+const User = require('../model/user');
+
+const LOG_PREFIX = "[mcs-strategy]";
+
+// Controller events a strategy may react to. Subclasses should override the
+// matching handler method to act on them
+const STRATEGY_EVENTS = [
+  { event: C.EVENT.MEDIA_START_TALKING, handler: 'onStartTalking' },
+  { event: C.EVENT.MEDIA_STOP_TALKING, handler: 'onStopTalking' },
+  { event: C.EVENT.CONFERENCE_FLOOR_CHANGED, handler: 'onConferenceFloorChanged' },
+  { event: C.EVENT.CONTENT_FLOOR_CHANGED, handler: 'onContentFloorChanged' },
+  { event: C.EVENT.MEDIA_CONNECTED, handler: 'onMediaConnected' },
+  { event: C.EVENT.MEDIA_DISCONNECTED, handler: 'onMediaDisconnected' },
+  { event: C.EVENT.USER_JOINED, handler: 'onUserJoined' },
+  { event: C.EVENT.USER_LEFT, handler: 'onUserLeft' },
+];
+
+module.exports = class BaseStrategy {
+  constructor (name, member, params = {}) {
+    this.name = name;
+    this.member = member;
+    this.params = params;
+    this.scope = BaseStrategy.getMemberScope(member);
+    this._registeredEvents = [];
+  }
+
+  static getMemberScope (member) {
+    if (member instanceof Room) {
+      return { memberType: C.MEMBERS.ROOM, roomId: member.id };
+    }
+
+    if (member instanceof User) {
+      return { memberType: C.MEMBERS.USER, roomId: member.roomId, userId: member.id };
+    }
+
+    // Media units carry their own memberType, media sessions don't
+    return {
+      memberType: member.memberType || C.MEMBERS.MEDIA_SESSION,
+      roomId: member.roomId,
+      userId: member.userId,
+      mediaId: member.id,
+    };
+  }
+
+  start () {
+    STRATEGY_EVENTS.forEach(({ event, handler }) => {
+      const callback = (payload) => {
+        if (!this._isEventInScope(payload)) return;
+        try {
+          this[handler](payload);
+        } catch (error) {
+          this._handleError(error);
+          Logger.error(LOG_PREFIX, `Strategy ${this.name} failed to handle ${event}`,
+            { ...this.scope, errorMessage: error.message, errorCode: error.code });
+        }
+      };
+      GLOBAL_EVENT_EMITTER.on(event, callback);
+      this._registeredEvents.push({ event, callback });
+    });
+
+    Logger.debug(LOG_PREFIX, `Strategy ${this.name} started`, this.scope);
+  }
+
+  stop () {
+    this._registeredEvents.forEach(({ event, callback }) => {
+      GLOBAL_EVENT_EMITTER.removeListener(event, callback);
+    });
+    this._registeredEvents = [];
+
+    Logger.debug(LOG_PREFIX, `Strategy ${this.name} stopped`, this.scope);
+  }
+
+  _isEventInScope (event = {}) {
+    const { memberType, roomId, userId, mediaId } = this.scope;
+
+    if (event.roomId !== roomId) return false;
+
+    switch (memberType) {
+      case C.MEMBERS.USER: {
+        // USER_JOINED nests the user info instead of flattening it
+        const eventUserId = event.user ? event.user.userId : event.userId;
+        return eventUserId == null || eventUserId === userId;
+      }
+      case C.MEMBERS.MEDIA_SESSION:
+      case C.MEMBERS.MEDIA:
+        return event.mediaId == null
+          || event.mediaId === mediaId
+          || event.mediaSessionId === mediaId
+          || this._isOwnMediaUnit(event.mediaId);
+      default:
+        return true;
+    }
+  }
+
+  // Talking events only carry the media unit ID. Units are looked up on every
+  // event since sessions may replace them (migrations, ICE restarts)
+  _isOwnMediaUnit (mediaId) {
+    const { medias = [] } = this.member;
+    return medias.some(media => media.id === mediaId);
+  }
+
+  onStartTalking (event) {}
+
+  onStopTalking (event) {}
+
+  onConferenceFloorChanged (event) {}
+
+  onContentFloorChanged (event) {}
+
+  onMediaConnected (event) {}
+
+  onMediaDisconnected (event) {}
+
+  onUserJoined (event) {}
+
+  onUserLeft (event) {}
+
+  _handleError (error) {
+    return handleError(LOG_PREFIX, error);
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * @classdesc
+ * Default strategy: leaves the member alone and lets clients drive it
+ */
+
+'use strict'
+
+const BaseStrategy = require('./base-strategy');
+
+module.exports = class Freewill extends BaseStrategy {
+  start () {
+    // Nothing to listen to
+  }
+}
@@ -0,0 +1,137 @@
+'use strict';
+
+const config = require('config');
+const C = require('../constants/constants');
+const Logger = require('../utils/logger');
+const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
+const { handleError } = require('../utils/util');
+
+const LOG_PREFIX = '[mcs-strategy-manager]';
+const CONFIGURED_STRATEGIES = config.has('strategies')
+  ? config.get('strategies') || []
+  : [];
+
+// Strategies shipped with mcs-core. Configured ones may override them
+const BUILTIN_STRATEGIES = [
+  { name: C.STRATEGIES.FREEWILL, path: './freewill.js' },
+  { name: C.STRATEGIES.VOICE_SWITCHING, path: './voice-switching.js' },
+];
+
+let instance = null;
+
+class StrategyManager {
+  constructor () {
+    if (instance == null) {
+      // Strategy name -> constructor
+      this.registry = new Map();
+      // Member ID -> running strategy instance
+      this.strategies = new Map();
+
+      BUILTIN_STRATEGIES.concat(CONFIGURED_STRATEGIES).forEach(s => {
+        try {
+          const { path, name } = s;
+          // path may be relative to this directory or refer to an npm module
+          const strategyConstructor = require(path);
+          this.register(name, strategyConstructor);
+        } catch (e) {
+          Logger.error(LOG_PREFIX, 'Could not add configured strategy', s, e);
+        }
+      });
+
+      this._trackMemberDestruction();
+
+      Logger.info(LOG_PREFIX, 'Available strategies:', [...this.registry.keys()]);
+      instance = this;
+    }
+
+    return instance;
+  }
+
+  register (name, strategyConstructor) {
+    if (typeof name !== 'string' || typeof strategyConstructor !== 'function') {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_INVALID_TYPE,
+        details: `Invalid strategy definition: ${name}`,
+      });
+    }
+
+    this.registry.set(name, strategyConstructor);
+  }
+
+  isValidStrategy (name) {
+    return this.registry.has(name);
+  }
+
+  /**
+   * Attach a strategy to a member, replacing the current one if any.
+   * Setting FREEWILL simply detaches the member's current strategy
+   * @param {Object} member A room, user, media session or media unit
+   * @param {String} name The name of the strategy to be set
+   * @param {Object} params Strategy-specific parameters
+   */
+  setStrategy (member, name, params = {}) {
+    if (!this.isValidStrategy(name)) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `Strategy ${name} is not available`,
+      });
+    }
+
+    if (name === C.STRATEGIES.FREEWILL) {
+      this.removeStrategy(member.id);
+      return name;
+    }
+
+    // Build it before dropping the current one so that invalid params keep
+    // the member as it was
+    const strategyConstructor = this.registry.get(name);
+    const strategy = new strategyConstructor(name, member, params);
+    this.removeStrategy(member.id);
+    strategy.start();
+    this.strategies.set(member.id, strategy);
+
+    Logger.info(LOG_PREFIX, `Strategy ${name} set`, { ...strategy.scope, params });
+
+    return name;
+  }
+
+  getStrategy (member) {
+    const strategy = this.strategies.get(member.id);
+    return strategy ? strategy.name : C.STRATEGIES.FREEWILL;
+  }
+
+  removeStrategy (memberId) {
+    const strategy = this.strategies.get(memberId);
+
+    if (strategy) {
+      try {
+        strategy.stop();
+      } catch (error) {
+        this._handleError(error);
+      }
+      this.strategies.delete(memberId);
+    }
+  }
+
+  _trackMemberDestruction () {
+    // Strategies die with their members
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.ROOM_DESTROYED, ({ roomId }) => {
+      this.removeStrategy(roomId);
+    });
+
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.USER_LEFT, ({ userId }) => {
+      this.removeStrategy(userId);
+    });
+
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.MEDIA_DISCONNECTED, ({ mediaId, medias = [] }) => {
+      this.removeStrategy(mediaId);
+      medias.forEach(m => this.removeStrategy(m.mediaId));
+    });
+  }
+
+  _handleError (error) {
+    return handleError(LOG_PREFIX, error);
+  }
+}
+
+module.exports = new StrategyManager();
@@ -0,0 +1,110 @@
+/**
+ * @classdesc
+ * Voice switching strategy: hands the room's conference video floor to whoever
+ * is talking. A speaker must talk continuously for `hysteresis` ms to be
+ * considered, and the floor is kept for at least `holdTime` ms before it can
+ * switch again so that short interjections don't flip the speaker view around
+ */
+
+'use strict'
+
+const config = require('config');
+const C = require('../constants/constants');
+const Logger = require('../utils/logger');
+const BaseStrategy = require('./base-strategy');
+
+const LOG_PREFIX = "[mcs-voice-switching]";
+const {
+  holdTime: DEFAULT_HOLD_TIME = 2000,
+  hysteresis: DEFAULT_HYSTERESIS = 500,
+} = config.has('voiceSwitching') ? config.get('voiceSwitching') : {};
+
+module.exports = class VoiceSwitching extends BaseStrategy {
+  constructor (name, member, params = {}) {
+    super(name, member, params);
+
+    if (this.scope.memberType !== C.MEMBERS.ROOM) {
+      throw this._handleError({
+        ...C.ERROR.MEDIA_INVALID_OPERATION,
+        details: `${name} can only be set on rooms`,
+      });
+    }
+
+    const { holdTime = DEFAULT_HOLD_TIME, hysteresis = DEFAULT_HYSTERESIS } = params;
+    this.holdTime = holdTime;
+    this.hysteresis = hysteresis;
+    this._lastFloorChange = 0;
+    // Media ID -> pending floor takeover timer
+    this._candidates = new Map();
+  }
+
+  stop () {
+    this._candidates.forEach(timer => clearTimeout(timer));
+    this._candidates.clear();
+    super.stop();
+  }
+
+  onStartTalking ({ mediaId, userId }) {
+    this._clearCandidate(mediaId);
+    this._scheduleTakeover(mediaId, userId, this.hysteresis);
+  }
+
+  onStopTalking ({ mediaId }) {
+    this._clearCandidate(mediaId);
+  }
+
+  onMediaDisconnected ({ mediaId, medias = [] }) {
+    this._clearCandidate(mediaId);
+    medias.forEach(m => this._clearCandidate(m.mediaId));
+  }
+
+  onConferenceFloorChanged () {
+    this._lastFloorChange = Date.now();
+  }
+
+  _scheduleTakeover (mediaId, userId, delay) {
+    const timer = setTimeout(() => {
+      this._takeFloor(mediaId, userId);
+    }, delay);
+    this._candidates.set(mediaId, timer);
+  }
+
+  _clearCandidate (mediaId) {
+    const timer = this._candidates.get(mediaId);
+    if (timer) {
+      clearTimeout(timer);
+      this._candidates.delete(mediaId);
+    }
+  }
+
+  _takeFloor (mediaId, userId) {
+    this._candidates.delete(mediaId);
+
+    const { floor } = this.member.getConferenceFloor();
+    if (floor && floor.userId === userId) return;
+
+    const elapsed = Date.now() - this._lastFloorChange;
+    if (elapsed < this.holdTime) {
+      // Still talking, but the current floor hasn't been held long enough.
+      // Re-evaluate once it has
+      this._scheduleTakeover(mediaId, userId, this.holdTime - elapsed);
+      return;
+    }
+
+    // Talking medias are usually audio-only: the room looks up the speaker's
+    // webcam and leaves the floor as is if there's none
+    const media = this.member.medias.find(({ id }) => id === mediaId);
+    if (media == null) return;
+
+    Logger.debug(LOG_PREFIX, 'Voice switching conference floor',
+      { roomId: this.scope.roomId, mediaId, userId });
+
+    try {
+      this.member.setConferenceFloor(media);
+    } catch (error) {
+      this._handleError(error);
+      Logger.error(LOG_PREFIX, 'Voice switching failed to set the conference floor',
+        { roomId: this.scope.roomId, mediaId, userId, errorMessage: error.message, errorCode: error.code });
+    }
+  }
+}
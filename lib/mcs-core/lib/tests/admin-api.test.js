@@ -0,0 +1,427 @@
+const http = require('http');
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const Balancer = require('../media/balancer.js');
+const Logger = require('../utils/logger');
+const AdminAPI = require('../admin/admin-api.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  WEBRTC_CONTENT_SENDONLY,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+const TOKEN = 'admin-test-token';
+
+const controller = new MediaController();
+controller.start();
+
+const adminAPI = new AdminAPI(controller, '127.0.0.1', 0, { token: TOKEN });
+
+const request = (method, path, { token = TOKEN, body } = {}) => new Promise((resolve, reject) => {
+  const { port } = adminAPI.server.getServerObject().address();
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (body) headers['Content-Type'] = 'application/json';
+  const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const publishVideo = (userId, roomId, descriptor = WEBRTC_VIDEO_SENDONLY, mediaProfile = C.MEDIA_PROFILE.MAIN) =>
+  controller.publish(userId, roomId, C.MEDIA_TYPE.WEBRTC, { descriptor, mediaProfile });
+
+beforeAll(() => adminAPI.start());
+
+afterAll(() => adminAPI.stop());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return leaveAll(controller);
+});
+
+describe('admin-api', () => {
+  describe('authentication', () => {
+    test('refuses requests without a token', async () => {
+      const { statusCode, body } = await request('GET', '/admin/rooms', { token: null });
+
+      expect(statusCode).toBe(401);
+      expect(body.error.message).toBe('UNAUTHORIZED');
+    });
+
+    test('refuses requests with a wrong token', async () => {
+      const { statusCode } = await request('GET', '/admin/rooms', { token: 'nope' });
+
+      expect(statusCode).toBe(401);
+    });
+
+    test('does not start without a configured token', () => {
+      const tokenless = new AdminAPI(controller, '127.0.0.1', 0);
+
+      tokenless.start();
+
+      expect(tokenless.started).toBe(false);
+    });
+  });
+
+  describe('routing', () => {
+    test('unknown routes return 404', async () => {
+      const { statusCode } = await request('GET', '/admin/bogus');
+
+      expect(statusCode).toBe(404);
+    });
+
+    test('unsupported methods return 405', async () => {
+      const { statusCode } = await request('DELETE', '/admin/rooms');
+
+      expect(statusCode).toBe(405);
+    });
+  });
+
+  describe('introspection', () => {
+    let userId, mediaId;
+
+    beforeEach(async () => {
+      userId = controller.join('admin-room', 'SFU', { name: 'Alice', externalUserId: 'ext-alice' });
+      ({ mediaId } = await publishVideo(userId, 'admin-room'));
+    });
+
+    test('GET /rooms lists rooms with their counters', async () => {
+      const { statusCode, body } = await request('GET', '/admin/rooms');
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual([{
+        roomId: 'admin-room', numberOfUsers: 1, numberOfMediaSessions: 1, numberOfMedias: 1,
+      }]);
+    });
+
+    test('GET /rooms/:roomId returns users, medias and floors', async () => {
+      controller.setConferenceFloor('admin-room', mediaId);
+
+      const { statusCode, body } = await request('GET', '/admin/rooms/admin-room');
+
+      expect(statusCode).toBe(200);
+      expect(body.users).toEqual([expect.objectContaining({ userId, name: 'Alice' })]);
+      expect(body.medias).toEqual([expect.objectContaining({ mediaId })]);
+      expect(body.conferenceFloor.floor).toEqual(expect.objectContaining({ mediaSessionId: mediaId }));
+      expect(body.contentFloor).toEqual({});
+    });
+
+    test('GET /rooms/:roomId/users returns the room users', async () => {
+      const { body } = await request('GET', '/admin/rooms/admin-room/users');
+
+      expect(body).toEqual([expect.objectContaining({ userId, externalUserId: 'ext-alice' })]);
+    });
+
+    test('GET /users/:userId resolves external user IDs', async () => {
+      const { statusCode, body } = await request('GET', '/admin/users/ext-alice');
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual(expect.objectContaining({ userId, roomId: 'admin-room' }));
+      expect(body.mediasList).toBeUndefined();
+      expect(body.medias).toEqual([expect.objectContaining({ mediaId })]);
+    });
+
+    test('GET /medias/:mediaId returns types, adapters, hosts and states', async () => {
+      const { statusCode, body } = await request('GET', `/admin/medias/${mediaId}`);
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual(expect.objectContaining({
+        mediaId, userId, roomId: 'admin-room', type: C.MEDIA_TYPE.WEBRTC, status: C.STATUS.STARTED,
+      }));
+      expect(body.medias).toEqual([expect.objectContaining({
+        mediaSessionId: mediaId,
+        type: C.MEDIA_TYPE.WEBRTC,
+        adapter: 'Kurento',
+        hostId: expect.any(String),
+        status: C.STATUS.STARTED,
+        mediaTypes: expect.objectContaining({ video: 'sendonly' }),
+      })]);
+    });
+
+    test('GET /medias/:mediaId accepts media unit IDs', async () => {
+      const [unit] = controller.getMediaSession(mediaId).medias;
+
+      const { body } = await request('GET', `/admin/medias/${unit.id}`);
+
+      expect(body).toEqual(expect.objectContaining({ mediaId: unit.id, mediaSessionId: mediaId, adapter: 'Kurento' }));
+    });
+
+    test('GET /medias/:mediaId/stats returns the media RTP stats', async () => {
+      const { statusCode, body } = await request('GET', `/admin/medias/${mediaId}/stats`);
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual(expect.objectContaining({ mediaId }));
+      expect(body.medias[0].inbound.video).toEqual([expect.objectContaining({ ssrc: expect.any(Number) })]);
+    });
+
+    test('unknown members return 404 with the mcs error', async () => {
+      const responses = await Promise.all([
+        request('GET', '/admin/rooms/nope'),
+        request('GET', '/admin/users/nope'),
+        request('GET', '/admin/medias/nope'),
+      ]);
+
+      expect(responses.map(({ statusCode }) => statusCode)).toEqual([404, 404, 404]);
+      expect(responses.map(({ body }) => body.error.code)).toEqual([
+        C.ERROR.ROOM_NOT_FOUND.code,
+        C.ERROR.USER_NOT_FOUND.code,
+        C.ERROR.MEDIA_NOT_FOUND.code,
+      ]);
+    });
+  });
+
+  describe('actions', () => {
+    let userId, mediaId, auditLog;
+
+    beforeEach(async () => {
+      auditLog = jest.spyOn(Logger, 'info');
+      userId = controller.join('admin-room', 'SFU', {});
+      ({ mediaId } = await publishVideo(userId, 'admin-room'));
+    });
+
+    const getAuditEntries = () => auditLog.mock.calls.filter(([prefix]) => prefix === '[mcs-admin-audit]');
+
+    test('POST /users/:userId/eject makes the user leave', async () => {
+      const userLeft = waitForEvent(C.EVENT.USER_LEFT, (info) => info.userId === userId);
+
+      const { statusCode, body } = await request('POST', `/admin/users/${userId}/eject`);
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual({ userId, roomId: 'admin-room' });
+      await userLeft;
+      expect(controller.hasUser(userId)).toBe(false);
+    });
+
+    test('POST /medias/:mediaId/stop unpublishes sources', async () => {
+      const disconnected = waitForEvent(C.EVENT.MEDIA_DISCONNECTED, (info) => info.mediaId === mediaId);
+
+      const { statusCode } = await request('POST', `/admin/medias/${mediaId}/stop`);
+
+      expect(statusCode).toBe(200);
+      await disconnected;
+      expect(controller.hasMediaSession(mediaId)).toBe(false);
+    });
+
+    test('POST /medias/:mediaId/stop unsubscribes sinks', async () => {
+      const subscriber = controller.join('admin-room', 'SFU', {});
+      const { mediaId: sinkId } = await controller.subscribe(subscriber, mediaId, C.MEDIA_TYPE.WEBRTC, {
+        descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN,
+      });
+      const unsubscribe = jest.spyOn(controller, 'unsubscribe');
+      const [sinkUnit] = controller.getMediaSession(sinkId).medias;
+
+      const { statusCode, body } = await request('POST', `/admin/medias/${sinkUnit.id}/stop`);
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual({ mediaId: sinkId, userId: subscriber, roomId: 'admin-room' });
+      expect(unsubscribe).toHaveBeenCalledWith(subscriber, sinkId);
+      expect(controller.hasMediaSession(mediaId)).toBe(true);
+    });
+
+    test('POST /medias/:mediaId/keyframe requests a keyframe', async () => {
+      const requestKeyframe = jest.spyOn(controller, 'requestKeyframe');
+
+      const { statusCode } = await request('POST', `/admin/medias/${mediaId}/keyframe`);
+
+      expect(statusCode).toBe(200);
+      expect(requestKeyframe).toHaveBeenCalledWith(mediaId);
+    });
+
+    test('POST /rooms/:roomId/floors/conference/release releases the conference floor', async () => {
+      controller.setConferenceFloor('admin-room', mediaId);
+
+      const { statusCode, body } = await request('POST', '/admin/rooms/admin-room/floors/conference/release', {
+        body: JSON.stringify({ preserve: false }),
+      });
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual({});
+      expect(controller.getConferenceFloor('admin-room').floor).toBeUndefined();
+    });
+
+    test('POST /rooms/:roomId/floors/content/release releases the content floor', async () => {
+      const { mediaId: contentId } = await publishVideo(
+        userId, 'admin-room', WEBRTC_CONTENT_SENDONLY, C.MEDIA_PROFILE.CONTENT,
+      );
+      controller.setContentFloor('admin-room', contentId);
+
+      const { statusCode, body } = await request('POST', '/admin/rooms/admin-room/floors/content/release');
+
+      expect(statusCode).toBe(200);
+      expect(body.floor).toBeUndefined();
+      expect(body.previousFloor).toEqual([expect.objectContaining({ mediaSessionId: contentId })]);
+    });
+
+    test('actions are audit-logged', async () => {
+      await request('POST', `/admin/medias/${mediaId}/keyframe`, { token: TOKEN });
+
+      expect(getAuditEntries()).toEqual([[
+        '[mcs-admin-audit]',
+        'Admin action requestKeyframe succeeded',
+        expect.objectContaining({ action: 'requestKeyframe', mediaId, remoteAddress: expect.any(String) }),
+      ]]);
+    });
+
+    test('failed actions are audit-logged and return the mcs error', async () => {
+      const auditWarning = jest.spyOn(Logger, 'warn');
+
+      const { statusCode, body } = await request('POST', '/admin/users/nope/eject');
+
+      expect(statusCode).toBe(404);
+      expect(body.error.code).toBe(C.ERROR.USER_NOT_FOUND.code);
+      expect(auditWarning).toHaveBeenCalledWith(
+        '[mcs-admin-audit]',
+        'Admin action ejectUser failed',
+        expect.objectContaining({ action: 'ejectUser', userId: 'nope', errorCode: C.ERROR.USER_NOT_FOUND.code }),
+      );
+    });
+
+    test('malformed bodies return 400', async () => {
+      const { statusCode } = await request('POST', '/admin/rooms/admin-room/floors/conference/release', {
+        body: '{nope',
+      });
+
+      expect(statusCode).toBe(400);
+    });
+
+    test('oversized bodies return 413 without reaching the action', async () => {
+      const releaseConferenceFloor = jest.spyOn(controller, 'releaseConferenceFloor');
+
+      const { statusCode, body } = await request('POST', '/admin/rooms/admin-room/floors/conference/release', {
+        body: JSON.stringify({ preserve: false, padding: 'x'.repeat(70 * 1024) }),
+      });
+
+      expect(statusCode).toBe(413);
+      expect(body.error.message).toBe('PAYLOAD_TOO_LARGE');
+      expect(releaseConferenceFloor).not.toHaveBeenCalled();
+    });
+
+    test('oversized bodies without a content length are cut off while streaming', async () => {
+      const { port } = adminAPI.server.getServerObject().address();
+      const statusCode = await new Promise((resolve) => {
+        const req = http.request({
+          host: '127.0.0.1', port, method: 'POST', path: '/admin/rooms/admin-room/floors/conference/release',
+          headers: { Authorization: `Bearer ${TOKEN}`, 'Transfer-Encoding': 'chunked' },
+        }, res => resolve(res.statusCode));
+        // The server hangs up before the body is done
+        req.on('error', () => {});
+        req.write('x'.repeat(40 * 1024));
+        req.write('x'.repeat(40 * 1024));
+      });
+
+      expect(statusCode).toBe(413);
+    });
+
+    test('unauthorized requests are refused before their body is read', async () => {
+      const readBody = jest.spyOn(adminAPI, '_readBody');
+
+      const { statusCode } = await request('POST', '/admin/rooms/admin-room/floors/conference/release', {
+        token: 'nope', body: '{}',
+      });
+
+      expect(statusCode).toBe(401);
+      expect(readBody).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hosts', () => {
+    let originalHosts, host;
+
+    beforeEach(() => {
+      originalHosts = Balancer.hosts.slice();
+      [host] = Balancer.hosts;
+    });
+
+    afterEach(() => {
+      // Hosts added through the API are health checked
+      Balancer.hosts.forEach(h => Balancer._stopHealthChecks(h));
+      Balancer.hosts = originalHosts;
+      originalHosts.forEach(h => {
+        delete h.draining;
+        delete h.retiring;
+        delete h.retired;
+      });
+    });
+
+    test('GET /hosts lists the media servers with their load', async () => {
+      const { statusCode, body } = await request('GET', '/admin/hosts');
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual([expect.objectContaining({
+        id: host.id, url: host.url, load: 0, draining: false, retiring: false,
+      })]);
+    });
+
+    test('unknown hosts return 404', async () => {
+      const { statusCode, body } = await request('GET', '/admin/hosts/nope');
+
+      expect(statusCode).toBe(404);
+      expect(body.error.code).toBe(C.ERROR.MEDIA_SERVER_NOT_FOUND.code);
+    });
+
+    test('POST /hosts connects to a media server and adds it to the pool', async () => {
+      const newHost = {
+        ...host, id: 'runtime-host', url: 'ws://198.51.100.20:8888/kurento', medias: { main: 0 }, client: { on: () => {} },
+      };
+      const connectToHost = jest.spyOn(Balancer.constructor, 'connectToHost').mockResolvedValue(newHost);
+
+      const { statusCode, body } = await request('POST', '/admin/hosts', {
+        body: JSON.stringify({ url: newHost.url, ip: '198.51.100.20', weight: 2 }),
+      });
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual(expect.objectContaining({ id: 'runtime-host', url: newHost.url }));
+      expect(connectToHost).toHaveBeenCalledWith(
+        newHost.url, '198.51.100.20', expect.any(Object), { public: '198.51.100.20' }, undefined,
+        { weight: 2, capacity: undefined, roomAffinityThreshold: undefined },
+      );
+      expect(Balancer.retrieveHost('runtime-host')).toBe(newHost);
+    });
+
+    test('POST /hosts refuses media servers already in the pool', async () => {
+      const { statusCode, body } = await request('POST', '/admin/hosts', {
+        body: JSON.stringify({ url: host.url, ip: host.ip }),
+      });
+
+      expect(statusCode).toBe(400);
+      expect(body.error.code).toBe(C.ERROR.MEDIA_INVALID_OPERATION.code);
+    });
+
+    test('draining hosts keep their medias but get no new ones', async () => {
+      const userId = controller.join('admin-room', 'SFU', {});
+      const { mediaId } = await publishVideo(userId, 'admin-room');
+
+      const { statusCode, body } = await request('POST', `/admin/hosts/${host.id}/drain`);
+
+      expect(statusCode).toBe(200);
+      expect(body.draining).toBe(true);
+      expect(controller.hasMediaSession(mediaId)).toBe(true);
+      await expect(publishVideo(userId, 'admin-room'))
+        .rejects.toEqual(expect.objectContaining({ code: C.ERROR.MEDIA_SERVER_NO_RESOURCES.code }));
+
+      await request('POST', `/admin/hosts/${host.id}/undrain`);
+
+      await expect(publishVideo(userId, 'admin-room')).resolves.toEqual(expect.anything());
+    });
+
+    test('DELETE /hosts/:hostId removes the host once it is empty', async () => {
+      const userId = controller.join('admin-room', 'SFU', {});
+      const { mediaId } = await publishVideo(userId, 'admin-room');
+
+      const { statusCode, body } = await request('DELETE', `/admin/hosts/${host.id}`);
+
+      expect(statusCode).toBe(200);
+      expect(body).toEqual(expect.objectContaining({ id: host.id, draining: true, retiring: true, removed: false }));
+      expect(Balancer.retrieveHost(host.id)).toBe(host);
+
+      await controller.unpublish(userId, mediaId);
+
+      expect(Balancer.retrieveHost(host.id)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,326 @@
+const C = require('../constants/constants');
+const Balancer = require('../media/balancer.js');
+const MediaController = require('../media/media-controller.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const buildHost = (id, {
+  mediaType = C.MEDIA_PROFILE.ALL,
+  weight = 1,
+  capacity,
+  roomAffinityThreshold,
+  medias = {},
+} = {}) => ({
+  id,
+  url: `mock://${id}`,
+  ip: id,
+  medias: {
+    [C.MEDIA_PROFILE.MAIN]: 0,
+    [C.MEDIA_PROFILE.CONTENT]: 0,
+    [C.MEDIA_PROFILE.AUDIO]: 0,
+    ...medias,
+  },
+  options: {},
+  ipClassMappings: { public: id },
+  mediaType,
+  weight,
+  capacity,
+  roomAffinityThreshold,
+  client: null,
+});
+
+describe('balancer', () => {
+  let originalHosts, originalStrategy;
+
+  beforeEach(() => {
+    originalHosts = Balancer.hosts;
+    originalStrategy = Balancer.balancingStrategy;
+    Balancer.balancingStrategy = C.BALANCING_STRATEGY.LEAST_LOADED;
+  });
+
+  afterEach(() => {
+    Balancer.hosts = originalHosts;
+    Balancer.balancingStrategy = originalStrategy;
+  });
+
+  test('getHostById throws MEDIA_SERVER_NOT_FOUND for unknown hosts', () => {
+    const host = buildHost('h1');
+    Balancer.hosts = [host];
+
+    expect(Balancer.getHostById('h1')).toBe(host);
+    expect(() => Balancer.getHostById('nope'))
+      .toThrow(expect.objectContaining({ code: C.ERROR.MEDIA_SERVER_NOT_FOUND.code, details: 'nope' }));
+  });
+
+  describe('LEAST_LOADED', () => {
+    test('host load is the sum of its weighted stream costs', () => {
+      const host = buildHost('h1', { medias: { main: 2, content: 2, audio: 4 } });
+
+      expect(Balancer.getHostLoad(host)).toBe(2 + 3 + 1);
+    });
+
+    test('picks the host with the lowest load to weight ratio', async () => {
+      Balancer.hosts = [
+        buildHost('small', { weight: 1, medias: { main: 4 } }),
+        buildHost('big', { weight: 4, medias: { main: 12 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN);
+
+      expect(host.id).toBe('big');
+    });
+
+    test('prices streams by media type', async () => {
+      Balancer.hosts = [
+        buildHost('content', { medias: { content: 2 } }),
+        buildHost('audio', { medias: { audio: 16 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN);
+
+      expect(host.id).toBe('content');
+    });
+
+    test('skips hosts that would go over capacity', async () => {
+      Balancer.hosts = [
+        buildHost('full', { capacity: 5, medias: { main: 1, content: 2 } }),
+        buildHost('loaded', { medias: { main: 20 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.CONTENT);
+
+      expect(host.id).toBe('loaded');
+    });
+
+    test('refuses with MEDIA_SERVER_NO_RESOURCES when every host is at capacity', async () => {
+      Balancer.hosts = [
+        buildHost('h1', { capacity: 1, medias: { main: 1 } }),
+        buildHost('h2', { capacity: 2, medias: { content: 1 } }),
+      ];
+
+      await expect(Balancer.getHost(C.MEDIA_PROFILE.MAIN))
+        .rejects.toEqual(C.ERROR.MEDIA_SERVER_NO_RESOURCES);
+    });
+
+    test('prefers hosts dedicated to the required media type', async () => {
+      Balancer.hosts = [
+        buildHost('audio', { mediaType: C.MEDIA_PROFILE.AUDIO }),
+        buildHost('main', { mediaType: C.MEDIA_PROFILE.MAIN, medias: { main: 10 } }),
+      ];
+
+      expect((await Balancer.getHost(C.MEDIA_PROFILE.MAIN)).id).toBe('main');
+      expect((await Balancer.getHost(C.MEDIA_PROFILE.AUDIO)).id).toBe('audio');
+    });
+  });
+
+  describe('health checks', () => {
+    let originalHealthChecks;
+
+    const buildClient = (getInfo = () => Promise.resolve({ version: '6.16.0' })) => ({
+      getServerManager: jest.fn(() => Promise.resolve({ getInfo })),
+    });
+
+    const failHealthChecks = async (host, times) => {
+      for (let i = 0; i < times; i++) {
+        await Balancer._checkHostHealth(host);
+      }
+    };
+
+    beforeEach(() => {
+      originalHealthChecks = Balancer.healthChecks;
+      Balancer.healthChecks = { enabled: true, interval: 1000, timeout: 10, failAfter: 2 };
+    });
+
+    afterEach(() => {
+      Balancer.healthChecks = originalHealthChecks;
+    });
+
+    test('hosts are marked unhealthy after failAfter failed probes in a row', async () => {
+      const host = buildHost('wedged');
+      host.client = buildClient(() => Promise.reject(new Error('Request has timed out')));
+      host.healthCheckFailures = 0;
+
+      await failHealthChecks(host, 1);
+      expect(host.unhealthy).toBeFalsy();
+
+      await failHealthChecks(host, 1);
+      expect(host.unhealthy).toBe(true);
+    });
+
+    test('probes which take longer than the timeout count as failures', async () => {
+      const host = buildHost('slow');
+      host.client = buildClient(() => new Promise(() => {}));
+      host.healthCheckFailures = 0;
+
+      await Balancer._checkHostHealth(host);
+
+      expect(host.healthCheckFailures).toBe(1);
+    });
+
+    test('a successful probe brings an unhealthy host back', async () => {
+      const host = buildHost('recovered');
+      host.client = buildClient();
+      host.unhealthy = true;
+      host.healthCheckFailures = 5;
+
+      await Balancer._checkHostHealth(host);
+
+      expect(host.unhealthy).toBe(false);
+      expect(host.healthCheckFailures).toBe(0);
+    });
+
+    test('unhealthy hosts get no new medias', async () => {
+      Balancer.hosts = [
+        { ...buildHost('idle'), unhealthy: true },
+        buildHost('busy', { medias: { main: 20 } }),
+      ];
+
+      expect((await Balancer.getHost(C.MEDIA_PROFILE.MAIN)).id).toBe('busy');
+    });
+
+    test('refuses with MEDIA_SERVER_OFFLINE when every host is unhealthy', async () => {
+      Balancer.hosts = [{ ...buildHost('h1'), unhealthy: true }];
+
+      await expect(Balancer.getHost(C.MEDIA_PROFILE.MAIN))
+        .rejects.toEqual(C.ERROR.MEDIA_SERVER_OFFLINE);
+    });
+
+    test('hosts are probed periodically until they are stopped', () => {
+      jest.useFakeTimers();
+      const host = buildHost('probed');
+      host.client = buildClient();
+
+      try {
+        Balancer._startHealthChecks(host);
+        jest.advanceTimersByTime(2000);
+        Balancer._stopHealthChecks(host);
+        jest.advanceTimersByTime(2000);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(host.client.getServerManager).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ROOM_AFFINITY', () => {
+    beforeEach(() => {
+      Balancer.balancingStrategy = C.BALANCING_STRATEGY.ROOM_AFFINITY;
+    });
+
+    test('keeps a room on its host while it is below the threshold', async () => {
+      Balancer.hosts = [
+        buildHost('room', { roomAffinityThreshold: 10, medias: { main: 8 } }),
+        buildHost('idle'),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN, { roomHostIds: ['room'] });
+
+      expect(host.id).toBe('room');
+    });
+
+    test('spills over to the least loaded host below its threshold', async () => {
+      Balancer.hosts = [
+        buildHost('room', { roomAffinityThreshold: 10, medias: { main: 10 } }),
+        buildHost('busy', { roomAffinityThreshold: 10, medias: { main: 6 } }),
+        buildHost('idle', { roomAffinityThreshold: 10, medias: { main: 2 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN, { roomHostIds: ['room'] });
+
+      expect(host.id).toBe('idle');
+    });
+
+    test('new rooms go to the least loaded host', async () => {
+      Balancer.hosts = [
+        buildHost('busy', { medias: { main: 6 } }),
+        buildHost('idle', { medias: { main: 2 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN);
+
+      expect(host.id).toBe('idle');
+    });
+
+    test('stays on the room hosts when every host is past its threshold', async () => {
+      Balancer.hosts = [
+        buildHost('other', { roomAffinityThreshold: 1, medias: { main: 2 } }),
+        buildHost('room', { roomAffinityThreshold: 1, medias: { main: 5 } }),
+      ];
+
+      const host = await Balancer.getHost(C.MEDIA_PROFILE.MAIN, { roomHostIds: ['room'] });
+
+      expect(host.id).toBe('room');
+    });
+
+    test('refuses with MEDIA_SERVER_NO_RESOURCES when every host is at capacity', async () => {
+      Balancer.hosts = [buildHost('room', { capacity: 1, medias: { main: 1 } })];
+
+      await expect(Balancer.getHost(C.MEDIA_PROFILE.MAIN, { roomHostIds: ['room'] }))
+        .rejects.toEqual(C.ERROR.MEDIA_SERVER_NO_RESOURCES);
+    });
+
+    describe('with the mock adapter', () => {
+      const mockAdapter = AdapterFactory.findAdapter('Kurento');
+      let extraHost;
+
+      const publish = (userId, roomId) => controller.publish(userId, roomId, C.MEDIA_TYPE.WEBRTC, {
+        descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN,
+      });
+
+      const subscribe = (userId, sourceId) => controller.subscribe(userId, sourceId, C.MEDIA_TYPE.WEBRTC, {
+        descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN,
+      });
+
+      const getHostId = (mediaId) => controller.getMediaSession(mediaId).medias[0].host.id;
+
+      beforeEach(() => {
+        Balancer.hosts = originalHosts.slice();
+        extraHost = mockAdapter._createHost({ ip: '198.51.100.14' }, 'extra');
+        Balancer.addHost(extraHost);
+      });
+
+      afterEach(() => leaveAll(controller));
+
+      test('rooms are spread over hosts and their medias kept together', async () => {
+        const [firstHost] = originalHosts;
+        const publisher = controller.join('affinity-room-1', 'SFU', {});
+        const subscriber = controller.join('affinity-room-1', 'SFU', {});
+        const otherPublisher = controller.join('affinity-room-2', 'SFU', {});
+
+        const { mediaId: sourceId } = await publish(publisher, 'affinity-room-1');
+        const { mediaId: sinkId } = await subscribe(subscriber, sourceId);
+        const { mediaId: otherSourceId } = await publish(otherPublisher, 'affinity-room-2');
+
+        expect(getHostId(sourceId)).toBe(firstHost.id);
+        expect(getHostId(sinkId)).toBe(firstHost.id);
+        expect(getHostId(otherSourceId)).toBe(extraHost.id);
+        expect(controller.getTransposedElementsByRoom()).toEqual({});
+      });
+
+      test('spilled over medias are counted as transposed', async () => {
+        const [firstHost] = originalHosts;
+        const publisher = controller.join('affinity-room-1', 'SFU', {});
+        const subscriber = controller.join('affinity-room-1', 'SFU', {});
+
+        const { mediaId: sourceId } = await publish(publisher, 'affinity-room-1');
+        firstHost.roomAffinityThreshold = Balancer.getHostLoad(firstHost);
+        try {
+          const { mediaId: sinkId } = await subscribe(subscriber, sourceId);
+
+          expect(getHostId(sinkId)).toBe(extraHost.id);
+          expect(controller.getTransposedElementsByRoom()).toEqual({ 'affinity-room-1': 1 });
+        } finally {
+          delete firstHost.roomAffinityThreshold;
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { EventEmitter } = require('events');
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const Router = require('../media/mcs-message-router.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const { parseConferenceList } = require('../adapters/freeswitch/conference-list-parser.js');
+const {
+  WEBRTC_AUDIO_SENDRECV,
+  WEBRTC_VIDEO_SENDONLY,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+// Started through the router so that events are dispatched to its clients
+Router.start();
+const controller = new MediaController();
+
+const mockAdapter = AdapterFactory.findAdapter(C.STRING.FREESWITCH);
+
+const publishAudio = (userId, roomId) => controller.publish(userId, roomId, C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_AUDIO_SENDRECV, mediaProfile: C.MEDIA_PROFILE.AUDIO, adapter: C.STRING.FREESWITCH,
+});
+
+afterEach(() => {
+  mockAdapter.clearGhostMembers();
+  return leaveAll(controller);
+});
+
+describe('conference control', () => {
+  let userId, mediaId;
+
+  beforeEach(async () => {
+    userId = controller.join('conference-room', 'SFU', {});
+    ({ mediaId } = await publishAudio(userId, 'conference-room'));
+  });
+
+  test('deaf and undeaf toggle the session state', async () => {
+    const session = controller.getMediaSession(mediaId);
+
+    await controller.deaf(mediaId);
+    expect(session.getMediaInfo()).toEqual(expect.objectContaining({ deafened: true }));
+    expect(session.medias[0].deafened).toBe(true);
+
+    await controller.undeaf(mediaId);
+    expect(session.deafened).toBe(false);
+  });
+
+  test('hold and unhold toggle the session state', async () => {
+    const session = controller.getMediaSession(mediaId);
+
+    await controller.hold(mediaId);
+    expect(session.held).toBe(true);
+
+    await controller.unhold(mediaId);
+    expect(session.held).toBe(false);
+  });
+
+  test('output volume is set apart from the input volume', async () => {
+    const session = controller.getMediaSession(mediaId);
+
+    await controller.setVolume(mediaId, 80, C.VOLUME_DIRECTION.OUTPUT);
+
+    expect(session.outputVolume).toBe(80);
+    expect(session.volume).toBe(50);
+    expect(mockAdapter.getMediaElement(session.medias[0].adapterElementId).outputVolume).toBe(80);
+  });
+
+  test('kicked medias are disconnected', async () => {
+    const disconnected = waitForEvent(C.EVENT.MEDIA_DISCONNECTED,
+      event => event.mediaId === mediaId);
+
+    await controller.kick(mediaId);
+
+    await expect(disconnected).resolves.toBeDefined();
+  });
+
+  test('commands are refused for sessions without audio', async () => {
+    const { mediaId: videoId } = await controller.publish(userId, 'conference-room',
+      C.MEDIA_TYPE.WEBRTC, { descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN });
+
+    await expect(controller.deaf(videoId)).rejects.toEqual(
+      expect.objectContaining({ code: C.ERROR.MEDIA_NOT_FOUND.code }));
+  });
+
+  test('inbound DTMF is dispatched with the media and its user', async () => {
+    const [media] = controller.getMediaSession(mediaId).medias;
+    const dtmf = waitForEvent(C.EVENT.MEDIA_DTMF, event => event.mediaId === media.id);
+
+    mockAdapter.simulateDTMF(media.adapterElementId, '5');
+
+    await expect(dtmf).resolves.toEqual({
+      mediaId: media.id, roomId: 'conference-room', userId, digit: '5',
+    });
+  });
+
+  test('energy threshold changes are dispatched', async () => {
+    const [media] = controller.getMediaSession(mediaId).medias;
+    const energyLevel = waitForEvent(C.EVENT.MEDIA_ENERGY_LEVEL, event => event.mediaId === media.id);
+
+    mockAdapter.simulateEnergyLevel(media.adapterElementId, 420);
+
+    await expect(energyLevel).resolves.toEqual(expect.objectContaining({ energyLevel: 420 }));
+  });
+
+  test('DTMF only goes to subscribed clients which can take it', () => {
+    const [media] = controller.getMediaSession(mediaId).medias;
+    const client = Object.assign(new EventEmitter(), { dtmfReceived: jest.fn() });
+    const failingClient = Object.assign(new EventEmitter(), {
+      dtmfReceived: jest.fn(() => { throw new Error('Socket is closed'); }),
+    });
+    // Stands in for a pinned mcs-js client, which has no dtmfReceived
+    const legacyClient = new EventEmitter();
+    [failingClient, legacyClient, client].forEach(c => Router._addToClientEventMap(
+      { eventName: C.EVENT.MEDIA_DTMF, identifier: media.id }, c));
+
+    mockAdapter.simulateDTMF(media.adapterElementId, '5');
+
+    expect(failingClient.dtmfReceived).toHaveBeenCalled();
+    expect(client.dtmfReceived).toHaveBeenCalledWith('conference-room', userId, media.id, '5');
+  });
+
+  describe('through publish', () => {
+    const control = (controllingUserId, action) => controller.publish(controllingUserId,
+      'conference-room', C.MEDIA_TYPE.WEBRTC, { mediaId, conferenceControl: action });
+
+    test('actions run on the media and answer with its mediaId', async () => {
+      await expect(control(userId, C.CONFERENCE_CONTROL.DEAF)).resolves.toEqual({ mediaId });
+      expect(controller.getMediaSession(mediaId).deafened).toBe(true);
+
+      await control(userId, C.CONFERENCE_CONTROL.UNDEAF);
+      expect(controller.getMediaSession(mediaId).deafened).toBe(false);
+    });
+
+    test('medias of other users are refused', async () => {
+      const otherUserId = controller.join('conference-room', 'SFU', {});
+
+      await expect(control(otherUserId, C.CONFERENCE_CONTROL.KICK)).rejects.toEqual(
+        expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+    });
+
+    test('unknown actions are refused', async () => {
+      await expect(control(userId, 'setStrategy')).rejects.toEqual(
+        expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+    });
+  });
+
+  describe('getConferenceMembers', () => {
+    test('members are matched to their media and user', async () => {
+      const members = await controller.getConferenceMembers('conference-room');
+
+      expect(members).toEqual([
+        expect.objectContaining({ mediaId, userId, ghost: false }),
+      ]);
+    });
+
+    test('members without a media in mcs-core are ghosts', async () => {
+      const ghost = mockAdapter.simulateGhostMember('conference-room', { callerIdName: 'stale' });
+
+      const members = await controller.getConferenceMembers('conference-room');
+
+      expect(members).toHaveLength(2);
+      expect(members.find(({ ghost }) => ghost)).toEqual(expect.objectContaining({
+        channelId: ghost.channelId, callerIdName: 'stale', mediaId: null, userId: null,
+      }));
+    });
+
+    test('members are listed through getMedias', async () => {
+      const members = await controller.getMedias(C.MEMBERS.ROOM, 'conference-room',
+        { conferenceMembers: true });
+
+      expect(members).toEqual([expect.objectContaining({ mediaId, userId })]);
+      expect(() => controller.getMedias(C.MEMBERS.USER, userId, { conferenceMembers: true }))
+        .toThrow(expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_TYPE.code }));
+    });
+
+    test('rooms unknown to mcs-core only have ghosts', async () => {
+      mockAdapter.simulateGhostMember('other-room');
+
+      const members = await controller.getConferenceMembers('other-room');
+
+      expect(members).toEqual([expect.objectContaining({ ghost: true })]);
+    });
+  });
+});
+
+describe('conference recording', () => {
+  const RECORDING_PATH = 'file:///var/freeswitch/meetings/conference-room.wav';
+
+  test('recording the room records its conference without a source media', async () => {
+    const userId = controller.join('conference-room', 'SFU', {});
+    const connectSpy = jest.spyOn(mockAdapter, 'connect');
+    const started = waitForEvent(C.EVENT.MEDIA_STATE.MEDIA_EVENT,
+      ({ state }) => state.name === C.EVENT.RECORDING.STARTED);
+
+    try {
+      const recordingId = await controller.startRecording(userId, 'conference-room', RECORDING_PATH);
+      const session = controller.getMediaSession(recordingId);
+
+      await expect(started).resolves.toEqual(expect.objectContaining({ mediaId: recordingId }));
+      expect(session.medias[0].mediaTypes).toEqual(expect.objectContaining({
+        audio: true, video: false, content: false,
+      }));
+      expect(connectSpy).not.toHaveBeenCalled();
+
+      await controller.stopRecording(userId, recordingId);
+      expect(() => controller.getMediaSession(recordingId)).toThrow();
+    } finally {
+      connectSpy.mockRestore();
+    }
+  });
+
+  test('recordings of a media still need the source to exist', async () => {
+    const userId = controller.join('conference-room', 'SFU', {});
+
+    await expect(controller.startRecording(userId, 'unknown-media', RECORDING_PATH))
+      .rejects.toEqual(expect.objectContaining({ code: C.ERROR.MEDIA_NOT_FOUND.code }));
+  });
+});
+
+describe('conference list parsing', () => {
+  const LIST = [
+    '7;sofia/internal/1001@10.0.0.1;a1b2;Alice;1001;hear|speak|talking|floor;0;1;300',
+    '8;sofia/internal/1002@10.0.0.1;c3d4;Bob; the builder;1002;hear;-2;0;100',
+    '',
+  ].join('\n');
+
+  test('members are parsed from the list output', () => {
+    const [alice] = parseConferenceList(LIST);
+
+    expect(alice).toEqual({
+      memberId: '7',
+      channelName: 'sofia/internal/1001@10.0.0.1',
+      channelId: 'a1b2',
+      callerIdName: 'Alice',
+      callerIdNumber: '1001',
+      muted: false,
+      deaf: false,
+      talking: true,
+      video: false,
+      floor: true,
+      moderator: false,
+      hold: false,
+      volumeIn: 0,
+      volumeOut: 1,
+      energyLevel: 300,
+    });
+  });
+
+  test('caller ID names may contain the field separator', () => {
+    const [, bob] = parseConferenceList(LIST);
+
+    expect(bob).toEqual(expect.objectContaining({
+      callerIdName: 'Bob; the builder', callerIdNumber: '1002', muted: true, volumeIn: -2,
+    }));
+  });
+
+  test('responses without members parse to an empty list', () => {
+    expect(parseConferenceList('-ERR Conference 72013 not found\n')).toEqual([]);
+  });
+});
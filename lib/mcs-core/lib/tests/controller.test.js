@@ -1,8 +1,321 @@
-//const controller = new (require('../media/media-controller.js'));
-//
-//describe('media-controller', () => {
-//  test('join', () => {
-//    // join (roomId, type, params)
-//    expect(controller.join(72013, 'SFU', {})).toEqual(expect.any(String));
-//  });
-//});
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  WEBRTC_CONTENT_SENDONLY,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const publishVideo = (userId, roomId, params = {}) => controller.publish(
+  userId, roomId, C.MEDIA_TYPE.WEBRTC,
+  { descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN, ...params },
+);
+
+afterEach(() => leaveAll(controller));
+
+describe('media-controller', () => {
+  describe('join/leave', () => {
+    test('join creates the room and the user', async () => {
+      const roomCreated = waitForEvent(C.EVENT.ROOM_CREATED, ({ id }) => id === 'join-room');
+      const userId = controller.join('join-room', 'SFU', { name: 'Alice' });
+
+      expect(userId).toEqual(expect.any(String));
+      await roomCreated;
+      expect(controller.hasRoom('join-room')).toBe(true);
+      expect(controller.getUsers('join-room')).toEqual([
+        expect.objectContaining({ userId, name: 'Alice', roomId: 'join-room' }),
+      ]);
+    });
+
+    test('join indexes the user by its externalUserId', () => {
+      const userId = controller.join('join-room', 'SFU', { externalUserId: 'ext-join' });
+
+      expect(controller.getUser('ext-join').id).toBe(userId);
+    });
+
+    test('join with a known externalUserId returns the pre-existing user', () => {
+      const first = controller.join('dup-room', 'SFU', { externalUserId: 'ext-dup' });
+      const second = controller.join('dup-room', 'SFU', { externalUserId: 'ext-dup' });
+
+      expect(second).toBe(first);
+      expect(controller.getUsers('dup-room')).toHaveLength(1);
+    });
+
+    test('leave removes the user and destroys the emptied room', async () => {
+      const userId = controller.join('leave-room', 'SFU', {});
+      const userLeft = waitForEvent(C.EVENT.USER_LEFT, (info) => info.userId === userId);
+      const roomDestroyed = waitForEvent(C.EVENT.ROOM_DESTROYED, ({ roomId }) => roomId === 'leave-room');
+
+      controller.leave('leave-room', userId);
+
+      await userLeft;
+      await roomDestroyed;
+      expect(controller.hasUser(userId)).toBe(false);
+      expect(controller.hasRoom('leave-room')).toBe(false);
+    });
+
+    test('leave stops the user medias', async () => {
+      const userId = controller.join('leave-room', 'SFU', {});
+      const { mediaId } = await publishVideo(userId, 'leave-room');
+      const mediaDisconnected = waitForEvent(C.EVENT.MEDIA_DISCONNECTED, (info) => info.mediaId === mediaId);
+      const userLeft = waitForEvent(C.EVENT.USER_LEFT, (info) => info.userId === userId);
+
+      controller.leave('leave-room', userId);
+
+      await mediaDisconnected;
+      await userLeft;
+      expect(controller.hasMediaSession(mediaId)).toBe(false);
+    });
+
+    test('leave for an unknown user throws USER_NOT_FOUND', () => {
+      expect(() => controller.leave('leave-room', 'nobody'))
+        .toThrow(expect.objectContaining({ code: C.ERROR.USER_NOT_FOUND.code }));
+    });
+  });
+
+  describe('publish/subscribe/unpublish', () => {
+    test('publish negotiates an answer and indexes the media session', async () => {
+      const userId = controller.join('pub-room', 'SFU', {});
+      const connected = waitForEvent(C.EVENT.MEDIA_CONNECTED, ({ userId: uid }) => uid === userId);
+
+      const { mediaId, descriptor } = await publishVideo(userId, 'pub-room');
+
+      expect(descriptor).toMatch(/^v=0\r\n/);
+      expect(descriptor).toMatch(/m=video [1-9]\d* UDP\/TLS\/RTP\/SAVPF 96/);
+      expect(descriptor).toMatch(/a=recvonly/);
+      expect(controller.hasMediaSession(mediaId)).toBe(true);
+      expect(controller.getUserMedias(userId)).toEqual([
+        expect.objectContaining({ mediaId, roomId: 'pub-room', userId }),
+      ]);
+      expect(await connected).toEqual(expect.objectContaining({ mediaId }));
+    });
+
+    test('publish with an invalid media type throws MEDIA_INVALID_TYPE', async () => {
+      const userId = controller.join('pub-room', 'SFU', {});
+
+      await expect(controller.publish(userId, 'pub-room', 'Bogus', {}))
+        .rejects.toMatchObject({ code: C.ERROR.MEDIA_INVALID_TYPE.code });
+    });
+
+    test('publish with an unknown adapter throws MEDIA_ADAPTER_OBJECT_NOT_FOUND', async () => {
+      const userId = controller.join('pub-room', 'SFU', {});
+
+      await expect(publishVideo(userId, 'pub-room', { adapter: 'Bogus' }))
+        .rejects.toMatchObject({ code: C.ERROR.MEDIA_ADAPTER_OBJECT_NOT_FOUND.code });
+    });
+
+    test('subscribe connects a new session to the source', async () => {
+      const publisher = controller.join('sub-room', 'SFU', {});
+      const subscriber = controller.join('sub-room', 'SFU', {});
+      const { mediaId: sourceId } = await publishVideo(publisher, 'sub-room');
+
+      const { mediaId, descriptor } = await controller.subscribe(
+        subscriber, sourceId, C.MEDIA_TYPE.WEBRTC,
+        { descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN },
+      );
+
+      expect(descriptor).toMatch(/a=sendonly/);
+      expect(mediaId).not.toBe(sourceId);
+      expect(controller.getRoomMedias('sub-room').map(m => m.mediaId))
+        .toEqual(expect.arrayContaining([sourceId, mediaId]));
+    });
+
+    test('subscribe to an unknown source throws MEDIA_NOT_FOUND', async () => {
+      const subscriber = controller.join('sub-room', 'SFU', {});
+
+      await expect(controller.subscribe(
+        subscriber, 'unknown-source', C.MEDIA_TYPE.WEBRTC, { descriptor: WEBRTC_VIDEO_RECVONLY },
+      )).rejects.toMatchObject({ code: C.ERROR.MEDIA_NOT_FOUND.code });
+    });
+
+    test('unpublish stops and unindexes the media session', async () => {
+      const userId = controller.join('unpub-room', 'SFU', {});
+      const { mediaId } = await publishVideo(userId, 'unpub-room');
+      const disconnected = waitForEvent(C.EVENT.MEDIA_DISCONNECTED, (info) => info.mediaId === mediaId);
+
+      await controller.unpublish(userId, mediaId);
+
+      await disconnected;
+      expect(controller.hasMediaSession(mediaId)).toBe(false);
+      expect(controller.getUserMedias(userId)).toEqual([]);
+      expect(controller.getRoomMedias('unpub-room')).toEqual([]);
+    });
+
+    test('unpublish of an unknown media throws MEDIA_NOT_FOUND', () => {
+      const userId = controller.join('unpub-room', 'SFU', {});
+
+      expect(() => controller.unpublish(userId, 'unknown-media'))
+        .toThrow(expect.objectContaining({ code: C.ERROR.MEDIA_NOT_FOUND.code }));
+    });
+  });
+
+  describe('media thresholds', () => {
+    // Test config: global 12, perRoom 4, perUser 2
+    test('refuses medias past the per user threshold', async () => {
+      const userId = controller.join('threshold-room', 'SFU', {});
+      await publishVideo(userId, 'threshold-room');
+      await publishVideo(userId, 'threshold-room');
+
+      expect(controller.isAboveMediaThresholds(
+        controller.getRoom('threshold-room'), controller.getUser(userId),
+      )).toBe(true);
+      await expect(publishVideo(userId, 'threshold-room'))
+        .rejects.toMatchObject({ code: C.ERROR.MEDIA_SERVER_NO_RESOURCES.code });
+    });
+
+    test('refuses medias past the per room threshold', async () => {
+      const users = ['a', 'b', 'c'].map(() => controller.join('threshold-room', 'SFU', {}));
+      await publishVideo(users[0], 'threshold-room');
+      await publishVideo(users[0], 'threshold-room');
+      await publishVideo(users[1], 'threshold-room');
+      await publishVideo(users[1], 'threshold-room');
+
+      await expect(publishVideo(users[2], 'threshold-room'))
+        .rejects.toMatchObject({ code: C.ERROR.MEDIA_SERVER_NO_RESOURCES.code });
+    });
+
+    test('refuses medias past the global threshold', async () => {
+      for (let i = 0; i < 6; i++) {
+        const userId = controller.join(`global-threshold-room-${i % 3}`, 'SFU', {});
+        await publishVideo(userId, `global-threshold-room-${i % 3}`);
+        await publishVideo(userId, `global-threshold-room-${i % 3}`);
+      }
+
+      const userId = controller.join('global-threshold-room-4', 'SFU', {});
+      await expect(publishVideo(userId, 'global-threshold-room-4'))
+        .rejects.toMatchObject({ code: C.ERROR.MEDIA_SERVER_NO_RESOURCES.code });
+    });
+
+    test('ignoreThresholds bypasses them', async () => {
+      const userId = controller.join('threshold-room', 'SFU', {});
+      await publishVideo(userId, 'threshold-room');
+      await publishVideo(userId, 'threshold-room');
+
+      await expect(publishVideo(userId, 'threshold-room', { ignoreThresholds: true }))
+        .resolves.toEqual(expect.objectContaining({ mediaId: expect.any(String) }));
+    });
+  });
+
+  describe('floors', () => {
+    test('conference floor rotates into the previous floors', async () => {
+      const alice = controller.join('floor-room', 'SFU', {});
+      const bob = controller.join('floor-room', 'SFU', {});
+      const { mediaId: aliceMedia } = await publishVideo(alice, 'floor-room');
+      const { mediaId: bobMedia } = await publishVideo(bob, 'floor-room');
+
+      const floorChanged = waitForEvent(C.EVENT.CONFERENCE_FLOOR_CHANGED, ({ roomId }) => roomId === 'floor-room');
+      controller.setConferenceFloor('floor-room', aliceMedia);
+      expect((await floorChanged).floor).toEqual(expect.objectContaining({ mediaId: aliceMedia }));
+
+      controller.setConferenceFloor('floor-room', bobMedia);
+      const { floor, previousFloor } = controller.getConferenceFloor('floor-room');
+      expect(floor).toEqual(expect.objectContaining({ mediaId: bobMedia }));
+      expect(previousFloor).toEqual([expect.objectContaining({ mediaId: aliceMedia })]);
+    });
+
+    test('releasing the conference floor hands it to the previous one', async () => {
+      const alice = controller.join('floor-room', 'SFU', {});
+      const bob = controller.join('floor-room', 'SFU', {});
+      const { mediaId: aliceMedia } = await publishVideo(alice, 'floor-room');
+      const { mediaId: bobMedia } = await publishVideo(bob, 'floor-room');
+      controller.setConferenceFloor('floor-room', aliceMedia);
+      controller.setConferenceFloor('floor-room', bobMedia);
+
+      controller.releaseConferenceFloor('floor-room', false);
+
+      const { floor, previousFloor } = controller.getConferenceFloor('floor-room');
+      expect(floor).toEqual(expect.objectContaining({ mediaId: aliceMedia }));
+      expect(previousFloor).toBeUndefined();
+    });
+
+    test('content floor is set and released', async () => {
+      const presenter = controller.join('content-room', 'SFU', {});
+      const { mediaId } = await controller.publish(presenter, 'content-room', C.MEDIA_TYPE.WEBRTC, {
+        descriptor: WEBRTC_CONTENT_SENDONLY, mediaProfile: C.MEDIA_PROFILE.CONTENT,
+      });
+      const contentMedia = controller.getMediaSession(mediaId).getContentMedia();
+
+      controller.setContentFloor('content-room', mediaId);
+      expect(controller.getContentFloor('content-room').floor)
+        .toEqual(expect.objectContaining({ mediaId: contentMedia.id }));
+
+      controller.releaseContentFloor('content-room');
+      const { floor, previousFloor } = controller.getContentFloor('content-room');
+      expect(floor).toBeUndefined();
+      expect(previousFloor).toEqual([expect.objectContaining({ mediaId: contentMedia.id })]);
+    });
+
+    test('floor operations on unknown rooms throw ROOM_NOT_FOUND', () => {
+      expect(() => controller.getConferenceFloor('unknown-room'))
+        .toThrow(expect.objectContaining({ code: C.ERROR.ROOM_NOT_FOUND.code }));
+    });
+  });
+
+  describe('autoLeave', () => {
+    test('users with autoLeave are ejected once their last media is gone', async () => {
+      const userId = controller.join('auto-leave-room', 'SFU', { autoLeave: true });
+      const { mediaId } = await publishVideo(userId, 'auto-leave-room');
+      const userLeft = waitForEvent(C.EVENT.USER_LEFT, (info) => info.userId === userId);
+
+      await controller.unpublish(userId, mediaId);
+
+      await userLeft;
+      expect(controller.hasUser(userId)).toBe(false);
+    });
+
+    test('users without autoLeave stay after their last media is gone', async () => {
+      const userId = controller.join('auto-leave-room', 'SFU', {});
+      const { mediaId } = await publishVideo(userId, 'auto-leave-room');
+
+      await controller.unpublish(userId, mediaId);
+
+      expect(controller.hasUser(userId)).toBe(true);
+    });
+  });
+
+  describe('strategies', () => {
+    test('members default to freewill', () => {
+      controller.join('strategy-room', 'SFU', {});
+
+      expect(controller.getStrategy('strategy-room')).toBe(C.STRATEGIES.FREEWILL);
+    });
+
+    test('setStrategy attaches a strategy to the member', () => {
+      controller.join('strategy-room', 'SFU', {});
+
+      controller.setStrategy('strategy-room', C.STRATEGIES.VOICE_SWITCHING);
+      expect(controller.getStrategy('strategy-room')).toBe(C.STRATEGIES.VOICE_SWITCHING);
+
+      controller.setStrategy('strategy-room', C.STRATEGIES.FREEWILL);
+      expect(controller.getStrategy('strategy-room')).toBe(C.STRATEGIES.FREEWILL);
+    });
+
+    test('setStrategy with an unknown strategy throws MEDIA_INVALID_OPERATION', () => {
+      controller.join('strategy-room', 'SFU', {});
+
+      expect(() => controller.setStrategy('strategy-room', 'bogus'))
+        .toThrow(expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+    });
+  });
+});
+
+describe('media-controller without duplicate externalUserIds', () => {
+  test('join with a known externalUserId throws MEDIA_INVALID_OPERATION', () => {
+    jest.isolateModules(() => {
+      process.env.NODE_CONFIG = JSON.stringify({ allowDuplicateExtUserId: false });
+      const IsolatedController = require('../media/media-controller.js');
+      const IsolatedC = require('../constants/constants');
+      const isolatedController = new IsolatedController();
+      delete process.env.NODE_CONFIG;
+
+      isolatedController.join('strict-room', 'SFU', { externalUserId: 'ext-strict' });
+      expect(() => isolatedController.join('strict-room', 'SFU', { externalUserId: 'ext-strict' }))
+        .toThrow(expect.objectContaining({ code: IsolatedC.ERROR.MEDIA_INVALID_OPERATION.code }));
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const { waitForEvent, leaveAll } = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const mockAdapter = AdapterFactory.findAdapter(C.STRING.FREESWITCH);
+
+const waitForDialOutState = (mediaId, name) => waitForEvent(C.EVENT.MEDIA_STATE.MEDIA_EVENT,
+  event => event.mediaId === mediaId && event.state.name === name);
+
+afterEach(() => leaveAll(controller));
+
+describe('dial-out', () => {
+  test('calls are tracked as a user with a media session', async () => {
+    const { userId, mediaId } = await controller.dialOut('dial-out-room', '5551234', { name: 'Bob' });
+
+    const user = controller.getUser(userId);
+    const session = controller.getMediaSession(mediaId);
+
+    expect(user.roomId).toBe('dial-out-room');
+    expect(user.name).toBe('Bob');
+    expect(session.getMediaInfo()).toEqual(expect.objectContaining({
+      type: C.MEDIA_TYPE.DIAL_OUT,
+      userId,
+      mediaProfile: C.MEDIA_PROFILE.AUDIO,
+      mediaTypes: expect.objectContaining({ audio: true, video: false }),
+    }));
+  });
+
+  test('call progress is reported as media states', async () => {
+    const progress = [];
+    const onMediaState = ({ mediaId, state }) => progress.push({ mediaId, name: state.name });
+    controller.emitter.on(C.EVENT.MEDIA_STATE.MEDIA_EVENT, onMediaState);
+
+    try {
+      const { mediaId } = await controller.dialOut('dial-out-room', '5551234');
+      await waitForDialOutState(mediaId, C.EVENT.DIAL_OUT.ANSWERED);
+
+      expect(progress.filter(event => event.mediaId === mediaId).map(({ name }) => name)).toEqual([
+        C.EVENT.DIAL_OUT.RINGING,
+        C.EVENT.DIAL_OUT.ANSWERED,
+      ]);
+    } finally {
+      controller.emitter.removeListener(C.EVENT.MEDIA_STATE.MEDIA_EVENT, onMediaState);
+    }
+  });
+
+  test('hung up calls take their user out of the room', async () => {
+    const { userId, mediaId } = await controller.dialOut('dial-out-room', '5551234');
+    const [media] = controller.getMediaSession(mediaId).medias;
+    const hangup = waitForDialOutState(mediaId, C.EVENT.DIAL_OUT.HANGUP);
+    const userLeft = waitForEvent(C.EVENT.USER_LEFT, event => event.userId === userId);
+
+    mockAdapter.simulateHangup(media.adapterElementId, 'USER_BUSY');
+
+    await expect(hangup).resolves.toEqual(expect.objectContaining({
+      state: { name: C.EVENT.DIAL_OUT.HANGUP, details: 'USER_BUSY' },
+    }));
+    await userLeft;
+    expect(controller.hasUser(userId)).toBe(false);
+    expect(() => controller.getMediaSession(mediaId)).toThrow();
+  });
+
+  test('calls can be published as DialOut medias of a joined user', async () => {
+    const userId = controller.join('dial-out-room', 'SFU', { name: 'Bob', autoLeave: true });
+    const userLeft = waitForEvent(C.EVENT.USER_LEFT, event => event.userId === userId);
+
+    const { mediaId } = await controller.publish(userId, 'dial-out-room', C.MEDIA_TYPE.DIAL_OUT,
+      { descriptor: '5551234' });
+    const session = controller.getMediaSession(mediaId);
+
+    expect(session.getMediaInfo()).toEqual(expect.objectContaining({
+      type: C.MEDIA_TYPE.DIAL_OUT, userId, mediaProfile: C.MEDIA_PROFILE.AUDIO,
+    }));
+
+    mockAdapter.simulateHangup(session.medias[0].adapterElementId, 'NORMAL_CLEARING');
+
+    await userLeft;
+    expect(controller.hasUser(userId)).toBe(false);
+  });
+
+  test('refuses unknown adapters', async () => {
+    await expect(controller.dialOut('dial-out-room', '5551234', { adapter: 'Asterisk' }))
+      .rejects.toEqual(expect.objectContaining({
+        code: C.ERROR.MEDIA_ADAPTER_OBJECT_NOT_FOUND.code,
+      }));
+  });
+});
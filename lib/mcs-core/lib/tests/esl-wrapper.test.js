@@ -0,0 +1,114 @@
+const C = require('../constants/constants');
+const EslWrapper = require('../adapters/freeswitch/esl-wrapper');
+
+// Stands in for a connected modesl connection: commands and background jobs
+// get body as response
+const connect = (wrapper, body = '+OK') => {
+  const respond = jest.fn((command, callback) => callback({ getBody: () => body }));
+  wrapper._client = { api: respond, bgapi: respond };
+  wrapper.connected = true;
+  return wrapper._client;
+};
+
+describe('ESL wrapper', () => {
+  let wrapper, client;
+
+  beforeEach(() => {
+    wrapper = new EslWrapper({ id: 'fs1' });
+    client = connect(wrapper);
+  });
+
+  test.each([
+    ['deaf', [], 'conference 72001 deaf 7'],
+    ['undeaf', [], 'conference 72001 undeaf 7'],
+    ['hold', [], 'conference 72001 hold 7'],
+    ['unhold', [], 'conference 72001 unhold 7'],
+    ['kick', [], 'conference 72001 kick 7'],
+    ['setOutputVolume', [-2], 'conference 72001 volume_out 7 -2'],
+  ])('%s sends a conference command for the member', async (method, args, command) => {
+    await wrapper[method]('72001', '7', ...args);
+
+    expect(client.api).toHaveBeenCalledWith(command, expect.any(Function));
+  });
+
+  test('error responses reject with MEDIA_ESL_COMMAND_ERROR', async () => {
+    connect(wrapper, '-ERR Non-Existant ID 7\n');
+
+    await expect(wrapper.kick('72001', '7')).rejects.toEqual(expect.objectContaining({
+      code: C.ERROR.MEDIA_ESL_COMMAND_ERROR.code, details: '-ERR Non-Existant ID 7\n',
+    }));
+  });
+
+  test('commands are refused while disconnected', async () => {
+    wrapper.connected = false;
+
+    await expect(wrapper.deaf('72001', '7')).rejects.toBeDefined();
+    expect(client.api).not.toHaveBeenCalled();
+  });
+
+  test('members are listed from the conference list', async () => {
+    client = connect(wrapper, '7;sofia/internal/1001@10.0.0.1;a1b2;Alice;1001;hear|speak;0;0;300\n');
+
+    const members = await wrapper.getConferenceMembers('72001');
+
+    expect(client.api).toHaveBeenCalledWith('conference 72001 list', expect.any(Function));
+    expect(members).toEqual([expect.objectContaining({ memberId: '7', channelId: 'a1b2' })]);
+  });
+
+  describe('originate', () => {
+    test('calls are placed as a background job which enters the conference extension', async () => {
+      await wrapper.originate('a1b2', 'sofia/gateway/carrier/5551234', '72001', 'default', {
+        origination_caller_id_name: 'Alice',
+        origination_caller_id_number: '1001',
+        originate_timeout: 60,
+        unset: undefined,
+      });
+
+      expect(client.bgapi).toHaveBeenCalledWith(
+        "originate {origination_uuid=a1b2,origination_caller_id_name='Alice',"
+          + "origination_caller_id_number='1001',originate_timeout='60'}"
+          + 'sofia/gateway/carrier/5551234 72001 XML default',
+        expect.any(Function));
+    });
+
+    test('variables cannot end their value or the variables block', async () => {
+      await wrapper.originate('a1b2', 'sofia/gateway/carrier/5551234', '72001', 'default', {
+        origination_caller_id_name: "Bob',execute_on_answer='hangup'}{[x]\r\n\"",
+      });
+
+      const [[command]] = client.bgapi.mock.calls;
+      expect(command).toBe("originate {origination_uuid=a1b2,origination_caller_id_name='"
+        + "Bobexecute_on_answer=hangupx'}sofia/gateway/carrier/5551234 72001 XML default");
+    });
+
+    test('failed jobs reject with MEDIA_ESL_COMMAND_ERROR', async () => {
+      connect(wrapper, '-ERR USER_BUSY\n');
+
+      await expect(wrapper.originate('a1b2', 'sofia/gateway/carrier/5551234', '72001', 'default'))
+        .rejects.toEqual(expect.objectContaining({
+          code: C.ERROR.MEDIA_ESL_COMMAND_ERROR.code, details: '-ERR USER_BUSY\n',
+        }));
+    });
+  });
+
+  test('energy threshold changes are read from New-Level', () => {
+    const headers = {
+      'Event-Subclass': 'conference::maintenance',
+      'Action': 'energy-level',
+      'Channel-Call-UUID': 'a1b2',
+      'New-Level': '300',
+    };
+    const onEnergyLevel = jest.fn();
+    wrapper.on(EslWrapper.EVENTS.ENERGY_LEVEL, onEnergyLevel);
+
+    wrapper._onCustomEvent({ getHeader: name => headers[name] });
+
+    expect(onEnergyLevel).toHaveBeenCalledWith('a1b2', 300);
+  });
+
+  test('conferences which are not running have no members', async () => {
+    connect(wrapper, '-ERR Conference 72001 not found\n');
+
+    await expect(wrapper.getConferenceMembers('72001')).resolves.toEqual([]);
+  });
+});
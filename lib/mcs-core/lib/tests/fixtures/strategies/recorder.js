@@ -0,0 +1,21 @@
+// Custom strategy which records the events that reach it
+const BaseStrategy = require('../../../strategies/base-strategy');
+
+module.exports = class RecorderStrategy extends BaseStrategy {
+  constructor (name, member, params = {}) {
+    super(name, member, params);
+    this.events = [];
+  }
+
+  onStartTalking (event) {
+    this.events.push(['startTalking', event]);
+  }
+
+  onStopTalking (event) {
+    this.events.push(['stopTalking', event]);
+  }
+
+  onUserJoined (event) {
+    this.events.push(['userJoined', event]);
+  }
+};
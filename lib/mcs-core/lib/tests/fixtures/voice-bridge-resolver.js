@@ -0,0 +1,10 @@
+// Custom voice bridge resolver: voice bridges starting with 8 live on fs2
+module.exports = class PrefixResolver {
+  constructor ({ defaultServer }) {
+    this.defaultServer = defaultServer;
+  }
+
+  resolve (voiceBridge) {
+    return Promise.resolve(voiceBridge.startsWith('8') ? 'fs2' : this.defaultServer);
+  }
+};
@@ -0,0 +1,241 @@
+// sip.js isn't installed for the test suite: user agents and their sessions
+// are stand-ins which record the calls they get
+jest.mock('sip.js', () => {
+  const { EventEmitter } = require('events');
+
+  class UA extends EventEmitter {
+    constructor (configuration) {
+      super();
+      this.configuration = configuration;
+      this.invite = jest.fn(() => {
+        const session = new EventEmitter();
+        session.mediaHandler = { setRemoteOffer: jest.fn(), _sdpResponse: 'v=0 answer' };
+        return session;
+      });
+    }
+  }
+
+  class URI {
+    constructor (scheme, user, host, port) {
+      Object.assign(this, { scheme, user, host, port });
+    }
+  }
+
+  return { UA, URI };
+}, { virtual: true });
+
+// One stubbed ESL connection per FreeSWITCH server
+jest.mock('../adapters/freeswitch/esl-wrapper', () => {
+  const { EventEmitter } = require('events');
+  const { EVENTS } = jest.requireActual('../adapters/freeswitch/esl-wrapper');
+
+  return class EslWrapper extends EventEmitter {
+    static get EVENTS () { return EVENTS; }
+
+    constructor (params) {
+      super();
+      this.params = params;
+      this.start = jest.fn();
+      this.getConferenceMembers = jest.fn().mockResolvedValue([]);
+      this.deaf = jest.fn().mockResolvedValue('+OK');
+      this.stopRecording = jest.fn().mockResolvedValue('+OK');
+      this.originate = jest.fn(() => new Promise(() => {}));
+    }
+  };
+});
+
+// RTP proxying through Kurento isn't exercised here
+jest.mock('../adapters/kurento/kurento', () => jest.fn());
+
+const C = require('../constants/constants');
+const Balancer = require('../media/balancer.js');
+// Loads the models ahead of the adapter, whose requires would run into their
+// circular dependencies otherwise
+require('../media/media-controller.js');
+const Freeswitch = require('../adapters/freeswitch/freeswitch.js');
+const EslWrapper = require('../adapters/freeswitch/esl-wrapper');
+const { WEBRTC_AUDIO_SENDRECV, waitForEvent } = require('./helpers.js');
+
+const adapter = new Freeswitch(C.STRING.FREESWITCH, Balancer);
+const { fs1, fs2 } = adapter._eslWrappers;
+
+afterEach(() => {
+  adapter._channelIdInfos = {};
+  adapter._memberIdsToUa = {};
+});
+
+describe('FreeSWITCH adapter', () => {
+  test('connects to the ESL of every configured server', () => {
+    expect(Object.keys(adapter._eslWrappers)).toEqual(['fs1', 'fs2']);
+    expect(fs1.params).toEqual(expect.objectContaining({ id: 'fs1', host: '198.51.100.21', port: 8021 }));
+    expect(fs2.params).toEqual(expect.objectContaining({ id: 'fs2', host: '198.51.100.22', port: 8021 }));
+    expect(fs1.start).toHaveBeenCalled();
+    expect(fs2.start).toHaveBeenCalled();
+  });
+
+  test('elements are created on the server their voice bridge resolves to', async () => {
+    const { mediaElement, host } = await adapter.createMediaElement('72002', C.MEDIA_TYPE.WEBRTC, {});
+    const userAgent = adapter._userAgents[mediaElement];
+
+    expect(userAgent.server.id).toBe('fs2');
+    expect(host).toEqual(expect.objectContaining({ ip: '198.51.100.22', sip_ip: '198.51.100.22' }));
+    expect(adapter._getESLWrapper(userAgent)).toBe(fs2);
+  });
+
+  test('unmapped voice bridges go to the first server', async () => {
+    const { mediaElement } = await adapter.createMediaElement('72001', C.MEDIA_TYPE.WEBRTC, {});
+
+    expect(adapter._getESLWrapper(adapter._userAgents[mediaElement])).toBe(fs1);
+  });
+
+  test('SIP calls are placed to the server of the user agent', async () => {
+    const { mediaElement } = await adapter.createMediaElement('72002', C.MEDIA_TYPE.WEBRTC, {});
+    const userAgent = adapter._userAgents[mediaElement];
+
+    const answer = adapter.processOffer(mediaElement, WEBRTC_AUDIO_SENDRECV, { name: 'Alice' });
+    const [[uri]] = userAgent.invite.mock.calls;
+    userAgent.invite.mock.results[0].value.emit('accepted', { call_id: 'call-1' });
+
+    expect(uri).toEqual({ scheme: 'sip', user: '72002', host: '198.51.100.22', port: 5066 });
+    await expect(answer).resolves.toBe('v=0 answer');
+  });
+
+  test('member IDs reported by different servers do not collide', () => {
+    adapter._channelIdInfos = { 'channel-1': { ua: 'ua-1' }, 'channel-2': { ua: 'ua-2' } };
+    const onFloorChanged = jest.fn();
+    adapter.once(C.EVENT.CONFERENCE_FLOOR_CHANGED + 'ua-2', onFloorChanged);
+
+    fs1.emit(EslWrapper.EVENTS.CONFERENCE_MEMBER, 'channel-1', '7', 'w_a-bbbID-A', '72001');
+    fs2.emit(EslWrapper.EVENTS.CONFERENCE_MEMBER, 'channel-2', '7', 'w_b-bbbID-B', '72002');
+    fs2.emit(EslWrapper.EVENTS.FLOOR_CHANGED, '72002', '7');
+
+    expect(adapter._memberIdsToUa).toEqual({ 'fs1:7': 'ua-1', 'fs2:7': 'ua-2' });
+    expect(onFloorChanged).toHaveBeenCalledWith({ roomId: '72002', newFloor: 'ua-2' });
+  });
+
+  describe('conference recordings', () => {
+    const RECORDING_PATH = '/var/freeswitch/meetings/72002.wav';
+    let onMediaState;
+
+    beforeEach(() => {
+      adapter._recordings = { 'recording-1': { voiceBridge: '72002', path: RECORDING_PATH, serverId: 'fs2' } };
+      onMediaState = jest.fn();
+      adapter.on(C.EVENT.MEDIA_STATE.MEDIA_EVENT + 'recording-1', onMediaState);
+    });
+
+    const getStoppedEvents = () => onMediaState.mock.calls
+      .filter(([{ state }]) => state.name === C.EVENT.RECORDING.STOPPED);
+
+    test('stopped recordings are reported once', async () => {
+      await adapter.stop('72002', C.MEDIA_TYPE.RECORDING, 'recording-1');
+
+      expect(fs2.stopRecording).toHaveBeenCalledWith('72002', RECORDING_PATH);
+      expect(getStoppedEvents()).toHaveLength(1);
+      expect(adapter._recordings).toEqual({});
+    });
+
+    test('stop events which arrive before the stop response are not reported twice', async () => {
+      fs2.stopRecording.mockImplementationOnce(async () => {
+        fs2.emit(EslWrapper.EVENTS.RECORDING_STOPPED, '72002', RECORDING_PATH);
+        return '+OK';
+      });
+
+      await adapter.stop('72002', C.MEDIA_TYPE.RECORDING, 'recording-1');
+
+      expect(getStoppedEvents()).toHaveLength(1);
+    });
+  });
+
+  describe('dial-out', () => {
+    const dialOut = (destination, options = { gateway: 'carrier' }) => adapter._negotiateDialOut(
+      '72002', 'user-1', 'session-1', destination, C.MEDIA_TYPE.DIAL_OUT, options);
+
+    beforeEach(() => fs2.originate.mockClear());
+
+    afterEach(() => {
+      adapter._dialOuts = {};
+    });
+
+    test('calls are originated on the server of the room through its gateway', async () => {
+      await dialOut('5551234', { gateway: 'carrier', callerIdName: 'Alice' });
+
+      expect(fs2.originate).toHaveBeenCalledWith(expect.any(String), 'sofia/gateway/carrier/5551234',
+        '72002', 'default', expect.objectContaining({
+          origination_caller_id_name: 'Alice', originate_timeout: 60,
+        }));
+    });
+
+    test.each([
+      '5551234 &park',
+      '5551234,sofia/gateway/other/5559999',
+      "1001'}",
+      'sip:1001@example.com;transport=tcp',
+      '',
+      12345,
+    ])('refuses the destination %p', async (destination) => {
+      await expect(dialOut(destination)).rejects.toEqual(expect.objectContaining({
+        code: C.ERROR.MEDIA_INVALID_OPERATION.code,
+      }));
+      expect(fs2.originate).not.toHaveBeenCalled();
+    });
+
+    test('refuses calls without a gateway', async () => {
+      await expect(dialOut('5551234', {})).rejects.toEqual(expect.objectContaining({
+        code: C.ERROR.MEDIA_INVALID_OPERATION.code,
+      }));
+    });
+  });
+
+  describe('conference members', () => {
+    const joinConference = async (memberId) => {
+      const { mediaElement } = await adapter.createMediaElement('72002', C.MEDIA_TYPE.WEBRTC, {});
+      const userAgent = adapter._userAgents[mediaElement];
+      Object.assign(userAgent, { callId: 'call-4', channelId: 'channel-4' });
+      adapter._channelIdInfos = { 'channel-4': { ua: mediaElement, memberId } };
+      return { mediaElement, userAgent };
+    };
+
+    test('elements are looked up as members of their server conference', async () => {
+      const { mediaElement, userAgent } = await joinConference('4');
+
+      expect(adapter._getConferenceMember(mediaElement, 'deaf')).toEqual({
+        userAgent, voiceBridge: '72002', channelId: 'channel-4', memberId: '4', eslWrapper: fs2,
+      });
+    });
+
+    test('elements which are not in the conference yet are not found', async () => {
+      const { mediaElement } = await joinConference(null);
+
+      expect(() => adapter._getConferenceMember(mediaElement, 'deaf')).toThrow(expect.objectContaining({
+        code: C.ERROR.MEDIA_NOT_FOUND.code,
+      }));
+      expect(() => adapter._getConferenceMember('unknown', 'deaf')).toThrow(expect.objectContaining({
+        code: C.ERROR.MEDIA_NOT_FOUND.code,
+      }));
+    });
+
+    test('commands go to the ESL of the member server', async () => {
+      const { mediaElement, userAgent } = await joinConference('4');
+
+      await adapter.deaf(mediaElement);
+
+      expect(fs2.deaf).toHaveBeenCalledWith('72002', '4');
+      expect(userAgent.deafened).toBe(true);
+    });
+  });
+
+  test('external members are created on the server which reported them', async () => {
+    adapter._channelIdInfos = {
+      'channel-3': { callId: 'call-3', sdpOffer: WEBRTC_AUDIO_SENDRECV, sdpAnswer: WEBRTC_AUDIO_SENDRECV },
+    };
+    const connected = waitForEvent(C.EVENT.MEDIA_EXTERNAL_AUDIO_CONNECTED);
+
+    // 72001 resolves to fs1, but the member joined on fs2
+    fs2.emit(EslWrapper.EVENTS.CONFERENCE_MEMBER, 'channel-3', '3', 'w_c-bbbID-C', '72001');
+    const { media } = await connected;
+    const userAgent = adapter._userAgents[media.adapterElementId];
+
+    expect(userAgent.server.id).toBe('fs2');
+    expect(media.host).toEqual(expect.objectContaining({ ip: '198.51.100.22' }));
+  });
+});
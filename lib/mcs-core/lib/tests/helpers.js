@@ -0,0 +1,102 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const C = require('../constants/constants');
+const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
+
+const EVENT_TIMEOUT = 2000;
+const SDP_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sdp');
+
+const buildWebRTCOffer = (mediaType, direction, { content = false } = {}) => {
+  const codec = mediaType === 'video'
+    ? 'a=rtpmap:96 VP8/90000\r\n'
+    : 'a=rtpmap:111 opus/48000/2\r\na=fmtp:111 minptime=10;useinbandfec=1\r\n';
+  const payloads = mediaType === 'video' ? '96' : '111';
+  const ssrc = direction !== 'recvonly' ? 'a=ssrc:1001 cname:test\r\n' : '';
+
+  return 'v=0\r\n'
+    + 'o=- 4611731400430051336 2 IN IP4 127.0.0.1\r\n'
+    + 's=-\r\n'
+    + 't=0 0\r\n'
+    + 'a=group:BUNDLE 0\r\n'
+    + 'a=msid-semantic: WMS\r\n'
+    + `m=${mediaType} 9 UDP/TLS/RTP/SAVPF ${payloads}\r\n`
+    + 'c=IN IP4 0.0.0.0\r\n'
+    + 'a=rtcp:9 IN IP4 0.0.0.0\r\n'
+    + 'a=ice-ufrag:Xb2d\r\n'
+    + 'a=ice-pwd:Jb1aW7e3Qd4Ap0MpJlmYSxEq\r\n'
+    + 'a=ice-options:trickle\r\n'
+    + 'a=fingerprint:sha-256 4A:AD:B9:B1:3F:82:18:3B:54:02:12:DF:3E:5D:49:6B:19:E5:7C:AB:4A:AD:B9:B1:3F:82:18:3B:54:02:12:DF\r\n'
+    + 'a=setup:actpass\r\n'
+    + 'a=mid:0\r\n'
+    + `a=${direction}\r\n`
+    + 'a=rtcp-mux\r\n'
+    + codec
+    + (content ? 'a=content:slides\r\n' : '')
+    + ssrc;
+};
+
+const waitForEvent = (eventName, predicate = () => true, timeout = EVENT_TIMEOUT) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      GLOBAL_EVENT_EMITTER.removeListener(eventName, listener);
+      reject(new Error(`Timed out waiting for ${eventName}`));
+    }, timeout);
+
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      GLOBAL_EVENT_EMITTER.removeListener(eventName, listener);
+      resolve(payload);
+    };
+
+    GLOBAL_EVENT_EMITTER.on(eventName, listener);
+  });
+};
+
+// Make every user leave and wait for the controller to drop them so that
+// media counts (and thresholds) don't leak between tests
+const leaveAll = (controller) => {
+  const users = [...new Set(controller.users.values())];
+
+  return Promise.all(users.map(user => {
+    const left = waitForEvent(C.EVENT.USER_LEFT, ({ userId }) => userId === user.id);
+    controller.leave(user.roomId, user.id);
+    return left;
+  }));
+};
+
+const readOffer = (name) => {
+  return fs.readFileSync(path.join(SDP_FIXTURES_DIR, 'offers', `${name}.sdp`), 'utf8')
+    .replace(/\r?\n/g, '\r\n');
+};
+
+// Golden files are stored with LF line endings. Run the suite with
+// UPDATE_GOLDEN=1 to (re)generate them after an intended output change
+const expectGolden = (name, sdp) => {
+  const goldenPath = path.join(SDP_FIXTURES_DIR, 'golden', `${name}.sdp`);
+  const actual = sdp.replace(/\r\n/g, '\n');
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+    fs.writeFileSync(goldenPath, actual);
+  }
+
+  if (!fs.existsSync(goldenPath)) {
+    throw new Error(`Missing golden file ${goldenPath}, run with UPDATE_GOLDEN=1`);
+  }
+
+  expect(actual).toBe(fs.readFileSync(goldenPath, 'utf8'));
+};
+
+module.exports = {
+  WEBRTC_VIDEO_SENDONLY: buildWebRTCOffer('video', 'sendonly'),
+  WEBRTC_VIDEO_RECVONLY: buildWebRTCOffer('video', 'recvonly'),
+  WEBRTC_CONTENT_SENDONLY: buildWebRTCOffer('video', 'sendonly', { content: true }),
+  WEBRTC_AUDIO_SENDRECV: buildWebRTCOffer('audio', 'sendrecv'),
+  waitForEvent,
+  leaveAll,
+  readOffer,
+  expectGolden,
+};
@@ -0,0 +1,115 @@
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const RECORDING_PATH = '/var/kurento/recordings/ice-restart-room/webcam.webm';
+
+const publish = (userId, params = {}) => controller.publish(userId, 'ice-restart-room', C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN, ...params,
+});
+
+const subscribe = (userId, sourceId, params = {}) => controller.subscribe(userId, sourceId, C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN, ...params,
+});
+
+// Resolves once the given session's current media is connected to a source
+const waitForSubscription = (mediaSessionId, previousMedia) => waitForEvent(C.EVENT.SUBSCRIBED_TO,
+  ({ mediaId }) => mediaId !== previousMedia.id
+    && controller.getMediaSession(mediaSessionId).medias.some(m => m.id === mediaId));
+
+afterEach(() => leaveAll(controller));
+
+describe('ICE restart', () => {
+  let publisher, subscriber, sourceId, sinkId;
+
+  beforeEach(async () => {
+    publisher = controller.join('ice-restart-room', 'SFU', {});
+    subscriber = controller.join('ice-restart-room', 'SFU', {});
+    ({ mediaId: sourceId } = await publish(publisher));
+    ({ mediaId: sinkId } = await subscribe(subscriber, sourceId));
+  });
+
+  test('publishers keep their mediaId and floors while their medias are replaced', async () => {
+    const [previousMedia] = controller.getMediaSession(sourceId).medias;
+    controller.setConferenceFloor('ice-restart-room', sourceId);
+
+    const { mediaId, descriptor } = await publish(publisher, { mediaId: sourceId, restartIce: true });
+    const [media] = controller.getMediaSession(sourceId).medias;
+
+    expect(mediaId).toBe(sourceId);
+    expect(descriptor).toMatch(/a=recvonly/);
+    expect(media.id).not.toBe(previousMedia.id);
+    expect(controller.getMedia(previousMedia.id)).toBeUndefined();
+    expect(controller.getMedia(media.id)).toBe(media);
+    expect(controller.getConferenceFloor('ice-restart-room').floor.mediaId).toBe(sourceId);
+  });
+
+  test('subscribers are reconnected to restarted publishers', async () => {
+    const [previousSourceMedia] = controller.getMediaSession(sourceId).medias;
+    const resubscribed = waitForEvent(C.EVENT.SUBSCRIBED_TO,
+      ({ sourceMediaInfo }) => sourceMediaInfo.mediaId !== previousSourceMedia.id);
+
+    await publish(publisher, { mediaId: sourceId, restartIce: true });
+    const { mediaId, sourceMediaInfo } = await resubscribed;
+
+    expect(mediaId).toBe(controller.getMediaSession(sinkId).medias[0].id);
+    expect(sourceMediaInfo.mediaId).toBe(controller.getMediaSession(sourceId).medias[0].id);
+  });
+
+  test('restarted subscribers are reconnected to their source', async () => {
+    const [previousSinkMedia] = controller.getMediaSession(sinkId).medias;
+    const resubscribed = waitForSubscription(sinkId, previousSinkMedia);
+
+    const { mediaId, descriptor } = await subscribe(subscriber, sourceId, { mediaId: sinkId, restartIce: true });
+    const { sourceMediaInfo } = await resubscribed;
+
+    expect(mediaId).toBe(sinkId);
+    expect(descriptor).toMatch(/a=sendonly/);
+    expect(sourceMediaInfo.mediaId).toBe(controller.getMediaSession(sourceId).medias[0].id);
+  });
+
+  test('recordings keep recording restarted publishers', async () => {
+    const recordingId = await controller.startRecording(publisher, sourceId, RECORDING_PATH);
+    const [previousSourceMedia] = controller.getMediaSession(sourceId).medias;
+    const reconnected = waitForEvent(C.EVENT.SUBSCRIBED_TO,
+      ({ mediaId, sourceMediaInfo }) => sourceMediaInfo.mediaId !== previousSourceMedia.id
+        && controller.getMediaSession(recordingId).medias.some(m => m.id === mediaId));
+
+    await publish(publisher, { mediaId: sourceId, restartIce: true });
+
+    await expect(reconnected).resolves.toBeDefined();
+    expect(controller.getMediaSession(recordingId).id).toBe(recordingId);
+  });
+
+  test('only the owner of a media can restart it', async () => {
+    await expect(publish(subscriber, { mediaId: sourceId, restartIce: true }))
+      .rejects.toEqual(expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+  });
+
+  test('answerers need a new offer to restart', async () => {
+    await expect(publish(publisher, { descriptor: null, mediaId: sourceId, restartIce: true }))
+      .rejects.toEqual(expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_SDP.code }));
+    expect(controller.getMediaSession(sourceId).medias).toHaveLength(1);
+  });
+
+  test('sessions which fail to negotiate new medias are stopped', async () => {
+    const [previousMedia] = controller.getMediaSession(sourceId).medias;
+    const disconnected = waitForEvent(C.EVENT.MEDIA_DISCONNECTED, ({ mediaId }) => mediaId === sourceId);
+
+    await expect(publish(publisher, { descriptor: 'v=0', mediaId: sourceId, restartIce: true }))
+      .rejects.toBeDefined();
+
+    await expect(disconnected).resolves.toBeDefined();
+    expect(() => controller.getMediaSession(sourceId)).toThrow();
+    expect(controller.getMedia(previousMedia.id)).toBeUndefined();
+    expect(controller.getUserMedias(publisher)).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+const C = require('../constants/constants');
+const Balancer = require('../media/balancer.js');
+const MediaController = require('../media/media-controller.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const mockAdapter = AdapterFactory.findAdapter('Kurento');
+const [offlineHost] = mockAdapter.hosts;
+
+const publish = (userId, roomId) => controller.publish(userId, roomId, C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN,
+});
+
+const subscribe = (userId, sourceId) => controller.subscribe(userId, sourceId, C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN,
+});
+
+const waitForMediaState = (mediaId, name) => waitForEvent(C.EVENT.MEDIA_STATE.MEDIA_EVENT,
+  event => event.mediaId === mediaId && event.state.name === name);
+
+describe('media migration', () => {
+  let healthyHost, publisher, subscriber, sourceId, sinkId;
+
+  beforeEach(async () => {
+    controller.migrateMediasOnHostOffline = true;
+    publisher = controller.join('migration-room', 'SFU', {});
+    subscriber = controller.join('migration-room', 'SFU', {});
+    ({ mediaId: sourceId } = await publish(publisher, 'migration-room'));
+    ({ mediaId: sinkId } = await subscribe(subscriber, sourceId));
+  });
+
+  afterEach(async () => {
+    controller.migrateMediasOnHostOffline = false;
+    await leaveAll(controller);
+    if (healthyHost) {
+      Balancer.removeHost(healthyHost.id);
+      healthyHost = null;
+    }
+    mockAdapter.simulateHostOnline(offlineHost.id);
+  });
+
+  const addHealthyHost = () => {
+    healthyHost = mockAdapter._createHost({ ip: '198.51.100.15' }, 'healthy');
+    Balancer.addHost(healthyHost);
+  };
+
+  test('medias are recreated on a healthy host with a fresh descriptor', async () => {
+    addHealthyHost();
+    const source = controller.getMediaSession(sourceId);
+    const [previousSourceMedia] = source.medias;
+    const sourceRenegotiation = waitForMediaState(sourceId, C.EVENT.MEDIA_RENEGOTIATION_REQUIRED);
+    const sinkRenegotiation = waitForMediaState(sinkId, C.EVENT.MEDIA_RENEGOTIATION_REQUIRED);
+    const offline = jest.fn();
+    const onMediaState = ({ state }) => state.name === C.EVENT.MEDIA_SERVER_OFFLINE && offline();
+    controller.emitter.on(C.EVENT.MEDIA_STATE.MEDIA_EVENT, onMediaState);
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+    const [{ state: sourceState }, { state: sinkState }] = await Promise.all([
+      sourceRenegotiation, sinkRenegotiation,
+    ]);
+    controller.emitter.removeListener(C.EVENT.MEDIA_STATE.MEDIA_EVENT, onMediaState);
+
+    expect(sourceState.details).toMatch(/a=recvonly/);
+    expect(sinkState.details).toMatch(/a=sendonly/);
+    expect(offline).not.toHaveBeenCalled();
+    expect(source.medias[0].id).not.toBe(previousSourceMedia.id);
+    expect(source.medias[0].host.id).toBe(healthyHost.id);
+    expect(controller.getMediaSession(sinkId).medias[0].host.id).toBe(healthyHost.id);
+    expect(controller.getMedia(previousSourceMedia.id)).toBeUndefined();
+  });
+
+  test('connections are re-established between the new medias', async () => {
+    addHealthyHost();
+    const [previousSinkMedia] = controller.getMediaSession(sinkId).medias;
+    const sourceRenegotiation = waitForMediaState(sourceId, C.EVENT.MEDIA_RENEGOTIATION_REQUIRED);
+    const resubscribed = waitForEvent(C.EVENT.SUBSCRIBED_TO, ({ mediaId }) =>
+      mediaId !== previousSinkMedia.id);
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+    await sourceRenegotiation;
+    const { mediaId, sourceMediaInfo } = await resubscribed;
+
+    expect(mediaId).toBe(controller.getMediaSession(sinkId).medias[0].id);
+    expect(sourceMediaInfo.mediaId).toBe(controller.getMediaSession(sourceId).medias[0].id);
+  });
+
+  test('sessions that cannot be migrated are reported as offline', async () => {
+    const sourceOffline = waitForMediaState(sourceId, C.EVENT.MEDIA_SERVER_OFFLINE);
+    const sinkOffline = waitForMediaState(sinkId, C.EVENT.MEDIA_SERVER_OFFLINE);
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+
+    await expect(Promise.all([sourceOffline, sinkOffline])).resolves.toHaveLength(2);
+  });
+
+  test('medias only report the outage when migration is disabled', async () => {
+    controller.migrateMediasOnHostOffline = false;
+    addHealthyHost();
+    const sourceOffline = waitForMediaState(sourceId, C.EVENT.MEDIA_SERVER_OFFLINE);
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+    await sourceOffline;
+
+    expect(controller.getMediaSession(sourceId).medias[0].host.id).toBe(offlineHost.id);
+  });
+});
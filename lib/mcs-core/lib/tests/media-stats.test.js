@@ -0,0 +1,170 @@
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const MediaStatsSampler = require('../metrics/media-stats-sampler.js');
+const { METRIC_NAMES } = require('../metrics/core-metrics.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const publishVideo = (userId, roomId) => controller.publish(
+  userId, roomId, C.MEDIA_TYPE.WEBRTC,
+  { descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN },
+);
+
+const subscribeVideo = (userId, sourceId) => controller.subscribe(
+  userId, sourceId, C.MEDIA_TYPE.WEBRTC,
+  { descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN },
+);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return leaveAll(controller);
+});
+
+describe('media stats', () => {
+  let userId, mediaId;
+
+  beforeEach(async () => {
+    userId = controller.join('stats-room', 'SFU', {});
+    ({ mediaId } = await publishVideo(userId, 'stats-room'));
+  });
+
+  describe('getMediaStats', () => {
+    test('returns the inbound stats of a publisher session per unit', async () => {
+      const [unit] = controller.getMediaSession(mediaId).medias;
+
+      const stats = await controller.getMediaStats(mediaId);
+
+      expect(stats).toEqual({ mediaId, timestamp: expect.any(Number), medias: [expect.any(Object)] });
+      expect(stats.medias[0]).toEqual(expect.objectContaining({
+        mediaId: unit.id,
+        mediaSessionId: mediaId,
+        type: C.MEDIA_TYPE.WEBRTC,
+        outbound: { audio: [], video: [] },
+      }));
+      expect(stats.medias[0].inbound.audio).toEqual([]);
+      expect(stats.medias[0].inbound.video).toEqual([expect.objectContaining({
+        ssrc: expect.any(Number),
+        packetsReceived: expect.any(Number),
+        bytesReceived: expect.any(Number),
+        packetsLost: 0,
+        jitter: expect.any(Number),
+      })]);
+    });
+
+    test('returns the outbound stats of a subscriber', async () => {
+      const subscriber = controller.join('stats-room', 'SFU', {});
+      const { mediaId: sinkId } = await subscribeVideo(subscriber, mediaId);
+
+      const { medias: [unitStats] } = await controller.getMediaStats(sinkId);
+
+      expect(unitStats.inbound.video).toEqual([]);
+      expect(unitStats.outbound.video).toEqual([expect.objectContaining({
+        packetsSent: expect.any(Number),
+        bytesSent: expect.any(Number),
+        roundTripTime: expect.any(Number),
+      })]);
+    });
+
+    test('accepts media unit IDs', async () => {
+      const [unit] = controller.getMediaSession(mediaId).medias;
+
+      const stats = await controller.getMediaStats(unit.id);
+
+      expect(stats).toEqual(expect.objectContaining({ mediaId: unit.id, mediaSessionId: mediaId }));
+      expect(stats.inbound.video).toHaveLength(1);
+    });
+
+    test('reports units whose adapter does not provide stats with an error', async () => {
+      const [unit] = controller.getMediaSession(mediaId).medias;
+      jest.spyOn(unit.adapter, 'getStats').mockImplementation(() => {
+        throw { ...C.ERROR.MEDIA_INVALID_OPERATION, details: 'FREESWITCH_GET_STATS_NOT_IMPLEMENTED' };
+      });
+
+      const { medias: [unitStats] } = await controller.getMediaStats(mediaId);
+
+      expect(unitStats).toEqual({
+        mediaId: unit.id,
+        mediaSessionId: mediaId,
+        type: C.MEDIA_TYPE.WEBRTC,
+        error: expect.objectContaining({
+          code: C.ERROR.MEDIA_INVALID_OPERATION.code,
+          details: 'FREESWITCH_GET_STATS_NOT_IMPLEMENTED',
+        }),
+      });
+      expect(controller.getMediaSession(mediaId)._status).not.toBe(C.STATUS.STOPPED);
+    });
+
+    test('rejects unknown media IDs', async () => {
+      await expect(controller.getMediaStats('nope')).rejects.toEqual(
+        expect.objectContaining({ code: C.ERROR.MEDIA_NOT_FOUND.code })
+      );
+    });
+  });
+
+  describe('sampler', () => {
+    let agent, sampler, now;
+
+    beforeEach(() => {
+      now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      agent = { observe: jest.fn() };
+      sampler = new MediaStatsSampler(controller, agent, 1000);
+    });
+
+    afterEach(() => sampler.stop());
+
+    const getObservations = (metricName) => agent.observe.mock.calls
+      .filter(([name]) => name === metricName)
+      .map(([name, value, labels]) => ({ value, labels }));
+
+    test('observes jitter on the first sample, but no rates', async () => {
+      await sampler.sample();
+
+      expect(getObservations(METRIC_NAMES.MEDIA_JITTER)).toEqual([
+        { value: expect.any(Number), labels: { kind: 'video' } },
+      ]);
+      expect(getObservations(METRIC_NAMES.MEDIA_BITRATE)).toEqual([]);
+      expect(getObservations(METRIC_NAMES.MEDIA_PACKET_LOSS)).toEqual([]);
+    });
+
+    test('computes bitrates and packet loss from consecutive samples', async () => {
+      await sampler.sample();
+      now = 2000;
+      await sampler.sample();
+
+      const [bitrate] = getObservations(METRIC_NAMES.MEDIA_BITRATE);
+      expect(bitrate.labels).toEqual({ kind: 'video', direction: 'inbound' });
+      expect(bitrate.value).toBeGreaterThan(0);
+      expect(getObservations(METRIC_NAMES.MEDIA_PACKET_LOSS)).toEqual([
+        { value: 0, labels: { kind: 'video' } },
+      ]);
+    });
+
+    test('observes the round trip time of outbound streams', async () => {
+      const subscriber = controller.join('stats-room', 'SFU', {});
+      await subscribeVideo(subscriber, mediaId);
+
+      await sampler.sample();
+
+      expect(getObservations(METRIC_NAMES.MEDIA_ROUND_TRIP_TIME)).toEqual([
+        { value: expect.any(Number), labels: { kind: 'video' } },
+      ]);
+    });
+
+    test('skips units whose adapter does not provide stats', async () => {
+      const [unit] = controller.getMediaSession(mediaId).medias;
+      jest.spyOn(unit.adapter, 'getStats').mockImplementation(() => {
+        throw { ...C.ERROR.MEDIA_INVALID_OPERATION, details: 'FREESWITCH_GET_STATS_NOT_IMPLEMENTED' };
+      });
+
+      await expect(sampler.sample()).resolves.toBeUndefined();
+      expect(agent.observe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const EventEmitter = require('events').EventEmitter;
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const Router = require('../media/mcs-message-router.js');
+const { MCSPrometheusAgent, METRIC_NAMES } = require('../metrics/index.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+// Stands in for an mcs-js response client: replies resolve the pending request
+const buildClient = () => {
+  const client = new EventEmitter();
+  const request = (method, args) => new Promise(resolve => {
+    client.published = jest.fn(resolve);
+    client.error = jest.fn(resolve);
+    client.emit(method, args);
+  });
+
+  Router.setupClient(client);
+
+  return { client, request };
+};
+
+let observe, increment;
+
+beforeEach(() => {
+  observe = jest.spyOn(MCSPrometheusAgent, 'observe').mockImplementation(() => {});
+  increment = jest.spyOn(MCSPrometheusAgent, 'increment').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return leaveAll(controller);
+});
+
+const getObservations = (metricName) => observe.mock.calls
+  .filter(([name]) => name === metricName)
+  .map(([name, value, labels]) => ({ value, labels }));
+
+describe('request metrics', () => {
+  test('observe the duration of successful publish requests', async () => {
+    const { client, request } = buildClient();
+    const user = controller.join('metrics-room', 'SFU', {});
+
+    await request('publish', {
+      transactionId: 'tx-1',
+      user,
+      room: 'metrics-room',
+      type: C.MEDIA_TYPE.WEBRTC,
+      params: { descriptor: WEBRTC_VIDEO_SENDONLY, mediaProfile: C.MEDIA_PROFILE.MAIN },
+    });
+
+    expect(client.published).toHaveBeenCalled();
+    expect(getObservations(METRIC_NAMES.REQUEST_DURATION)).toEqual([
+      { value: expect.any(Number), labels: { method: 'publish' } },
+    ]);
+  });
+
+  test('count failed requests by method and error code, and observe their duration', async () => {
+    const { client, request } = buildClient();
+
+    await request('publish', {
+      transactionId: 'tx-2',
+      user: 'nope',
+      room: 'metrics-room',
+      type: C.MEDIA_TYPE.WEBRTC,
+      params: { descriptor: WEBRTC_VIDEO_SENDONLY },
+    });
+
+    expect(client.error).toHaveBeenCalledWith(
+      expect.objectContaining({ code: C.ERROR.USER_NOT_FOUND.code }),
+      { transactionId: 'tx-2' },
+    );
+    expect(increment).toHaveBeenCalledWith(METRIC_NAMES.REQUEST_ERRORS_TOTAL, {
+      method: 'publish', errorCode: C.ERROR.USER_NOT_FOUND.code,
+    });
+    expect(getObservations(METRIC_NAMES.REQUEST_DURATION)).toEqual([
+      { value: expect.any(Number), labels: { method: 'publish' } },
+    ]);
+  });
+
+  test('label errors without a code as generic errors', () => {
+    const client = { error: jest.fn(() => { throw new Error('client is gone'); }) };
+
+    expect(() => Router._notifyMethodError(client, new Error('boom'), 'connect', 'tx-3')).toThrow();
+    expect(increment).toHaveBeenCalledWith(METRIC_NAMES.REQUEST_ERRORS_TOTAL, {
+      method: 'connect', errorCode: C.ERROR.MEDIA_GENERIC_ERROR.code,
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const C = require('../constants/constants');
+const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
+const Room = require('../model/room');
+const User = require('../model/user');
+const { waitForEvent } = require('./helpers.js');
+
+describe('room', () => {
+  let room;
+
+  beforeEach(() => {
+    room = new Room('model-room');
+  });
+
+  afterEach(() => {
+    room.destroy();
+  });
+
+  test('addUser emits USER_JOINED only once per user', () => {
+    const user = new User(room.id, 'SFU', { name: 'Alice' });
+    const listener = jest.fn();
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.USER_JOINED, listener);
+
+    room.addUser(user);
+    room.addUser(user);
+    GLOBAL_EVENT_EMITTER.removeListener(C.EVENT.USER_JOINED, listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      roomId: room.id,
+      user: expect.objectContaining({ userId: user.id, name: 'Alice' }),
+    });
+    expect(room.getUser(user.id)).toBe(user);
+  });
+
+  test('destroyUser emits ROOM_EMPTY once the last user is gone', async () => {
+    const alice = new User(room.id, 'SFU');
+    const bob = new User(room.id, 'SFU');
+    const listener = jest.fn();
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.ROOM_EMPTY, listener);
+    room.addUser(alice);
+    room.addUser(bob);
+
+    room.destroyUser(alice.id);
+    expect(listener).not.toHaveBeenCalled();
+
+    const roomEmpty = waitForEvent(C.EVENT.ROOM_EMPTY, (roomId) => roomId === room.id);
+    room.destroyUser(bob.id);
+    GLOBAL_EVENT_EMITTER.removeListener(C.EVENT.ROOM_EMPTY, listener);
+
+    await roomEmpty;
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(room.getUsers()).toEqual([]);
+  });
+
+  test('destroyUser ignores unknown users', () => {
+    const listener = jest.fn();
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.ROOM_EMPTY, listener);
+
+    room.destroyUser('unknown-user');
+    GLOBAL_EVENT_EMITTER.removeListener(C.EVENT.ROOM_EMPTY, listener);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('destroy removes the media disconnection listeners', () => {
+    const baseline = GLOBAL_EVENT_EMITTER.listenerCount(C.EVENT.MEDIA_DISCONNECTED);
+    const otherRoom = new Room('other-model-room');
+    expect(GLOBAL_EVENT_EMITTER.listenerCount(C.EVENT.MEDIA_DISCONNECTED)).toBe(baseline + 2);
+
+    otherRoom.destroy();
+
+    expect(GLOBAL_EVENT_EMITTER.listenerCount(C.EVENT.MEDIA_DISCONNECTED)).toBe(baseline);
+  });
+});
@@ -0,0 +1,357 @@
+const config = require('config');
+const transform = require('sdp-transform');
+const C = require('../constants/constants');
+const SdpWrapper = require('../utils/sdp-wrapper');
+const { readOffer, expectGolden } = require('./helpers.js');
+
+const BASE_SPEC = config.util.cloneDeep(config.get('conference-media-specs'));
+
+// conference-media-specs variants the corpus is run against
+const SPECS = {
+  vp8: BASE_SPEC,
+  h264: {
+    ...BASE_SPEC,
+    codec_video_main: 'H264',
+    codec_video_main_priority: 'H264',
+    codec_video_content: 'H264',
+    codec_video_content_priority: 'H264',
+  },
+  any: {
+    ...BASE_SPEC,
+    codec_video_main: 'ANY',
+    codec_video_main_priority: 'H264',
+    codec_video_content: 'ANY',
+    codec_video_content_priority: 'VP8',
+    codec_audio: 'ANY',
+    codec_audio_priority: 'OPUS',
+  },
+};
+
+// Offer fixture => media profiles it is negotiated with in the wild
+const CORPUS = {
+  'chrome-video-sendonly': [C.MEDIA_PROFILE.MAIN, C.MEDIA_PROFILE.CONTENT],
+  'chrome-audio-video-sendrecv': [C.MEDIA_PROFILE.MAIN, C.MEDIA_PROFILE.ALL],
+  'firefox-video-sendonly': [C.MEDIA_PROFILE.MAIN, C.MEDIA_PROFILE.CONTENT],
+  'safari-video-sendonly': [C.MEDIA_PROFILE.MAIN, C.MEDIA_PROFILE.CONTENT],
+  'sip-audio': [C.MEDIA_PROFILE.AUDIO, C.MEDIA_PROFILE.ALL],
+  'sip-video-content': [C.MEDIA_PROFILE.ALL],
+};
+
+const cloneSpec = (spec) => config.util.cloneDeep(spec);
+
+const getVideoCodecs = (ml) => [...new Set(ml.rtp
+  .map(({ codec }) => codec.toUpperCase())
+  .filter(codec => !['RTX', 'RED', 'ULPFEC'].includes(codec)))];
+
+const getMediaLines = (sdp, type) => transform.parse(sdp).media.filter(ml => ml.type === type);
+
+describe('sdp-wrapper', () => {
+  describe('submitToSpec golden corpus', () => {
+    Object.keys(CORPUS).forEach(offerName => {
+      CORPUS[offerName].forEach(mediaProfile => {
+        Object.keys(SPECS).forEach(specName => {
+          test(`${offerName} (${mediaProfile}) against the ${specName} spec`, () => {
+            const wrapper = new SdpWrapper(readOffer(offerName), cloneSpec(SPECS[specName]), mediaProfile);
+
+            expectGolden(`${offerName}.${specName}.${mediaProfile}`, wrapper.plainSdp);
+          });
+        });
+      });
+    });
+  });
+
+  describe('submitToSpec', () => {
+    test('forces VP8 and the main bandwidth on a Chrome offer', () => {
+      const { plainSdp } = new SdpWrapper(readOffer('chrome-video-sendonly'), cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.MAIN);
+      const [video] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(video)).toEqual(['VP8']);
+      expect(String(video.payloads)).toBe('96');
+      expect(video.rtcpFb.every(({ payload }) => payload === 96)).toBe(true);
+      expect(video.bandwidth).toEqual([
+        { type: 'TIAS', limit: 300000 },
+        { type: 'AS', limit: 300 },
+      ]);
+    });
+
+    test('uses the content bandwidth for the content profile', () => {
+      const { plainSdp } = new SdpWrapper(readOffer('firefox-video-sendonly'), cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.CONTENT);
+      const [video] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(video)).toEqual(['VP8']);
+      expect(video.bandwidth).toEqual([
+        { type: 'TIAS', limit: 1500000 },
+        { type: 'AS', limit: 1500 },
+      ]);
+    });
+
+    test('rewrites every H264 fmtp with the spec profile', () => {
+      const { plainSdp } = new SdpWrapper(readOffer('safari-video-sendonly'), cloneSpec(SPECS.h264), C.MEDIA_PROFILE.CONTENT);
+      const [video] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(video)).toEqual(['H264']);
+      expect(video.fmtp).toEqual([
+        { payload: 96, config: 'profile-level-id=42e01f; max-fs=12288; packetization-mode=1; level-asymmetry-allowed=1' },
+        { payload: 98, config: 'profile-level-id=42e01f; max-fs=12288; packetization-mode=1; level-asymmetry-allowed=1' },
+      ]);
+    });
+
+    test('picks the priority codec when the spec allows ANY', () => {
+      const { plainSdp } = new SdpWrapper(readOffer('firefox-video-sendonly'), cloneSpec(SPECS.any), C.MEDIA_PROFILE.MAIN);
+      const [video] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(video)).toEqual(['H264']);
+    });
+
+    test('keeps every codec when the spec allows ANY and there is no priority codec', () => {
+      const spec = { ...cloneSpec(SPECS.any), codec_video_main_priority: undefined };
+      const { plainSdp } = new SdpWrapper(readOffer('chrome-video-sendonly'), spec, C.MEDIA_PROFILE.MAIN);
+      const [video] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(video)).toEqual(['VP8', 'VP9', 'H264', 'AV1X']);
+    });
+
+    test('adds the spec H264 fmtp to video lines without one', () => {
+      const offer = readOffer('sip-video-content').replace(/a=fmtp:109 .*\r\n/g, '');
+      const { plainSdp } = new SdpWrapper(offer, cloneSpec(SPECS.h264), C.MEDIA_PROFILE.ALL);
+      const [main, content] = getMediaLines(plainSdp, 'video');
+
+      expect(main.fmtp).toEqual([
+        { payload: 109, config: 'profile-level-id=42e01f; packetization-mode=1; level-asymmetry-allowed=1' },
+      ]);
+      expect(content.fmtp).toEqual([
+        { payload: 109, config: 'profile-level-id=42e01f; max-fs=12288; packetization-mode=1; level-asymmetry-allowed=1' },
+      ]);
+    });
+
+    test('rewrites the OPUS fmtp and leaves the other audio codecs untouched', () => {
+      const { plainSdp } = new SdpWrapper(readOffer('chrome-audio-video-sendrecv'), cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.ALL);
+      const [audio] = getMediaLines(plainSdp, 'audio');
+
+      expect(audio.fmtp.find(({ payload }) => payload === 111).config)
+        .toBe('useinbandfec=1; maxaveragebitrate=30000; maxplaybackrate=48000; ptime=20; minptime=10; maxptime=40');
+      expect(audio.fmtp.find(({ payload }) => payload === 63).config).toBe('111/111');
+      expect(audio.rtp).toHaveLength(14);
+    });
+
+    test('filters main and content video lines by their own codecs', () => {
+      const spec = { ...cloneSpec(SPECS.h264), codec_video_content: 'VP8', codec_video_content_priority: 'VP8' };
+      const { plainSdp } = new SdpWrapper(readOffer('sip-video-content'), spec, C.MEDIA_PROFILE.ALL);
+      const [main, content] = getMediaLines(plainSdp, 'video');
+
+      expect(getVideoCodecs(main)).toEqual(['H264']);
+      expect(getVideoCodecs(content)).toEqual(['VP8']);
+      expect(content.bandwidth).toEqual([
+        { type: 'TIAS', limit: 1500000 },
+        { type: 'AS', limit: 1500 },
+      ]);
+    });
+
+    test('replaces the connection data with the local one', () => {
+      const localConnectionData = { version: 4, ip: '192.0.2.10' };
+      const { plainSdp } = new SdpWrapper(
+        readOffer('sip-audio'), cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.AUDIO, { localConnectionData },
+      );
+      const jsonSdp = transform.parse(plainSdp);
+
+      expect(jsonSdp.connection).toEqual(localConnectionData);
+      expect(jsonSdp.media[0].connection).toEqual(localConnectionData);
+    });
+  });
+
+  describe('filterByVideoCodec', () => {
+    test('strips video lines without the filtered codec', () => {
+      const res = SdpWrapper.filterByVideoCodec(
+        readOffer('sip-video-content'), 'VP8', 'VP8', C.MEDIA_PROFILE.ALL,
+      );
+
+      expect(res.media.map(({ type }) => type)).toEqual(['audio', 'video']);
+      expect(SdpWrapper.isContentSlides(res.media[1])).toBe(true);
+      expect(getVideoCodecs(res.media[1])).toEqual(['VP8']);
+    });
+
+    test('leaves audio lines untouched', () => {
+      const offer = readOffer('chrome-audio-video-sendrecv');
+      const [originalAudio] = getMediaLines(offer, 'audio');
+
+      const res = SdpWrapper.filterByVideoCodec(offer, 'H264', 'H264', C.MEDIA_PROFILE.MAIN);
+
+      expect(res.media[0]).toEqual(originalAudio);
+      expect(getVideoCodecs(res.media[1])).toEqual(['H264']);
+      expect(res.media[1].payloads).toBe('102 125');
+    });
+
+    test('keeps wildcard rtcp-fb entries', () => {
+      const offer = readOffer('chrome-video-sendonly').replace('a=rtcp-fb:96 nack\r\n', 'a=rtcp-fb:* nack\r\n');
+
+      const res = SdpWrapper.filterByVideoCodec(offer, 'H264', 'H264', C.MEDIA_PROFILE.MAIN);
+
+      expect(res.media[0].rtcpFb).toContainEqual({ payload: '*', type: 'nack' });
+    });
+
+    test('uses the content codec for content lines under the ALL profile', () => {
+      const res = SdpWrapper.filterByVideoCodec(
+        readOffer('sip-video-content'), 'ANY', 'H264', C.MEDIA_PROFILE.ALL, { videoPrioCodec: 'H263' },
+      );
+
+      expect(getVideoCodecs(res.media[1])).toEqual(['H263']);
+      expect(getVideoCodecs(res.media[2])).toEqual(['H264']);
+    });
+  });
+
+  describe('getPartialDescriptions', () => {
+    test('returns the descriptor itself when falsy', () => {
+      expect(SdpWrapper.getPartialDescriptions(undefined)).toEqual([undefined]);
+    });
+
+    test('does not split a single audio + video descriptor', () => {
+      const offer = readOffer('chrome-audio-video-sendrecv');
+
+      expect(SdpWrapper.getPartialDescriptions(offer)).toEqual([offer]);
+    });
+
+    test('splits every media line into its own descriptor', () => {
+      const partials = SdpWrapper.getPartialDescriptions(readOffer('sip-video-content'));
+
+      expect(partials).toHaveLength(3);
+      partials.forEach((partial, index) => {
+        const jsonSdp = transform.parse(partial);
+        expect(jsonSdp.origin.sessionId).toBe(1623861001);
+        expect(jsonSdp.media).toHaveLength(1);
+        expect(jsonSdp.media[0].port).toBe(49170 + index * 2);
+      });
+    });
+  });
+
+  describe('reassembleSDPFromMediaLines', () => {
+    test('returns an empty descriptor without media lines', () => {
+      const jsonSdp = transform.parse(readOffer('sip-audio'));
+
+      expect(SdpWrapper.reassembleSDPFromMediaLines(jsonSdp, [])).toBe('');
+      expect(SdpWrapper.reassembleSDPFromMediaLines(jsonSdp)).toBe('');
+    });
+
+    test('keeps the header and does not mutate the source SDP', () => {
+      const jsonSdp = transform.parse(readOffer('sip-video-content'));
+      const [, main] = jsonSdp.media;
+
+      const partial = transform.parse(SdpWrapper.reassembleSDPFromMediaLines(jsonSdp, [main]));
+
+      expect(partial.name).toBe('Polycom IP Call');
+      expect(partial.bandwidth).toEqual([{ type: 'AS', limit: 2048 }]);
+      expect(partial.media).toEqual([main]);
+      expect(jsonSdp.media).toHaveLength(3);
+    });
+  });
+
+  describe('duplicateCandidatesFromMappings', () => {
+    test('duplicates candidates of the mapped type for every other mapped IP', () => {
+      const wrapper = new SdpWrapper(readOffer('chrome-video-sendonly'), cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.MAIN, {
+        preProcess: false,
+      });
+
+      wrapper.duplicateCandidatesFromMappings({
+        private: '192.168.0.196', public: '203.0.113.50', unset: null,
+      }, 'host');
+
+      const [video] = wrapper.jsonSdp.media;
+      expect(video.candidates.map(({ ip, type, transport }) => `${transport} ${ip} ${type}`)).toEqual([
+        'udp 192.168.0.196 host',
+        'udp 198.51.100.7 srflx',
+        'tcp 192.168.0.196 host',
+        'udp 203.0.113.50 host',
+        'tcp 203.0.113.50 host',
+      ]);
+      expect(wrapper.plainSdp).toMatch(/a=candidate:1467250027 1 udp 2122260223 203\.0\.113\.50 46243 typ host/);
+    });
+
+    test('is a no-op for descriptors without candidates', () => {
+      const offer = readOffer('sip-audio');
+      const wrapper = new SdpWrapper(offer, cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.AUDIO, { preProcess: false });
+
+      wrapper.duplicateCandidatesFromMappings({ public: '203.0.113.50' }, 'host');
+
+      expect(wrapper.jsonSdp.media[0].candidates).toBeUndefined();
+    });
+  });
+
+  describe('updateSpecWithChosenCodecs', () => {
+    test('fills the spec with the first negotiated codec of each kind', () => {
+      const wrapper = new SdpWrapper(readOffer('chrome-audio-video-sendrecv'), cloneSpec(SPECS.any), C.MEDIA_PROFILE.ALL);
+
+      const spec = SdpWrapper.updateSpecWithChosenCodecs(wrapper);
+
+      expect(spec).toBe(wrapper.mediaSpecs);
+      expect(spec).toEqual(expect.objectContaining({
+        codec_video_main: 'H264',
+        codec_video_content: 'ANY',
+        codec_audio: 'OPUS',
+      }));
+    });
+
+    test('fills the content codec from content slides lines', () => {
+      const wrapper = new SdpWrapper(readOffer('sip-video-content'), cloneSpec(SPECS.any), C.MEDIA_PROFILE.ALL);
+
+      const spec = SdpWrapper.updateSpecWithChosenCodecs(wrapper);
+
+      expect(spec).toEqual(expect.objectContaining({
+        codec_video_main: 'H264',
+        codec_video_content: 'VP8',
+        codec_audio: 'G722',
+      }));
+    });
+
+    test('uses the content profile for single line content descriptors', () => {
+      const offer = readOffer('safari-video-sendonly').replace('a=mid:0\r\n', 'a=mid:0\r\na=content:slides\r\n');
+      const wrapper = new SdpWrapper(offer, cloneSpec(SPECS.h264), C.MEDIA_PROFILE.CONTENT);
+
+      const spec = SdpWrapper.updateSpecWithChosenCodecs(wrapper);
+
+      expect(spec.codec_video_main).toBe('H264');
+      expect(spec.codec_video_content).toBe('H264');
+      expect(spec.codec_audio).toBe('ANY');
+    });
+  });
+
+  describe('simulcast', () => {
+    const newSimulcastWrapper = (offer = readOffer('chrome-video-simulcast')) =>
+      new SdpWrapper(offer, cloneSpec(SPECS.vp8), C.MEDIA_PROFILE.MAIN);
+
+    test('lists the layers in a=simulcast order with the configured restrictions', () => {
+      const wrapper = newSimulcastWrapper();
+
+      expect(wrapper.hasSimulcast()).toBe(true);
+      expect(wrapper.getSimulcastLayers()).toEqual([
+        { rid: 'q', maxWidth: undefined, maxHeight: 180, maxBitrate: 150000 },
+        { rid: 'h', maxWidth: undefined, maxHeight: 360, maxBitrate: 500000 },
+        { rid: 'f', maxWidth: undefined, maxHeight: 720, maxBitrate: 1500000 },
+      ]);
+    });
+
+    test('prefers the restrictions in the a=rid lines', () => {
+      const offer = readOffer('chrome-video-simulcast')
+        .replace('a=rid:f send\r\n', 'a=rid:f send max-width=1920;max-height=1080;max-br=2500000\r\n');
+
+      const [,, full] = newSimulcastWrapper(offer).getSimulcastLayers();
+
+      expect(full).toEqual({ rid: 'f', maxWidth: 1920, maxHeight: 1080, maxBitrate: 2500000 });
+    });
+
+    test('single encoding offers have no layers', () => {
+      const wrapper = newSimulcastWrapper(readOffer('chrome-video-sendonly'));
+
+      expect(wrapper.hasSimulcast()).toBe(false);
+      expect(wrapper.getSimulcastLayers()).toEqual([]);
+    });
+
+    test('removeSimulcast strips the simulcast attributes', () => {
+      const wrapper = newSimulcastWrapper();
+
+      wrapper.removeSimulcast();
+
+      expect(wrapper.hasSimulcast()).toBe(false);
+      expect(wrapper.plainSdp).not.toMatch(/a=(rid|simulcast):/);
+      expect(wrapper.mainVideoSdp).not.toMatch(/a=(rid|simulcast):/);
+    });
+  });
+});
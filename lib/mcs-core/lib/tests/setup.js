@@ -0,0 +1,4 @@
+const path = require('path');
+
+// Point node-config to the test configuration before anything requires it
+process.env.NODE_CONFIG_DIR = path.join(__dirname, 'config');
@@ -0,0 +1,163 @@
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const { pickSimulcastLayer } = require('../utils/util.js');
+const {
+  WEBRTC_AUDIO_SENDRECV,
+  WEBRTC_VIDEO_RECVONLY,
+  waitForEvent,
+  leaveAll,
+  readOffer,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const mockAdapter = AdapterFactory.findAdapter('Kurento');
+
+const LAYERS = [
+  { rid: 'q', maxHeight: 180, maxBitrate: 150000 },
+  { rid: 'h', maxHeight: 360, maxBitrate: 500000 },
+  { rid: 'f', maxHeight: 720, maxBitrate: 1500000 },
+];
+
+const publishSimulcast = (userId) => controller.publish(userId, 'simulcast-room', C.MEDIA_TYPE.WEBRTC, {
+  descriptor: readOffer('chrome-video-simulcast'), mediaProfile: C.MEDIA_PROFILE.MAIN,
+});
+
+const subscribeWithHints = async (userId, sourceId, hints = {}) => {
+  const [sourceMedia] = controller.getMediaSession(sourceId).medias;
+  const subscribed = waitForEvent(C.EVENT.SUBSCRIBED_TO,
+    ({ sourceMediaInfo }) => sourceMediaInfo.mediaId === sourceMedia.id);
+  const { mediaId } = await controller.subscribe(userId, sourceId, C.MEDIA_TYPE.WEBRTC, {
+    descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: C.MEDIA_PROFILE.MAIN, ...hints,
+  });
+  await subscribed;
+
+  return controller.getMediaSession(mediaId).medias[0];
+};
+
+afterEach(() => leaveAll(controller));
+
+describe('simulcast', () => {
+  let publisher, subscriber;
+
+  beforeEach(() => {
+    publisher = controller.join('simulcast-room', 'SFU', {});
+    subscriber = controller.join('simulcast-room', 'SFU', {});
+  });
+
+  test('simulcast offers are accepted by adapters that support it', async () => {
+    const { mediaId, descriptor } = await publishSimulcast(publisher);
+    const [media] = controller.getMediaSession(mediaId).medias;
+
+    expect(descriptor).toMatch(/a=simulcast:recv q;h;f/);
+    expect(media.simulcastLayers.map(({ rid }) => rid)).toEqual(['q', 'h', 'f']);
+  });
+
+  test('subscribers without hints get the highest layer', async () => {
+    const { mediaId: sourceId } = await publishSimulcast(publisher);
+
+    const sinkMedia = await subscribeWithHints(subscriber, sourceId);
+
+    expect(sinkMedia.simulcastLayer).toBe('f');
+    expect(mockAdapter.getMediaElement(sinkMedia.adapterElementId).simulcastLayer).toBe('f');
+  });
+
+  test('subscribers get the highest layer within their hints', async () => {
+    const { mediaId: sourceId } = await publishSimulcast(publisher);
+
+    const sinkMedia = await subscribeWithHints(subscriber, sourceId, { maxHeight: 480 });
+
+    expect(sinkMedia.simulcastLayer).toBe('h');
+  });
+
+  test('simulcast is stripped when the adapter cannot forward single layers', async () => {
+    mockAdapter.selectSimulcastLayer = undefined;
+
+    try {
+      const { mediaId, descriptor } = await publishSimulcast(publisher);
+      const [media] = controller.getMediaSession(mediaId).medias;
+
+      expect(descriptor).not.toMatch(/a=simulcast/);
+      expect(descriptor).not.toMatch(/a=rid/);
+      expect(media.simulcastLayers).toEqual([]);
+    } finally {
+      delete mockAdapter.selectSimulcastLayer;
+    }
+  });
+});
+
+describe('subscriber hints', () => {
+  let publisher, subscriber, sourceId;
+
+  beforeEach(async () => {
+    publisher = controller.join('simulcast-room', 'SFU', {});
+    subscriber = controller.join('simulcast-room', 'SFU', {});
+    ({ mediaId: sourceId } = await publishSimulcast(publisher));
+  });
+
+  test('updated hints pick another layer', async () => {
+    const sinkMedia = await subscribeWithHints(subscriber, sourceId, { maxHeight: 720 });
+
+    await controller.updateHints(sinkMedia.mediaSessionId, { maxHeight: 200 });
+
+    expect(sinkMedia.simulcastLayer).toBe('q');
+
+    await controller.updateHints(sinkMedia.mediaSessionId, { maxHeight: null });
+
+    expect(sinkMedia.simulcastLayer).toBe('f');
+  });
+
+  test('maxBitrate caps what the adapter sends to the subscriber', async () => {
+    const sinkMedia = await subscribeWithHints(subscriber, sourceId, { maxBitrate: 800000 });
+    const sinkElement = mockAdapter.getMediaElement(sinkMedia.adapterElementId);
+
+    expect(sinkElement.maxOutputBitrate).toBe(800000);
+
+    await controller.updateHints(sinkMedia.mediaSessionId, { maxBitrate: 200000 });
+
+    expect(sinkElement.maxOutputBitrate).toBe(200000);
+    expect(sinkMedia.simulcastLayer).toBe('q');
+  });
+
+  test('hints can be updated through subscribe by the subscriber only', async () => {
+    const sinkMedia = await subscribeWithHints(subscriber, sourceId);
+    const updateHints = (userId) => controller.subscribe(userId, sourceId, C.MEDIA_TYPE.WEBRTC, {
+      mediaId: sinkMedia.mediaSessionId, hints: { maxHeight: 200 }, updateHints: true,
+    });
+
+    await expect(updateHints(publisher)).rejects.toEqual(
+      expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+    expect(sinkMedia.simulcastLayer).toBe('f');
+
+    await expect(updateHints(subscriber)).resolves.toEqual({ mediaId: sinkMedia.mediaSessionId });
+    expect(sinkMedia.simulcastLayer).toBe('q');
+  });
+
+  test('sessions without video refuse hints', async () => {
+    const { mediaId } = await controller.publish(subscriber, 'simulcast-room', C.MEDIA_TYPE.WEBRTC, {
+      descriptor: WEBRTC_AUDIO_SENDRECV, mediaProfile: C.MEDIA_PROFILE.AUDIO,
+    });
+
+    await expect(controller.updateHints(mediaId, { maxHeight: 180 })).rejects.toEqual(
+      expect.objectContaining({ code: C.ERROR.MEDIA_NOT_FOUND.code }));
+  });
+});
+
+describe('pickSimulcastLayer', () => {
+  test('picks the highest layer within every hint', () => {
+    expect(pickSimulcastLayer(LAYERS, { maxHeight: 720, maxBitrate: 600000 }).rid).toBe('h');
+  });
+
+  test('falls back to the lowest layer when none fits', () => {
+    expect(pickSimulcastLayer(LAYERS, { maxBitrate: 100000 }).rid).toBe('q');
+  });
+
+  test('layers without restrictions are above any hint', () => {
+    const layers = [{ rid: 'hi' }, { rid: 'lo', maxHeight: 180 }];
+
+    expect(pickSimulcastLayer(layers).rid).toBe('hi');
+    expect(pickSimulcastLayer(layers, { maxHeight: 1080 }).rid).toBe('lo');
+  });
+});
@@ -0,0 +1,167 @@
+const path = require('path');
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const StrategyManager = require('../strategies/strategy-manager.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const RecorderStrategy = require('./fixtures/strategies/recorder.js');
+const {
+  WEBRTC_AUDIO_SENDRECV,
+  waitForEvent,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const mockAdapter = AdapterFactory.findAdapter('Kurento');
+
+const RECORDER_PATH = path.join(__dirname, 'fixtures', 'strategies', 'recorder.js');
+
+const publishAudio = (userId, roomId) => controller.publish(userId, roomId, C.MEDIA_TYPE.WEBRTC, {
+  descriptor: WEBRTC_AUDIO_SENDRECV, mediaProfile: C.MEDIA_PROFILE.AUDIO,
+});
+
+// Talking events are relayed by the media unit from its adapter element
+const talk = (mediaId) => {
+  const [media] = controller.getMediaSession(mediaId).medias;
+  const talked = waitForEvent(C.EVENT.MEDIA_START_TALKING, event => event.mediaId === media.id);
+  mockAdapter.simulateTalking(media.adapterElementId);
+  return talked;
+};
+
+const getRecordedEvents = (memberId, type) => StrategyManager.strategies.get(memberId).events
+  .filter(([eventType]) => eventType === type)
+  .map(([, event]) => event);
+
+beforeAll(() => {
+  StrategyManager.register('recorder', RecorderStrategy);
+});
+
+afterEach(() => leaveAll(controller));
+
+describe('strategy-manager', () => {
+  describe('registry', () => {
+    test('loads built-in strategies and the ones in the configuration', () => {
+      jest.isolateModules(() => {
+        process.env.NODE_CONFIG = JSON.stringify({
+          strategies: [
+            { name: 'configured', path: RECORDER_PATH },
+            { name: 'missing', path: './missing.js' },
+          ],
+        });
+        const IsolatedManager = require('../strategies/strategy-manager.js');
+        const IsolatedC = require('../constants/constants');
+        delete process.env.NODE_CONFIG;
+
+        expect(IsolatedManager.isValidStrategy(IsolatedC.STRATEGIES.FREEWILL)).toBe(true);
+        expect(IsolatedManager.isValidStrategy(IsolatedC.STRATEGIES.VOICE_SWITCHING)).toBe(true);
+        expect(IsolatedManager.isValidStrategy('configured')).toBe(true);
+        expect(IsolatedManager.isValidStrategy('missing')).toBe(false);
+      });
+    });
+
+    test('refuses invalid strategy definitions', () => {
+      expect(() => StrategyManager.register('invalid', {}))
+        .toThrow(expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_TYPE.code }));
+    });
+
+    test('replacing a strategy stops the previous one', () => {
+      controller.join('strategy-room', 'SFU', {});
+      controller.setStrategy('strategy-room', 'recorder');
+      const previous = StrategyManager.strategies.get('strategy-room');
+      const stop = jest.spyOn(previous, 'stop');
+
+      controller.setStrategy('strategy-room', C.STRATEGIES.VOICE_SWITCHING);
+
+      expect(stop).toHaveBeenCalled();
+      expect(controller.getStrategy('strategy-room')).toBe(C.STRATEGIES.VOICE_SWITCHING);
+    });
+  });
+
+  describe('member destruction', () => {
+    test('room strategies are removed when the room is destroyed', async () => {
+      const userId = controller.join('strategy-room', 'SFU', {});
+      controller.setStrategy('strategy-room', 'recorder');
+      const destroyed = waitForEvent(C.EVENT.ROOM_DESTROYED, ({ roomId }) => roomId === 'strategy-room');
+
+      controller.leave('strategy-room', userId);
+      await destroyed;
+
+      expect(StrategyManager.strategies.has('strategy-room')).toBe(false);
+    });
+
+    test('user strategies are removed when the user leaves', async () => {
+      controller.join('strategy-room', 'SFU', {});
+      const userId = controller.join('strategy-room', 'SFU', {});
+      controller.setStrategy(userId, 'recorder');
+      const left = waitForEvent(C.EVENT.USER_LEFT, event => event.userId === userId);
+
+      controller.leave('strategy-room', userId);
+      await left;
+
+      expect(StrategyManager.strategies.has(userId)).toBe(false);
+      expect(controller.getStrategy('strategy-room')).toBe(C.STRATEGIES.FREEWILL);
+    });
+
+    test('media session strategies are removed when the media is unpublished', async () => {
+      const userId = controller.join('strategy-room', 'SFU', {});
+      const { mediaId } = await publishAudio(userId, 'strategy-room');
+      controller.setStrategy(mediaId, 'recorder');
+
+      await controller.unpublish(userId, mediaId);
+
+      expect(StrategyManager.strategies.has(mediaId)).toBe(false);
+    });
+  });
+
+  describe('scope', () => {
+    test('room strategies only get events from their room', async () => {
+      const userId = controller.join('strategy-room', 'SFU', {});
+      const otherUserId = controller.join('other-strategy-room', 'SFU', {});
+      const { mediaId } = await publishAudio(userId, 'strategy-room');
+      const { mediaId: otherMediaId } = await publishAudio(otherUserId, 'other-strategy-room');
+      controller.setStrategy('strategy-room', 'recorder');
+
+      await talk(otherMediaId);
+      await talk(mediaId);
+
+      expect(getRecordedEvents('strategy-room', 'startTalking')).toEqual([
+        expect.objectContaining({ roomId: 'strategy-room', userId }),
+      ]);
+    });
+
+    test('user strategies only get events from their user', async () => {
+      const userId = controller.join('strategy-room', 'SFU', {});
+      const otherUserId = controller.join('strategy-room', 'SFU', {});
+      const { mediaId } = await publishAudio(userId, 'strategy-room');
+      const { mediaId: otherMediaId } = await publishAudio(otherUserId, 'strategy-room');
+      controller.setStrategy(userId, 'recorder');
+
+      const joined = waitForEvent(C.EVENT.USER_JOINED, ({ roomId }) => roomId === 'strategy-room');
+      controller.join('strategy-room', 'SFU', {});
+      await joined;
+      await talk(otherMediaId);
+      await talk(mediaId);
+
+      expect(getRecordedEvents(userId, 'userJoined')).toEqual([]);
+      expect(getRecordedEvents(userId, 'startTalking')).toEqual([
+        expect.objectContaining({ userId }),
+      ]);
+    });
+
+    test('media session strategies get the events of their media units', async () => {
+      const userId = controller.join('strategy-room', 'SFU', {});
+      const { mediaId } = await publishAudio(userId, 'strategy-room');
+      const { mediaId: otherMediaId } = await publishAudio(userId, 'strategy-room');
+      const [media] = controller.getMediaSession(mediaId).medias;
+      controller.setStrategy(mediaId, 'recorder');
+
+      await talk(otherMediaId);
+      await talk(mediaId);
+
+      expect(getRecordedEvents(mediaId, 'startTalking')).toEqual([
+        expect.objectContaining({ mediaId: media.id }),
+      ]);
+    });
+  });
+});
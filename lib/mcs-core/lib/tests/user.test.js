@@ -0,0 +1,55 @@
+const C = require('../constants/constants');
+const User = require('../model/user');
+
+describe('user', () => {
+  test('autoLeave defaults to false', () => {
+    const user = new User('model-room', 'SFU');
+
+    expect(user.autoLeave).toBe(false);
+    expect(user.externalUserId).toBe(user.id);
+  });
+
+  test('_ejectIfNeeded emits EJECT_USER for autoLeave users without sessions', () => {
+    const user = new User('model-room', 'SFU', { autoLeave: true });
+    const listener = jest.fn();
+    user.on(C.EVENT.EJECT_USER, listener);
+
+    user._ejectIfNeeded();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ userId: user.id, roomId: 'model-room' }));
+  });
+
+  test('_ejectIfNeeded keeps autoLeave users with active sessions', () => {
+    const user = new User('model-room', 'SFU', { autoLeave: true });
+    const listener = jest.fn();
+    user.on(C.EVENT.EJECT_USER, listener);
+    user.mediaSessions['fake-session'] = {};
+
+    user._ejectIfNeeded();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('_ejectIfNeeded keeps users without autoLeave', () => {
+    const user = new User('model-room', 'SFU');
+    const listener = jest.fn();
+    user.on(C.EVENT.EJECT_USER, listener);
+
+    user._ejectIfNeeded();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('stopSession of the last session ejects autoLeave users', async () => {
+    const user = new User('model-room', 'SFU', { autoLeave: true });
+    const listener = jest.fn();
+    const session = { stop: jest.fn(() => Promise.resolve()) };
+    user.on(C.EVENT.EJECT_USER, listener);
+    user.mediaSessions['fake-session'] = session;
+
+    await user.stopSession('fake-session');
+
+    expect(session.stop).toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
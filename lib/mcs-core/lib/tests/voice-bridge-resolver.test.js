@@ -0,0 +1,74 @@
+const path = require('path');
+const C = require('../constants/constants');
+const {
+  StaticResolver,
+  RedisResolver,
+  createResolver,
+} = require('../adapters/freeswitch/voice-bridge-resolver.js');
+
+// Stands in for the RedisWrapper publisher client
+const buildRedisClient = (keys = {}, error = null) => ({
+  getKey: jest.fn((key, callback) => callback(error, keys[key] || null)),
+});
+
+describe('voice bridge resolvers', () => {
+  describe('static', () => {
+    const resolver = new StaticResolver({ map: { '72013': 'fs2' }, defaultServer: 'fs1' });
+
+    test('maps voice bridges to their configured server', async () => {
+      await expect(resolver.resolve('72013')).resolves.toBe('fs2');
+    });
+
+    test('unmapped voice bridges go to the default server', async () => {
+      await expect(resolver.resolve('70000')).resolves.toBe('fs1');
+    });
+  });
+
+  describe('redis', () => {
+    test('looks the server up under the configured key prefix', async () => {
+      const redisClient = buildRedisClient({ 'conf:72013': 'fs2' });
+      const resolver = new RedisResolver({ keyPrefix: 'conf:', defaultServer: 'fs1' }, redisClient);
+
+      await expect(resolver.resolve('72013')).resolves.toBe('fs2');
+      expect(redisClient.getKey).toHaveBeenCalledWith('conf:72013', expect.any(Function));
+    });
+
+    test('voice bridges without a key go to the default server', async () => {
+      const resolver = new RedisResolver({ defaultServer: 'fs1' }, buildRedisClient());
+
+      await expect(resolver.resolve('72013')).resolves.toBe('fs1');
+    });
+
+    test('rejects with MEDIA_SERVER_NOT_FOUND when Redis fails', async () => {
+      const resolver = new RedisResolver({ defaultServer: 'fs1' },
+        buildRedisClient({}, new Error('ECONNREFUSED')));
+
+      await expect(resolver.resolve('72013')).rejects.toEqual(
+        expect.objectContaining({ code: C.ERROR.MEDIA_SERVER_NOT_FOUND.code }));
+    });
+  });
+
+  describe('createResolver', () => {
+    test('defaults to a static resolver', async () => {
+      const resolver = createResolver(undefined, 'fs1');
+
+      expect(resolver).toBeInstanceOf(StaticResolver);
+      await expect(resolver.resolve('72013')).resolves.toBe('fs1');
+    });
+
+    test('loads custom resolvers from a module path', async () => {
+      const modulePath = path.relative(process.cwd(),
+        path.join(__dirname, 'fixtures', 'voice-bridge-resolver.js'));
+
+      const resolver = createResolver({ path: modulePath }, 'fs1');
+
+      await expect(resolver.resolve('82013')).resolves.toBe('fs2');
+      await expect(resolver.resolve('72013')).resolves.toBe('fs1');
+    });
+
+    test('refuses unknown resolver types', () => {
+      expect(() => createResolver({ type: 'dns' }, 'fs1')).toThrow(
+        expect.objectContaining({ code: C.ERROR.MEDIA_INVALID_OPERATION.code }));
+    });
+  });
+});
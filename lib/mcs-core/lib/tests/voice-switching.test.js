@@ -0,0 +1,169 @@
+const C = require('../constants/constants');
+const MediaController = require('../media/media-controller.js');
+const AdapterFactory = require('../adapters/adapter-factory.js');
+const GLOBAL_EVENT_EMITTER = require('../utils/emitter');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_AUDIO_SENDRECV,
+  leaveAll,
+} = require('./helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const mockAdapter = AdapterFactory.findAdapter('Kurento');
+
+// See voiceSwitching in the test config
+const HYSTERESIS = 20;
+const HOLD_TIME = 50;
+
+const publish = (userId, descriptor, mediaProfile) => controller.publish(
+  userId, 'voice-switching-room', C.MEDIA_TYPE.WEBRTC, { descriptor, mediaProfile },
+);
+
+// Speakers talk through an audio-only media and have a webcam the floor goes to
+const joinSpeaker = async () => {
+  const userId = controller.join('voice-switching-room', 'SFU', {});
+  const { mediaId: audioId } = await publish(userId, WEBRTC_AUDIO_SENDRECV, C.MEDIA_PROFILE.AUDIO);
+  const { mediaId: webcamId } = await publish(userId, WEBRTC_VIDEO_SENDONLY, C.MEDIA_PROFILE.MAIN);
+  const [audio] = controller.getMediaSession(audioId).medias;
+
+  return {
+    userId,
+    webcamId,
+    startTalking: () => mockAdapter.simulateTalking(audio.adapterElementId, true),
+    stopTalking: () => mockAdapter.simulateTalking(audio.adapterElementId, false),
+  };
+};
+
+const getFloorUserId = () => {
+  const { floor } = controller.getConferenceFloor('voice-switching-room');
+  return floor ? floor.userId : undefined;
+};
+
+afterEach(() => leaveAll(controller));
+
+describe('voice switching', () => {
+  let alice, bob, floorChanged;
+
+  beforeEach(async () => {
+    alice = await joinSpeaker();
+    bob = await joinSpeaker();
+    floorChanged = jest.fn();
+    GLOBAL_EVENT_EMITTER.on(C.EVENT.CONFERENCE_FLOOR_CHANGED, floorChanged);
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    GLOBAL_EVENT_EMITTER.removeListener(C.EVENT.CONFERENCE_FLOOR_CHANGED, floorChanged);
+  });
+
+  // Hands the floor to a speaker and lets the hold time run out
+  const giveFloor = (speaker) => {
+    speaker.startTalking();
+    jest.advanceTimersByTime(HOLD_TIME);
+    floorChanged.mockClear();
+  };
+
+  test('speakers get the floor after talking for the hysteresis', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+
+    alice.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS - 1);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+
+    expect(floorChanged).toHaveBeenCalledTimes(1);
+    expect(floorChanged).toHaveBeenCalledWith(expect.objectContaining({
+      roomId: 'voice-switching-room',
+      floor: expect.objectContaining({ mediaSessionId: alice.webcamId, userId: alice.userId }),
+    }));
+  });
+
+  test('speakers who stop before the hysteresis do not get the floor', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+
+    alice.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS - 1);
+    alice.stopTalking();
+    jest.advanceTimersByTime(HOLD_TIME);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+    expect(getFloorUserId()).toBeUndefined();
+  });
+
+  test('the floor is held for the hold time before switching again', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+    alice.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS);
+    floorChanged.mockClear();
+
+    bob.startTalking();
+    jest.advanceTimersByTime(HOLD_TIME - 1);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+    expect(getFloorUserId()).toBe(alice.userId);
+
+    jest.advanceTimersByTime(1);
+
+    expect(floorChanged).toHaveBeenCalledTimes(1);
+    expect(getFloorUserId()).toBe(bob.userId);
+  });
+
+  test('the speaker keeps the floor over short interjections', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+    giveFloor(alice);
+
+    bob.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS - 1);
+    bob.stopTalking();
+    alice.stopTalking();
+    alice.startTalking();
+    jest.advanceTimersByTime(HOLD_TIME);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+    expect(getFloorUserId()).toBe(alice.userId);
+  });
+
+  test('the floor is handed over once the speaker stops talking', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+    giveFloor(alice);
+
+    alice.stopTalking();
+    bob.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS);
+
+    expect(floorChanged).toHaveBeenCalledWith(expect.objectContaining({
+      floor: expect.objectContaining({ userId: bob.userId }),
+      previousFloor: [expect.objectContaining({ userId: alice.userId })],
+    }));
+  });
+
+  test('hold time and hysteresis can be set per room', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING, {
+      hysteresis: 100, holdTime: 0,
+    });
+
+    alice.startTalking();
+    jest.advanceTimersByTime(HYSTERESIS);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100 - HYSTERESIS);
+
+    expect(getFloorUserId()).toBe(alice.userId);
+  });
+
+  test('pending takeovers are dropped with the strategy', () => {
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.VOICE_SWITCHING);
+
+    alice.startTalking();
+    controller.setStrategy('voice-switching-room', C.STRATEGIES.FREEWILL);
+    jest.advanceTimersByTime(HOLD_TIME);
+
+    expect(floorChanged).not.toHaveBeenCalled();
+  });
+});
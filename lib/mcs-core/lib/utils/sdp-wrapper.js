@@ -9,6 +9,8 @@ const config = require('config');
 const transform = require('sdp-transform');
 const C = require('../constants/constants.js');
 const { isIP } = require('net');
+const SIMULCAST_CONFIG = config.has('simulcast') ? config.get('simulcast') : {};
+const SIMULCAST_LAYERS = SIMULCAST_CONFIG.layers || {};
 
 module.exports = class SdpWrapper {
   constructor(sdp, mediaSpecs, type, params = {}) {
@@ -200,6 +202,10 @@ module.exports = class SdpWrapper {
     return this._mediaCapabilities.hasMultipleVideo;
   }
 
+  hasSimulcast () {
+    return this._mediaCapabilities.hasSimulcast;
+  }
+
   hasAvailableVideoCodec () {
     return this._mediaCapabilities.hasAvailableVideoCodec;
   }
@@ -254,6 +260,36 @@ module.exports = class SdpWrapper {
     });
   }
 
+  /**
+   * Returns the simulcast layers offered in this SDP's main video description
+   * @return {Array<Object>} See SdpWrapper.getSimulcastLayers
+   */
+  getSimulcastLayers () {
+    const mediaLine = this._jsonSdp.media.find(ml =>
+      SdpWrapper.isVideo(ml) && SdpWrapper.isSimulcast(ml));
+
+    return mediaLine ? SdpWrapper.getSimulcastLayers(mediaLine) : [];
+  }
+
+  /**
+   * Strips the simulcast attributes (a=simulcast, a=rid) from every video
+   * description so that the remote end falls back to a single encoding
+   */
+  removeSimulcast () {
+    this._jsonSdp.media.forEach(ml => {
+      if (ml.type === 'video') {
+        delete ml.rids;
+        delete ml.simulcast;
+        delete ml.simulcast_03;
+      }
+    });
+
+    this._plainSdp = transform.write(this._jsonSdp);
+    this._mainVideoSdp = null;
+    this._contentVideoSdp = null;
+    this._mediaCapabilities.hasSimulcast = false;
+  }
+
   getDirection (type) {
     let direction, media;
     const fetchDirection = (m) => {
@@ -346,6 +382,69 @@ module.exports = class SdpWrapper {
     return jsonSDP.media.some(SdpWrapper.isContentSlides);
   }
 
+  static jsonSDPHasSimulcast (jsonSDP) {
+    return jsonSDP.media.some(SdpWrapper.isSimulcast);
+  }
+
+  /**
+   * Tests if a media line offers to send RID based simulcast (RFC 8853)
+   * @param  {Object} mediaLine A sdp-transform parsed JSON media line
+   * @return {boolean}
+   */
+  static isSimulcast (mediaLine) {
+    return mediaLine.type === 'video'
+      && !!mediaLine.simulcast
+      && Array.isArray(mediaLine.rids)
+      && mediaLine.rids.some(({ direction }) => direction === 'send');
+  }
+
+  /**
+   * Given a simulcast media line, return the layers it sends in the order they
+   * are listed in a=simulcast. Each layer has the following format:
+   *   {
+   *     rid: String The RTP stream ID of the layer
+   *     maxWidth: Number|undefined
+   *     maxHeight: Number|undefined
+   *     maxBitrate: Number|undefined (bps)
+   *   }
+   * Restrictions are taken from the a=rid line (max-width, max-height, max-br)
+   * and fall back to the ones configured for the rid in simulcast.layers
+   * @param  {Object} mediaLine A sdp-transform parsed JSON media line
+   * @return {Array<Object>} The simulcast layers
+   */
+  static getSimulcastLayers (mediaLine) {
+    if (!SdpWrapper.isSimulcast(mediaLine)) {
+      return [];
+    }
+
+    const { simulcast, rids } = mediaLine;
+    const sendList = simulcast.dir1 === 'send' ? simulcast.list1 : simulcast.list2;
+    const sendRids = rids.filter(({ direction }) => direction === 'send');
+    // Each entry of the list is a set of alternatives for the same layer;
+    // the first one is the preferred
+    const orderedIds = sendList
+      ? transform.parseSimulcastStreamList(sendList).map(([{ scid }]) => `${scid}`)
+      : sendRids.map(({ id }) => `${id}`);
+
+    return orderedIds.reduce((layers, id) => {
+      const ridLine = sendRids.find(r => `${r.id}` === id);
+
+      if (ridLine) {
+        const restrictions = ridLine.params ? transform.parseParams(ridLine.params) : {};
+        const defaults = SIMULCAST_LAYERS[id] || {};
+
+        layers.push({
+          rid: id,
+          maxWidth: restrictions['max-width'] || defaults.maxWidth,
+          maxHeight: restrictions['max-height'] || defaults.maxHeight,
+          maxBitrate: restrictions['max-br'] || defaults.maxBitrate,
+        });
+      }
+
+      return layers;
+    }, []);
+  }
+
   static isApplication (mediaLine) {
     return mediaLine.type == "application";
   }
@@ -752,7 +851,7 @@ module.exports = class SdpWrapper {
         // No FMTP. Shouldn't happen, so we forcibly pre-start a FMTP line
         // and post-process it on the next forEach
         if (ml.fmtp == null || ml.fmtp.length <= 0) {
-          ml.ftmp = [];
+          ml.fmtp = [];
           ml.rtp.forEach(({ payload }) => {
             ml.fmtp.push({ payload, config: '' });
           });
@@ -852,6 +951,7 @@ module.exports = class SdpWrapper {
     this._mediaCapabilities.hasAvailableVideoCodec = this._hasAvailableVideoCodec();
     this._mediaCapabilities.hasAvailableAudioCodec = this._hasAvailableAudioCodec();
     this._mediaCapabilities.hasContent = SdpWrapper.jsonSDPHasContentSlides(this._jsonSdp);
+    this._mediaCapabilities.hasSimulcast = SdpWrapper.jsonSDPHasSimulcast(this._jsonSdp);
     if (this.localConnectionData == null) {
       const localCData = SdpWrapper.getCData(this._jsonSdp);
       this.localConnectionData = localCData;
@@ -888,7 +988,9 @@ module.exports = class SdpWrapper {
       return 'ANY';
     }
 
-    res.media.forEach((ml, index) => {
+    const strippedMediaLines = [];
+
+    res.media.forEach((ml) => {
       let codecToFilter;
       if (mediaProfile === C.MEDIA_PROFILE.MAIN) {
         codecToFilter = getCodecToFilter(videoCodec, videoPrioCodec, ml);
@@ -925,12 +1027,15 @@ module.exports = class SdpWrapper {
         ml.payloads = validPayloads.join(' ');
 
         // Check is the media line has no available codec and strip it off
+        // Splicing it here would skip the next media line in this forEach
         if (!ml.rtp || ml.rtp.length <= 0 || ml.payloads === '') {
-          res.media.splice(index, 1);
+          strippedMediaLines.push(ml);
         }
       }
     });
 
+    res.media = res.media.filter(ml => !strippedMediaLines.includes(ml));
+
     return res;
   };
 
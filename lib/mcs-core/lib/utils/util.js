@@ -66,3 +66,29 @@ exports.hrTime = function () {
 
   return t[0]*1000 + parseInt(t[1]/1000000);
 }
+
+/*
+ * pickSimulcastLayer
+ * Picks the simulcast layer (see SdpWrapper.getSimulcastLayers) a subscriber
+ * should get given its hints ({ maxHeight, maxBitrate }). It's the highest
+ * layer within the hints, falling back to the lowest one if none fits.
+ * Without hints, the highest layer is picked. Layers that don't specify a
+ * restriction are considered above any hint on it.
+ */
+exports.pickSimulcastLayer = (layers = [], hints = {}) => {
+  const { maxHeight, maxBitrate } = hints;
+  const valueOf = (value) => value == null ? Infinity : value;
+  const fits = (layer) => (maxHeight == null || valueOf(layer.maxHeight) <= maxHeight)
+    && (maxBitrate == null || valueOf(layer.maxBitrate) <= maxBitrate);
+  const sortedLayers = [...layers].sort((a, b) => {
+    return (valueOf(a.maxHeight) - valueOf(b.maxHeight))
+      || (valueOf(a.maxBitrate) - valueOf(b.maxBitrate));
+  });
+  const fittingLayers = sortedLayers.filter(fits);
+
+  if (fittingLayers.length > 0) {
+    return fittingLayers[fittingLayers.length - 1];
+  }
+
+  return sortedLayers[0];
+}
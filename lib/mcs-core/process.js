@@ -7,6 +7,7 @@ const http = require('http');
 const config = require('config');
 const controllerInstance = MMR;
 const PrometheusAgent = require('./lib/metrics/');
+const { ADMIN_API_ENABLED, MCSAdminAPI } = require('./lib/admin/');
 
 
 class CoreProcess extends BaseProcess {
@@ -32,6 +33,10 @@ class CoreProcess extends BaseProcess {
     mcsServer.on('connection', this.controller.setupClient.bind(this.controller));
   }
 
+  startAdminServer () {
+    if (ADMIN_API_ENABLED) MCSAdminAPI.start();
+  }
+
   handleException (error) {
     if (error.code === 'EADDRINUSE') {
       Logger.warn(this.logPrefix, "There's probably another master mcs-core instance running, kill this one");
@@ -52,3 +57,4 @@ const coreProcess = new CoreProcess(controllerInstance, '[mcs-core]');
 
 coreProcess.start();
 coreProcess.startMCSServer();
+coreProcess.startAdminServer();
@@ -14,6 +14,7 @@ const C = require('../bbb/messages/Constants');
 const Logger = require('../utils/Logger');
 const errors = require('../base/errors');
 const config = require('config');
+const { STOP_REASONS, observeStartDuration } = require('../base/metrics.js');
 
 const EJECT_ON_USER_LEFT = config.get('ejectOnUserLeft');
 const SCREENSHARE_MEDIA_SERVER = config.get('screenshareMediaServer');
@@ -62,11 +63,27 @@ module.exports = class ScreenshareManager extends BaseManager {
 
       const queue = this._fetchLifecycleQueue(voiceBridge);
       queue.push(() => {
-        return this.closeSession(session, role, voiceBridge, connectionId);
+        return this.closeSession(
+          session,
+          role,
+          voiceBridge,
+          connectionId,
+          STOP_REASONS.MEDIA_SERVER_OFFLINE,
+        );
       });
     });
   }
 
+  _trackMediaRenegotiationEvent (session) {
+    session.on(C.MEDIA_RENEGOTIATION_REQUIRED, ({ connectionId, role }) => {
+      this._sendRestartIceRequest({
+        connectionId,
+        type: C.SCREENSHARE_APP,
+        role,
+      }, C.FROM_SCREENSHARE);
+    });
+  }
+
   _trackMeetingEvents () {
     this._bbbGW.on(C.DISCONNECT_ALL_USERS_2x, (payload) => {
       let meetingId = payload[C.MEETING_ID_2x];
@@ -93,7 +110,7 @@ module.exports = class ScreenshareManager extends BaseManager {
           { ...session._getFullPresenterLogMetadata(), oldPresenterId: session.userId, presenterId });
         const queue = this._fetchLifecycleQueue(sessionId);
         queue.push(() => {
-          return this.closeSession(session, C.SEND_ROLE, sessionId);
+          return this.closeSession(session, C.SEND_ROLE, sessionId, '', STOP_REASONS.EJECTED);
         });
         this.sendToClient({
           connectionId: session._connectionId,
@@ -104,7 +121,7 @@ module.exports = class ScreenshareManager extends BaseManager {
     });
   }
 
-  handleStart (message) {
+  handleStart (message, requestedAt) {
     const {
       internalMeetingId,
       voiceBridge,
@@ -134,6 +151,7 @@ module.exports = class ScreenshareManager extends BaseManager {
       );
       this._sessions[voiceBridge] = session;
       this._meetings[internalMeetingId] = voiceBridge;
+      this._trackMediaRenegotiationEvent(session);
     }
 
     const options = {
@@ -161,6 +179,7 @@ module.exports = class ScreenshareManager extends BaseManager {
           response: 'accepted',
           sdpAnswer,
         }, C.FROM_SCREENSHARE);
+        observeStartDuration(role, requestedAt);
 
         this._trackMediaServerOfflineEvent(
           session,
@@ -210,6 +229,45 @@ module.exports = class ScreenshareManager extends BaseManager {
     }
   }
 
+  async handleRestartIce (message) {
+    const {
+      voiceBridge,
+      connectionId,
+      role,
+      sdpOffer,
+      callerName: userId,
+    } = message;
+
+    const session = this._fetchSession(voiceBridge);
+
+    try {
+      if (session == null || session.constructor !== Screenshare) {
+        throw errors.MEDIA_NOT_FOUND;
+      }
+
+      const sdpAnswer = await session.restartIce(connectionId, role, sdpOffer);
+
+      this.sendToClient({
+        connectionId,
+        type: C.SCREENSHARE_APP,
+        role,
+        id: 'restartIceResponse',
+        response: 'accepted',
+        sdpAnswer,
+      }, C.FROM_SCREENSHARE);
+    } catch (error) {
+      Logger.error(this._logPrefix, 'Screensharing ICE restart failed', {
+        errorMessage: error.message,
+        errorCode: error.code,
+        ...ScreenshareManager.getMetadataFromMessage(message),
+      });
+      const errorMessage = this._handleError(this._logPrefix, connectionId, userId, role, error);
+      this.sendToClient({
+        ...errorMessage
+      }, C.FROM_SCREENSHARE);
+    }
+  }
+
   handleStop (message) {
     const {
       voiceBridge,
@@ -243,7 +301,7 @@ module.exports = class ScreenshareManager extends BaseManager {
 
     Logger.info(this._logPrefix, 'Connection closed',
       ScreenshareManager.getMetadataFromMessage(message));
-    return this.closeSession(session, role, voiceBridge, connectionId);
+    return this.closeSession(session, role, voiceBridge, connectionId, STOP_REASONS.CONNECTION_CLOSED);
   }
 
   async _onMessage(message = {}) {
@@ -252,8 +310,11 @@ module.exports = class ScreenshareManager extends BaseManager {
 
     switch (message.id) {
       case 'start':
+        // Start durations are measured from the moment the request arrives,
+        // so time spent waiting in the lifecycle queue is accounted for
+        const requestedAt = Date.now();
         queue = this._fetchLifecycleQueue(ScreenshareManager._getLifecycleQueueId(message));
-        queue.push(() => { return this.handleStart(message) });
+        queue.push(() => { return this.handleStart(message, requestedAt) });
         break;
 
       case 'stop':
@@ -261,6 +322,10 @@ module.exports = class ScreenshareManager extends BaseManager {
         queue.push(() => { return this.handleStop(message) });
         break;
 
+      case 'restartIce':
+        this.handleRestartIce(message);
+        break;
+
       case 'iceCandidate':
         this.handleIceCandidate(message);
         break;
@@ -286,7 +351,7 @@ module.exports = class ScreenshareManager extends BaseManager {
         const session = this._fetchSession(room);
         const queue = this._fetchLifecycleQueue(room);
         queue.push(() => {
-          return this.closeSession(session, C.SEND_ROLE, room);
+          return this.closeSession(session, C.SEND_ROLE, room, '', STOP_REASONS.SESSION_ENDED);
         });
       } catch (error) {
         Logger.error(this._logPrefix, `Screensharing session stop failed at room destroyed handler`,
@@ -305,7 +370,7 @@ module.exports = class ScreenshareManager extends BaseManager {
         const session = this._fetchSession(roomId);
         const queue = this._fetchLifecycleQueue(roomId);
         queue.push(() => {
-          return this.closeSession(session, C.SEND_ROLE, roomId);
+          return this.closeSession(session, C.SEND_ROLE, roomId, '', STOP_REASONS.SESSION_ENDED);
         });
       }
     } catch (error) {
@@ -314,7 +379,7 @@ module.exports = class ScreenshareManager extends BaseManager {
     }
   }
 
-  closeSession (session, role, sessionId, connectionId = '') {
+  closeSession (session, role, sessionId, connectionId = '', reason = STOP_REASONS.REQUESTED) {
     if (session && session.constructor == Screenshare) {
       if (role === C.SEND_ROLE) {
         Logger.info(this._logPrefix, `Stopping screensharing presenter session ${sessionId}`,
@@ -322,7 +387,7 @@ module.exports = class ScreenshareManager extends BaseManager {
 
         const internalMeetingId = session.meetingId;
 
-        return this._stopSession(sessionId).then(() => {
+        return this._stopSession(sessionId, reason).then(() => {
           this._deleteIceQueue(sessionId);
           delete this._meetings[internalMeetingId];
         }).catch(error => {
@@ -336,13 +401,23 @@ module.exports = class ScreenshareManager extends BaseManager {
       if (role === C.RECV_ROLE && session) {
         Logger.info(this._logPrefix, "Stopping screensharing viewer",
           session._getFullViewerLogMetadata(connectionId));
-        return session.stopViewer(connectionId);
+        return session.stopViewer(connectionId, reason);
       }
     }
 
     return Promise.resolve();
   }
 
+  // Presenters are counted per session, viewers per subscriber connection
+  getSessionsByRole () {
+    return Object.keys(this._sessions).reduce((sessionsByRole, sessionId) => {
+      const session = this._sessions[sessionId];
+      if (session.presenterMCSUserId) sessionsByRole[C.SEND_ROLE] += 1;
+      sessionsByRole[C.RECV_ROLE] += Object.keys(session._viewerUsers).length;
+      return sessionsByRole;
+    }, { [C.SEND_ROLE]: 0, [C.RECV_ROLE]: 0 });
+  }
+
   disconnectAllUsers(meetingId) {
     const voiceBridge = this._meetings[meetingId];
     if (typeof voiceBridge !== 'undefined') {
@@ -352,7 +427,7 @@ module.exports = class ScreenshareManager extends BaseManager {
           meetingId,
           voiceBridge,
         });
-        this._stopSession(voiceBridge);
+        this._stopSession(voiceBridge, STOP_REASONS.EJECTED);
       }
       delete this._meetings[meetingId]
     }
@@ -373,7 +448,7 @@ module.exports = class ScreenshareManager extends BaseManager {
             role: found.role,
           });
 
-          this.closeSession(session, found.connectionId, found.role, voiceBridge);
+          this.closeSession(session, found.role, voiceBridge, found.connectionId, STOP_REASONS.EJECTED);
           this._bbbGW.publish(JSON.stringify({
             connectionId: found.connectionId,
             type: C.SCREENSHARE_APP,
@@ -15,6 +15,11 @@ const BaseProvider = require('../base/BaseProvider');
 const config = require('config');
 const errors = require('../base/errors');
 const EventEmitter = require('events').EventEmitter;
+const {
+  METRIC_NAMES,
+  STOP_REASONS,
+  ModulePrometheusAgent,
+} = require('../base/metrics.js');
 
 const SHOULD_RECORD = config.get('recordScreenSharing');
 const DEFAULT_MEDIA_SPECS = config.get('conference-media-specs');
@@ -62,6 +67,9 @@ module.exports = class Screenshare extends BaseProvider {
     this._viewerUsers = {};
     this._viewerEndpoints = [];
     this._viewersCandidatesQueue = [];
+    // Connection IDs with an ICE restart in progress. Their candidates are
+    // queued until the new media units are up
+    this._restartingIce = {};
     this.status = C.MEDIA_STOPPED;
     this._rtmpBroadcastStarted = false;
     this.recording = {};
@@ -131,7 +139,7 @@ module.exports = class Screenshare extends BaseProvider {
   async onIceCandidate (candidate, role, userId, connectionId) {
     switch (role) {
       case C.SEND_ROLE:
-        if (this._presenterEndpoint) {
+        if (this._presenterEndpoint && !this._restartingIce[connectionId]) {
           try {
             this.flushCandidatesQueue(this.mcs, [...this._presenterCandidatesQueue], this._presenterEndpoint);
             this._presenterCandidatesQueue = [];
@@ -147,7 +155,7 @@ module.exports = class Screenshare extends BaseProvider {
         break;
       case C.RECV_ROLE:
         let endpoint = this._viewerEndpoints[connectionId];
-        if (endpoint) {
+        if (endpoint && !this._restartingIce[connectionId]) {
           try {
             this.flushCandidatesQueue(this.mcs, [...this._viewersCandidatesQueue[connectionId]], endpoint);
             this._viewersCandidatesQueue[connectionId] = [];
@@ -158,7 +166,9 @@ module.exports = class Screenshare extends BaseProvider {
               { ...this._getFullViewerLogMetadata(connectionId), error });
           }
         } else {
-          this._viewersCandidatesQueue[connectionId] = [];
+          if (this._viewersCandidatesQueue[connectionId] == null) {
+            this._viewersCandidatesQueue[connectionId] = [];
+          }
           this._viewersCandidatesQueue[connectionId].push(candidate);
         }
         break;
@@ -239,7 +249,7 @@ module.exports = class Screenshare extends BaseProvider {
     // TODO properly implement a handler when we have a client-side reconnection procedure
   }
 
-  _handleIceComponentStateChange (state, logMetadata) {
+  _handleIceComponentStateChange (state, logMetadata, role) {
     const { rawEvent } = state;
     const {
       componentId: iceComponentId,
@@ -253,6 +263,10 @@ module.exports = class Screenshare extends BaseProvider {
       iceComponentId,
       iceComponentState
     });
+
+    if (iceComponentState === 'FAILED') {
+      ModulePrometheusAgent.increment(METRIC_NAMES.ICE_FAILURES, { role });
+    }
   }
 
   _handleCandidatePairSelected (state, logMetadata) {
@@ -300,7 +314,11 @@ module.exports = class Screenshare extends BaseProvider {
 
     switch (name) {
       case "IceComponentStateChange":
-        this._handleIceComponentStateChange(state, logMetadata);
+        this._handleIceComponentStateChange(
+          state,
+          logMetadata,
+          isPresenter ? C.SEND_ROLE : C.RECV_ROLE,
+        );
         break;
       case "NewCandidatePairSelected":
         this._handleCandidatePairSelected(state, logMetadata);
@@ -329,6 +347,14 @@ module.exports = class Screenshare extends BaseProvider {
         }
         this.emit(C.MEDIA_SERVER_OFFLINE, event);
         break;
+      case C.MEDIA_RENEGOTIATION_REQUIRED:
+        Logger.warn(LOG_PREFIX, "Screenshare media was migrated, requesting a client ICE restart",
+          logMetadata);
+        this.emit(C.MEDIA_RENEGOTIATION_REQUIRED, {
+          connectionId,
+          role: isPresenter ? C.SEND_ROLE : C.RECV_ROLE,
+        });
+        break;
       default: Logger.trace(LOG_PREFIX, "Unrecognized event", event);
     }
   }
@@ -418,6 +444,7 @@ module.exports = class Screenshare extends BaseProvider {
           return resolve();
         }
 
+        ModulePrometheusAgent.increment(METRIC_NAMES.PERMISSION_PROBE_FAILURES, { role: C.SEND_ROLE });
         return reject(errors.SFU_UNAUTHORIZED);
       }
 
@@ -444,6 +471,7 @@ module.exports = class Screenshare extends BaseProvider {
           return resolve();
         }
 
+        ModulePrometheusAgent.increment(METRIC_NAMES.PERMISSION_PROBE_FAILURES, { role: C.RECV_ROLE });
         return reject(errors.SFU_UNAUTHORIZED);
       }
 
@@ -611,6 +639,7 @@ module.exports = class Screenshare extends BaseProvider {
           { externalUserId: userId, autoLeave: true });
         this._viewerUsers[connectionId] = {
           userId,
+          mcsUserId,
           connectionId,
           started: false,
         };
@@ -665,6 +694,51 @@ module.exports = class Screenshare extends BaseProvider {
     });
   }
 
+  async restartIce (connectionId, role, descriptor) {
+    const isPresenter = role === C.SEND_ROLE && connectionId === this._connectionId;
+    const logMetadata = isPresenter
+      ? this._getFullPresenterLogMetadata(connectionId)
+      : this._getFullViewerLogMetadata(connectionId);
+    const mediaId = isPresenter ? this._presenterEndpoint : this._viewerEndpoints[connectionId];
+    const mcsUserId = isPresenter
+      ? this.presenterMCSUserId
+      : (this._viewerUsers[connectionId] || {}).mcsUserId;
+
+    if (mediaId == null || mcsUserId == null) {
+      Logger.warn(LOG_PREFIX, 'ICE restart requested for a session that was not started',
+        logMetadata);
+      throw this._handleError(LOG_PREFIX, errors.MEDIA_NOT_FOUND, role, connectionId);
+    }
+
+    this._restartingIce[connectionId] = true;
+
+    try {
+      // mcs-core keeps the mediaId, so the content floor, recordings and
+      // media state listeners carry over to the new media units
+      const options = { descriptor, mediaId, restartIce: true };
+      const { answer } = isPresenter
+        ? await this.mcs.publish(mcsUserId, this._voiceBridge, C.WEBRTC, options)
+        : await this.mcs.subscribe(mcsUserId, this._presenterEndpoint, C.WEBRTC, options);
+
+      Logger.info(LOG_PREFIX, 'Screenshare ICE restart succeeded', logMetadata);
+      return answer;
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Screenshare ICE restart failed due to ${error.message}`,
+        { ...logMetadata, error });
+      throw this._handleError(LOG_PREFIX, error, role, connectionId);
+    } finally {
+      delete this._restartingIce[connectionId];
+
+      if (isPresenter) {
+        this.flushCandidatesQueue(this.mcs, [...this._presenterCandidatesQueue], mediaId);
+        this._presenterCandidatesQueue = [];
+      } else if (this._viewersCandidatesQueue[connectionId]) {
+        this.flushCandidatesQueue(this.mcs, [...this._viewersCandidatesQueue[connectionId]], mediaId);
+        this._viewersCandidatesQueue[connectionId] = [];
+      }
+    }
+  }
+
   _startRtmpBroadcast (meetingId, output) {
     if (SCREENSHARE_SERVER_AKKA_BROADCAST) {
       this._streamUrl = this._presenterEndpoint;
@@ -730,7 +804,7 @@ module.exports = class Screenshare extends BaseProvider {
     }
   }
 
-  stopViewer (id) {
+  stopViewer (id, reason = STOP_REASONS.REQUESTED) {
     const viewerUser = this._viewerUsers[id];
     if (viewerUser == null) {
       // User doesn't exist. Probably a stop request glare
@@ -739,6 +813,7 @@ module.exports = class Screenshare extends BaseProvider {
       return Promise.resolve();
     }
 
+    ModulePrometheusAgent.increment(METRIC_NAMES.SESSION_STOPS, { role: C.RECV_ROLE, reason });
     const { userId } = viewerUser;
     const viewerMediaId = this._viewerEndpoints[id];
     Logger.info(LOG_PREFIX, `Stopping screenshare viewer ${userId}`,
@@ -767,9 +842,9 @@ module.exports = class Screenshare extends BaseProvider {
     }
   }
 
-  _stopAllViewers () {
+  _stopAllViewers (reason) {
     Object.keys(this._viewerUsers).forEach(async connectionId => {
-      await this.stopViewer(connectionId);
+      await this.stopViewer(connectionId, reason);
     });
   }
 
@@ -795,7 +870,7 @@ module.exports = class Screenshare extends BaseProvider {
     });
   }
 
-  stopPresenter () {
+  stopPresenter (reason = STOP_REASONS.REQUESTED) {
     return new Promise (async (resolve, reject) => {
       // Set this right away to avoid trailing stops
       this.status = C.MEDIA_STOPPING;
@@ -821,12 +896,20 @@ module.exports = class Screenshare extends BaseProvider {
           Logger.warn(LOG_PREFIX, `Screenshare presenter mediaId not set on stop`,
             this._getFullPresenterLogMetadata());
         }
+
+        ModulePrometheusAgent.increment(METRIC_NAMES.SESSION_STOPS, { role: C.SEND_ROLE, reason });
       } else {
         Logger.warn(LOG_PREFIX, `Screenshare presenter MCS userId not set on stop`,
           this._getFullPresenterLogMetadata());
       }
 
-      this._stopAllViewers();
+      // Viewers go down with the session. Shutdowns and media server failures
+      // are what stopped them as well; anything else just ended their session
+      const viewerStopReason = (reason === STOP_REASONS.SHUTDOWN
+        || reason === STOP_REASONS.MEDIA_SERVER_OFFLINE)
+        ? reason
+        : STOP_REASONS.SESSION_ENDED;
+      this._stopAllViewers(viewerStopReason);
       this._presenterEndpoint = null;
       this._candidatesQueue = null;
       this.status = C.MEDIA_STOPPED;
@@ -835,7 +918,7 @@ module.exports = class Screenshare extends BaseProvider {
     });
   }
 
-  stop () {
+  stop (reason = STOP_REASONS.REQUESTED) {
     return new Promise(async (resolve, reject) => {
       this.mcs.removeListener(C.MCS_DISCONNECTED, this.handleMCSCoreDisconnection);
 
@@ -864,7 +947,7 @@ module.exports = class Screenshare extends BaseProvider {
             this.once(C.MEDIA_NEGOTIATED, () => {
               Logger.info(LOG_PREFIX, `Screenshare delayed MEDIA_STARTING stop resolution`,
                 this._getFullPresenterLogMetadata());
-              this.stopPresenter().then(resolve).catch(error => {
+              this.stopPresenter(reason).then(resolve).catch(error => {
                 Logger.info(LOG_PREFIX, `Screenshare delayed MEDIA_STARTING stop failed`,
                   { errorMessage: error.message, errorCode: error.code, ...this._getFullPresenterLogMetadata });
                 return resolve();
@@ -880,7 +963,7 @@ module.exports = class Screenshare extends BaseProvider {
           break;
 
         default:
-          this.stopPresenter().then(resolve).catch(error => {
+          this.stopPresenter(reason).then(resolve).catch(error => {
             Logger.info(LOG_PREFIX, `Screenshare stop failed`,
               { errorMessage: error.message, errorCode: error.code, ...this._getFullPresenterLogMetadata });
             return resolve();
@@ -14,6 +14,7 @@ const Logger = require('../utils/Logger');
 const errors = require('../base/errors');
 const config = require('config');
 const Utils = require('../utils/Utils.js');
+const { STOP_REASONS, observeStartDuration } = require('../base/metrics.js');
 
 const VIDEO_MEDIA_SERVER = config.get('videoMediaServer');
 // Unfreeze the config's default media specs
@@ -43,7 +44,8 @@ module.exports = class VideoManager extends BaseManager {
 
   static getVideoSpecsFromRequest (message) {
     const role = VideoManager.getRole(message);
-    // Only apply bitrate cap to publishers.
+    // Only apply bitrate cap to publishers. Viewers cap what they receive
+    // with the maxBitrate hint (see getSubscriberHintsFromRequest)
     const bitrate = role === 'share' ? message.bitrate : BW_UNCAPPED;
     // Create a new spec for this instance
     const spec = { ...DEFAULT_MEDIA_SPECS };
@@ -55,6 +57,30 @@ module.exports = class VideoManager extends BaseManager {
     return spec;
   }
 
+  // Viewer preferences for what they receive: the layer they get from
+  // simulcast publishers and the bitrate cap of their stream. maxBitrate comes
+  // in kbps, like the publishers' bitrate, and goes to mcs-core in bps.
+  // Hints sent as 0 are cleared
+  static getSubscriberHintsFromRequest (message) {
+    const hints = {};
+
+    if (VideoManager.getRole(message) === 'share') {
+      return hints;
+    }
+
+    if (message.maxHeight != null) {
+      const maxHeight = parseInt(message.maxHeight, 10);
+      hints.maxHeight = maxHeight > 0 ? maxHeight : null;
+    }
+
+    if (message.maxBitrate != null) {
+      const maxBitrate = parseInt(message.maxBitrate, 10);
+      hints.maxBitrate = maxBitrate > 0 ? maxBitrate * 1000 : null;
+    }
+
+    return hints;
+  }
+
   static getMetadataFromMessage (message) {
     return {
       sfuMessageId: message.id,
@@ -101,6 +127,21 @@ module.exports = class VideoManager extends BaseManager {
     });
   }
 
+  _trackMediaRenegotiationEvent (session) {
+    session.on(C.MEDIA_RENEGOTIATION_REQUIRED, ({ sdpOffer }) => {
+      const message = {
+        connectionId: session.connectionId,
+        type: 'video',
+        role: session.role,
+        cameraId: session.id,
+      };
+
+      if (sdpOffer) message.sdpOffer = sdpOffer;
+
+      this._sendRestartIceRequest(message, C.FROM_VIDEO);
+    });
+  }
+
   _killConnectionSessions (connectionId) {
     Object.keys(this._sessions).forEach((sessionId) => {
       const session = this._fetchSession(sessionId);
@@ -108,7 +149,7 @@ module.exports = class VideoManager extends BaseManager {
         const queue = this._fetchLifecycleQueue(sessionId);
         queue.push(() => {
           const metadata = session._getLogMetadata();
-          return this._stopSession(sessionId).then(() => {
+          return this._stopSession(sessionId, STOP_REASONS.CONNECTION_CLOSED).then(() => {
             this._deleteIceQueue(sessionId);
           }).catch(error => {
             Logger.error(this._logPrefix, "Video session stop failed at connection closed", {
@@ -123,7 +164,7 @@ module.exports = class VideoManager extends BaseManager {
     });
   }
 
-  async handleStart (message) {
+  async handleStart (message, requestedAt) {
     let video, iceQueue;
     const sessionId = VideoManager.getSessionId(message);
     const role = VideoManager.getRole(message);
@@ -163,13 +204,15 @@ module.exports = class VideoManager extends BaseManager {
     }
 
     const mediaSpecs = VideoManager.getVideoSpecsFromRequest(message);
+    const subscriberHints = VideoManager.getSubscriberHintsFromRequest(message);
 
-    return video.start(sdpOffer, mediaSpecs)
+    return video.start(sdpOffer, mediaSpecs, subscriberHints)
       .then(sdpAnswer => {
         Logger.info(this._logPrefix, "Video session started",
           VideoManager.getMetadataFromMessage(message));
         this._flushIceQueue(video, iceQueue);
         this._trackMediaServerOfflineEvent(video);
+        this._trackMediaRenegotiationEvent(video);
         this.sendToClient({
           connectionId: connectionId,
           type: 'video',
@@ -178,6 +221,7 @@ module.exports = class VideoManager extends BaseManager {
           cameraId,
           sdpAnswer : sdpAnswer
         }, C.FROM_VIDEO);
+        observeStartDuration(role, requestedAt);
       })
       .catch(error => {
         const errorMessage = this._handleError(this._logPrefix, connectionId, cameraId, role, error);
@@ -234,6 +278,60 @@ module.exports = class VideoManager extends BaseManager {
     }
   }
 
+  async handleUpdateHints (message) {
+    const sessionId = VideoManager.getSessionId(message);
+    const video = this._fetchSession(sessionId);
+
+    if (!VideoManager.isVideoInstanceReady(video) || video.shared) {
+      Logger.warn(this._logPrefix, 'Hints update ignored, no viewer session found',
+        VideoManager.getMetadataFromMessage(message));
+      return;
+    }
+
+    try {
+      await video.updateHints(VideoManager.getSubscriberHintsFromRequest(message));
+    } catch (error) {
+      Logger.error(this._logPrefix, 'Hints update failed', {
+        errorMessage: error.message,
+        errorCode: error.code,
+        metadata: video._getLogMetadata(),
+      });
+    }
+  }
+
+  async handleRestartIce (message) {
+    const { connectionId, cameraId, sdpOffer } = message;
+    const role = VideoManager.getRole(message);
+    const video = this._fetchSession(VideoManager.getSessionId(message));
+
+    try {
+      if (!VideoManager.isVideoInstanceReady(video)) {
+        throw errors.MEDIA_NOT_FOUND;
+      }
+
+      const sdpAnswer = await video.restartIce(sdpOffer);
+
+      this.sendToClient({
+        connectionId,
+        type: 'video',
+        role,
+        id: 'restartIceResponse',
+        cameraId,
+        sdpAnswer,
+      }, C.FROM_VIDEO);
+    } catch (error) {
+      Logger.error(this._logPrefix, 'ICE restart failed', {
+        errorMessage: error.message,
+        errorCode: error.code,
+        ...VideoManager.getMetadataFromMessage(message),
+      });
+      const errorMessage = this._handleError(this._logPrefix, connectionId, cameraId, role, error);
+      this.sendToClient({
+        ...errorMessage,
+      }, C.FROM_VIDEO);
+    }
+  }
+
   handlePause (message) {
     const sessionId = VideoManager.getSessionId(message);
     const video = this._fetchSession(sessionId);
@@ -257,8 +355,11 @@ module.exports = class VideoManager extends BaseManager {
 
     switch (message.id) {
       case 'start':
+        // Start durations are measured from the moment the request arrives,
+        // so time spent waiting in the lifecycle queue is accounted for
+        const requestedAt = Date.now();
         queue = this._fetchLifecycleQueue(VideoManager.getSessionId(message));
-        queue.push(() => { return this.handleStart(message) });
+        queue.push(() => { return this.handleStart(message, requestedAt) });
         break;
 
       case 'subscriberAnswer':
@@ -270,10 +371,18 @@ module.exports = class VideoManager extends BaseManager {
         queue.push(() => { return this.handleStop(message) });
         break;
 
+      case 'restartIce':
+        this.handleRestartIce(message);
+        break;
+
       case 'pause':
         this.handlePause(message);
         break;
 
+      case 'updateHints':
+        this.handleUpdateHints(message);
+        break;
+
       case 'onIceCandidate':
         this.handleIceCandidate(message);
         break;
@@ -0,0 +1,93 @@
+'use strict';
+
+// Stands in for mcs-js: requests are handed over to mcs-core's router through
+// a response client, as the mcs-js server does, and its replies resolve them
+const { EventEmitter } = require('events');
+const Router = require('../../mcs-core/lib/media/mcs-message-router.js');
+
+module.exports = class MCSClient extends EventEmitter {
+  constructor () {
+    super();
+    this._transactionId = 0;
+    this._transactions = {};
+    this._eventCallbacks = {};
+    this._responseClient = this._createResponseClient();
+    Router.setupClient(this._responseClient);
+    process.nextTick(() => this.emit('open'));
+  }
+
+  _createResponseClient () {
+    const client = new EventEmitter();
+    const resolveWith = (toResponse) => (...args) => {
+      const { transactionId } = args[args.length - 1];
+      this._settle(transactionId, 'resolve', toResponse(...args));
+    };
+
+    client.joined = resolveWith(userId => ({ user_id: userId }));
+    client.left = resolveWith(() => {});
+    client.published = resolveWith((mediaId, descriptor) => ({ mediaId, descriptor }));
+    client.subscribed = resolveWith((mediaId, descriptor) => ({ mediaId, descriptor }));
+    client.unpublished = resolveWith(() => {});
+    client.unsubscribed = resolveWith(() => {});
+    client.iceCandidateAdded = resolveWith(() => {});
+    client.error = (error, { transactionId }) => this._settle(transactionId, 'reject', error);
+    client.mediaState = (mediaId, state) => this._dispatch('mediaState', mediaId, { mediaId, state });
+    client.onIceCandidate = (mediaId, candidate) => this._dispatch('onIceCandidate', mediaId, { mediaId, candidate });
+
+    return client;
+  }
+
+  _settle (transactionId, outcome, value) {
+    const transaction = this._transactions[transactionId];
+    if (transaction) {
+      delete this._transactions[transactionId];
+      transaction[outcome](value);
+    }
+  }
+
+  _dispatch (eventName, identifier, event) {
+    (this._eventCallbacks[`${eventName}:${identifier}`] || []).forEach(callback => callback(event));
+  }
+
+  _request (method, args) {
+    return new Promise((resolve, reject) => {
+      const transactionId = this._transactionId++;
+      this._transactions[transactionId] = { resolve, reject };
+      this._responseClient.emit(method, { ...args, transactionId });
+    });
+  }
+
+  join (room, type, params) {
+    return this._request('join', { room_id: room, type, params });
+  }
+
+  leave (user, room, params) {
+    return this._request('leave', { userId: user, roomId: room, params });
+  }
+
+  publish (user, room, type, params) {
+    return this._request('publish', { user, room, type, params });
+  }
+
+  unpublish (user, mediaId) {
+    return this._request('unpublish', { userId: user, mediaId });
+  }
+
+  subscribe (user, source, type, params) {
+    return this._request('subscribe', { user, source, type, params });
+  }
+
+  unsubscribe (user, mediaId) {
+    return this._request('unsubscribe', { userId: user, mediaId });
+  }
+
+  addIceCandidate (mediaId, candidate) {
+    return this._request('addIceCandidate', { mediaId, candidate });
+  }
+
+  onEvent (eventName, identifier, callback) {
+    const index = `${eventName}:${identifier}`;
+    this._eventCallbacks[index] = [...(this._eventCallbacks[index] || []), callback];
+    this._responseClient.emit('onEvent', { eventName, identifier });
+  }
+};
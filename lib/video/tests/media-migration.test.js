@@ -0,0 +1,149 @@
+process.env.NODE_CONFIG = JSON.stringify({
+  'mcs-address': '127.0.0.1',
+  'mcs-port': 3010,
+  videoMediaServer: 'Kurento',
+  recordWebcams: false,
+  kurentoRembParams: {},
+  ejectOnUserLeft: false,
+  permissionProbes: false,
+});
+
+jest.mock('mcs-js', () => require('./mcs-client.js'), { virtual: true });
+
+const { EventEmitter } = require('events');
+const Router = require('../../mcs-core/lib/media/mcs-message-router.js');
+const Balancer = require('../../mcs-core/lib/media/balancer.js');
+const MediaController = require('../../mcs-core/lib/media/media-controller.js');
+const AdapterFactory = require('../../mcs-core/lib/adapters/adapter-factory.js');
+const VideoManager = require('../VideoManager.js');
+const {
+  WEBRTC_VIDEO_SENDONLY,
+  WEBRTC_VIDEO_RECVONLY,
+  leaveAll,
+} = require('../../mcs-core/lib/tests/helpers.js');
+
+// Started through the router, as mcs-core's process does, so that media
+// states are dispatched to the module
+Router.start();
+const controller = new MediaController();
+
+const manager = new VideoManager('to-sfu-video', [], '[video-test]');
+const mockAdapter = AdapterFactory.findAdapter('Kurento');
+const [offlineHost] = mockAdapter.hosts;
+
+const SHARE_REQUEST = {
+  type: 'video',
+  role: 'share',
+  connectionId: 'sharer-conn',
+  cameraId: 'w_sharer-cam',
+  userId: 'w_sharer',
+  meetingId: 'meeting-1',
+  voiceBridge: 'migration-room',
+  record: false,
+};
+const VIEWER_REQUEST = { ...SHARE_REQUEST, role: 'viewer', connectionId: 'viewer-conn', userId: 'w_viewer' };
+
+// Messages VideoManager sends to clients, emitted by their id
+const clientMessages = new EventEmitter();
+const nextClientMessage = (id) => new Promise(resolve => clientMessages.once(id, resolve));
+
+const start = async (request) => {
+  const response = Promise.race([nextClientMessage('startResponse'), nextClientMessage('error')]);
+  await manager.handleStart({ id: 'start', ...request });
+  return response;
+};
+
+const getMediaSession = (request) => {
+  const video = manager._sessions[VideoManager.getSessionId(request)];
+  return controller.getMediaSession(video.mediaId);
+};
+
+beforeAll(() => manager.mcs.start('127.0.0.1', 3010));
+
+describe('webcam media migration', () => {
+  let healthyHost;
+
+  beforeEach(() => {
+    controller.migrateMediasOnHostOffline = true;
+    jest.spyOn(manager, 'sendToClient').mockImplementation(message => {
+      clientMessages.emit(message.id, message);
+    });
+    jest.spyOn(manager._bbbGW, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    controller.migrateMediasOnHostOffline = false;
+    await Promise.all(Object.keys(manager._sessions).map(id => manager._stopSession(id)));
+    await leaveAll(controller);
+    if (healthyHost) {
+      Balancer.removeHost(healthyHost.id);
+      healthyHost = null;
+    }
+    mockAdapter.simulateHostOnline(offlineHost.id);
+    clientMessages.removeAllListeners();
+    jest.restoreAllMocks();
+  });
+
+  const addHealthyHost = () => {
+    healthyHost = mockAdapter._createHost({ ip: '198.51.100.15' }, 'healthy');
+    Balancer.addHost(healthyHost);
+  };
+
+  test('publishers are asked for an ICE restart offer and reconnect on the healthy host', async () => {
+    await start({ ...SHARE_REQUEST, sdpOffer: WEBRTC_VIDEO_SENDONLY });
+    addHealthyHost();
+    const restartIceRequest = nextClientMessage('restartIceRequest');
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+
+    expect(await restartIceRequest).toEqual({
+      connectionId: 'sharer-conn',
+      type: 'video',
+      role: 'share',
+      id: 'restartIceRequest',
+      cameraId: 'w_sharer-cam',
+    });
+
+    const restartIceResponse = nextClientMessage('restartIceResponse');
+    await manager.handleRestartIce({ id: 'restartIce', ...SHARE_REQUEST, sdpOffer: WEBRTC_VIDEO_SENDONLY });
+
+    expect((await restartIceResponse).sdpAnswer).toMatch(/a=recvonly/);
+    expect(getMediaSession(SHARE_REQUEST).medias[0].host.id).toBe(healthyHost.id);
+  });
+
+  test('viewers offered by mcs-core get the new offer to answer', async () => {
+    await start({ ...SHARE_REQUEST, sdpOffer: WEBRTC_VIDEO_SENDONLY });
+    const { sdpAnswer: offer } = await start(VIEWER_REQUEST);
+    await manager.handleSubscriberAnswer({ id: 'subscriberAnswer', ...VIEWER_REQUEST, answer: WEBRTC_VIDEO_RECVONLY });
+    addHealthyHost();
+    const restartIceRequests = [];
+    clientMessages.on('restartIceRequest', message => restartIceRequests.push(message));
+    const viewerRequest = new Promise(resolve => clientMessages.on('restartIceRequest',
+      message => message.connectionId === 'viewer-conn' && resolve(message)));
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+    const { sdpOffer } = await viewerRequest;
+
+    expect(offer).toMatch(/c=IN IP4 198.51.100.13/);
+    expect(sdpOffer).toMatch(/c=IN IP4 198.51.100.15/);
+    expect(restartIceRequests.find(({ role }) => role === 'share').sdpOffer).toBeUndefined();
+
+    await manager.handleSubscriberAnswer({ id: 'subscriberAnswer', ...VIEWER_REQUEST, answer: WEBRTC_VIDEO_RECVONLY });
+
+    expect(getMediaSession(VIEWER_REQUEST).medias[0].host.id).toBe(healthyHost.id);
+  });
+
+  test('sessions that cannot be migrated are reported to the client as offline', async () => {
+    await start({ ...SHARE_REQUEST, sdpOffer: WEBRTC_VIDEO_SENDONLY });
+    const error = nextClientMessage('error');
+    const restartIceRequest = jest.fn();
+    clientMessages.on('restartIceRequest', restartIceRequest);
+
+    mockAdapter.simulateHostOffline(offlineHost.id);
+
+    expect(await error).toEqual(expect.objectContaining({
+      connectionId: 'sharer-conn', role: 'share', reason: 'MEDIA_SERVER_OFFLINE',
+    }));
+    expect(restartIceRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+process.env.NODE_CONFIG = JSON.stringify({
+  'mcs-address': '127.0.0.1',
+  'mcs-port': 3010,
+  videoMediaServer: 'Kurento',
+  recordWebcams: false,
+  kurentoRembParams: {},
+  ejectOnUserLeft: false,
+  permissionProbes: false,
+});
+
+jest.mock('mcs-js', () => require('./mcs-client.js'), { virtual: true });
+
+const C = require('../../bbb/messages/Constants');
+const MC = require('../../mcs-core/lib/constants/constants');
+const MediaController = require('../../mcs-core/lib/media/media-controller.js');
+const VideoManager = require('../VideoManager.js');
+const Video = require('../video.js');
+const {
+  WEBRTC_VIDEO_RECVONLY,
+  waitForEvent,
+  leaveAll,
+  readOffer,
+} = require('../../mcs-core/lib/tests/helpers.js');
+
+const controller = new MediaController();
+controller.start();
+
+const manager = new VideoManager('to-sfu-video', [], '[video-test]');
+
+const CAMERA_ID = 'w_presenter-cam';
+const VIEWER_REQUEST = { type: 'video', role: 'viewer', connectionId: 'viewer-conn', cameraId: CAMERA_ID };
+
+// A simulcast webcam and a viewer session of it, set up as VideoManager would
+const startViewer = async () => {
+  const publisher = controller.join('hints-room', 'SFU', {});
+  const viewer = controller.join('hints-room', 'SFU', {});
+  const { mediaId: sourceId } = await controller.publish(publisher, 'hints-room', MC.MEDIA_TYPE.WEBRTC, {
+    descriptor: readOffer('chrome-video-simulcast'), mediaProfile: MC.MEDIA_PROFILE.MAIN,
+  });
+  const subscribed = waitForEvent(MC.EVENT.SUBSCRIBED_TO,
+    ({ sourceMediaInfo }) => sourceMediaInfo.mediaSessionId === sourceId);
+  const { mediaId } = await controller.subscribe(viewer, sourceId, MC.MEDIA_TYPE.WEBRTC, {
+    descriptor: WEBRTC_VIDEO_RECVONLY, mediaProfile: MC.MEDIA_PROFILE.MAIN,
+  });
+  await subscribed;
+
+  const sessionId = VideoManager.getSessionId(VIEWER_REQUEST);
+  const video = new Video(manager._bbbGW, 'meeting-1', CAMERA_ID, 'viewer', 'viewer-conn',
+    manager.mcs, 'hints-room', 'w_viewer', sessionId, false, 'Kurento');
+  Video.setSource(CAMERA_ID, sourceId);
+  video.userId = viewer;
+  video.mediaId = mediaId;
+  video.status = C.MEDIA_STARTED;
+  manager._sessions[sessionId] = video;
+
+  return { viewer, sourceId, sinkMedia: controller.getMediaSession(mediaId).medias[0] };
+};
+
+beforeAll(() => manager.mcs.start('127.0.0.1', 3010));
+
+afterEach(() => {
+  manager._sessions = {};
+  jest.restoreAllMocks();
+  return leaveAll(controller);
+});
+
+describe('viewer hints', () => {
+  test('updateHints requests reach mcs-core through the existing subscribe call', async () => {
+    const { viewer, sourceId, sinkMedia } = await startViewer();
+    const subscribe = jest.spyOn(manager.mcs._mcs, 'subscribe');
+
+    expect(sinkMedia.simulcastLayer).toBe('f');
+
+    await manager.handleUpdateHints({ id: 'updateHints', ...VIEWER_REQUEST, maxHeight: 200 });
+
+    expect(subscribe).toHaveBeenCalledWith(viewer, sourceId, C.WEBRTC, {
+      mediaId: sinkMedia.mediaSessionId, hints: { maxHeight: 200 }, updateHints: true,
+    });
+    expect(sinkMedia.simulcastLayer).toBe('q');
+  });
+
+  test('maxBitrate hints are converted to bps', async () => {
+    const { sinkMedia } = await startViewer();
+
+    await manager.handleUpdateHints({ id: 'updateHints', ...VIEWER_REQUEST, maxBitrate: 300 });
+
+    expect(sinkMedia.simulcastLayer).toBe('q');
+    expect(sinkMedia.subscriberHints).toEqual(expect.objectContaining({ maxBitrate: 300000 }));
+  });
+});
@@ -6,6 +6,11 @@ const Logger = require('../utils/Logger');
 const Utils = require('../utils/Utils.js');
 const Messaging = require('../bbb/messages/Messaging');
 const BaseProvider = require('../base/BaseProvider');
+const {
+  METRIC_NAMES,
+  STOP_REASONS,
+  ModulePrometheusAgent,
+} = require('../base/metrics.js');
 const SHOULD_RECORD = config.get('recordWebcams');
 const LOG_PREFIX = "[video]";
 const errors = require('../base/errors');
@@ -49,14 +54,21 @@ module.exports = class Video extends BaseProvider {
     this.status = C.MEDIA_STOPPED;
     this.recording = {};
     this.isRecorded = false;
+    // Viewer hints ({ maxHeight, maxBitrate }) used by mcs-core to pick the
+    // layer this session gets from simulcast publishers
+    this.subscriberHints = {};
     this._recordingSubPath = 'recordings';
     this._cameraProfile = 'medium';
     this.candidatesQueue = [];
+    this._restartingIce = false;
     this.notFlowingTimeout;
     this.isRecording = false;
     this._startRecordingEventFired = false;
     this._stopRecordingEventFired = false;
     this._stopActionQueued = false;
+    // Why the session was stopped. Set once, either by an event that will lead
+    // to a stop (eg NOT_FLOWING timeout) or by the stop call itself
+    this._stopReason = null;
     this.handleMCSCoreDisconnection = this.handleMCSCoreDisconnection.bind(this);
     this.disconnectUser = this.disconnectUser.bind(this);
     this.mcs.on(C.MCS_DISCONNECTED, this.handleMCSCoreDisconnection);
@@ -124,7 +136,9 @@ module.exports = class Video extends BaseProvider {
   }
 
   async onIceCandidate (_candidate) {
-    if (this.mediaId) {
+    // Candidates trickled along with an ICE restart offer are held until the
+    // restart is done; they belong to the new media units
+    if (this.mediaId && !this._restartingIce) {
       try {
         await this.mcs.addIceCandidate(this.mediaId, _candidate);
       }
@@ -177,6 +191,10 @@ module.exports = class Video extends BaseProvider {
       iceComponentId,
       iceComponentState
     });
+
+    if (iceComponentState === 'FAILED') {
+      ModulePrometheusAgent.increment(METRIC_NAMES.ICE_FAILURES, { role: this.role });
+    }
   }
 
   _handleCandidatePairSelected (state) {
@@ -241,6 +259,8 @@ module.exports = class Video extends BaseProvider {
               if (this.shared) {
                 Logger.warn(LOG_PREFIX, "Media NOT_FLOWING timeout hit, stopping media",
                   this._getLogMetadata());
+                ModulePrometheusAgent.increment(METRIC_NAMES.MEDIA_NOT_FLOWING_TIMEOUTS, { role: this.role });
+                this._stopReason = this._stopReason || STOP_REASONS.MEDIA_NOT_FLOWING;
                 this.sendPlayStop();
                 clearTimeout(this.notFlowingTimeout);
                 delete this.notFlowingTimeout;
@@ -272,9 +292,19 @@ module.exports = class Video extends BaseProvider {
         Logger.error(LOG_PREFIX, "Video provider received MEDIA_SERVER_OFFLINE event",
           { ...this._getLogMetadata(), event });
         event.sessionId = this.streamName;
+        this._stopReason = this._stopReason || STOP_REASONS.MEDIA_SERVER_OFFLINE;
         this.emit(C.MEDIA_SERVER_OFFLINE, event);
         break;
 
+      case C.MEDIA_RENEGOTIATION_REQUIRED:
+        // Viewers offered by mcs-core get the new offer to answer
+        Logger.warn(LOG_PREFIX, "Video media was migrated, requesting a client renegotiation",
+          this._getLogMetadata());
+        this.emit(C.MEDIA_RENEGOTIATION_REQUIRED, {
+          sdpOffer: this._isOfferedByServer() ? details : null,
+        });
+        break;
+
       default: Logger.trace(LOG_PREFIX, "Unrecognized event", event);
     }
   }
@@ -426,6 +456,7 @@ module.exports = class Video extends BaseProvider {
           return resolve();
         }
 
+        ModulePrometheusAgent.increment(METRIC_NAMES.PERMISSION_PROBE_FAILURES, { role: this.role });
         return reject(errors.SFU_UNAUTHORIZED);
       }
 
@@ -450,6 +481,7 @@ module.exports = class Video extends BaseProvider {
           return resolve();
         }
 
+        ModulePrometheusAgent.increment(METRIC_NAMES.PERMISSION_PROBE_FAILURES, { role: this.role });
         return reject(errors.SFU_UNAUTHORIZED);
       }
 
@@ -465,11 +497,12 @@ module.exports = class Video extends BaseProvider {
     });
   }
 
-  start (sdpOffer, mediaSpecs) {
+  start (sdpOffer, mediaSpecs, subscriberHints = {}) {
     return new Promise(async (resolve, reject) => {
       if (this.status === C.MEDIA_STOPPED) {
         try {
           this.status = C.MEDIA_STARTING;
+          this.subscriberHints = subscriberHints;
 
           if (this.shared) {
             await this.getBroadcastPermission(
@@ -526,6 +559,7 @@ module.exports = class Video extends BaseProvider {
           Logger.error(LOG_PREFIX, `Video start procedure failed due to ${error.message}`,
             { ...this._getLogMetadata(), error });
           this.status = C.MEDIA_NEGOTIATION_FAILED;
+          this._stopReason = this._stopReason || STOP_REASONS.START_FAILED;
           reject(this._handleError(LOG_PREFIX, error, this.role, this.id));
         }
       } else {
@@ -592,6 +626,7 @@ module.exports = class Video extends BaseProvider {
         mediaSpecSlave: SUBSCRIBER_SPEC_SLAVE,
         kurentoRembParams,
         adapter: this.mediaServerAdapter,
+        ...this.subscriberHints,
       }
       this.options = options;
       const stream = Video.getSource(this.id);
@@ -604,6 +639,55 @@ module.exports = class Video extends BaseProvider {
     }
   }
 
+  _isOfferedByServer () {
+    return !this.shared && this.options != null && this.options.descriptor == null;
+  }
+
+  async updateHints (hints) {
+    this.subscriberHints = { ...this.subscriberHints, ...hints };
+
+    // Not subscribed yet: the hints go along with the subscription
+    if (this.mediaId == null) {
+      return;
+    }
+
+    await this.mcs.updateHints(this.userId, Video.getSource(this.id), this.mediaId, hints);
+    Logger.info(LOG_PREFIX, "Viewer hints updated",
+      { ...this._getLogMetadata(), hints: this.subscriberHints });
+  }
+
+  async restartIce (sdpOffer) {
+    if (this.mediaId == null
+      || this.status === C.MEDIA_STOPPING
+      || this.status === C.MEDIA_STOPPED) {
+      const error = { code: 2200, reason: errors[2200], details: `Invalid video status ${this.status}` };
+      throw this._handleError(LOG_PREFIX, error, this.role, this.id);
+    }
+
+    this._restartingIce = true;
+
+    try {
+      // mcs-core keeps the mediaId, so media state listeners and recordings
+      // carry over to the new media units. Those come with a new DTLS
+      // fingerprint and new SSRCs, so the client must apply the whole answer
+      const options = { descriptor: sdpOffer, mediaId: this.mediaId, restartIce: true };
+      const { answer } = this.shared
+        ? await this.mcs.publish(this.userId, this.voiceBridge, C.WEBRTC, options)
+        : await this.mcs.subscribe(this.userId, Video.getSource(this.id), C.WEBRTC, options);
+
+      Logger.info(LOG_PREFIX, "Video ICE restart succeeded", this._getLogMetadata());
+      return answer;
+    } catch (error) {
+      Logger.error(LOG_PREFIX, `Video ICE restart failed due to ${error.message}`,
+        { ...this._getLogMetadata(), error });
+      throw this._handleError(LOG_PREFIX, error, this.role, this.id);
+    } finally {
+      this._restartingIce = false;
+      this.flushCandidatesQueue(this.mcs, [...this.candidatesQueue], this.mediaId);
+      this.candidatesQueue = [];
+    }
+  }
+
   async pause (state) {
     const stream = Video.getSource(this.id);
     const sinkId = this.mediaId;
@@ -680,12 +764,18 @@ module.exports = class Video extends BaseProvider {
     delete this.candidatesQueue;
     this.status = C.MEDIA_STOPPED;
     this.clearSessionListeners();
+    ModulePrometheusAgent.increment(METRIC_NAMES.SESSION_STOPS, {
+      role: this.role,
+      reason: this._stopReason,
+    });
 
     Logger.info(LOG_PREFIX, `Stopped video session ${this.streamName}`, this._getLogMetadata());
     return resolver();
   }
 
-  async stop () {
+  async stop (reason = STOP_REASONS.REQUESTED) {
+    this._stopReason = this._stopReason || reason;
+
     return new Promise(async (resolve, reject) => {
       this.mcs.removeListener(C.MCS_DISCONNECTED, this.handleMCSCoreDisconnection);
       this.bbbGW.removeListener(C.DISCONNECT_ALL_USERS_2x+this.meetingId, this.disconnectUser);
@@ -740,7 +830,7 @@ module.exports = class Video extends BaseProvider {
     try {
       Logger.info(LOG_PREFIX, 'Disconnect a video session on UserLeft*/DisconnectAll',
         this._getLogMetadata());
-      await this.stop();
+      await this.stop(STOP_REASONS.EJECTED);
     } catch (error) {
       Logger.warn(LOG_PREFIX, 'Failed to disconnect video session on UserLeft*/DisconnectAll',
         { ...this._getLogMetadata(), error });